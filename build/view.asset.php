@@ -0,0 +1 @@
+<?php return array('dependencies' => array('@wordpress/interactivity'), 'version' => '1d2b199205bec9928952', 'type' => 'module');
@@ -0,0 +1 @@
+import{getContext as e,store as t}from"@wordpress/interactivity";const r={types:"references-type",production:"references-production",year:"references-year"};function s(e,t,r){return!!e.types.includes(t)&&(!e.production||r.includes(e.production))}function n(e){const{filters:t,allTypes:s}=e,n=new URL(window.location.href),o={types:t.types.length===s.length?"":t.types.join(","),production:t.production?String(t.production):"",year:t.year};Object.entries(r).forEach(([e,t])=>{o[e]?n.searchParams.set(t,o[e]):n.searchParams.delete(t)}),window.history.replaceState(window.history.state,"",n)}const{state:o}=t("gatherpress/references",{state:{get isTypeSelected(){const{filters:t,filterType:r}=e();return t.types.includes(r)},get hasActiveFilters(){const{filters:t,allTypes:r}=e();return t.types.length!==r.length||!!t.production||!!t.year},get isYearHidden(){const{filters:t,year:r,yearTypes:n}=e();return!(!t.year||t.year===r)||!Object.entries(n).some(([e,r])=>s(t,e,r))},get isTypeHidden(){const{filters:t,type:r,typeProductions:n}=e();return!s(t,r,n)},get isItemHidden(){const{filters:t,itemProductions:r}=e();return!!t.production&&!r.includes(t.production)},get exportHref(){const{exportUrl:t,filters:r,allTypes:s}=e(),n=new URL(t);return r.types.length!==s.length&&n.searchParams.set("types",r.types.join(",")),r.production&&n.searchParams.set("ref_term_id",String(r.production)),r.year&&n.searchParams.set("period",r.year),n.toString()}},actions:{toggleType(){const t=e(),{filters:r,allTypes:s,filterType:i}=t;r.types=o.isTypeSelected?r.types.filter(e=>e!==i):s.filter(e=>e===i||r.types.includes(e)),n(t)},setProduction(t){const r=e();r.filters.production=parseInt(t.target.value)||0,n(r)},setYear(t){const r=e();r.filters.year=t.target.value,n(r)},resetFilters(){const t=e();t.filters.types=[...t.allTypes],t.filters.production=0,t.filters.year="",n(t)}}});document.addEventListener("click",e=>{const t=e.target.closest("[data-references-show-older]");t&&(e.preventDefault(),async function(e){const t=e.dataset.referencesShowOlder,r=`[data-references-id="${t}"]`,s=e.closest(r),n=new URL(window.location.href);if(n.searchParams.set("references-show-all",t),s&&!s.hasAttribute("data-wp-interactive")){e.setAttribute("aria-busy","true");try{const e=await window.fetch(n,{credentials:"same-origin"});if(!e.ok)throw new Error(e.statusText);const t=await e.text(),o=(new window.DOMParser).parseFromString(t,"text/html").querySelector(r);if(!o)throw new Error("Block not found");const i=document.importNode(o,!0);s.replaceWith(i),i.setAttribute("tabindex","-1"),i.focus()}catch(e){window.location.assign(n)}}else window.location.assign(n)}(t))});
\ No newline at end of file
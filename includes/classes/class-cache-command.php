@@ -0,0 +1,145 @@
+<?php
+/**
+ * Cache Command class
+ *
+ * WP-CLI commands showing, flushing and warming the caches.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Shows, flushes and warms the caches of the references blocks.
+ *
+ * ## EXAMPLES
+ *
+ *     # Show cache statistics.
+ *     $ wp gatherpress-references cache status
+ *
+ *     # Flush and warm all caches.
+ *     $ wp gatherpress-references cache flush && wp gatherpress-references cache warm
+ *
+ * @since 0.3.0
+ */
+class Cache_Command {
+	/**
+	 * Cache manager instance
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Cache warmer instance
+	 *
+	 * @var Cache_Warmer
+	 */
+	private Cache_Warmer $cache_warmer;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Cache_Manager $cache_manager Cache manager instance.
+	 * @param Cache_Warmer  $cache_warmer  Cache warmer instance.
+	 */
+	public function __construct( Cache_Manager $cache_manager, Cache_Warmer $cache_warmer ) {
+		$this->cache_manager = $cache_manager;
+		$this->cache_warmer  = $cache_warmer;
+	}
+
+	/**
+	 * Shows cache statistics.
+	 *
+	 * Entry counts and size are empty when transients are kept in a
+	 * persistent object cache. Hits and misses are counted since the
+	 * cache was last flushed.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--format=<format>]
+	 * : Render output in a particular format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - yaml
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp gatherpress-references cache status --format=json
+	 *
+	 * @since 0.3.0
+	 * @param array<int, string>    $args       Positional arguments.
+	 * @param array<string, string> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function status( array $args, array $assoc_args ): void {
+		$stats = array_merge(
+			$this->cache_manager->get_stats(),
+			array( 'next_warming' => $this->cache_warmer->get_next_scheduled() )
+		);
+
+		$format = $assoc_args['format'] ?? 'table';
+
+		if ( 'table' !== $format ) {
+			\WP_CLI\Utils\format_items( $format, array( $stats ), array_keys( $stats ) );
+			return;
+		}
+
+		$rows = array();
+		foreach ( $stats as $key => $value ) {
+			if ( in_array( $key, array( 'since', 'last_cleared', 'next_warming' ), true ) ) {
+				$value = $value > 0 ? gmdate( 'Y-m-d H:i:s', (int) $value ) . ' UTC' : 'never';
+			} elseif ( 'hit_rate' === $key ) {
+				$value = null !== $value ? round( $value * 100, 1 ) . '%' : '';
+			}
+
+			$rows[] = array(
+				'metric' => $key,
+				'value'  => null !== $value ? (string) $value : '',
+			);
+		}
+
+		\WP_CLI\Utils\format_items( 'table', $rows, array( 'metric', 'value' ) );
+	}
+
+	/**
+	 * Flushes all caches.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp gatherpress-references cache flush
+	 *     Success: Flushed the references cache.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function flush(): void {
+		$this->cache_manager->clear_all();
+
+		\WP_CLI::success( 'Flushed the references cache.' );
+	}
+
+	/**
+	 * Warms the caches of all references blocks in published content.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp gatherpress-references cache warm
+	 *     Success: Warmed the caches of 3 blocks.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function warm(): void {
+		$count = $this->cache_warmer->warm();
+
+		\WP_CLI::success( sprintf( 'Warmed the caches of %d blocks.', $count ) );
+	}
+}
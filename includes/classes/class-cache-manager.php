@@ -18,9 +18,42 @@ defined( 'ABSPATH' ) || exit;
  * Handles all caching operations including cache key generation,
  * storage, retrieval, and invalidation.
  *
+ * Cache keys include versions, which are bumped to invalidate entries.
+ * Each entry depends on a global version, a version per post type and
+ * a version per combination of production term, year and type, so a
+ * changed post only invalidates the entries that could include it.
+ * As nothing needs to be deleted, this works with any object cache.
+ *
  * @since 0.1.0
+ *
+ * @phpstan-import-type References from Data_Organizer
+ * @phpstan-import-type Reference_Options from Data_Organizer
+ * @phpstan-type Cache_Stats array{data_entries: int|null, output_entries: int|null, versions: int|null, size: int|null, hits: int, misses: int, hit_rate: float|null, since: int, last_cleared: int}
  */
 class Cache_Manager {
+	/**
+	 * Version of the cached data structure
+	 *
+	 * Part of every cache key, so entries in an outdated structure are never read.
+	 *
+	 * @var int
+	 */
+	const DATA_VERSION = 6;
+
+	/**
+	 * Option storing the hit and miss counts and when caches were last cleared
+	 *
+	 * @var string
+	 */
+	const STATS_OPTION = 'gatherpress_references_cache_stats';
+
+	/**
+	 * Object cache group counting hits and misses with a persistent object cache
+	 *
+	 * @var string
+	 */
+	const STATS_CACHE_GROUP = 'gatherpress_references_stats';
+
 	/**
 	 * Cache key prefix
 	 *
@@ -28,6 +61,13 @@ class Cache_Manager {
 	 */
 	private string $cache_prefix = 'gatherpress_refs_';
 
+	/**
+	 * Version key prefix
+	 *
+	 * @var string
+	 */
+	private string $version_prefix = 'gatherpress_refs_version_';
+
 	/**
 	 * Cache expiration in seconds (1 hour)
 	 *
@@ -35,6 +75,20 @@ class Cache_Manager {
 	 */
 	private int $cache_expiration = 3600;
 
+	/**
+	 * Cache hits of this request, not saved yet
+	 *
+	 * @var int
+	 */
+	private int $hits = 0;
+
+	/**
+	 * Cache misses of this request, not saved yet
+	 *
+	 * @var int
+	 */
+	private int $misses = 0;
+
 	/**
 	 * Constructor
 	 *
@@ -84,14 +138,122 @@ class Cache_Manager {
 	 * Generate cache key
 	 *
 	 * @since 0.1.0
-	 * @param string $post_type   Post type slug.
-	 * @param int    $ref_term_id Reference term ID.
-	 * @param int    $year        Year filter.
-	 * @param string $type        Reference type filter.
+	 * @param string            $post_type   Post type slug.
+	 * @param int               $ref_term_id Reference term ID.
+	 * @param int               $year        Year filter.
+	 * @param string            $type        Reference type filter.
+	 * @param Reference_Options $options     Year range and grouping options.
 	 * @return string Cache key.
 	 */
-	public function get_cache_key( string $post_type, int $ref_term_id, int $year, string $type ): string {
-		return $this->cache_prefix . md5( (string) wp_json_encode( array( $post_type, $ref_term_id, $year, $type ) ) );
+	public function get_cache_key( string $post_type, int $ref_term_id, int $year, string $type, array $options = array() ): string {
+		ksort( $options );
+
+		$versions = array(
+			$this->get_version( '*' ),
+			$this->get_version( $post_type ),
+			$this->get_version( $this->get_scope( $post_type, $ref_term_id, $year, $type ) ),
+		);
+
+		return $this->cache_prefix . md5( (string) wp_json_encode( array( self::DATA_VERSION, $versions, $post_type, $ref_term_id, $year, $type, $options ) ) );
+	}
+
+	/**
+	 * Generate cache key of rendered output
+	 *
+	 * Includes the key of the references data the output is rendered
+	 * from, so both are invalidated together.
+	 *
+	 * @since 0.3.0
+	 * @param string               $data_cache_key Cache key of the references data.
+	 * @param array<string, mixed> $context        Everything else the output depends on.
+	 * @return string Cache key.
+	 */
+	public function get_output_cache_key( string $data_cache_key, array $context ): string {
+		return $this->cache_prefix . 'html_' . md5( (string) wp_json_encode( array( self::DATA_VERSION, $data_cache_key, $context ) ) );
+	}
+
+	/**
+	 * Get the scope of cache entries for a production term, year and type
+	 *
+	 * @since 0.3.0
+	 * @param string $post_type   Post type slug.
+	 * @param int    $ref_term_id Reference term ID, 0 for all terms.
+	 * @param int    $year        Year, 0 for all years or a year range.
+	 * @param string $type        Reference type, 'all' for all types.
+	 * @return string Scope.
+	 */
+	private function get_scope( string $post_type, int $ref_term_id, int $year, string $type ): string {
+		return implode( ':', array( $post_type, $ref_term_id, $year, $type ) );
+	}
+
+	/**
+	 * Get the version of a scope
+	 *
+	 * Scopes that were never invalidated, or whose version expired,
+	 * have the default version. Nothing is stored on reads, so
+	 * requests for arbitrary scopes don't add versions.
+	 *
+	 * @since 0.3.0
+	 * @param string $scope Scope.
+	 * @return string Version.
+	 */
+	private function get_version( string $scope ): string {
+		$version = get_transient( $this->version_prefix . md5( $scope ) );
+
+		return is_string( $version ) ? $version : '0';
+	}
+
+	/**
+	 * Start a new version of a scope
+	 *
+	 * Versions expire with the cache entries. When a version expires,
+	 * all entries of its default version have expired before it, so
+	 * falling back to the default version can't read outdated entries.
+	 *
+	 * @since 0.3.0
+	 * @param string $scope Scope.
+	 * @return void
+	 */
+	private function bump_version( string $scope ): void {
+		set_transient( $this->version_prefix . md5( $scope ), uniqid( '', true ), $this->cache_expiration );
+	}
+
+	/**
+	 * Invalidate the cache entries a post could be part of
+	 *
+	 * That are the entries of the post's production terms or all
+	 * terms, its year(s) or all years, and its types or all types.
+	 *
+	 * @since 0.3.0
+	 * @param string             $post_type    Post type slug.
+	 * @param array<int, int>    $ref_term_ids Production term IDs of the post.
+	 * @param array<int, int>    $years        Years of the post.
+	 * @param array<int, string> $types        Reference types of the post.
+	 * @return void
+	 */
+	public function invalidate( string $post_type, array $ref_term_ids, array $years, array $types ): void {
+		$ref_term_ids = array_unique( array_merge( array( 0 ), $ref_term_ids ) );
+		$years        = array_unique( array_merge( array( 0 ), $years ) );
+		$types        = array_unique( array_merge( array( 'all' ), $types ) );
+
+		foreach ( $ref_term_ids as $ref_term_id ) {
+			foreach ( $years as $year ) {
+				foreach ( $types as $type ) {
+					$this->bump_version( $this->get_scope( $post_type, $ref_term_id, $year, $type ) );
+				}
+			}
+		}
+	}
+
+	/**
+	 * Invalidate all cache entries of a post type
+	 *
+	 * @since 0.3.0
+	 * @param string $post_type Post type slug.
+	 * @return void
+	 */
+	public function invalidate_post_type( string $post_type ): void {
+		$this->bump_version( $post_type );
 	}
 
 	/**
@@ -99,7 +261,7 @@ class Cache_Manager {
 	 *
 	 * @since 0.1.0
 	 * @param string $cache_key Cache key.
-	 * @return array<string, array<string, array<int, string>>>|false Cached data or false.
+	 * @return References|false Cached data or false.
 	 */
 	public function get( string $cache_key ) {
 		$cached = get_transient( $cache_key );
@@ -107,12 +269,14 @@ class Cache_Manager {
 		/**
 		 * This is for sure an array of int or false.
 		 *
-		 * @var array<string, array<string, array<int, string>>>|false $cached
+		 * @var References|false $cached
 		 */
 		if ( false !== $cached ) {
+			++$this->hits;
 			return $cached;
 		}
 
+		++$this->misses;
 		return false;
 	}
 
@@ -120,23 +284,75 @@ class Cache_Manager {
 	 * Set cached data
 	 *
 	 * @since 0.1.0
-	 * @param string                                           $cache_key Cache key.
-	 * @param array<string, array<string, array<int, string>>> $data      Data to cache.
+	 * @param string     $cache_key Cache key.
+	 * @param References $data      Data to cache.
 	 * @return void
 	 */
 	public function set( string $cache_key, array $data ): void {
 		set_transient( $cache_key, $data, $this->cache_expiration );
 	}
 
+	/**
+	 * Get cached output
+	 *
+	 * @since 0.3.0
+	 * @param string $cache_key Cache key.
+	 * @return string|false Cached HTML or false.
+	 */
+	public function get_output( string $cache_key ) {
+		$cached = get_transient( $cache_key );
+
+		if ( is_string( $cached ) ) {
+			++$this->hits;
+			return $cached;
+		}
+
+		++$this->misses;
+		return false;
+	}
+
+	/**
+	 * Set cached output
+	 *
+	 * @since 0.3.0
+	 * @param string $cache_key Cache key.
+	 * @param string $html      Rendered HTML.
+	 * @return void
+	 */
+	public function set_output( string $cache_key, string $html ): void {
+		set_transient( $cache_key, $html, $this->cache_expiration );
+	}
+
 	/**
 	 * Clear all caches
 	 *
+	 * Invalidates all entries, and deletes those stored in the database.
+	 *
 	 * @since 0.1.0
 	 * @return void
 	 */
 	public function clear_all(): void {
 		global $wpdb;
 
+		$this->bump_version( '*' );
+
+		// Count hits and misses from scratch.
+		$this->hits   = 0;
+		$this->misses = 0;
+		foreach ( array( 'hits', 'misses', 'since' ) as $key ) {
+			wp_cache_delete( $key, self::STATS_CACHE_GROUP );
+		}
+		update_option(
+			self::STATS_OPTION,
+			array(
+				'hits'         => 0,
+				'misses'       => 0,
+				'since'        => time(),
+				'last_cleared' => time(),
+			),
+			false
+		);
+
 		if ( ! $wpdb instanceof \wpdb ) {
 			return;
 		}
@@ -163,4 +379,180 @@ class Cache_Manager {
 			delete_transient( $transient_key );
 		}
 	}
+
+	/**
+	 * Add the hits and misses of this request to the saved counts
+	 *
+	 * Runs once per request, so lookups don't write to the database.
+	 * With a persistent object cache, the counts are incremented there.
+	 * Otherwise, only a sample of requests saves its counts to the
+	 * option, multiplied by the sample rate, so most page views don't
+	 * write to the database and the saved counts are estimates.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function save_stats(): void {
+		if ( 0 === $this->hits + $this->misses ) {
+			return;
+		}
+
+		$counts       = array(
+			'hits'   => $this->hits,
+			'misses' => $this->misses,
+		);
+		$this->hits   = 0;
+		$this->misses = 0;
+
+		if ( wp_using_ext_object_cache() ) {
+			wp_cache_add( 'since', time(), self::STATS_CACHE_GROUP );
+
+			foreach ( $counts as $key => $count ) {
+				wp_cache_add( $key, 0, self::STATS_CACHE_GROUP );
+				wp_cache_incr( $key, $count, self::STATS_CACHE_GROUP );
+			}
+			return;
+		}
+
+		/**
+		 * Filters how many requests share one save of their cache hits and misses.
+		 *
+		 * Without a persistent object cache, one in this many requests
+		 * saves its counts to an option, multiplied by this rate.
+		 * Defaults to 100. Use 1 to save the exact counts of every request.
+		 *
+		 * @since 0.3.0
+		 *
+		 * @param int $sample_rate Number of requests per save.
+		 * @return int Filtered sample rate.
+		 *
+		 * @example
+		 * Save the counts of every request:
+		 * ```php
+		 * add_filter( 'gatherpress_references_cache_stats_sample_rate', function () {
+		 *     return 1;
+		 * } );
+		 * ```
+		 */
+		$sample_rate = apply_filters( 'gatherpress_references_cache_stats_sample_rate', 100 );
+		$sample_rate = is_int( $sample_rate ) ? max( 1, $sample_rate ) : 100;
+
+		if ( $sample_rate > 1 && 1 !== wp_rand( 1, $sample_rate ) ) {
+			return;
+		}
+
+		$stats = $this->get_saved_stats();
+
+		$stats['hits']   += $counts['hits'] * $sample_rate;
+		$stats['misses'] += $counts['misses'] * $sample_rate;
+		$stats['since']   = $stats['since'] > 0 ? $stats['since'] : time();
+
+		update_option( self::STATS_OPTION, $stats, false );
+	}
+
+	/**
+	 * Get cache statistics
+	 *
+	 * Entry counts and size are read from the options table, so they
+	 * are null when transients are kept in a persistent object cache.
+	 *
+	 * @since 0.3.0
+	 * @return Cache_Stats Cache statistics.
+	 */
+	public function get_stats(): array {
+		$stats  = $this->get_saved_stats();
+		$hits   = $stats['hits'] + $this->hits;
+		$misses = $stats['misses'] + $this->misses;
+
+		return array_merge(
+			$this->count_entries(),
+			array(
+				'hits'         => $hits,
+				'misses'       => $misses,
+				'hit_rate'     => ( $hits + $misses ) > 0 ? $hits / ( $hits + $misses ) : null,
+				'since'        => $stats['since'],
+				'last_cleared' => $stats['last_cleared'],
+			)
+		);
+	}
+
+	/**
+	 * Get the saved hit and miss counts
+	 *
+	 * Adds the counts of the persistent object cache, if used, to those
+	 * of the option. Nothing is written, even when nothing was counted yet.
+	 *
+	 * @since 0.3.0
+	 * @return array{hits: int, misses: int, since: int, last_cleared: int} Saved counts and timestamps, 0 if unknown.
+	 */
+	private function get_saved_stats(): array {
+		$saved = get_option( self::STATS_OPTION );
+		$saved = is_array( $saved ) ? $saved : array();
+		$stats = array();
+
+		foreach ( array( 'hits', 'misses', 'since', 'last_cleared' ) as $key ) {
+			$stats[ $key ] = isset( $saved[ $key ] ) && is_numeric( $saved[ $key ] ) ? (int) $saved[ $key ] : 0;
+		}
+
+		if ( wp_using_ext_object_cache() ) {
+			foreach ( array( 'hits', 'misses' ) as $key ) {
+				$stats[ $key ] += absint( wp_cache_get( $key, self::STATS_CACHE_GROUP ) );
+			}
+
+			if ( 0 === $stats['since'] ) {
+				$stats['since'] = absint( wp_cache_get( 'since', self::STATS_CACHE_GROUP ) );
+			}
+		}
+
+		return $stats;
+	}
+
+	/**
+	 * Count the cache entries stored in the options table
+	 *
+	 * @since 0.3.0
+	 * @return array{data_entries: int|null, output_entries: int|null, versions: int|null, size: int|null} Counts and size in bytes, null if unknown.
+	 */
+	private function count_entries(): array {
+		global $wpdb;
+
+		$counts = array(
+			'data_entries'   => null,
+			'output_entries' => null,
+			'versions'       => null,
+			'size'           => null,
+		);
+
+		if ( wp_using_ext_object_cache() || ! $wpdb instanceof \wpdb ) {
+			return $counts;
+		}
+
+		$row = $wpdb->get_row( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->prepare(
+				// @phpstan-ignore-next-line
+				"SELECT COUNT(*) AS total, SUM(option_name LIKE %s) AS output_entries, SUM(option_name LIKE %s) AS versions, SUM(LENGTH(option_value)) AS size FROM {$wpdb->options} WHERE option_name LIKE %s",
+				$wpdb->esc_like( '_transient_' . $this->cache_prefix . 'html_' ) . '%',
+				$wpdb->esc_like( '_transient_' . $this->version_prefix ) . '%',
+				$wpdb->esc_like( '_transient_' . $this->cache_prefix ) . '%'
+			),
+			ARRAY_A
+		);
+
+		if ( ! is_array( $row ) ) {
+			return $counts;
+		}
+
+		// Sums of no rows are NULL.
+		$values = array();
+		foreach ( array( 'total', 'output_entries', 'versions', 'size' ) as $key ) {
+			$values[ $key ] = isset( $row[ $key ] ) && is_numeric( $row[ $key ] ) ? (int) $row[ $key ] : 0;
+		}
+
+		return array(
+			'data_entries'   => $values['total'] - $values['output_entries'] - $values['versions'],
+			'output_entries' => $values['output_entries'],
+			'versions'       => $values['versions'],
+			'size'           => $values['size'],
+		);
+	}
 }
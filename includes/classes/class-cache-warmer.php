@@ -0,0 +1,177 @@
+<?php
+/**
+ * Cache Warmer class
+ *
+ * Pre-warms the caches of all references blocks in published content
+ * in the background.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Cache Warmer
+ *
+ * Pre-warms the caches of all references blocks in published content
+ * in the background. Warming is scheduled as a single WP-Cron event
+ * after cache entries were invalidated, so the first visitor doesn't
+ * wait for the query. Blocks are warmed with their saved attributes,
+ * outside any archive and without filters in the URL.
+ *
+ * @since 0.3.0
+ */
+class Cache_Warmer {
+	/**
+	 * WP-Cron hook warming the caches
+	 *
+	 * @var string
+	 */
+	const CRON_HOOK = 'gatherpress_references_warm_cache';
+
+	/**
+	 * Block name
+	 *
+	 * @var string
+	 */
+	const BLOCK_NAME = 'gatherpress/references';
+
+	/**
+	 * Delay in seconds before warming, so changes saved in a row are warmed once
+	 *
+	 * @var int
+	 */
+	const DELAY = 60;
+
+	/**
+	 * Schedule warming the caches, unless already scheduled
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function schedule(): void {
+		if ( false !== wp_next_scheduled( self::CRON_HOOK ) ) {
+			return;
+		}
+
+		wp_schedule_single_event( time() + self::DELAY, self::CRON_HOOK );
+	}
+
+	/**
+	 * Unschedule warming the caches
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function unschedule(): void {
+		wp_clear_scheduled_hook( self::CRON_HOOK );
+	}
+
+	/**
+	 * Get when warming the caches is scheduled
+	 *
+	 * @since 0.3.0
+	 * @return int Timestamp, 0 if not scheduled.
+	 */
+	public function get_next_scheduled(): int {
+		$timestamp = wp_next_scheduled( self::CRON_HOOK );
+
+		return false !== $timestamp ? $timestamp : 0;
+	}
+
+	/**
+	 * Warm the caches of all references blocks in published content
+	 *
+	 * Rendering a block fills its data cache and, if enabled, its
+	 * output cache. Blocks with the same attributes are rendered once.
+	 *
+	 * @since 0.3.0
+	 * @return int Number of blocks warmed.
+	 */
+	public function warm(): int {
+		$blocks = $this->find_blocks();
+
+		foreach ( $blocks as $block ) {
+			render_block( $block );
+		}
+
+		return count( $blocks );
+	}
+
+	/**
+	 * Find all references blocks in published content
+	 *
+	 * Includes blocks in templates, template parts and synced
+	 * patterns, which are stored as posts as well.
+	 *
+	 * @since 0.3.0
+	 * @return array<string, array<string, mixed>> Parsed blocks, keyed by a hash of their attributes.
+	 */
+	public function find_blocks(): array {
+		$blocks = array();
+
+		foreach ( $this->get_post_ids() as $post_id ) {
+			$post = get_post( $post_id );
+
+			if ( ! $post instanceof \WP_Post ) {
+				continue;
+			}
+
+			$this->collect_blocks( parse_blocks( $post->post_content ), $blocks );
+		}
+
+		return $blocks;
+	}
+
+	/**
+	 * Get IDs of published posts containing a references block
+	 *
+	 * @since 0.3.0
+	 * @return array<int, int> Post IDs.
+	 */
+	private function get_post_ids(): array {
+		global $wpdb;
+
+		if ( ! $wpdb instanceof \wpdb ) {
+			return array();
+		}
+
+		$post_ids = $wpdb->get_col( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->prepare(
+				// @phpstan-ignore-next-line
+				"SELECT ID FROM {$wpdb->posts} WHERE post_status = 'publish' AND post_content LIKE %s ORDER BY ID",
+				'%' . $wpdb->esc_like( '<!-- wp:' . self::BLOCK_NAME . ' ' ) . '%'
+			)
+		);
+
+		return array_map( 'intval', $post_ids );
+	}
+
+	/**
+	 * Collect references blocks, including nested ones
+	 *
+	 * @since 0.3.0
+	 * @param array<int|string, mixed>             $parsed_blocks Parsed blocks.
+	 * @param array<string, array<string, mixed>> &$blocks       Collected blocks, keyed by a hash of their attributes.
+	 * @return void
+	 */
+	private function collect_blocks( array $parsed_blocks, array &$blocks ): void {
+		foreach ( $parsed_blocks as $block ) {
+			if ( ! is_array( $block ) ) {
+				continue;
+			}
+
+			if ( isset( $block['blockName'] ) && $block['blockName'] === self::BLOCK_NAME ) {
+				$attributes = isset( $block['attrs'] ) && is_array( $block['attrs'] ) ? $block['attrs'] : array();
+
+				$blocks[ md5( (string) wp_json_encode( $attributes ) ) ] = $block;
+			}
+
+			if ( ! empty( $block['innerBlocks'] ) && is_array( $block['innerBlocks'] ) ) {
+				$this->collect_blocks( $block['innerBlocks'], $blocks );
+			}
+		}
+	}
+}
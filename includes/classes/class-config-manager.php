@@ -19,14 +19,37 @@ defined( 'ABSPATH' ) || exit;
  * Centralized access to post type support configurations.
  *
  * @since 0.1.0
+ *
+ * @phpstan-type Taxonomy_Definition array{singular: string, plural: string, args: array<string, mixed>}
+ * @phpstan-type Stored_Config array{ref_tax: string, ref_types: array<int, string>, season_start: int, type_taxonomies?: array<string, Taxonomy_Definition>}
  */
 class Config_Manager {
+	/**
+	 * Option storing the configurations of the settings page
+	 *
+	 * @var string
+	 */
+	const OPTION = 'gatherpress_references_post_types';
+
+	/**
+	 * Support config key marking configurations from the settings page
+	 *
+	 * @var string
+	 */
+	const STORED_FLAG = 'from_settings';
+
 	/**
 	 * Get configuration for a specific post type
 	 *
+	 * Besides the required 'ref_tax' and 'ref_types', the support config
+	 * may set 'season_start' (1-12) to group references by seasons
+	 * starting in that month instead of by calendar years. Taxonomies
+	 * to register are declared separately, see get_ref_tax_definitions()
+	 * and get_type_definitions().
+	 *
 	 * @since 0.1.0
 	 * @param string $post_type Post type slug.
-	 * @return ?array{ref_tax: string, ref_types: array<int, string>} Configuration array or null.
+	 * @return ?array{ref_tax: string, ref_types: array<int, string>, season_start: int} Configuration array or null; season_start is 0 if not set.
 	 */
 	public function get_config( string $post_type ): ?array {
 		if ( ! post_type_supports( $post_type, 'gatherpress_references' ) ) {
@@ -46,8 +69,17 @@ class Config_Manager {
 			return null;
 		}
 
-		$config = $raw[0];
+		return $this->normalize_config( $raw[0] );
+	}
 
+	/**
+	 * Normalize a raw configuration
+	 *
+	 * @since 0.3.0
+	 * @param array<mixed> $config Raw configuration.
+	 * @return ?array{ref_tax: string, ref_types: array<int, string>, season_start: int} Configuration or null if invalid.
+	 */
+	private function normalize_config( array $config ): ?array {
 		if ( ! isset( $config['ref_tax'] ) || ! is_string( $config['ref_tax'] ) ) {
 			return null;
 		}
@@ -64,17 +96,97 @@ class Config_Manager {
 			)
 		);
 
+		// Season start month, 0 if not set or invalid.
+		$season_start = isset( $config['season_start'] ) && is_numeric( $config['season_start'] ) ? (int) $config['season_start'] : 0;
+
 		return array(
-			'ref_tax'   => $config['ref_tax'],
-			'ref_types' => $ref_types,
+			'ref_tax'      => $config['ref_tax'],
+			'ref_types'    => $ref_types,
+			'season_start' => ( $season_start >= 1 && $season_start <= 12 ) ? $season_start : 0,
 		);
 	}
 
+	/**
+	 * Get the configurations stored on the settings page
+	 *
+	 * Type taxonomies created on the page are kept as 'type_taxonomies',
+	 * in the shape of support configs, so get_type_definitions()
+	 * includes them once register_stored_support() added the support.
+	 *
+	 * @since 0.3.0
+	 * @return array<string, Stored_Config> Array of post_type => config.
+	 */
+	public function get_stored_configs(): array {
+		$stored  = get_option( self::OPTION, array() );
+		$configs = array();
+
+		if ( ! is_array( $stored ) ) {
+			return $configs;
+		}
+
+		foreach ( $stored as $post_type => $config ) {
+			if ( ! is_string( $post_type ) || ! is_array( $config ) ) {
+				continue;
+			}
+
+			$normalized = $this->normalize_config( $config );
+			if ( ! $normalized ) {
+				continue;
+			}
+
+			$type_taxonomies = isset( $config['type_taxonomies'] ) && is_array( $config['type_taxonomies'] ) ? $this->normalize_definitions( $config['type_taxonomies'] ) : array();
+			if ( ! empty( $type_taxonomies ) ) {
+				$normalized['type_taxonomies'] = $type_taxonomies;
+			}
+
+			$configs[ $post_type ] = $normalized;
+		}
+
+		return $configs;
+	}
+
+	/**
+	 * Add post type support for the configurations stored on the settings page
+	 *
+	 * Post types configured in code keep their configuration.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_stored_support(): void {
+		foreach ( $this->get_stored_configs() as $post_type => $config ) {
+			if ( post_type_supports( $post_type, 'gatherpress_references' ) ) {
+				continue;
+			}
+
+			$config[ self::STORED_FLAG ] = true;
+			add_post_type_support( $post_type, 'gatherpress_references', $config );
+		}
+	}
+
+	/**
+	 * Check whether a post type is configured in code
+	 *
+	 * @since 0.3.0
+	 * @param string $post_type Post type slug.
+	 * @return bool Whether the post type's support is added by code, not the settings page.
+	 */
+	public function is_configured_in_code( string $post_type ): bool {
+		if ( ! post_type_supports( $post_type, 'gatherpress_references' ) ) {
+			return false;
+		}
+
+		$support = get_all_post_type_supports( $post_type );
+		$raw     = $support['gatherpress_references'] ?? null;
+
+		return ! ( is_array( $raw ) && isset( $raw[0] ) && is_array( $raw[0] ) && ! empty( $raw[0][ self::STORED_FLAG ] ) );
+	}
+
 	/**
 	 * Get all configurations from post types with support
 	 *
 	 * @since 0.1.0
-	 * @return array<string, array{ref_tax: string, ref_types: array<int, string>}> Array of post_type => config.
+	 * @return array<string, array{ref_tax: string, ref_types: array<int, string>, season_start: int}> Array of post_type => config.
 	 */
 	public function get_all_configs(): array {
 		$post_types = get_post_types_by_support( 'gatherpress_references' );
@@ -94,6 +206,169 @@ class Config_Manager {
 		return $configs;
 	}
 
+	/**
+	 * Get the definitions of reference type taxonomies to register
+	 *
+	 * Support configs may declare type taxonomies the plugin doesn't
+	 * know, keyed by taxonomy slug, with their labels and optional
+	 * register_taxonomy() args:
+	 *
+	 *     'type_taxonomies' => array(
+	 *         '_gatherpress-venue' => array(
+	 *             'singular' => __( 'Venue', 'textdomain' ),
+	 *             'plural'   => __( 'Venues', 'textdomain' ),
+	 *             'args'     => array( 'hierarchical' => true ),
+	 *         ),
+	 *     ),
+	 *
+	 * @since 0.3.0
+	 * @return array<string, Taxonomy_Definition> Definitions keyed by taxonomy slug.
+	 */
+	public function get_type_definitions(): array {
+		$definitions = array();
+
+		foreach ( get_post_types_by_support( 'gatherpress_references' ) as $post_type ) {
+			$support = get_all_post_type_supports( $post_type );
+			$raw     = $support['gatherpress_references'] ?? null;
+			$config  = is_array( $raw ) && isset( $raw[0] ) && is_array( $raw[0] ) ? $raw[0] : array();
+
+			if ( isset( $config['type_taxonomies'] ) && is_array( $config['type_taxonomies'] ) ) {
+				$definitions = array_merge( $definitions, $config['type_taxonomies'] );
+			}
+		}
+
+		/**
+		 * Declare reference type taxonomies for the plugin to register.
+		 *
+		 * Only taxonomies listed in the 'ref_types' of a support config
+		 * are registered, for the post types of those configs.
+		 *
+		 * @since 0.3.0
+		 *
+		 * @param array<string, array{singular?: string, plural?: string, args?: array<string, mixed>}> $definitions Definitions keyed by taxonomy slug.
+		 * @return array<string, array{singular?: string, plural?: string, args?: array<string, mixed>}> Filtered definitions.
+		 *
+		 * @example
+		 * Register a "Venues" reference type, listed in a 'ref_types' config:
+		 * ```php
+		 * add_filter( 'gatherpress_references_type_taxonomies', function( $definitions ) {
+		 *     $definitions['_gatherpress-venue'] = array(
+		 *         'singular' => __( 'Venue', 'textdomain' ),
+		 *         'plural'   => __( 'Venues', 'textdomain' ),
+		 *     );
+		 *     return $definitions;
+		 * } );
+		 * ```
+		 */
+		$definitions = apply_filters( 'gatherpress_references_type_taxonomies', $definitions );
+
+		return is_array( $definitions ) ? $this->normalize_definitions( $definitions ) : array();
+	}
+
+	/**
+	 * Get the definitions of reference taxonomies to register
+	 *
+	 * Support configs may declare their reference taxonomy, if the
+	 * plugin doesn't know it, in the same way as type taxonomies:
+	 *
+	 *     'ref_tax'            => 'gatherpress-track',
+	 *     'ref_tax_definition' => array(
+	 *         'singular' => __( 'Track', 'textdomain' ),
+	 *         'plural'   => __( 'Tracks', 'textdomain' ),
+	 *         'args'     => array( 'public' => true ),
+	 *     ),
+	 *
+	 * @since 0.3.0
+	 * @return array<string, Taxonomy_Definition> Definitions keyed by taxonomy slug.
+	 */
+	public function get_ref_tax_definitions(): array {
+		$definitions = array();
+
+		foreach ( get_post_types_by_support( 'gatherpress_references' ) as $post_type ) {
+			$support = get_all_post_type_supports( $post_type );
+			$raw     = $support['gatherpress_references'] ?? null;
+			$config  = is_array( $raw ) && isset( $raw[0] ) && is_array( $raw[0] ) ? $raw[0] : array();
+
+			if ( isset( $config['ref_tax'], $config['ref_tax_definition'] ) && is_string( $config['ref_tax'] ) && is_array( $config['ref_tax_definition'] ) ) {
+				$definitions[ $config['ref_tax'] ] = $config['ref_tax_definition'];
+			}
+		}
+
+		/**
+		 * Declare reference taxonomies for the plugin to register.
+		 *
+		 * Only taxonomies set as 'ref_tax' of a support config are
+		 * registered, for the post types of those configs.
+		 *
+		 * @since 0.3.0
+		 *
+		 * @param array<string, array{singular?: string, plural?: string, args?: array<string, mixed>}> $definitions Definitions keyed by taxonomy slug.
+		 * @return array<string, array{singular?: string, plural?: string, args?: array<string, mixed>}> Filtered definitions.
+		 *
+		 * @example
+		 * Register conference tracks with public archives:
+		 * ```php
+		 * add_filter( 'gatherpress_references_ref_taxonomies', function( $definitions ) {
+		 *     $definitions['gatherpress-track'] = array(
+		 *         'singular' => __( 'Track', 'textdomain' ),
+		 *         'plural'   => __( 'Tracks', 'textdomain' ),
+		 *         'args'     => array(
+		 *             'hierarchical' => false,
+		 *             'public'       => true,
+		 *         ),
+		 *     );
+		 *     return $definitions;
+		 * } );
+		 * ```
+		 */
+		$definitions = apply_filters( 'gatherpress_references_ref_taxonomies', $definitions );
+
+		return is_array( $definitions ) ? $this->normalize_definitions( $definitions ) : array();
+	}
+
+	/**
+	 * Normalize taxonomy definitions
+	 *
+	 * Either label falls back to the other one; definitions without labels are skipped.
+	 *
+	 * @since 0.3.0
+	 * @param array<mixed> $definitions Raw definitions keyed by taxonomy slug.
+	 * @return array<string, Taxonomy_Definition> Definitions keyed by taxonomy slug.
+	 */
+	private function normalize_definitions( array $definitions ): array {
+		$normalized = array();
+
+		foreach ( $definitions as $taxonomy => $definition ) {
+			if ( ! is_string( $taxonomy ) || ! is_array( $definition ) ) {
+				continue;
+			}
+
+			$singular = isset( $definition['singular'] ) && is_string( $definition['singular'] ) ? $definition['singular'] : '';
+			$plural   = isset( $definition['plural'] ) && is_string( $definition['plural'] ) ? $definition['plural'] : '';
+
+			if ( '' === $singular && '' === $plural ) {
+				continue;
+			}
+
+			$args = array();
+			if ( isset( $definition['args'] ) && is_array( $definition['args'] ) ) {
+				foreach ( $definition['args'] as $key => $value ) {
+					if ( is_string( $key ) ) {
+						$args[ $key ] = $value;
+					}
+				}
+			}
+
+			$normalized[ $taxonomy ] = array(
+				'singular' => '' !== $singular ? $singular : $plural,
+				'plural'   => '' !== $plural ? $plural : $singular,
+				'args'     => $args,
+			);
+		}
+
+		return $normalized;
+	}
+
 	/**
 	 * Get all unique taxonomies from all configurations
 	 *
@@ -140,4 +415,58 @@ class Config_Manager {
 
 		return false;
 	}
+
+	/**
+	 * Get type labels for taxonomies
+	 *
+	 * @since 0.3.0
+	 * @param array<int, string> $taxonomies Taxonomy slugs.
+	 * @return array<string, string> Type labels.
+	 */
+	public function get_type_labels( array $taxonomies ): array {
+		$type_labels = array();
+
+		foreach ( $taxonomies as $taxonomy_slug ) {
+			$taxonomy = get_taxonomy( $taxonomy_slug );
+			if ( $taxonomy ) {
+				$_label                        = $taxonomy->labels->name ?? $taxonomy->name;
+				$type_labels[ $taxonomy_slug ] = is_string( $_label ) ? $_label : $taxonomy_slug;
+			}
+		}
+
+		/**
+		 * Customize the human-readable labels for each reference type displayed in headings.
+		 *
+		 * @since 0.1.0
+		 *
+		 * @param array<string, string> $labels Array of taxonomy slug => label pairs.
+		 * @return array<string, string> Filtered type labels.
+		 *
+		 * @example
+		 * Override existing label
+		 * ```php
+		 * add_filter( 'gatherpress_references_type_labels', function( $labels ) {
+		 *  $labels['_gatherpress-award'] = __( 'Prizes & Honours', 'textdomain' );
+		 *  return $labels;
+		 * } );
+		 * ```
+		 *
+		 * @example
+		 * Locale-specific labels
+		 * ```php
+		 * add_filter( 'gatherpress_references_type_labels', function( $labels ) {
+		 *     $locale = get_locale();
+		 *
+		 *     if ( $locale === 'de_DE' ) {
+		 *         $labels['_gatherpress-client'] = 'Gastspiele & Kunden';
+		 *         $labels['_gatherpress-festival'] = 'Festivals';
+		 *         $labels['_gatherpress-award'] = 'Auszeichnungen';
+		 *     }
+		 *
+		 *     return $labels;
+		 * } );
+		 * ```
+		 */
+		return apply_filters( 'gatherpress_references_type_labels', $type_labels );
+	}
 }
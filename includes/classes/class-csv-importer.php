@@ -0,0 +1,555 @@
+<?php
+/**
+ * CSV Importer class
+ *
+ * Imports historical references from CSV files.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * CSV Importer
+ *
+ * Imports historical references from CSV files with a header row. Each
+ * row becomes a published past event, or adds its terms to an existing
+ * one with the same title on the same date. Columns are mapped to the
+ * event date, its title, and the reference taxonomies configured for
+ * the post type. Missing terms are created by name.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-type Import_Report array{dry_run: bool, rows: int, events_created: int, events_reused: int, terms_created: array<string, array<int, string>>, columns: array<string, string>, errors: array<int, string>}
+ */
+class Csv_Importer {
+	/**
+	 * Separator of several terms in one cell
+	 *
+	 * @var string
+	 */
+	const VALUE_SEPARATOR = '|';
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Cache manager instance
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager $config_manager Config manager instance.
+	 * @param Cache_Manager  $cache_manager  Cache manager instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Cache_Manager $cache_manager ) {
+		$this->config_manager = $config_manager;
+		$this->cache_manager  = $cache_manager;
+	}
+
+	/**
+	 * Get the post types references can be imported to
+	 *
+	 * @since 0.3.0
+	 * @return array<int, string> Post type slugs.
+	 */
+	public function get_post_types(): array {
+		return array_keys( $this->config_manager->get_all_configs() );
+	}
+
+	/**
+	 * Get the fields columns can be mapped to
+	 *
+	 * Besides the date and title, these are the reference taxonomy and
+	 * the reference type taxonomies of the post type's config, as far as
+	 * they are registered.
+	 *
+	 * @since 0.3.0
+	 * @param string $post_type Post type slug.
+	 * @return array<string, string> Field labels, keyed by 'date', 'title' or taxonomy slug.
+	 */
+	public function get_fields( string $post_type ): array {
+		$config = $this->config_manager->get_config( $post_type );
+
+		if ( ! $config ) {
+			return array();
+		}
+
+		$fields = array(
+			'date'  => __( 'Date', 'gatherpress-references' ),
+			'title' => __( 'Title', 'gatherpress-references' ),
+		);
+
+		$known_taxonomies = $this->config_manager->get_all_taxonomies();
+		$taxonomies       = array_merge( array( $config['ref_tax'] ), $config['ref_types'] );
+
+		foreach ( $taxonomies as $taxonomy ) {
+			$taxonomy_object = get_taxonomy( $taxonomy );
+
+			if ( ! $taxonomy_object || ! in_array( $taxonomy, $known_taxonomies, true ) ) {
+				continue;
+			}
+
+			$label               = $taxonomy_object->labels->singular_name ?? $taxonomy;
+			$fields[ $taxonomy ] = is_string( $label ) ? $label : $taxonomy;
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Guess which field each column maps to from its header
+	 *
+	 * Headers match a field if they equal its key, its label, the
+	 * taxonomy's plural label, or the taxonomy slug without the
+	 * '_gatherpress-' prefix, ignoring case. Columns that match no
+	 * field are left out.
+	 *
+	 * @since 0.3.0
+	 * @param array<int, string> $headers   Column headers.
+	 * @param string             $post_type Post type slug.
+	 * @return array<string, string> Field keys, keyed by column header.
+	 */
+	public function guess_mapping( array $headers, string $post_type ): array {
+		$names = array();
+
+		foreach ( $this->get_fields( $post_type ) as $field => $label ) {
+			$candidates = array( $field, $label, str_replace( '_gatherpress-', '', $field ) );
+
+			$taxonomy_object = get_taxonomy( $field );
+			if ( $taxonomy_object && is_string( $taxonomy_object->labels->name ) ) {
+				$candidates[] = $taxonomy_object->labels->name;
+			}
+
+			foreach ( $candidates as $candidate ) {
+				$names[ mb_strtolower( trim( $candidate ) ) ] = $field;
+			}
+		}
+
+		$mapping = array();
+		foreach ( $headers as $header ) {
+			$name = mb_strtolower( trim( $header ) );
+
+			if ( isset( $names[ $name ] ) ) {
+				$mapping[ $header ] = $names[ $name ];
+			}
+		}
+
+		return $mapping;
+	}
+
+	/**
+	 * Import references from a CSV file
+	 *
+	 * Rows need a date in the past, and a title or a term of the
+	 * reference taxonomy, which is the title of new events then. Several
+	 * terms in one cell are separated by '|'. Rows with errors are
+	 * skipped and reported by line. A dry run checks all rows and
+	 * reports what would be created, without saving anything.
+	 *
+	 * @since 0.3.0
+	 * @param string                $file      Path of the CSV file.
+	 * @param string                $post_type Post type of the events.
+	 * @param array<string, string> $mapping   Field keys, keyed by column header. Guessed from the headers if empty.
+	 * @param bool                  $dry_run   Whether to only report what would be imported.
+	 * @return array<string, mixed>|\WP_Error Import report, or error if the file or post type is invalid.
+	 * @phpstan-return Import_Report|\WP_Error
+	 */
+	public function import( string $file, string $post_type, array $mapping = array(), bool $dry_run = false ) {
+		$fields = $this->get_fields( $post_type );
+
+		if ( empty( $fields ) ) {
+			return new \WP_Error( 'gatherpress_references_invalid_post_type', __( 'References can not be imported to this post type.', 'gatherpress-references' ) );
+		}
+
+		$csv = $this->read_csv( $file );
+
+		if ( is_wp_error( $csv ) ) {
+			return $csv;
+		}
+
+		if ( empty( $mapping ) ) {
+			$mapping = $this->guess_mapping( $csv['headers'], $post_type );
+		}
+
+		$columns = array();
+		foreach ( $csv['headers'] as $index => $header ) {
+			if ( isset( $mapping[ $header ], $fields[ $mapping[ $header ] ] ) ) {
+				$columns[ $index ] = $mapping[ $header ];
+			}
+		}
+
+		if ( ! in_array( 'date', $columns, true ) ) {
+			return new \WP_Error( 'gatherpress_references_missing_date', __( 'No column is mapped to the date.', 'gatherpress-references' ) );
+		}
+
+		$report = array(
+			'dry_run'        => $dry_run,
+			'rows'           => 0,
+			'events_created' => 0,
+			'events_reused'  => 0,
+			'terms_created'  => array(),
+			'columns'        => array(),
+			'errors'         => array(),
+		);
+
+		foreach ( $columns as $index => $field ) {
+			$report['columns'][ $csv['headers'][ $index ] ] = $field;
+		}
+
+		$config  = $this->config_manager->get_config( $post_type );
+		$ref_tax = $config ? $config['ref_tax'] : '';
+
+		// Events of earlier rows, keyed by title and date, 0 if only created in a dry run.
+		$events = array();
+
+		if ( ! $dry_run ) {
+			wp_defer_term_counting( true );
+		}
+
+		foreach ( $csv['rows'] as $offset => $cells ) {
+			// Line numbers count the header row.
+			$line  = $offset + 2;
+			$error = $this->import_row( $cells, $columns, $post_type, $ref_tax, $events, $report );
+
+			if ( is_wp_error( $error ) ) {
+				$report['errors'][ $line ] = $error->get_error_message();
+			}
+		}
+
+		if ( ! $dry_run ) {
+			wp_defer_term_counting( false );
+
+			if ( $report['events_created'] > 0 || $report['events_reused'] > 0 ) {
+				$this->cache_manager->clear_all();
+			}
+		}
+
+		return $report;
+	}
+
+	/**
+	 * Import one row
+	 *
+	 * @since 0.3.0
+	 * @param array<int, string>   $cells     Cells of the row.
+	 * @param array<int, string>   $columns   Field keys, keyed by column index.
+	 * @param string               $post_type Post type of the events.
+	 * @param string               $ref_tax   Reference taxonomy, whose first term is the default title.
+	 * @param array<string, int>   &$events   Events of earlier rows, keyed by title and date.
+	 * @param array<string, mixed> &$report   Import report.
+	 * @phpstan-param Import_Report &$report
+	 * @return \WP_Error|null Error if the row was skipped.
+	 */
+	private function import_row( array $cells, array $columns, string $post_type, string $ref_tax, array &$events, array &$report ): ?\WP_Error {
+		if ( '' === implode( '', $cells ) ) {
+			return null;
+		}
+
+		++$report['rows'];
+
+		$date  = '';
+		$title = '';
+		$terms = array();
+
+		foreach ( $columns as $index => $field ) {
+			$value = $cells[ $index ] ?? '';
+
+			if ( 'date' === $field ) {
+				$date = $value;
+			} elseif ( 'title' === $field ) {
+				$title = $value;
+			} else {
+				$names           = array_filter( array_map( 'trim', explode( self::VALUE_SEPARATOR, $value ) ), 'strlen' );
+				$terms[ $field ] = array_merge( $terms[ $field ] ?? array(), $names );
+			}
+		}
+
+		$parsed_date = $this->parse_date( $date );
+
+		if ( null === $parsed_date ) {
+			/* translators: %s: date as given in the file */
+			return new \WP_Error( 'gatherpress_references_invalid_date', sprintf( __( 'Invalid date "%s".', 'gatherpress-references' ), $date ) );
+		}
+
+		if ( $parsed_date >= (string) wp_date( 'Y-m-d' ) ) {
+			/* translators: %s: date as given in the file */
+			return new \WP_Error( 'gatherpress_references_future_date', sprintf( __( 'The date "%s" is not in the past.', 'gatherpress-references' ), $date ) );
+		}
+
+		if ( '' === $title ) {
+			$title = $terms[ $ref_tax ][0] ?? '';
+		}
+
+		if ( '' === $title ) {
+			return new \WP_Error( 'gatherpress_references_missing_title', __( 'Neither a title nor a production.', 'gatherpress-references' ) );
+		}
+
+		// Resolve all terms first, so rows with invalid terms don't create events.
+		$term_ids = array();
+		foreach ( $terms as $taxonomy => $names ) {
+			foreach ( array_unique( $names ) as $name ) {
+				$term_id = $this->resolve_term( $name, $taxonomy, $report );
+
+				if ( is_wp_error( $term_id ) ) {
+					return $term_id;
+				}
+
+				$term_ids[ $taxonomy ][] = $term_id;
+			}
+		}
+
+		$key = $title . '|' . $parsed_date;
+
+		if ( ! isset( $events[ $key ] ) ) {
+			$event_id = $this->find_event( $title, $parsed_date, $post_type );
+
+			if ( $event_id > 0 ) {
+				++$report['events_reused'];
+			} else {
+				$event_id = $report['dry_run'] ? 0 : $this->create_event( $title, $parsed_date, $post_type );
+
+				if ( is_wp_error( $event_id ) ) {
+					return $event_id;
+				}
+
+				++$report['events_created'];
+			}
+
+			$events[ $key ] = $event_id;
+		}
+
+		if ( $report['dry_run'] ) {
+			return null;
+		}
+
+		foreach ( $term_ids as $taxonomy => $ids ) {
+			wp_set_object_terms( $events[ $key ], $ids, $taxonomy, true );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Read a CSV file with a header row
+	 *
+	 * The delimiter is detected from the header row: a comma, a
+	 * semicolon or a tab. A byte order mark is removed.
+	 *
+	 * @since 0.3.0
+	 * @param string $file Path of the CSV file.
+	 * @return array{headers: array<int, string>, rows: array<int, array<int, string>>}|\WP_Error Headers and rows, or error if the file can't be read.
+	 */
+	public function read_csv( string $file ) {
+		$handle = is_readable( $file ) ? fopen( $file, 'r' ) : false; // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		if ( false === $handle ) {
+			return new \WP_Error( 'gatherpress_references_unreadable_file', __( 'The file could not be read.', 'gatherpress-references' ) );
+		}
+
+		$first_line = (string) fgets( $handle );
+		$first_line = (string) preg_replace( '/^\xEF\xBB\xBF/', '', $first_line );
+		$delimiters = array(
+			','  => substr_count( $first_line, ',' ),
+			';'  => substr_count( $first_line, ';' ),
+			"\t" => substr_count( $first_line, "\t" ),
+		);
+		$delimiter  = (string) array_search( max( $delimiters ), $delimiters, true );
+
+		$headers = array_map( 'trim', str_getcsv( $first_line, $delimiter, '"', '' ) );
+		$headers = array_map( 'strval', $headers );
+		$rows    = array();
+
+		while ( false !== ( $cells = fgetcsv( $handle, 0, $delimiter, '"', '' ) ) ) { // phpcs:ignore Generic.CodeAnalysis.AssignmentInCondition.FoundInWhileCondition
+			$rows[] = array_map(
+				static fn( $cell ): string => trim( (string) $cell ),
+				$cells
+			);
+		}
+
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		if ( '' === implode( '', $headers ) ) {
+			return new \WP_Error( 'gatherpress_references_empty_file', __( 'The file has no header row.', 'gatherpress-references' ) );
+		}
+
+		return array(
+			'headers' => $headers,
+			'rows'    => $rows,
+		);
+	}
+
+	/**
+	 * Parse a date
+	 *
+	 * Accepts years, like '2019', and years with months, like '2019-05',
+	 * which are the first day of the year or month, and full dates in
+	 * any format strtotime() understands, like '2019-05-24' or '24.05.2019'.
+	 *
+	 * @since 0.3.0
+	 * @param string $date Date as given in the file.
+	 * @return string|null Date as 'Y-m-d', null if invalid.
+	 */
+	public function parse_date( string $date ): ?string {
+		$date = trim( $date );
+
+		if ( preg_match( '/^\d{4}$/', $date ) ) {
+			return $date . '-01-01';
+		}
+
+		if ( preg_match( '/^(\d{4})-(\d{1,2})$/', $date, $matches ) && checkdate( (int) $matches[2], 1, (int) $matches[1] ) ) {
+			return sprintf( '%s-%02d-01', $matches[1], (int) $matches[2] );
+		}
+
+		if ( '' === $date || false === strtotime( $date ) ) {
+			return null;
+		}
+
+		$datetime = date_create_immutable( $date, wp_timezone() );
+
+		return false !== $datetime ? $datetime->format( 'Y-m-d' ) : null;
+	}
+
+	/**
+	 * Get the ID of a term by name, creating it unless in a dry run
+	 *
+	 * @since 0.3.0
+	 * @param string               $name     Term name.
+	 * @param string               $taxonomy Taxonomy slug.
+	 * @param array<string, mixed> &$report  Import report.
+	 * @phpstan-param Import_Report &$report
+	 * @return int|\WP_Error Term ID, 0 if only created in a dry run, or error if the term can't be created.
+	 */
+	private function resolve_term( string $name, string $taxonomy, array &$report ) {
+		$term = term_exists( $name, $taxonomy );
+
+		if ( is_array( $term ) ) {
+			return (int) $term['term_id'];
+		}
+
+		if ( $report['dry_run'] ) {
+			if ( ! in_array( $name, $report['terms_created'][ $taxonomy ] ?? array(), true ) ) {
+				$report['terms_created'][ $taxonomy ][] = $name;
+			}
+
+			return 0;
+		}
+
+		$term = wp_insert_term( $name, $taxonomy );
+
+		if ( is_wp_error( $term ) ) {
+			return $term;
+		}
+
+		$report['terms_created'][ $taxonomy ][] = $name;
+
+		return (int) $term['term_id'];
+	}
+
+	/**
+	 * Find a published event with a title on a date
+	 *
+	 * @since 0.3.0
+	 * @param string $title     Event title.
+	 * @param string $date      Date as 'Y-m-d'.
+	 * @param string $post_type Post type of the events.
+	 * @return int Event ID, 0 if not found.
+	 */
+	private function find_event( string $title, string $date, string $post_type ): int {
+		$query = new \WP_Query(
+			array(
+				'post_type'              => $post_type,
+				'post_status'            => 'publish',
+				'title'                  => $title,
+				'posts_per_page'         => -1,
+				'fields'                 => 'ids',
+				'no_found_rows'          => true,
+				'update_post_meta_cache' => false,
+				'update_post_term_cache' => false,
+			)
+		);
+
+		foreach ( $query->posts as $post_id ) {
+			$post_id = $post_id instanceof \WP_Post ? $post_id->ID : (int) $post_id;
+
+			if ( $this->get_event_date( $post_id ) === $date ) {
+				return $post_id;
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Get the date of an event
+	 *
+	 * The start date of GatherPress events, the publish date of other posts.
+	 *
+	 * @since 0.3.0
+	 * @param int $post_id Post ID.
+	 * @return string Date as 'Y-m-d'.
+	 */
+	private function get_event_date( int $post_id ): string {
+		if ( 'gatherpress_event' === get_post_type( $post_id ) && class_exists( \GatherPress\Core\Event::class ) ) {
+			$datetime = ( new \GatherPress\Core\Event( $post_id ) )->get_datetime();
+
+			if ( ! empty( $datetime['datetime_start'] ) && is_string( $datetime['datetime_start'] ) ) {
+				return substr( $datetime['datetime_start'], 0, 10 );
+			}
+		}
+
+		return (string) get_the_date( 'Y-m-d', $post_id );
+	}
+
+	/**
+	 * Create a published past event
+	 *
+	 * The event is published on its date. GatherPress events span the
+	 * whole day in the site's timezone, as files rarely know the times.
+	 *
+	 * @since 0.3.0
+	 * @param string $title     Event title.
+	 * @param string $date      Date as 'Y-m-d'.
+	 * @param string $post_type Post type of the events.
+	 * @return int|\WP_Error Event ID, or error if it can't be created.
+	 */
+	private function create_event( string $title, string $date, string $post_type ) {
+		$post_id = wp_insert_post(
+			array(
+				'post_type'   => $post_type,
+				'post_title'  => $title,
+				'post_status' => 'publish',
+				'post_date'   => $date . ' 00:00:00',
+			),
+			true
+		);
+
+		if ( is_wp_error( $post_id ) ) {
+			return $post_id;
+		}
+
+		if ( 'gatherpress_event' === $post_type && class_exists( \GatherPress\Core\Event::class ) ) {
+			( new \GatherPress\Core\Event( $post_id ) )->save_datetimes(
+				array(
+					'post_id'        => $post_id,
+					'datetime_start' => $date . ' 00:00:00',
+					'datetime_end'   => $date . ' 23:59:59',
+					'timezone'       => wp_timezone_string(),
+				)
+			);
+		}
+
+		return $post_id;
+	}
+}
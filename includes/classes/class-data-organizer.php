@@ -17,8 +17,28 @@ defined( 'ABSPATH' ) || exit;
  * Handles organization of query results into structured reference data.
  *
  * @since 0.1.0
+ *
+ * @phpstan-type Reference_Production array{id: int, name: string}
+ * @phpstan-type Reference_Item array{id: int, name: string, count: int, posts: array<int, int>, productions: array<int, Reference_Production>, priority: int, order: int, first_date: string}
+ * @phpstan-type References array<string, array<string, array<int, Reference_Item>>>
+ * @phpstan-type Term_Item array{id: int, name: string, count: int, posts: array<int, int>, productions: array<int, Reference_Production>, priority: int, order: int, first_date: string, periods: array<int, string>}
+ * @phpstan-type Reference_Options array{year_from?: int, year_to?: int, last_years?: int, group_by?: string, season_start?: int}
  */
 class Data_Organizer {
+	/**
+	 * Allowed item sort orders
+	 *
+	 * @var array<int, string>
+	 */
+	const ITEM_SORT_ORDERS = array( 'alphabetical', 'chronological', 'frequency', 'manual' );
+
+	/**
+	 * Allowed grouping periods
+	 *
+	 * @var array<int, string>
+	 */
+	const GROUP_BY_PERIODS = array( 'year', 'decade', 'season' );
+
 	/**
 	 * Config manager instance
 	 *
@@ -40,12 +60,13 @@ class Data_Organizer {
 	 * Organize query results
 	 *
 	 * @since 0.1.0
-	 * @param string    $post_type Post type slug.
-	 * @param \WP_Query $query     Query object.
-	 * @param string    $type      Type filter.
-	 * @return array<string, array<string, array<int, string>>> Organized references.
+	 * @param string            $post_type Post type slug.
+	 * @param \WP_Query         $query     Query object.
+	 * @param string            $type      Type filter.
+	 * @param Reference_Options $options   Grouping options, see Data_Provider::get_references().
+	 * @return References Organized references.
 	 */
-	public function organize_results( string $post_type, \WP_Query $query, string $type ): array {
+	public function organize_results( string $post_type, \WP_Query $query, string $type, array $options = array() ): array {
 		if ( empty( $query->posts ) ) {
 			return array();
 		}
@@ -66,21 +87,45 @@ class Data_Organizer {
 		 */
 		$post_ids = $query->posts;
 
+		// Reference taxonomy terms are collected along with the types, to know each item's production(s).
+		$taxonomies = array_values( array_unique( array_merge( $config['ref_types'], array( $config['ref_tax'] ) ) ) );
+
 		$post_dates = $this->get_post_dates( $post_type, $post_ids );
-		$post_terms = $this->get_post_terms( $post_ids, $config['ref_types'] );
+		$post_terms = $this->get_post_terms( $post_ids, $taxonomies );
 
-		$references = $this->group_by_year( $post_ids, $post_dates, $post_terms, $config['ref_types'], $type );
+		$references = $this->group_by_year( $post_ids, $post_dates, $post_terms, $config['ref_types'], $config['ref_tax'], $type, $options );
 
 		return $references;
 	}
 
+	/**
+	 * Get the years a post is listed in
+	 *
+	 * The year references are grouped by, from the event or post date,
+	 * and the year of the post date, which single-year queries filter by.
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Post $post Post.
+	 * @return array<int, int> Years.
+	 */
+	public function get_post_years( \WP_Post $post ): array {
+		$years      = array( (int) get_post_time( 'Y', false, $post ) );
+		$post_dates = $this->get_post_dates( $post->post_type, array( $post->ID ) );
+
+		if ( isset( $post_dates[ $post->ID ] ) ) {
+			$years[] = (int) $post_dates[ $post->ID ]->year;
+		}
+
+		return array_values( array_unique( $years ) );
+	}
+
 	/**
 	 * Get post dates
 	 *
 	 * @since 0.1.0
 	 * @param string          $post_type Post type slug.
 	 * @param array<int, int> $post_ids  Post IDs.
-	 * @return array<int, object{post_id: string, year: string}> Post dates.
+	 * @return array<int, object{post_id: string, year: string, month: string, date: string}> Post dates.
 	 */
 	private function get_post_dates( string $post_type, array $post_ids ): array {
 		/**
@@ -104,7 +149,7 @@ class Data_Organizer {
 			 *
 			 * @var literal-string $sql
 			 */
-			$sql = "SELECT post_id, YEAR(datetime_start_gmt) AS year
+			$sql = "SELECT post_id, YEAR(datetime_start_gmt) AS year, MONTH(datetime_start_gmt) AS month, datetime_start_gmt AS date
 					FROM {$table}
 					WHERE post_id IN ({$placeholders})
 					ORDER BY datetime_start_gmt DESC";
@@ -114,7 +159,7 @@ class Data_Organizer {
 			 *
 			 * @var literal-string $sql
 			 */
-			$sql = "SELECT ID as post_id, YEAR(post_date) AS year
+			$sql = "SELECT ID as post_id, YEAR(post_date) AS year, MONTH(post_date) AS month, post_date AS date
 					FROM {$wpdb->posts}
 					WHERE ID IN ({$placeholders})
 					ORDER BY post_date DESC";
@@ -131,9 +176,9 @@ class Data_Organizer {
 
 		/**
 		 * The results will be an associative array where the keys are the post IDs (because of OBJECT_K)
-		 * and the values are objects containing the post_id and year.
+		 * and the values are objects containing the post_id, year, month and date.
 		 *
-		 * @var array<int, object{post_id: string, year: string}> $results
+		 * @var array<int, object{post_id: string, year: string, month: string, date: string}> $results
 		 */
 		return $results;
 	}
@@ -171,30 +216,45 @@ class Data_Organizer {
 	/**
 	 * Group terms by year
 	 *
+	 * Depending on the options, "year" is a calendar year, a decade or a season.
+	 *
 	 * @since 0.1.0
-	 * @param array<int, int>                                   $post_ids   Post IDs.
-	 * @param array<int, object{post_id: string, year: string}> $post_dates Post dates.
-	 * @param array<int, ?array<string, array<\WP_Term>>>       $post_terms Post terms.
-	 * @param array<int, string>                                $taxonomies Taxonomies.
-	 * @param string                                            $type_filter Type filter.
-	 * @return array<string, array<string, array<int, string>>> Grouped references.
+	 * @param array<int, int>                                                  $post_ids    Post IDs.
+	 * @param array<int, object{post_id: string, year: string, month: string, date: string}> $post_dates  Post dates.
+	 * @param array<int, ?array<string, array<\WP_Term>>>                      $post_terms  Post terms.
+	 * @param array<int, string>                                               $taxonomies  Taxonomies.
+	 * @param string                                                           $ref_tax     Reference taxonomy.
+	 * @param string                                                           $type_filter Type filter.
+	 * @param Reference_Options                                                $options     Grouping options.
+	 * @return References Grouped references.
 	 */
-	private function group_by_year( array $post_ids, array $post_dates, array $post_terms, array $taxonomies, string $type_filter ): array {
+	private function group_by_year( array $post_ids, array $post_dates, array $post_terms, array $taxonomies, string $ref_tax, string $type_filter, array $options = array() ): array {
 		$references = array();
 
+		// Load the term meta of all terms at once, for their display names, priorities, orders and hidden flags.
+		$term_ids = array();
+		foreach ( $post_terms as $terms ) {
+			foreach ( $terms ?? array() as $taxonomy_terms ) {
+				$term_ids = array_merge( $term_ids, wp_list_pluck( $taxonomy_terms, 'term_id' ) );
+			}
+		}
+		if ( ! empty( $term_ids ) ) {
+			update_termmeta_cache( array_values( array_unique( array_map( 'intval', $term_ids ) ) ) );
+		}
+
 		foreach ( $post_ids as $post_id ) {
 			if ( ! isset( $post_dates[ $post_id ] ) ) {
 				continue;
 			}
 
-			$year  = $post_dates[ $post_id ]->year;
+			$year  = $this->get_period_key( (int) $post_dates[ $post_id ]->year, (int) $post_dates[ $post_id ]->month, $options );
 			$terms = isset( $post_terms[ $post_id ] ) ? $post_terms[ $post_id ] : array();
 
 			if ( ! isset( $references[ $year ] ) ) {
 				$references[ $year ] = $this->init_year_structure( $taxonomies );
 			}
 
-			$this->add_terms_to_year( $references[ $year ], $terms, $taxonomies );
+			$this->add_terms_to_year( $references[ $year ], $post_id, $post_dates[ $post_id ]->date, $terms, $taxonomies, $ref_tax );
 		}
 
 		$references = $this->sort_term_names( $references );
@@ -203,12 +263,40 @@ class Data_Organizer {
 		return $references;
 	}
 
+	/**
+	 * Get the key of the period a date belongs to
+	 *
+	 * Decades are keyed like "2020s", seasons by their first and last
+	 * year like "2023/24". Seasons starting in January are calendar years.
+	 *
+	 * @since 0.3.0
+	 * @param int               $year    Year.
+	 * @param int               $month   Month (1-12).
+	 * @param Reference_Options $options Grouping options.
+	 * @return string Period key.
+	 */
+	private function get_period_key( int $year, int $month, array $options ): string {
+		$group_by     = $options['group_by'] ?? 'year';
+		$season_start = $options['season_start'] ?? 1;
+
+		if ( $group_by === 'decade' ) {
+			return ( intdiv( $year, 10 ) * 10 ) . 's';
+		}
+
+		if ( $group_by === 'season' && $season_start > 1 ) {
+			$first_year = $month >= $season_start ? $year : $year - 1;
+			return sprintf( '%d/%02d', $first_year, ( $first_year + 1 ) % 100 );
+		}
+
+		return (string) $year;
+	}
+
 	/**
 	 * Initialize year structure
 	 *
 	 * @since 0.1.0
 	 * @param array<int, string> $taxonomies Taxonomies.
-	 * @return array<string, array<int, string>> Year structure.
+	 * @return array<string, array<int, Reference_Item>> Year structure.
 	 */
 	private function init_year_structure( array $taxonomies ): array {
 		$structure = array();
@@ -221,42 +309,122 @@ class Data_Organizer {
 	/**
 	 * Add terms to year
 	 *
+	 * Items are keyed by term ID while grouping, so every term is listed
+	 * once per year, counting and collecting the IDs of all posts it
+	 * appeared on and the reference terms (productions) of those posts,
+	 * and keeping the date of its first post in that year.
+	 * Hidden terms are left out, and display names replace term names.
+	 *
 	 * @since 0.1.0
-	 * @param array<string, array<int, string>> $year_data  Year data.
-	 * @param ?array<string, array<\WP_Term>>   $terms      Terms.
-	 * @param array<int, string>                $taxonomies Taxonomies.
+	 * @param array<string, array<int, Reference_Item>> $year_data  Year data.
+	 * @param int                                       $post_id    Post ID the terms belong to.
+	 * @param string                                    $post_date  Date of the post, as 'Y-m-d H:i:s'.
+	 * @param ?array<string, array<\WP_Term>>           $terms      Terms.
+	 * @param array<int, string>                        $taxonomies Taxonomies.
+	 * @param string                                    $ref_tax    Reference taxonomy.
 	 * @return void
 	 */
-	private function add_terms_to_year( array &$year_data, ?array $terms, array $taxonomies ): void {
+	private function add_terms_to_year( array &$year_data, int $post_id, string $post_date, ?array $terms, array $taxonomies, string $ref_tax ): void {
 		if ( empty( $terms ) ) {
 			return;
 		}
 
+		$productions = array();
+		foreach ( $terms[ $ref_tax ] ?? array() as $production ) {
+			$productions[ $production->term_id ] = array(
+				'id'   => $production->term_id,
+				'name' => $production->name,
+			);
+		}
+
 		foreach ( $taxonomies as $taxonomy ) {
 			if ( ! isset( $terms[ $taxonomy ] ) ) {
 				continue;
 			}
 
 			foreach ( $terms[ $taxonomy ] as $term ) {
-				if ( ! in_array( $term->name, $year_data[ $taxonomy ], true ) ) {
-					$year_data[ $taxonomy ][] = $term->name;
+				if ( get_term_meta( $term->term_id, Taxonomy_Manager::META_HIDDEN, true ) ) {
+					continue;
+				}
+
+				if ( ! isset( $year_data[ $taxonomy ][ $term->term_id ] ) ) {
+					$display_name = get_term_meta( $term->term_id, Taxonomy_Manager::META_DISPLAY_NAME, true );
+					$priority     = get_term_meta( $term->term_id, Taxonomy_Manager::META_PRIORITY, true );
+
+					$year_data[ $taxonomy ][ $term->term_id ] = array(
+						'id'          => $term->term_id,
+						'name'        => is_string( $display_name ) && '' !== $display_name ? $display_name : $term->name,
+						'count'       => 0,
+						'posts'       => array(),
+						'productions' => array(),
+						'priority'    => is_numeric( $priority ) ? (int) $priority : 0,
+						'order'       => $this->get_term_order( $term ),
+						'first_date'  => $post_date,
+					);
+				}
+
+				$item = &$year_data[ $taxonomy ][ $term->term_id ];
+
+				if ( ! in_array( $post_id, $item['posts'], true ) ) {
+					$item['posts'][] = $post_id;
+					++$item['count'];
 				}
+
+				if ( strcmp( $post_date, $item['first_date'] ) < 0 ) {
+					$item['first_date'] = $post_date;
+				}
+
+				foreach ( $productions as $production ) {
+					if ( ! in_array( $production, $item['productions'], true ) ) {
+						$item['productions'][] = $production;
+					}
+				}
+
+				unset( $item );
 			}
 		}
 	}
 
+	/**
+	 * Get the position of a term in the manual sort order
+	 *
+	 * Uses the order term meta, or the term_order some term ordering
+	 * plugins add to terms.
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Term $term Term.
+	 * @return int Position, 0 if not set.
+	 */
+	private function get_term_order( \WP_Term $term ): int {
+		$order = get_term_meta( $term->term_id, Taxonomy_Manager::META_ORDER, true );
+
+		// The registered meta defaults to 0, so check whether it was set.
+		if ( is_numeric( $order ) && metadata_exists( 'term', $term->term_id, Taxonomy_Manager::META_ORDER ) ) {
+			return (int) $order;
+		}
+
+		$term_vars = get_object_vars( $term );
+
+		return isset( $term_vars['term_order'] ) && is_numeric( $term_vars['term_order'] ) ? (int) $term_vars['term_order'] : 0;
+	}
+
 	/**
 	 * Sort term names
 	 *
+	 * Terms of higher priority come first.
+	 *
 	 * @since 0.1.0
-	 * @param array<string, array<string, array<int, string>>> $references References.
-	 * @return array<string, array<string, array<int, string>>> Sorted references.
+	 * @param References $references References.
+	 * @return References Sorted references.
 	 */
 	private function sort_term_names( array $references ): array {
 		foreach ( $references as $year => $year_data ) {
 			foreach ( $year_data as $taxonomy => $items ) {
-				natcasesort( $references[ $year ][ $taxonomy ] );
-				$references[ $year ][ $taxonomy ] = array_values( $references[ $year ][ $taxonomy ] );
+				usort(
+					$items,
+					static fn( array $a, array $b ): int => $a['priority'] !== $b['priority'] ? $b['priority'] <=> $a['priority'] : strnatcasecmp( $a['name'], $b['name'] )
+				);
+				$references[ $year ][ $taxonomy ] = $items;
 			}
 		}
 		return $references;
@@ -266,9 +434,9 @@ class Data_Organizer {
 	 * Remove empty arrays
 	 *
 	 * @since 0.1.0
-	 * @param array<string, array<string, array<int, string>>> $references  References.
-	 * @param string                                           $type_filter Type filter.
-	 * @return array<string, array<string, array<int, string>>> Cleaned references.
+	 * @param References $references  References.
+	 * @param string     $type_filter Type filter.
+	 * @return References Cleaned references.
 	 */
 	private function remove_empty_arrays( array $references, string $type_filter ): array {
 		if ( $type_filter !== 'all' ) {
@@ -282,9 +450,9 @@ class Data_Organizer {
 	 * Filter references to only include a specific type
 	 *
 	 * @since 0.1.0
-	 * @param array<string, array<string, array<int, string>>> $references  References.
-	 * @param string                                           $type_filter Type filter.
-	 * @return array<string, array<string, array<int, string>>> Filtered references.
+	 * @param References $references  References.
+	 * @param string     $type_filter Type filter.
+	 * @return References Filtered references.
 	 */
 	private function filter_by_specific_type( array $references, string $type_filter ): array {
 		$filtered = array();
@@ -306,8 +474,8 @@ class Data_Organizer {
 	 * Remove years that have no taxonomy entries
 	 *
 	 * @since 0.1.0
-	 * @param array<string, array<string, array<int, string>>> $references References.
-	 * @return array<string, array<string, array<int, string>>> Cleaned references.
+	 * @param References $references References.
+	 * @return References Cleaned references.
 	 */
 	private function remove_empty_year_entries( array $references ): array {
 		foreach ( $references as $year => $year_data ) {
@@ -325,15 +493,16 @@ class Data_Organizer {
 	 * Sort years
 	 *
 	 * @since 0.1.0
-	 * @param array<string, array<string, array<int, string>>> $references  References.
-	 * @param string                                           $sort_order  Sort order.
-	 * @return array<string, array<string, array<int, string>>> Sorted references.
+	 * @param References $references References.
+	 * @param string     $sort_order Sort order.
+	 * @return References Sorted references.
 	 */
 	public function sort_years( array $references, string $sort_order ): array {
 		if ( empty( $references ) ) {
 			return $references;
 		}
 
+		// Decade and season keys ("2020s", "2023/24") sort by their leading year.
 		$years = array_keys( $references );
 
 		if ( $sort_order === 'asc' ) {
@@ -349,4 +518,360 @@ class Data_Organizer {
 
 		return $sorted;
 	}
+
+	/**
+	 * Keep only the most recent years
+	 *
+	 * Keeps the order of the given references, so it can be
+	 * applied before or after sorting them.
+	 *
+	 * @since 0.3.0
+	 * @param References $references References.
+	 * @param int        $limit      Number of years to keep, 0 to keep all.
+	 * @return References Limited references.
+	 */
+	public function limit_years( array $references, int $limit ): array {
+		if ( $limit <= 0 || count( $references ) <= $limit ) {
+			return $references;
+		}
+
+		$years = array_keys( $references );
+		rsort( $years, SORT_NUMERIC );
+		$recent = array_flip( array_slice( $years, 0, $limit ) );
+
+		return array_intersect_key( $references, $recent );
+	}
+
+	/**
+	 * Sort the items of every year and type
+	 *
+	 * Items of higher priority always come first. Among equal
+	 * priorities, items are sorted by the sort order, then by the
+	 * secondary sort order, then alphabetically. As items are organized
+	 * by priority and name, sorting alphabetically keeps them as they are.
+	 *
+	 * @since 0.3.0
+	 * @param References $references     References data.
+	 * @param string     $sort_order     One of self::ITEM_SORT_ORDERS.
+	 * @param string     $secondary_sort One of self::ITEM_SORT_ORDERS, for items the sort order considers equal.
+	 * @return References Sorted references.
+	 */
+	public function sort_items( array $references, string $sort_order, string $secondary_sort = 'alphabetical' ): array {
+		if ( $sort_order === 'alphabetical' && $secondary_sort === 'alphabetical' ) {
+			return $references;
+		}
+
+		foreach ( $references as $year => $year_data ) {
+			foreach ( $year_data as $taxonomy => $items ) {
+				usort(
+					$items,
+					static fn( array $a, array $b ): int => self::compare_items( $a, $b, $sort_order, $secondary_sort )
+				);
+				$references[ $year ][ $taxonomy ] = $items;
+			}
+		}
+
+		return $references;
+	}
+
+	/**
+	 * Compare two items by priority, sort order, secondary sort order and name
+	 *
+	 * @since 0.3.0
+	 * @param Reference_Item $a              First item.
+	 * @param Reference_Item $b              Second item.
+	 * @param string         $sort_order     One of self::ITEM_SORT_ORDERS.
+	 * @param string         $secondary_sort One of self::ITEM_SORT_ORDERS.
+	 * @return int Negative if the first item comes first, positive if the second does, 0 if equal.
+	 */
+	private static function compare_items( array $a, array $b, string $sort_order, string $secondary_sort ): int {
+		if ( $a['priority'] !== $b['priority'] ) {
+			return $b['priority'] <=> $a['priority'];
+		}
+
+		foreach ( array( $sort_order, $secondary_sort, 'alphabetical' ) as $order ) {
+			switch ( $order ) {
+				case 'chronological':
+					$result = strcmp( $a['first_date'], $b['first_date'] );
+					break;
+				case 'frequency':
+					$result = $b['count'] <=> $a['count'];
+					break;
+				case 'manual':
+					$result = $a['order'] <=> $b['order'];
+					break;
+				default:
+					$result = strnatcasecmp( $a['name'], $b['name'] );
+			}
+
+			if ( $result !== 0 ) {
+				return $result;
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Apply custom type order to references data
+	 *
+	 * @since 0.3.0
+	 * @param References    $references References data.
+	 * @param array<string> $type_order Custom type order.
+	 * @return References Reordered references data.
+	 */
+	public function apply_type_order( array $references, array $type_order ): array {
+		if ( empty( $type_order ) ) {
+			return $references;
+		}
+
+		$reordered = array();
+
+		foreach ( $references as $year => $types ) {
+			$reordered_types = array();
+
+			// First, add types in the specified order.
+			foreach ( $type_order as $type_slug ) {
+				if ( isset( $types[ $type_slug ] ) ) {
+					$reordered_types[ $type_slug ] = $types[ $type_slug ];
+				}
+			}
+
+			// Then, add any remaining types that weren't in the order.
+			foreach ( $types as $type_slug => $items ) {
+				if ( ! isset( $reordered_types[ $type_slug ] ) ) {
+					$reordered_types[ $type_slug ] = $items;
+				}
+			}
+
+			$reordered[ $year ] = $reordered_types;
+		}
+
+		return $reordered;
+	}
+
+	/**
+	 * Leave terms out of references data
+	 *
+	 * Types and years left without items are removed.
+	 *
+	 * @since 0.3.0
+	 * @param References      $references References data.
+	 * @param array<int, int> $term_ids   IDs of the terms to leave out.
+	 * @return References References data without the terms.
+	 */
+	public function exclude_terms( array $references, array $term_ids ): array {
+		if ( empty( $term_ids ) ) {
+			return $references;
+		}
+
+		foreach ( $references as $year => $year_data ) {
+			foreach ( $year_data as $taxonomy => $items ) {
+				$references[ $year ][ $taxonomy ] = array_values(
+					array_filter(
+						$items,
+						static fn( array $item ): bool => ! in_array( $item['id'], $term_ids, true )
+					)
+				);
+			}
+		}
+
+		return $this->remove_empty_year_entries( $references );
+	}
+
+	/**
+	 * Merge the items of all years and types into a single list
+	 *
+	 * Items appearing in several years or types are listed once, with
+	 * their counts, posts and productions combined, and the date of
+	 * their first post overall.
+	 *
+	 * @since 0.3.0
+	 * @param References $references     References.
+	 * @param string     $sort_order     One of self::ITEM_SORT_ORDERS.
+	 * @param string     $secondary_sort One of self::ITEM_SORT_ORDERS, for items the sort order considers equal.
+	 * @return array<int, Reference_Item> Merged items.
+	 */
+	public function merge_years( array $references, string $sort_order, string $secondary_sort = 'alphabetical' ): array {
+		$merged = array();
+
+		foreach ( $references as $year_data ) {
+			foreach ( $year_data as $items ) {
+				foreach ( $items as $item ) {
+					$merged[ $item['id'] ] = isset( $merged[ $item['id'] ] ) ? $this->merge_item( $merged[ $item['id'] ], $item ) : $item;
+				}
+			}
+		}
+
+		$merged = array_values( $merged );
+
+		usort(
+			$merged,
+			static fn( array $a, array $b ): int => self::compare_items( $a, $b, $sort_order, $secondary_sort )
+		);
+
+		return $merged;
+	}
+
+	/**
+	 * Group references by type and term, listing the years of each term
+	 *
+	 * The inverse of the year grouping: every term is listed once per
+	 * type, with its counts, posts and productions combined, and the
+	 * years (or decades, or seasons) it appeared in, oldest first.
+	 *
+	 * @since 0.3.0
+	 * @param References         $references     References.
+	 * @param array<int, string> $type_order     Type taxonomies in the order to list them, other types follow.
+	 * @param string             $sort_order     One of self::ITEM_SORT_ORDERS.
+	 * @param string             $secondary_sort One of self::ITEM_SORT_ORDERS, for items the sort order considers equal.
+	 * @return array<string, array<int, Term_Item>> Items keyed by type taxonomy.
+	 */
+	public function group_by_term( array $references, array $type_order, string $sort_order, string $secondary_sort = 'alphabetical' ): array {
+		$grouped = array_fill_keys( $type_order, array() );
+		$periods = array();
+
+		foreach ( $references as $period => $year_data ) {
+			foreach ( $year_data as $taxonomy => $items ) {
+				foreach ( $items as $item ) {
+					$grouped[ $taxonomy ][ $item['id'] ] = isset( $grouped[ $taxonomy ][ $item['id'] ] ) ? $this->merge_item( $grouped[ $taxonomy ][ $item['id'] ], $item ) : $item;
+
+					$periods[ $taxonomy ][ $item['id'] ][] = (string) $period;
+				}
+			}
+		}
+
+		$result = array();
+		foreach ( array_filter( $grouped ) as $taxonomy => $items ) {
+			$term_items = array();
+			foreach ( $items as $term_id => $item ) {
+				$item_periods = $periods[ $taxonomy ][ $term_id ];
+				sort( $item_periods, SORT_NATURAL );
+
+				$term_items[] = array_merge( $item, array( 'periods' => $item_periods ) );
+			}
+
+			usort(
+				$term_items,
+				static fn( array $a, array $b ): int => self::compare_items( $a, $b, $sort_order, $secondary_sort )
+			);
+
+			$result[ $taxonomy ] = $term_items;
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Format a list of years, collapsing consecutive ones into ranges
+	 *
+	 * For example "2019, 2021–2023". Decades and seasons are collapsed
+	 * alike, such as "1990s–2000s" or "2021/22–2023/24".
+	 *
+	 * @since 0.3.0
+	 * @param array<int, string> $periods Years, decades or seasons, oldest first.
+	 * @return string Formatted periods.
+	 */
+	public function format_periods( array $periods ): string {
+		$ranges = array();
+		$first  = '';
+		$last   = '';
+
+		foreach ( $periods as $period ) {
+			if ( '' !== $last && $this->get_period_start( $period ) === $this->get_period_start( $last ) + ( substr( $period, -1 ) === 's' ? 10 : 1 ) ) {
+				$last = $period;
+				continue;
+			}
+
+			if ( '' !== $first ) {
+				$ranges[] = $first === $last ? $first : $first . '–' . $last;
+			}
+
+			$first = $period;
+			$last  = $period;
+		}
+
+		if ( '' !== $first ) {
+			$ranges[] = $first === $last ? $first : $first . '–' . $last;
+		}
+
+		return implode( ', ', $ranges );
+	}
+
+	/**
+	 * Get the first year of a year, decade or season key
+	 *
+	 * @since 0.3.0
+	 * @param string $period Year, decade ("2020s") or season ("2023/24").
+	 * @return int First year.
+	 */
+	private function get_period_start( string $period ): int {
+		return (int) substr( $period, 0, 4 );
+	}
+
+	/**
+	 * Merge two items of the same term
+	 *
+	 * Counts are added up, posts and productions combined and the
+	 * earliest first date kept.
+	 *
+	 * @since 0.3.0
+	 * @param Reference_Item $merged Item merged so far.
+	 * @param Reference_Item $item   Item to merge into it.
+	 * @return Reference_Item Merged item.
+	 */
+	private function merge_item( array $merged, array $item ): array {
+		$merged['count']      += $item['count'];
+		$merged['posts']       = array_values( array_unique( array_merge( $merged['posts'], $item['posts'] ) ) );
+		$merged['productions'] = array_values( array_column( array_merge( $merged['productions'], $item['productions'] ), null, 'id' ) );
+		$merged['first_date']  = min( $merged['first_date'], $item['first_date'] );
+
+		return $merged;
+	}
+
+	/**
+	 * Group the items of one type by their productions
+	 *
+	 * Items belonging to several productions are listed under each of them.
+	 * Items without any production are collected in a last group without a production.
+	 *
+	 * @since 0.3.0
+	 * @param array<int, Reference_Item> $items Items of one type.
+	 * @return array<int, array{production: ?Reference_Production, items: array<int, Reference_Item>}> Groups, sorted by production name.
+	 */
+	public function group_items_by_production( array $items ): array {
+		$groups   = array();
+		$orphaned = array();
+
+		foreach ( $items as $item ) {
+			if ( empty( $item['productions'] ) ) {
+				$orphaned[] = $item;
+				continue;
+			}
+
+			foreach ( $item['productions'] as $production ) {
+				if ( ! isset( $groups[ $production['id'] ] ) ) {
+					$groups[ $production['id'] ] = array(
+						'production' => $production,
+						'items'      => array(),
+					);
+				}
+				$groups[ $production['id'] ]['items'][] = $item;
+			}
+		}
+
+		usort(
+			$groups,
+			static fn( array $a, array $b ): int => strnatcasecmp( $a['production']['name'], $b['production']['name'] )
+		);
+
+		if ( ! empty( $orphaned ) ) {
+			$groups[] = array(
+				'production' => null,
+				'items'      => $orphaned,
+			);
+		}
+
+		return $groups;
+	}
 }
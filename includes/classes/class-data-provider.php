@@ -0,0 +1,243 @@
+<?php
+/**
+ * Data Provider class
+ *
+ * Retrieves organized reference data, either from cache or by
+ * running the query and organizing its results.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Data Provider
+ *
+ * Retrieves organized reference data, either from cache or by
+ * running the query and organizing its results. Shared by the
+ * block renderer and the REST API.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-import-type References from Data_Organizer
+ * @phpstan-import-type Reference_Options from Data_Organizer
+ */
+class Data_Provider {
+	/**
+	 * Earliest year references can be filtered by
+	 *
+	 * @var int
+	 */
+	const MIN_YEAR = 1000;
+
+	/**
+	 * Largest number of recent years references can be limited to
+	 *
+	 * @var int
+	 */
+	const MAX_LAST_YEARS = 100;
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Cache manager instance
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Query builder instance
+	 *
+	 * @var Query_Builder
+	 */
+	private Query_Builder $query_builder;
+
+	/**
+	 * Data organizer instance
+	 *
+	 * @var Data_Organizer
+	 */
+	private Data_Organizer $data_organizer;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager $config_manager Config manager instance.
+	 * @param Cache_Manager  $cache_manager  Cache manager instance.
+	 * @param Query_Builder  $query_builder  Query builder instance.
+	 * @param Data_Organizer $data_organizer Data organizer instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Cache_Manager $cache_manager, Query_Builder $query_builder, Data_Organizer $data_organizer ) {
+		$this->config_manager = $config_manager;
+		$this->cache_manager  = $cache_manager;
+		$this->query_builder  = $query_builder;
+		$this->data_organizer = $data_organizer;
+	}
+
+	/**
+	 * Get references data (from cache or query)
+	 *
+	 * Options only apply when no single year is given:
+	 * - year_from / year_to: First and last year to include, 0 for open ends.
+	 * - last_years: Only include the last N years, including the current one. Overrides year_from and year_to.
+	 * - group_by: 'year', 'decade' or 'season'.
+	 * - season_start: Month (1-12) seasons start in, when grouping by season.
+	 *
+	 * If the post type's support config sets a 'season_start', references are
+	 * always grouped by those seasons, unless they are grouped by decade.
+	 *
+	 * @since 0.3.0
+	 * @param string            $post_type   Post type slug.
+	 * @param int               $ref_term_id Reference term ID.
+	 * @param int               $year        Year filter.
+	 * @param string            $type        Type filter.
+	 * @param Reference_Options $options     Year range and grouping options.
+	 * @return References References data.
+	 */
+	public function get_references( string $post_type, int $ref_term_id, int $year, string $type, array $options = array() ): array {
+		$options = $this->normalize_options( $post_type, $year, $options );
+
+		// Try cache first.
+		$cache_key  = $this->cache_manager->get_cache_key( $post_type, $ref_term_id, $year, $type, $options );
+		$references = $this->cache_manager->get( $cache_key );
+
+		if ( false !== $references ) {
+			return $references;
+		}
+
+		// Build and execute query.
+		$args  = $this->query_builder->build_args( $post_type, $ref_term_id, $year, $type, $options );
+		$query = new \WP_Query( $args );
+
+		// Organize results.
+		$references = $this->data_organizer->organize_results( $post_type, $query, $type, $options );
+
+		// Cache if we have data.
+		if ( ! empty( $references ) ) {
+			$this->cache_manager->set( $cache_key, $references );
+		}
+
+		return $references;
+	}
+
+	/**
+	 * Get the cache key of references data
+	 *
+	 * Other caches built on the references data include this key,
+	 * so they are invalidated along with it.
+	 *
+	 * @since 0.3.0
+	 * @param string            $post_type   Post type slug.
+	 * @param int               $ref_term_id Reference term ID.
+	 * @param int               $year        Year filter.
+	 * @param string            $type        Type filter.
+	 * @param Reference_Options $options     Year range and grouping options.
+	 * @return string Cache key.
+	 */
+	public function get_cache_key( string $post_type, int $ref_term_id, int $year, string $type, array $options = array() ): string {
+		return $this->cache_manager->get_cache_key( $post_type, $ref_term_id, $year, $type, $this->normalize_options( $post_type, $year, $options ) );
+	}
+
+	/**
+	 * Normalize year range and grouping options
+	 *
+	 * Resolves relative ranges to absolute years, so cache entries
+	 * roll over with the calendar, applies the post type's season
+	 * start and drops options that don't apply. Years are clamped to
+	 * self::MIN_YEAR up to next year, and recent years to
+	 * self::MAX_LAST_YEARS, so made-up ranges don't add cache entries.
+	 *
+	 * @since 0.3.0
+	 * @param string            $post_type Post type slug.
+	 * @param int               $year      Year filter.
+	 * @param Reference_Options $options   Year range and grouping options.
+	 * @return Reference_Options Normalized options.
+	 */
+	private function normalize_options( string $post_type, int $year, array $options ): array {
+		$group_by = $options['group_by'] ?? 'year';
+		$group_by = in_array( $group_by, Data_Organizer::GROUP_BY_PERIODS, true ) ? $group_by : 'year';
+
+		// Post types counting in seasons override the block's season settings.
+		$config = $this->config_manager->get_config( $post_type );
+		if ( $config && $config['season_start'] > 0 && $group_by !== 'decade' ) {
+			$group_by                = 'season';
+			$options['season_start'] = $config['season_start'];
+		}
+
+		$normalized = array(
+			'year_from' => 0,
+			'year_to'   => 0,
+			'group_by'  => $group_by,
+		);
+
+		if ( $group_by === 'season' ) {
+			$normalized['season_start'] = max( 1, min( 12, $options['season_start'] ?? 1 ) );
+		}
+
+		if ( $year > 0 ) {
+			return $normalized;
+		}
+
+		$last_years = max( 0, min( self::MAX_LAST_YEARS, $options['last_years'] ?? 0 ) );
+
+		if ( $last_years > 0 ) {
+			$normalized['year_from'] = (int) wp_date( 'Y' ) - $last_years + 1;
+			return $normalized;
+		}
+
+		$year_from = $this->clamp_year( $options['year_from'] ?? 0 );
+		$year_to   = $this->clamp_year( $options['year_to'] ?? 0 );
+
+		if ( $year_from > 0 && $year_to > 0 && $year_from > $year_to ) {
+			list( $year_from, $year_to ) = array( $year_to, $year_from );
+		}
+
+		$normalized['year_from'] = $year_from;
+		$normalized['year_to']   = $year_to;
+
+		return $normalized;
+	}
+
+	/**
+	 * Get the latest year references can be filtered by
+	 *
+	 * That is next year, for events planned ahead.
+	 *
+	 * @since 0.3.0
+	 * @return int Year.
+	 */
+	public static function get_max_year(): int {
+		return (int) wp_date( 'Y' ) + 1;
+	}
+
+	/**
+	 * Check whether a year can be filtered by
+	 *
+	 * @since 0.3.0
+	 * @param int $year Year, 0 for none.
+	 * @return bool Whether the year is 0 or from self::MIN_YEAR up to next year.
+	 */
+	public static function is_valid_year( int $year ): bool {
+		return 0 === $year || ( $year >= self::MIN_YEAR && $year <= self::get_max_year() );
+	}
+
+	/**
+	 * Clamp a year bound to the years references can be filtered by
+	 *
+	 * @since 0.3.0
+	 * @param int $year Year, 0 or less for no bound.
+	 * @return int Clamped year, 0 for no bound.
+	 */
+	private function clamp_year( int $year ): int {
+		return $year > 0 ? max( self::MIN_YEAR, min( self::get_max_year(), $year ) ) : 0;
+	}
+}
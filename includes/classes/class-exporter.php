@@ -0,0 +1,679 @@
+<?php
+/**
+ * Exporter class
+ *
+ * Exports references as CSV, Markdown, plain text or a print view.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Exporter
+ *
+ * Exports references as CSV, Markdown, plain text or a print-optimized
+ * HTML page, such as for funding applications. References come from
+ * the same pipeline as the block: the cached, organized data, sorted
+ * and with the type order applied. Like the block's filter bar, exports
+ * can be narrowed to some types and one period. Exports of all
+ * productions name the productions of each item.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-import-type References from Data_Organizer
+ * @phpstan-import-type Reference_Item from Data_Organizer
+ * @phpstan-import-type Reference_Options from Data_Organizer
+ * @phpstan-type Export_Args array{post_type: string, ref_term_id: int, year: int, type: string, options: Reference_Options, year_sort: string, item_sort: string, item_secondary_sort: string, type_order: array<int, string>, types: array<int, string>, period: string, exclude: array<int, int>}
+ */
+class Exporter {
+	/**
+	 * Export formats
+	 *
+	 * @var array<int, string>
+	 */
+	const FORMATS = array( 'csv', 'markdown', 'text', 'print' );
+
+	/**
+	 * REST route serving exports, relative to the namespace
+	 *
+	 * @var string
+	 */
+	const REST_ROUTE = '/references/export';
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Data provider instance
+	 *
+	 * @var Data_Provider
+	 */
+	private Data_Provider $data_provider;
+
+	/**
+	 * Data organizer instance
+	 *
+	 * @var Data_Organizer
+	 */
+	private Data_Organizer $data_organizer;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager $config_manager Config manager instance.
+	 * @param Data_Provider  $data_provider  Data provider instance.
+	 * @param Data_Organizer $data_organizer Data organizer instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Data_Provider $data_provider, Data_Organizer $data_organizer ) {
+		$this->config_manager = $config_manager;
+		$this->data_provider  = $data_provider;
+		$this->data_organizer = $data_organizer;
+	}
+
+	/**
+	 * Get the labels of the export formats
+	 *
+	 * @since 0.3.0
+	 * @return array<string, string> Labels keyed by format.
+	 */
+	public function get_format_labels(): array {
+		return array(
+			'csv'      => __( 'CSV', 'gatherpress-references' ),
+			'markdown' => __( 'Markdown', 'gatherpress-references' ),
+			'text'     => __( 'Plain text', 'gatherpress-references' ),
+			'print'    => __( 'Print view', 'gatherpress-references' ),
+		);
+	}
+
+	/**
+	 * Get the post types references can be exported of
+	 *
+	 * @since 0.3.0
+	 * @return array<int, string> Post type slugs.
+	 */
+	public function get_post_types(): array {
+		return array_keys( $this->config_manager->get_all_configs() );
+	}
+
+	/**
+	 * Get the productions and types exports of a post type can be narrowed to
+	 *
+	 * @since 0.3.0
+	 * @param string $post_type Post type slug.
+	 * @return array{productions: array<int, string>, types: array<string, string>} Production names keyed by term ID, and type labels.
+	 */
+	public function get_filter_options( string $post_type ): array {
+		$config = $this->config_manager->get_config( $post_type );
+
+		if ( ! $config ) {
+			return array(
+				'productions' => array(),
+				'types'       => array(),
+			);
+		}
+
+		$terms = get_terms(
+			array(
+				'taxonomy'   => $config['ref_tax'],
+				'hide_empty' => true,
+				'fields'     => 'id=>name',
+			)
+		);
+
+		$productions = array();
+		foreach ( is_array( $terms ) ? $terms : array() as $term_id => $name ) {
+			if ( is_string( $name ) ) {
+				$productions[ (int) $term_id ] = $name;
+			}
+		}
+
+		return array(
+			'productions' => $productions,
+			'types'       => $this->config_manager->get_type_labels( $config['ref_types'] ),
+		);
+	}
+
+	/**
+	 * Prepare export arguments from request parameters
+	 *
+	 * Takes the parameters of the references REST route. The production
+	 * must be a term of the post type's reference taxonomy, the type one
+	 * of its reference types or 'all', the years within the bounds of
+	 * Data_Provider and the period one of the organized references.
+	 * Types and excluded terms not configured for the post type are
+	 * left out.
+	 *
+	 * @since 0.3.0
+	 * @param array<string, mixed> $params Request parameters.
+	 * @return array<string, mixed>|\WP_Error Export arguments, or error if the post type, production, type, a year or the period is invalid.
+	 * @phpstan-return Export_Args|\WP_Error
+	 */
+	public function prepare_args( array $params ) {
+		$post_type = isset( $params['post_type'] ) && is_string( $params['post_type'] ) ? sanitize_key( $params['post_type'] ) : '';
+		$config    = $this->config_manager->get_config( $post_type );
+
+		if ( ! $config ) {
+			return new \WP_Error( 'gatherpress_references_invalid_post_type', __( 'The post type does not support references.', 'gatherpress-references' ), array( 'status' => 400 ) );
+		}
+
+		$type = isset( $params['type'] ) && is_string( $params['type'] ) && '' !== $params['type'] ? $params['type'] : 'all';
+
+		if ( $type !== 'all' && ! in_array( $type, $config['ref_types'], true ) ) {
+			return new \WP_Error( 'gatherpress_references_invalid_type', __( 'The reference type is not configured for this post type.', 'gatherpress-references' ), array( 'status' => 400 ) );
+		}
+
+		$ref_term_id = $this->get_int_param( $params, 'ref_term_id' );
+
+		if ( $ref_term_id > 0 && ! get_term( $ref_term_id, $config['ref_tax'] ) instanceof \WP_Term ) {
+			return new \WP_Error( 'gatherpress_references_invalid_term', __( 'The production does not exist.', 'gatherpress-references' ), array( 'status' => 400 ) );
+		}
+
+		$year      = $this->get_int_param( $params, 'year' );
+		$year_from = $this->get_int_param( $params, 'year_from' );
+		$year_to   = $this->get_int_param( $params, 'year_to' );
+
+		if ( ! Data_Provider::is_valid_year( $year ) || ! Data_Provider::is_valid_year( $year_from ) || ! Data_Provider::is_valid_year( $year_to ) ) {
+			return new \WP_Error( 'gatherpress_references_invalid_year', __( 'The year is out of range.', 'gatherpress-references' ), array( 'status' => 400 ) );
+		}
+
+		$group_by   = isset( $params['group_by'] ) && is_string( $params['group_by'] ) ? $params['group_by'] : 'year';
+		$item_sort  = isset( $params['item_sort'] ) && is_string( $params['item_sort'] ) ? $params['item_sort'] : 'alphabetical';
+		$secondary  = isset( $params['item_secondary_sort'] ) && is_string( $params['item_secondary_sort'] ) ? $params['item_secondary_sort'] : 'alphabetical';
+		$type_order = isset( $params['type_order'] ) ? $this->get_list_param( $params['type_order'] ) : array();
+		$types      = isset( $params['types'] ) ? array_values( array_intersect( $this->get_list_param( $params['types'] ), $config['ref_types'] ) ) : array();
+
+		$args = array(
+			'post_type'   => $post_type,
+			'ref_term_id' => $ref_term_id,
+			'year'        => $year,
+			'type'        => $type,
+			'options'     => array(
+				'year_from'    => $year_from,
+				'year_to'      => $year_to,
+				'last_years'   => min( Data_Provider::MAX_LAST_YEARS, $this->get_int_param( $params, 'last_years' ) ),
+				'group_by'     => in_array( $group_by, Data_Organizer::GROUP_BY_PERIODS, true ) ? $group_by : 'year',
+				'season_start' => isset( $params['season_start'] ) ? max( 1, min( 12, $this->get_int_param( $params, 'season_start' ) ) ) : 8,
+			),
+			'year_sort'           => isset( $params['sort_order'] ) && 'asc' === $params['sort_order'] ? 'asc' : 'desc',
+			'item_sort'           => in_array( $item_sort, Data_Organizer::ITEM_SORT_ORDERS, true ) ? $item_sort : 'alphabetical',
+			'item_secondary_sort' => in_array( $secondary, Data_Organizer::ITEM_SORT_ORDERS, true ) ? $secondary : 'alphabetical',
+			'type_order'          => $type_order,
+			'types'               => $types,
+			'period'              => isset( $params['period'] ) && is_string( $params['period'] ) ? sanitize_text_field( $params['period'] ) : '',
+			'exclude'             => isset( $params['exclude'] ) ? $this->get_term_ids( $this->get_id_list_param( $params['exclude'] ), $config['ref_types'] ) : array(),
+		);
+
+		if ( '' !== $args['period'] ) {
+			$references = $this->data_provider->get_references( $post_type, $ref_term_id, $year, $type, $args['options'] );
+
+			if ( ! isset( $references[ $args['period'] ] ) ) {
+				return new \WP_Error( 'gatherpress_references_invalid_period', __( 'There are no references for this period.', 'gatherpress-references' ), array( 'status' => 400 ) );
+			}
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Get a list request parameter
+	 *
+	 * @since 0.3.0
+	 * @param mixed $value Array or comma-separated string.
+	 * @return array<int, string> List values.
+	 */
+	private function get_list_param( $value ): array {
+		$values = is_array( $value ) ? $value : ( is_string( $value ) ? explode( ',', $value ) : array() );
+
+		return array_values( array_filter( array_map( 'sanitize_text_field', array_filter( $values, 'is_string' ) ) ) );
+	}
+
+	/**
+	 * Get a list of IDs from an array or a comma-separated request parameter
+	 *
+	 * @since 0.3.0
+	 * @param mixed $value Parameter value.
+	 * @return array<int, int> Positive IDs.
+	 */
+	private function get_id_list_param( $value ): array {
+		$values = is_array( $value ) ? $value : ( is_string( $value ) ? explode( ',', $value ) : array() );
+
+		return array_values( array_filter( array_map( 'absint', array_filter( $values, 'is_numeric' ) ) ) );
+	}
+
+	/**
+	 * Get the IDs of terms in some taxonomies
+	 *
+	 * @since 0.3.0
+	 * @param array<int, int>    $term_ids   Term IDs.
+	 * @param array<int, string> $taxonomies Taxonomy slugs.
+	 * @return array<int, int> IDs of the terms that exist in the taxonomies.
+	 */
+	private function get_term_ids( array $term_ids, array $taxonomies ): array {
+		if ( empty( $term_ids ) || empty( $taxonomies ) ) {
+			return array();
+		}
+
+		$existing = get_terms(
+			array(
+				'taxonomy'   => $taxonomies,
+				'include'    => $term_ids,
+				'fields'     => 'ids',
+				'hide_empty' => false,
+			)
+		);
+
+		return is_array( $existing ) ? array_values( array_intersect( $term_ids, array_map( 'intval', $existing ) ) ) : array();
+	}
+
+	/**
+	 * Get a non-negative integer request parameter
+	 *
+	 * @since 0.3.0
+	 * @param array<string, mixed> $params Request parameters.
+	 * @param string               $key    Parameter name.
+	 * @return int Parameter value, 0 if missing or invalid.
+	 */
+	private function get_int_param( array $params, string $key ): int {
+		return isset( $params[ $key ] ) && is_numeric( $params[ $key ] ) ? absint( $params[ $key ] ) : 0;
+	}
+
+	/**
+	 * Get the references to export
+	 *
+	 * @since 0.3.0
+	 * @param Export_Args $args Export arguments.
+	 * @return References Sorted references.
+	 */
+	public function get_references( array $args ): array {
+		$references = $this->data_provider->get_references( $args['post_type'], $args['ref_term_id'], $args['year'], $args['type'], $args['options'] );
+		$references = $this->data_organizer->exclude_terms( $references, $args['exclude'] );
+		$references = $this->data_organizer->sort_years( $references, $args['year_sort'] );
+		$references = $this->data_organizer->sort_items( $references, $args['item_sort'], $args['item_secondary_sort'] );
+
+		if ( ! empty( $args['type_order'] ) ) {
+			$references = $this->data_organizer->apply_type_order( $references, $args['type_order'] );
+		}
+
+		if ( '' !== $args['period'] ) {
+			$references = isset( $references[ $args['period'] ] ) ? array( $args['period'] => $references[ $args['period'] ] ) : array();
+		}
+
+		if ( ! empty( $args['types'] ) ) {
+			$types      = array_flip( $args['types'] );
+			$references = array_filter(
+				array_map(
+					static fn( array $year_types ): array => array_intersect_key( $year_types, $types ),
+					$references
+				)
+			);
+		}
+
+		return $references;
+	}
+
+	/**
+	 * Export references
+	 *
+	 * @since 0.3.0
+	 * @param string      $format Export format, one of self::FORMATS.
+	 * @param Export_Args $args   Export arguments.
+	 * @return string Exported references.
+	 */
+	public function export( string $format, array $args ): string {
+		$references       = $this->get_references( $args );
+		$config           = $this->config_manager->get_config( $args['post_type'] );
+		$type_labels      = $config ? $this->config_manager->get_type_labels( $config['ref_types'] ) : array();
+		$with_productions = 0 === $args['ref_term_id'];
+		$title            = $this->get_title( $args );
+
+		switch ( $format ) {
+			case 'csv':
+				return $this->to_csv( $references, $type_labels, $with_productions );
+			case 'markdown':
+				return $this->to_markdown( $references, $type_labels, $with_productions, $title );
+			case 'print':
+				return $this->to_print( $references, $type_labels, $with_productions, $title );
+			default:
+				return $this->to_text( $references, $type_labels, $with_productions, $title );
+		}
+	}
+
+	/**
+	 * Get the title of an export
+	 *
+	 * @since 0.3.0
+	 * @param Export_Args $args Export arguments.
+	 * @return string Title, naming the production and year if filtered by them.
+	 */
+	public function get_title( array $args ): string {
+		$title = __( 'References', 'gatherpress-references' );
+		$term  = $args['ref_term_id'] > 0 ? get_term( $args['ref_term_id'] ) : null;
+
+		if ( $term instanceof \WP_Term ) {
+			/* translators: %s: production name */
+			$title = sprintf( __( 'References of %s', 'gatherpress-references' ), html_entity_decode( $term->name, ENT_QUOTES, 'UTF-8' ) );
+		}
+
+		if ( '' !== $args['period'] ) {
+			$title .= ' ' . $args['period'];
+		} elseif ( $args['year'] > 0 ) {
+			$title .= ' ' . $args['year'];
+		}
+
+		return $title;
+	}
+
+	/**
+	 * Get the content type of a format
+	 *
+	 * @since 0.3.0
+	 * @param string $format Export format.
+	 * @return string Content type.
+	 */
+	public function get_content_type( string $format ): string {
+		$types = array(
+			'csv'      => 'text/csv',
+			'markdown' => 'text/markdown',
+			'print'    => 'text/html',
+		);
+
+		return ( $types[ $format ] ?? 'text/plain' ) . '; charset=utf-8';
+	}
+
+	/**
+	 * Get the file name of an export
+	 *
+	 * @since 0.3.0
+	 * @param string      $format Export format.
+	 * @param Export_Args $args   Export arguments.
+	 * @return string File name.
+	 */
+	public function get_filename( string $format, array $args ): string {
+		$extensions = array(
+			'csv'      => 'csv',
+			'markdown' => 'md',
+			'print'    => 'html',
+		);
+
+		return sanitize_file_name( sanitize_title( $this->get_title( $args ) ) . '.' . ( $extensions[ $format ] ?? 'txt' ) );
+	}
+
+	/**
+	 * Get the URL of an export
+	 *
+	 * @since 0.3.0
+	 * @param string      $format Export format.
+	 * @param Export_Args $args   Export arguments.
+	 * @return string REST URL serving the export.
+	 */
+	public function get_url( string $format, array $args ): string {
+		$query_args = array_merge(
+			array(
+				'format'              => $format,
+				'post_type'           => $args['post_type'],
+				'ref_term_id'         => $args['ref_term_id'],
+				'year'                => $args['year'],
+				'type'                => $args['type'],
+				'sort_order'          => $args['year_sort'],
+				'item_sort'           => $args['item_sort'],
+				'item_secondary_sort' => $args['item_secondary_sort'],
+				'type_order'          => implode( ',', $args['type_order'] ),
+				'types'               => implode( ',', $args['types'] ),
+				'period'              => $args['period'],
+				'exclude'             => implode( ',', $args['exclude'] ),
+			),
+			$args['options']
+		);
+
+		// Leave out defaults, for short URLs.
+		$query_args = array_filter(
+			$query_args,
+			static fn( $value ): bool => ! in_array( $value, array( 0, '', 'all', 'desc', 'alphabetical', 'year' ), true )
+		);
+
+		return add_query_arg( array_map( 'rawurlencode', array_map( 'strval', $query_args ) ), rest_url( Rest_Controller::REST_NAMESPACE . self::REST_ROUTE ) );
+	}
+
+	/**
+	 * Get the label of an item, with its count and productions
+	 *
+	 * @since 0.3.0
+	 * @param Reference_Item $item             Reference item.
+	 * @param bool           $with_productions Whether to name the productions.
+	 * @return string Item label.
+	 */
+	private function get_item_label( array $item, bool $with_productions ): string {
+		$label = html_entity_decode( $item['name'], ENT_QUOTES, 'UTF-8' );
+
+		if ( $item['count'] > 1 ) {
+			/* translators: %d: number of events */
+			$label .= ' ' . sprintf( __( '(%d×)', 'gatherpress-references' ), $item['count'] );
+		}
+
+		$productions = $with_productions ? $this->get_production_names( $item ) : '';
+
+		return '' !== $productions ? $label . ' – ' . $productions : $label;
+	}
+
+	/**
+	 * Get the production names of an item
+	 *
+	 * @since 0.3.0
+	 * @param Reference_Item $item Reference item.
+	 * @return string Comma-separated production names.
+	 */
+	private function get_production_names( array $item ): string {
+		return html_entity_decode( implode( ', ', array_column( $item['productions'], 'name' ) ), ENT_QUOTES, 'UTF-8' );
+	}
+
+	/**
+	 * Export references as CSV
+	 *
+	 * One row per item, with a byte order mark, so spreadsheet apps
+	 * detect the encoding. Cells that would run as formulas are escaped.
+	 *
+	 * @since 0.3.0
+	 * @param References            $references       References data.
+	 * @param array<string, string> $type_labels      Type labels.
+	 * @param bool                  $with_productions Whether to add a productions column.
+	 * @return string CSV.
+	 */
+	private function to_csv( array $references, array $type_labels, bool $with_productions ): string {
+		$handle = fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		if ( false === $handle ) {
+			return '';
+		}
+
+		$header = array(
+			__( 'Year', 'gatherpress-references' ),
+			__( 'Type', 'gatherpress-references' ),
+			__( 'Name', 'gatherpress-references' ),
+			__( 'Events', 'gatherpress-references' ),
+		);
+
+		if ( $with_productions ) {
+			$header[] = __( 'Productions', 'gatherpress-references' );
+		}
+
+		fputcsv( $handle, array_map( array( $this, 'escape_csv_cell' ), $header ), ',', '"', '' );
+
+		foreach ( $references as $year => $types ) {
+			foreach ( $types as $type => $items ) {
+				foreach ( $items as $item ) {
+					$row = array(
+						(string) $year,
+						$type_labels[ $type ] ?? $type,
+						html_entity_decode( $item['name'], ENT_QUOTES, 'UTF-8' ),
+						(string) $item['count'],
+					);
+
+					if ( $with_productions ) {
+						$row[] = $this->get_production_names( $item );
+					}
+
+					fputcsv( $handle, array_map( array( $this, 'escape_csv_cell' ), $row ), ',', '"', '' );
+				}
+			}
+		}
+
+		rewind( $handle );
+		$csv = (string) stream_get_contents( $handle );
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return "\xEF\xBB\xBF" . $csv;
+	}
+
+	/**
+	 * Keep a CSV cell from being run as a formula
+	 *
+	 * Spreadsheet apps run cells starting with =, +, -, @, a tab or a
+	 * carriage return as formulas, so these are prefixed with a quote.
+	 *
+	 * @since 0.3.0
+	 * @param string $cell Cell value.
+	 * @return string Escaped cell value.
+	 */
+	private function escape_csv_cell( string $cell ): string {
+		return in_array( substr( $cell, 0, 1 ), array( '=', '+', '-', '@', "\t", "\r" ), true ) ? "'" . $cell : $cell;
+	}
+
+	/**
+	 * Export references as Markdown
+	 *
+	 * @since 0.3.0
+	 * @param References            $references       References data.
+	 * @param array<string, string> $type_labels      Type labels.
+	 * @param bool                  $with_productions Whether to name the productions of each item.
+	 * @param string                $title            Title.
+	 * @return string Markdown.
+	 */
+	private function to_markdown( array $references, array $type_labels, bool $with_productions, string $title ): string {
+		$lines = array( '# ' . $this->escape_markdown( $title ), '' );
+
+		foreach ( $references as $year => $types ) {
+			$lines[] = '## ' . $year;
+			$lines[] = '';
+
+			foreach ( $types as $type => $items ) {
+				$lines[] = '### ' . $this->escape_markdown( $type_labels[ $type ] ?? $type );
+				$lines[] = '';
+
+				foreach ( $items as $item ) {
+					$lines[] = '- ' . $this->escape_markdown( $this->get_item_label( $item, $with_productions ) );
+				}
+
+				$lines[] = '';
+			}
+		}
+
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Escape characters with a meaning in Markdown
+	 *
+	 * @since 0.3.0
+	 * @param string $text Text.
+	 * @return string Escaped text.
+	 */
+	private function escape_markdown( string $text ): string {
+		return (string) preg_replace( '/([\\\\`*_{}\[\]<>#|])/', '\\\\$1', $text );
+	}
+
+	/**
+	 * Export references as plain text
+	 *
+	 * Lists the items of each type on one line, under their year.
+	 *
+	 * @since 0.3.0
+	 * @param References            $references       References data.
+	 * @param array<string, string> $type_labels      Type labels.
+	 * @param bool                  $with_productions Whether to name the productions of each item.
+	 * @param string                $title            Title.
+	 * @return string Plain text.
+	 */
+	private function to_text( array $references, array $type_labels, bool $with_productions, string $title ): string {
+		$lines = array( $title, '' );
+
+		foreach ( $references as $year => $types ) {
+			$lines[] = (string) $year;
+
+			foreach ( $types as $type => $items ) {
+				$labels = array();
+				foreach ( $items as $item ) {
+					$labels[] = $this->get_item_label( $item, $with_productions );
+				}
+
+				$lines[] = '  ' . ( $type_labels[ $type ] ?? $type ) . ': ' . implode( '; ', $labels );
+			}
+
+			$lines[] = '';
+		}
+
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Export references as a print-optimized HTML page
+	 *
+	 * @since 0.3.0
+	 * @param References            $references       References data.
+	 * @param array<string, string> $type_labels      Type labels.
+	 * @param bool                  $with_productions Whether to name the productions of each item.
+	 * @param string                $title            Title.
+	 * @return string HTML document.
+	 */
+	private function to_print( array $references, array $type_labels, bool $with_productions, string $title ): string {
+		ob_start();
+		?>
+<!DOCTYPE html>
+<html <?php language_attributes(); ?>>
+<head>
+	<meta charset="utf-8" />
+	<meta name="viewport" content="width=device-width, initial-scale=1" />
+	<meta name="robots" content="noindex" />
+	<title><?php echo esc_html( $title . ' – ' . get_bloginfo( 'name' ) ); ?></title>
+	<style>
+		body { max-width: 48em; margin: 2em auto; padding: 0 1em; font: 11pt/1.4 Georgia, serif; color: #000; }
+		h1 { font-size: 18pt; margin-bottom: 0; }
+		.references-print-site { margin-top: 0; color: #555; }
+		h2 { font-size: 14pt; margin: 1.5em 0 0.25em; border-bottom: 1px solid #999; break-after: avoid; }
+		h3 { font-size: 11pt; margin: 0.75em 0 0.25em; break-after: avoid; }
+		ul { margin: 0; padding-left: 1.25em; }
+		li { break-inside: avoid; }
+		@media print {
+			body { margin: 0; max-width: none; }
+			.references-print-button { display: none; }
+		}
+	</style>
+</head>
+<body>
+	<p><button type="button" class="references-print-button" onclick="window.print()"><?php esc_html_e( 'Print or save as PDF', 'gatherpress-references' ); ?></button></p>
+	<h1><?php echo esc_html( $title ); ?></h1>
+	<p class="references-print-site"><?php echo esc_html( get_bloginfo( 'name' ) ); ?></p>
+	<?php foreach ( $references as $year => $types ) { ?>
+		<h2><?php echo esc_html( (string) $year ); ?></h2>
+		<?php foreach ( $types as $type => $items ) { ?>
+			<h3><?php echo esc_html( $type_labels[ $type ] ?? $type ); ?></h3>
+			<ul>
+				<?php foreach ( $items as $item ) { ?>
+					<li><?php echo esc_html( $this->get_item_label( $item, $with_productions ) ); ?></li>
+				<?php } ?>
+			</ul>
+		<?php } ?>
+	<?php } ?>
+</body>
+</html>
+		<?php
+		return (string) ob_get_clean();
+	}
+}
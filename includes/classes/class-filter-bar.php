@@ -0,0 +1,385 @@
+<?php
+/**
+ * Filter Bar class
+ *
+ * Renders the front-end filter bar of the references block and the
+ * Interactivity API directives that show and hide its references.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Filter Bar
+ *
+ * Renders the front-end filter bar of the references block and the
+ * Interactivity API directives that show and hide its references.
+ * Filtering happens client-side on the rendered references; the filter
+ * state is kept in the URL, so it is applied on the server as well.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-import-type References from Data_Organizer
+ * @phpstan-import-type Reference_Item from Data_Organizer
+ * @phpstan-type Filter_State array{all_types: array<int, string>, types: array<int, string>, production: int, year: string}
+ */
+class Filter_Bar {
+	/**
+	 * Interactivity API store namespace
+	 *
+	 * @var string
+	 */
+	const STORE_NAMESPACE = 'gatherpress/references';
+
+	/**
+	 * Query arguments keeping the filter state in the URL
+	 *
+	 * @var array<string, string>
+	 */
+	const QUERY_ARGS = array(
+		'types'      => 'references-type',
+		'production' => 'references-production',
+		'year'       => 'references-year',
+	);
+
+	/**
+	 * Get the filter state from the URL
+	 *
+	 * Values that don't match the references are ignored.
+	 *
+	 * @since 0.3.0
+	 * @param References         $references References data.
+	 * @param array<int, string> $types      Type taxonomy slugs present in the references.
+	 * @return Filter_State Filter state.
+	 */
+	public function get_state( array $references, array $types ): array {
+		$state = array(
+			'all_types'  => $types,
+			'types'      => $types,
+			'production' => 0,
+			'year'       => '',
+		);
+
+		$selected_types = array_values( array_intersect( $types, explode( ',', $this->get_query_arg( 'types' ) ) ) );
+		if ( ! empty( $selected_types ) ) {
+			$state['types'] = $selected_types;
+		}
+
+		$production = absint( $this->get_query_arg( 'production' ) );
+		if ( isset( $this->get_productions( $references )[ $production ] ) ) {
+			$state['production'] = $production;
+		}
+
+		$year = $this->get_query_arg( 'year' );
+		if ( isset( $references[ $year ] ) ) {
+			$state['year'] = $year;
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Get the filter query arguments as requested
+	 *
+	 * @since 0.3.0
+	 * @return array<string, string> Sanitized values by filter key, empty if not set.
+	 */
+	public function get_query_args(): array {
+		$query_args = array();
+
+		foreach ( array_keys( self::QUERY_ARGS ) as $filter ) {
+			$query_args[ $filter ] = $this->get_query_arg( $filter );
+		}
+
+		return $query_args;
+	}
+
+	/**
+	 * Get a filter query argument
+	 *
+	 * @since 0.3.0
+	 * @param string $filter Filter key of self::QUERY_ARGS.
+	 * @return string Sanitized value, empty if not set.
+	 */
+	private function get_query_arg( string $filter ): string {
+		$query_arg = self::QUERY_ARGS[ $filter ];
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only changes which references are displayed.
+		if ( ! isset( $_GET[ $query_arg ] ) || ! is_string( $_GET[ $query_arg ] ) ) {
+			return '';
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only changes which references are displayed.
+		return sanitize_text_field( wp_unslash( $_GET[ $query_arg ] ) );
+	}
+
+	/**
+	 * Get the block wrapper attributes that make the block interactive
+	 *
+	 * @since 0.3.0
+	 * @param Filter_State $state Filter state.
+	 * @return array<string, string> Wrapper attributes.
+	 */
+	public function get_wrapper_attributes( array $state ): array {
+		return array(
+			'data-wp-interactive' => self::STORE_NAMESPACE,
+			'data-wp-context'     => (string) wp_json_encode(
+				array(
+					'allTypes' => $state['all_types'],
+					'filters'  => array(
+						'types'      => $state['types'],
+						'production' => $state['production'],
+						'year'       => $state['year'],
+					),
+				)
+			),
+		);
+	}
+
+	/**
+	 * Render the filter bar
+	 *
+	 * @since 0.3.0
+	 * @param References            $references       References data.
+	 * @param Filter_State          $state            Filter state.
+	 * @param array<string, string> $type_labels      Type slug to label mapping.
+	 * @param bool                  $show_types       Whether to offer the type filter.
+	 * @param bool                  $show_productions Whether to offer the production filter.
+	 * @return string Escaped filter bar HTML, empty if there is nothing to filter.
+	 */
+	public function render( array $references, array $state, array $type_labels, bool $show_types, bool $show_productions ): string {
+		$show_types  = $show_types && count( $state['all_types'] ) > 1;
+		$productions = $show_productions ? $this->get_productions( $references ) : array();
+		$show_years  = count( $references ) > 1;
+
+		if ( ! $show_types && empty( $productions ) && ! $show_years ) {
+			return '';
+		}
+
+		ob_start();
+		?>
+		<div class="references-filters" role="group" aria-label="<?php esc_attr_e( 'Filter references', 'gatherpress-references' ); ?>">
+			<?php if ( $show_types ) { ?>
+				<div class="references-filter-types">
+					<?php foreach ( $state['all_types'] as $ref_type ) { ?>
+						<button type="button" class="references-filter-type" data-wp-context="<?php echo esc_attr( (string) wp_json_encode( array( 'filterType' => $ref_type ) ) ); ?>" data-wp-on--click="actions.toggleType" data-wp-bind--aria-pressed="state.isTypeSelected" aria-pressed="<?php echo in_array( $ref_type, $state['types'], true ) ? 'true' : 'false'; ?>">
+							<?php echo esc_html( $type_labels[ $ref_type ] ?? $ref_type ); ?>
+						</button>
+					<?php } ?>
+				</div>
+			<?php } ?>
+
+			<?php if ( ! empty( $productions ) ) { ?>
+				<label class="references-filter">
+					<span class="references-filter-label"><?php esc_html_e( 'Production', 'gatherpress-references' ); ?></span>
+					<select data-wp-on--change="actions.setProduction" data-wp-bind--value="context.filters.production">
+						<option value="0"><?php esc_html_e( 'All productions', 'gatherpress-references' ); ?></option>
+						<?php foreach ( $productions as $production_id => $production_name ) { ?>
+							<option value="<?php echo esc_attr( (string) $production_id ); ?>" <?php selected( $state['production'], $production_id ); ?>><?php echo esc_html( $production_name ); ?></option>
+						<?php } ?>
+					</select>
+				</label>
+			<?php } ?>
+
+			<?php if ( $show_years ) { ?>
+				<label class="references-filter">
+					<span class="references-filter-label"><?php esc_html_e( 'Year', 'gatherpress-references' ); ?></span>
+					<select data-wp-on--change="actions.setYear" data-wp-bind--value="context.filters.year">
+						<option value=""><?php esc_html_e( 'All years', 'gatherpress-references' ); ?></option>
+						<?php foreach ( array_keys( $references ) as $ref_year ) { ?>
+							<option value="<?php echo esc_attr( (string) $ref_year ); ?>" <?php selected( $state['year'], (string) $ref_year ); ?>><?php echo esc_html( (string) $ref_year ); ?></option>
+						<?php } ?>
+					</select>
+				</label>
+			<?php } ?>
+
+			<button type="button" class="references-filter-reset" data-wp-on--click="actions.resetFilters" data-wp-bind--hidden="!state.hasActiveFilters"<?php echo $this->has_active_filters( $state ) ? '' : ' hidden'; ?>>
+				<?php esc_html_e( 'Show all', 'gatherpress-references' ); ?>
+			</button>
+		</div>
+		<?php
+		return (string) ob_get_clean();
+	}
+
+	/**
+	 * Get the directives of a year section
+	 *
+	 * @since 0.3.0
+	 * @param Filter_State|null                         $state    Filter state, null if the filter bar is off.
+	 * @param string                                    $ref_year Year (or decade, or season) key.
+	 * @param array<string, array<int, Reference_Item>> $types    Types with items of that year.
+	 * @return string Escaped HTML attributes, with a leading space.
+	 */
+	public function get_year_attributes( ?array $state, string $ref_year, array $types ): string {
+		if ( null === $state ) {
+			return '';
+		}
+
+		$year_types = array();
+		foreach ( $types as $ref_type => $items ) {
+			if ( ! empty( $items ) ) {
+				$year_types[ $ref_type ] = $this->get_production_ids( $items );
+			}
+		}
+
+		$is_hidden = ( $state['year'] !== '' && $state['year'] !== $ref_year );
+		if ( ! $is_hidden ) {
+			$is_hidden = true;
+			foreach ( $year_types as $ref_type => $production_ids ) {
+				if ( $this->is_type_shown( $state, $ref_type, $production_ids ) ) {
+					$is_hidden = false;
+					break;
+				}
+			}
+		}
+
+		return $this->get_attributes(
+			array(
+				'year'      => $ref_year,
+				'yearTypes' => (object) $year_types,
+			),
+			'state.isYearHidden',
+			$is_hidden
+		);
+	}
+
+	/**
+	 * Get the directives of a type section
+	 *
+	 * @since 0.3.0
+	 * @param Filter_State|null          $state    Filter state, null if the filter bar is off.
+	 * @param string                     $ref_type Type taxonomy slug.
+	 * @param array<int, Reference_Item> $items    Items of that type.
+	 * @return string Escaped HTML attributes, with a leading space.
+	 */
+	public function get_type_attributes( ?array $state, string $ref_type, array $items ): string {
+		if ( null === $state ) {
+			return '';
+		}
+
+		$production_ids = $this->get_production_ids( $items );
+
+		return $this->get_attributes(
+			array(
+				'type'            => $ref_type,
+				'typeProductions' => $production_ids,
+			),
+			'state.isTypeHidden',
+			! $this->is_type_shown( $state, $ref_type, $production_ids )
+		);
+	}
+
+	/**
+	 * Get the directives of a reference item, or of a production group
+	 *
+	 * @since 0.3.0
+	 * @param Filter_State|null $state          Filter state, null if the filter bar is off.
+	 * @param array<int, int>   $production_ids Production IDs of the item.
+	 * @return string Escaped HTML attributes, with a leading space.
+	 */
+	public function get_item_attributes( ?array $state, array $production_ids ): string {
+		if ( null === $state ) {
+			return '';
+		}
+
+		return $this->get_attributes(
+			array( 'itemProductions' => array_values( $production_ids ) ),
+			'state.isItemHidden',
+			$state['production'] > 0 && ! in_array( $state['production'], $production_ids, true )
+		);
+	}
+
+	/**
+	 * Build context and visibility directives
+	 *
+	 * The hidden attribute is rendered right away, so the filter
+	 * state from the URL applies before the store hydrates.
+	 *
+	 * @since 0.3.0
+	 * @param array<string, mixed> $context      Interactivity context.
+	 * @param string               $hidden_state Store state deciding whether the element is hidden.
+	 * @param bool                 $is_hidden    Whether the element is hidden initially.
+	 * @return string Escaped HTML attributes, with a leading space.
+	 */
+	private function get_attributes( array $context, string $hidden_state, bool $is_hidden ): string {
+		return sprintf(
+			' data-wp-context="%s" data-wp-bind--hidden="%s"%s',
+			esc_attr( (string) wp_json_encode( $context ) ),
+			esc_attr( $hidden_state ),
+			$is_hidden ? ' hidden' : ''
+		);
+	}
+
+	/**
+	 * Whether a type is shown with the current filters
+	 *
+	 * @since 0.3.0
+	 * @param Filter_State    $state          Filter state.
+	 * @param string          $ref_type       Type taxonomy slug.
+	 * @param array<int, int> $production_ids Production IDs of the type's items.
+	 * @return bool Whether the type is shown.
+	 */
+	private function is_type_shown( array $state, string $ref_type, array $production_ids ): bool {
+		if ( ! in_array( $ref_type, $state['types'], true ) ) {
+			return false;
+		}
+
+		return $state['production'] === 0 || in_array( $state['production'], $production_ids, true );
+	}
+
+	/**
+	 * Whether any filter differs from showing everything
+	 *
+	 * @since 0.3.0
+	 * @param Filter_State $state Filter state.
+	 * @return bool Whether filters are active.
+	 */
+	private function has_active_filters( array $state ): bool {
+		return count( $state['types'] ) !== count( $state['all_types'] ) || $state['production'] > 0 || $state['year'] !== '';
+	}
+
+	/**
+	 * Get the IDs of all productions of some items
+	 *
+	 * @since 0.3.0
+	 * @param array<int, Reference_Item> $items Reference items.
+	 * @return array<int, int> Production IDs.
+	 */
+	private function get_production_ids( array $items ): array {
+		$production_ids = array();
+		foreach ( $items as $item ) {
+			foreach ( $item['productions'] as $production ) {
+				$production_ids[ $production['id'] ] = $production['id'];
+			}
+		}
+
+		return array_values( $production_ids );
+	}
+
+	/**
+	 * Get all productions of the references
+	 *
+	 * @since 0.3.0
+	 * @param References $references References data.
+	 * @return array<int, string> Production names keyed by ID, sorted by name.
+	 */
+	private function get_productions( array $references ): array {
+		$productions = array();
+		foreach ( $references as $types ) {
+			foreach ( $types as $items ) {
+				foreach ( $items as $item ) {
+					foreach ( $item['productions'] as $production ) {
+						$productions[ $production['id'] ] = $production['name'];
+					}
+				}
+			}
+		}
+
+		natcasesort( $productions );
+
+		return $productions;
+	}
+}
@@ -0,0 +1,143 @@
+<?php
+/**
+ * Import Command class
+ *
+ * WP-CLI command importing historical references from CSV files.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Imports historical references from CSV files.
+ *
+ * ## EXAMPLES
+ *
+ *     # Check what a file would import.
+ *     $ wp gatherpress-references import references.csv --dry-run
+ *
+ *     # Import a file with custom column headers.
+ *     $ wp gatherpress-references import references.csv --map=Premiere:date,Play:_gatherpress-production
+ *
+ * @since 0.3.0
+ */
+class Import_Command {
+	/**
+	 * CSV importer instance
+	 *
+	 * @var Csv_Importer
+	 */
+	private Csv_Importer $csv_importer;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Csv_Importer $csv_importer CSV importer instance.
+	 */
+	public function __construct( Csv_Importer $csv_importer ) {
+		$this->csv_importer = $csv_importer;
+	}
+
+	/**
+	 * Imports historical references from a CSV file.
+	 *
+	 * Each row becomes a past event, or adds its terms to an event with
+	 * the same title on the same date. Separate several terms in one
+	 * cell with "|". Missing terms are created.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <file>
+	 * : Path of the CSV file, with a header row.
+	 *
+	 * [--post_type=<post_type>]
+	 * : Post type of the events.
+	 * ---
+	 * default: gatherpress_event
+	 * ---
+	 *
+	 * [--map=<mapping>]
+	 * : Comma-separated pairs of column header and field: "date", "title"
+	 * or a taxonomy slug. Guessed from the headers if omitted.
+	 *
+	 * [--dry-run]
+	 * : Only report what would be imported.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     $ wp gatherpress-references import references.csv --dry-run
+	 *     Warning: Line 4: Invalid date "spring".
+	 *     +---------------------+---------------------+
+	 *     | taxonomy            | terms               |
+	 *     +---------------------+---------------------+
+	 *     | _gatherpress-client | Staatstheater Mainz |
+	 *     +---------------------+---------------------+
+	 *     Success: Dry run: would import 12 rows, creating 10 events and reusing 2.
+	 *
+	 * @since 0.3.0
+	 * @param array<int, string>         $args       Positional arguments.
+	 * @param array<string, string|bool> $assoc_args Associative arguments.
+	 * @return void
+	 */
+	public function __invoke( array $args, array $assoc_args ): void {
+		$post_type = isset( $assoc_args['post_type'] ) && is_string( $assoc_args['post_type'] ) ? $assoc_args['post_type'] : 'gatherpress_event';
+		$mapping   = isset( $assoc_args['map'] ) && is_string( $assoc_args['map'] ) ? $this->parse_mapping( $assoc_args['map'] ) : array();
+		$dry_run   = ! empty( $assoc_args['dry-run'] );
+
+		$report = $this->csv_importer->import( $args[0], $post_type, $mapping, $dry_run );
+
+		if ( is_wp_error( $report ) ) {
+			\WP_CLI::error( $report->get_error_message() );
+			return;
+		}
+
+		foreach ( $report['errors'] as $line => $message ) {
+			\WP_CLI::warning( sprintf( 'Line %d: %s', $line, $message ) );
+		}
+
+		$terms = array();
+		foreach ( $report['terms_created'] as $taxonomy => $names ) {
+			$terms[] = array(
+				'taxonomy' => $taxonomy,
+				'terms'    => implode( ', ', $names ),
+			);
+		}
+
+		if ( ! empty( $terms ) ) {
+			\WP_CLI\Utils\format_items( 'table', $terms, array( 'taxonomy', 'terms' ) );
+		}
+
+		$imported = $report['rows'] - count( $report['errors'] );
+
+		\WP_CLI::success(
+			$dry_run
+				? sprintf( 'Dry run: would import %d rows, creating %d events and reusing %d.', $imported, $report['events_created'], $report['events_reused'] )
+				: sprintf( 'Imported %d rows, created %d events and reused %d.', $imported, $report['events_created'], $report['events_reused'] )
+		);
+	}
+
+	/**
+	 * Parse the mapping option
+	 *
+	 * @since 0.3.0
+	 * @param string $mapping Comma-separated pairs of column header and field, like "Premiere:date".
+	 * @return array<string, string> Field keys, keyed by column header.
+	 */
+	private function parse_mapping( string $mapping ): array {
+		$fields = array();
+
+		foreach ( explode( ',', $mapping ) as $pair ) {
+			$parts = explode( ':', $pair, 2 );
+
+			if ( 2 === count( $parts ) ) {
+				$fields[ trim( $parts[0] ) ] = trim( $parts[1] );
+			}
+		}
+
+		return $fields;
+	}
+}
@@ -17,6 +17,8 @@ defined( 'ABSPATH' ) || exit;
  * Constructs WP_Query arguments based on filters and configuration.
  *
  * @since 0.1.0
+ *
+ * @phpstan-import-type Reference_Options from Data_Organizer
  */
 class Query_Builder {
 	/**
@@ -40,13 +42,14 @@ class Query_Builder {
 	 * Build query arguments
 	 *
 	 * @since 0.1.0
-	 * @param string $post_type   Post type slug.
-	 * @param int    $ref_term_id Reference term ID.
-	 * @param int    $year        Year filter.
-	 * @param string $type        Reference type filter.
+	 * @param string            $post_type   Post type slug.
+	 * @param int               $ref_term_id Reference term ID.
+	 * @param int               $year        Year filter.
+	 * @param string            $type        Reference type filter.
+	 * @param Reference_Options $options     Year range options, used if no single year is given.
 	 * @return array<mixed> WP_Query arguments.
 	 */
-	public function build_args( string $post_type, int $ref_term_id, int $year, string $type ): array {
+	public function build_args( string $post_type, int $ref_term_id, int $year, string $type, array $options = array() ): array {
 		$config = $this->config_manager->get_config( $post_type );
 
 		if ( ! $config ) {
@@ -66,6 +69,11 @@ class Query_Builder {
 			$args['date_query'] = array(
 				array( 'year' => $year ),
 			);
+		} else {
+			$date_query = $this->build_year_range_query( $options['year_from'] ?? 0, $options['year_to'] ?? 0 );
+			if ( ! empty( $date_query ) ) {
+				$args['date_query'] = $date_query;
+			}
 		}
 
 		/**
@@ -78,6 +86,7 @@ class Query_Builder {
 		 * @param int          $ref_term_id Reference term ID.
 		 * @param int          $year        Year filter.
 		 * @param string       $type        Reference type filter.
+		 * @param array<mixed> $options     Year range and grouping options.
 		 * @return array<mixed> Modified WP_Query arguments.
 		 *
 		 * @example
@@ -95,7 +104,7 @@ class Query_Builder {
 		 * } );
 		 * ```
 		 */
-		$return_args = apply_filters( 'gatherpress_references_query_args', $args, $post_type, $ref_term_id, $year, $type );
+		$return_args = apply_filters( 'gatherpress_references_query_args', $args, $post_type, $ref_term_id, $year, $type, $options );
 		// @phpstan-ignore-next-line -- Ensure the filter returns an array, otherwise fallback to original args.
 		return is_array( $return_args ) ? $return_args : $args;
 	}
@@ -110,7 +119,7 @@ class Query_Builder {
 	private function get_base_args( string $post_type ): array {
 		$args = array(
 			'post_type'              => $post_type,
-			'posts_per_page'         => 999, // phpcs:ignore WordPress.WP.PostsPerPage.posts_per_page_posts_per_page -- Large number to get all references, pagination is handled in PHP.
+			'posts_per_page'         => -1, // phpcs:ignore WordPress.WP.PostsPerPage.posts_per_page_posts_per_page -- All references are needed, as they are organized into years and types. Only IDs are queried, and the result is cached.
 			'post_status'            => 'publish',
 			'orderby'                => 'date',
 			'order'                  => 'DESC',
@@ -127,6 +136,34 @@ class Query_Builder {
 		return $args;
 	}
 
+	/**
+	 * Build year range query
+	 *
+	 * @since 0.3.0
+	 * @param int $year_from First year to include, 0 for no lower bound.
+	 * @param int $year_to   Last year to include, 0 for no upper bound.
+	 * @return array<int, array{year: int, compare: string}> Date query.
+	 */
+	private function build_year_range_query( int $year_from, int $year_to ): array {
+		$date_query = array();
+
+		if ( $year_from > 0 ) {
+			$date_query[] = array(
+				'year'    => $year_from,
+				'compare' => '>=',
+			);
+		}
+
+		if ( $year_to > 0 ) {
+			$date_query[] = array(
+				'year'    => $year_to,
+				'compare' => '<=',
+			);
+		}
+
+		return $date_query;
+	}
+
 	/**
 	 * Build taxonomy query
 	 *
@@ -0,0 +1,484 @@
+<?php
+/**
+ * REST Controller class
+ *
+ * Registers the REST API routes that expose organized reference data.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * REST Controller
+ *
+ * Registers the REST API routes that expose organized reference data.
+ * Used by the block editor preview, and available to headless frontends
+ * and other consumers outside the block.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-import-type References from Data_Organizer
+ * @phpstan-import-type Reference_Item from Data_Organizer
+ */
+class Rest_Controller {
+	/**
+	 * REST namespace
+	 *
+	 * @var string
+	 */
+	const REST_NAMESPACE = 'gatherpress-references/v1';
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Data provider instance
+	 *
+	 * @var Data_Provider
+	 */
+	private Data_Provider $data_provider;
+
+	/**
+	 * Data organizer instance
+	 *
+	 * @var Data_Organizer
+	 */
+	private Data_Organizer $data_organizer;
+
+	/**
+	 * Taxonomy manager instance
+	 *
+	 * @var Taxonomy_Manager
+	 */
+	private Taxonomy_Manager $taxonomy_manager;
+
+	/**
+	 * Exporter instance
+	 *
+	 * @var Exporter
+	 */
+	private Exporter $exporter;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager   $config_manager   Config manager instance.
+	 * @param Data_Provider    $data_provider    Data provider instance.
+	 * @param Data_Organizer   $data_organizer   Data organizer instance.
+	 * @param Taxonomy_Manager $taxonomy_manager Taxonomy manager instance.
+	 * @param Exporter         $exporter         Exporter instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Data_Provider $data_provider, Data_Organizer $data_organizer, Taxonomy_Manager $taxonomy_manager, Exporter $exporter ) {
+		$this->config_manager   = $config_manager;
+		$this->data_provider    = $data_provider;
+		$this->data_organizer   = $data_organizer;
+		$this->taxonomy_manager = $taxonomy_manager;
+		$this->exporter         = $exporter;
+	}
+
+	/**
+	 * Register REST routes
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/references',
+			array(
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'get_references' ),
+				'permission_callback' => '__return_true',
+				'args'                => $this->get_references_args(),
+			)
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			Exporter::REST_ROUTE,
+			array(
+				'methods'             => \WP_REST_Server::READABLE,
+				'callback'            => array( $this, 'export_references' ),
+				'permission_callback' => '__return_true',
+				'args'                => $this->get_export_args(),
+			)
+		);
+	}
+
+	/**
+	 * Get the argument schema for the references route
+	 *
+	 * @since 0.3.0
+	 * @return array<string, array<string, mixed>> Route arguments.
+	 */
+	private function get_references_args(): array {
+		return array(
+			'post_type'           => array(
+				'description'       => __( 'Post type to query for references.', 'gatherpress-references' ),
+				'type'              => 'string',
+				'required'          => true,
+				'sanitize_callback' => 'sanitize_key',
+				'validate_callback' => array( $this, 'validate_post_type' ),
+			),
+			'ref_term_id'         => array(
+				'description' => __( 'Reference term ID, 0 for all terms.', 'gatherpress-references' ),
+				'type'        => 'integer',
+				'default'     => 0,
+				'minimum'     => 0,
+			),
+			'year'                => array(
+				'description'       => __( 'Year filter, 0 for all years.', 'gatherpress-references' ),
+				'type'              => 'integer',
+				'default'           => 0,
+				'validate_callback' => array( $this, 'validate_year' ),
+			),
+			'year_from'           => array(
+				'description'       => __( 'First year to include, 0 for no lower bound. Ignored if a year is given.', 'gatherpress-references' ),
+				'type'              => 'integer',
+				'default'           => 0,
+				'validate_callback' => array( $this, 'validate_year' ),
+			),
+			'year_to'             => array(
+				'description'       => __( 'Last year to include, 0 for no upper bound. Ignored if a year is given.', 'gatherpress-references' ),
+				'type'              => 'integer',
+				'default'           => 0,
+				'validate_callback' => array( $this, 'validate_year' ),
+			),
+			'last_years'          => array(
+				'description' => __( 'Only include the last N years, including the current one. Overrides year_from and year_to.', 'gatherpress-references' ),
+				'type'        => 'integer',
+				'default'     => 0,
+				'minimum'     => 0,
+				'maximum'     => Data_Provider::MAX_LAST_YEARS,
+			),
+			'group_by'            => array(
+				'description' => __( 'Period to group references by.', 'gatherpress-references' ),
+				'type'        => 'string',
+				'default'     => 'year',
+				'enum'        => Data_Organizer::GROUP_BY_PERIODS,
+			),
+			'season_start'        => array(
+				'description' => __( 'Month seasons start in, when grouping by season.', 'gatherpress-references' ),
+				'type'        => 'integer',
+				'default'     => 8,
+				'minimum'     => 1,
+				'maximum'     => 12,
+			),
+			'type'                => array(
+				'description'       => __( 'Reference type taxonomy, or "all".', 'gatherpress-references' ),
+				'type'              => 'string',
+				'default'           => 'all',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			'sort_order'          => array(
+				'description' => __( 'Year sort order.', 'gatherpress-references' ),
+				'type'        => 'string',
+				'default'     => 'desc',
+				'enum'        => array( 'asc', 'desc' ),
+			),
+			'item_sort'           => array(
+				'description' => __( 'Item sort order within each type.', 'gatherpress-references' ),
+				'type'        => 'string',
+				'default'     => 'alphabetical',
+				'enum'        => Data_Organizer::ITEM_SORT_ORDERS,
+			),
+			'item_secondary_sort' => array(
+				'description' => __( 'Item sort order for items the item sort order considers equal.', 'gatherpress-references' ),
+				'type'        => 'string',
+				'default'     => 'alphabetical',
+				'enum'        => Data_Organizer::ITEM_SORT_ORDERS,
+			),
+			'type_order'          => array(
+				'description' => __( 'Reference type taxonomies in the order they should be listed per year.', 'gatherpress-references' ),
+				'type'        => 'array',
+				'default'     => array(),
+				'items'       => array(
+					'type' => 'string',
+				),
+			),
+			'exclude'             => array(
+				'description' => __( 'IDs of reference terms to leave out.', 'gatherpress-references' ),
+				'type'        => 'array',
+				'default'     => array(),
+				'items'       => array(
+					'type' => 'integer',
+				),
+			),
+			'details'             => array(
+				'description' => __( 'Whether to add the logo URL, location, category and description of each item.', 'gatherpress-references' ),
+				'type'        => 'boolean',
+				'default'     => false,
+			),
+		);
+	}
+
+	/**
+	 * Get the argument schema for the export route
+	 *
+	 * @since 0.3.0
+	 * @return array<string, array<string, mixed>> Route arguments.
+	 */
+	private function get_export_args(): array {
+		$args = $this->get_references_args();
+		unset( $args['details'] );
+
+		$args['types']  = array(
+			'description' => __( 'Reference type taxonomies to include, all if empty.', 'gatherpress-references' ),
+			'type'        => 'array',
+			'default'     => array(),
+			'items'       => array(
+				'type' => 'string',
+			),
+		);
+		$args['period'] = array(
+			'description'       => __( 'Year, decade or season to include, all if empty. Must be one of the organized references.', 'gatherpress-references' ),
+			'type'              => 'string',
+			'default'           => '',
+			'sanitize_callback' => 'sanitize_text_field',
+		);
+		$args['format'] = array(
+			'description' => __( 'Export format.', 'gatherpress-references' ),
+			'type'        => 'string',
+			'default'     => 'csv',
+			'enum'        => Exporter::FORMATS,
+		);
+
+		return $args;
+	}
+
+	/**
+	 * Validate the post type argument
+	 *
+	 * @since 0.3.0
+	 * @param mixed $value Post type slug.
+	 * @return bool True if the post type supports references.
+	 */
+	public function validate_post_type( $value ): bool {
+		return is_string( $value ) && null !== $this->config_manager->get_config( sanitize_key( $value ) );
+	}
+
+	/**
+	 * Validate a year argument
+	 *
+	 * Accepts 0 for none, or a year from Data_Provider::MIN_YEAR up to next year.
+	 *
+	 * @since 0.3.0
+	 * @param mixed $value Argument value.
+	 * @return bool Whether the value is a valid year.
+	 */
+	public function validate_year( $value ): bool {
+		return rest_is_integer( $value ) && Data_Provider::is_valid_year( (int) $value );
+	}
+
+	/**
+	 * Get organized references
+	 *
+	 * @since 0.3.0
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response with a list of years (or decades, or seasons), each holding its reference types.
+	 */
+	public function get_references( \WP_REST_Request $request ) {
+		$post_type = $request->get_param( 'post_type' );
+		$post_type = is_string( $post_type ) ? $post_type : '';
+		$type      = $request->get_param( 'type' );
+		$type      = is_string( $type ) ? $type : 'all';
+		$group_by  = $request->get_param( 'group_by' );
+		$config    = $this->config_manager->get_config( $post_type );
+
+		if ( ! $config ) {
+			return new \WP_Error(
+				'gatherpress_references_invalid_post_type',
+				__( 'The post type does not support references.', 'gatherpress-references' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		if ( $type !== 'all' && ! in_array( $type, $config['ref_types'], true ) ) {
+			return new \WP_Error(
+				'gatherpress_references_invalid_type',
+				__( 'The reference type is not configured for this post type.', 'gatherpress-references' ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$references = $this->data_provider->get_references(
+			$post_type,
+			absint( $request->get_param( 'ref_term_id' ) ),
+			absint( $request->get_param( 'year' ) ),
+			$type,
+			array(
+				'year_from'    => absint( $request->get_param( 'year_from' ) ),
+				'year_to'      => absint( $request->get_param( 'year_to' ) ),
+				'last_years'   => absint( $request->get_param( 'last_years' ) ),
+				'group_by'     => is_string( $group_by ) ? $group_by : 'year',
+				'season_start' => absint( $request->get_param( 'season_start' ) ),
+			)
+		);
+
+		$exclude    = $request->get_param( 'exclude' );
+		$references = $this->data_organizer->exclude_terms( $references, is_array( $exclude ) ? array_map( 'absint', $exclude ) : array() );
+
+		$sort_order = $request->get_param( 'sort_order' );
+		$references = $this->data_organizer->sort_years( $references, $sort_order === 'asc' ? 'asc' : 'desc' );
+
+		$item_sort  = $request->get_param( 'item_sort' );
+		$secondary  = $request->get_param( 'item_secondary_sort' );
+		$references = $this->data_organizer->sort_items( $references, is_string( $item_sort ) ? $item_sort : 'alphabetical', is_string( $secondary ) ? $secondary : 'alphabetical' );
+
+		$type_order = $request->get_param( 'type_order' );
+		if ( is_array( $type_order ) && ! empty( $type_order ) ) {
+			$references = $this->data_organizer->apply_type_order( $references, array_map( 'strval', $type_order ) );
+		}
+
+		$prepared = $this->prepare_references( $references, $this->config_manager->get_type_labels( $config['ref_types'] ) );
+
+		if ( true === $request->get_param( 'details' ) ) {
+			$prepared = $this->add_item_details( $prepared );
+		}
+
+		return rest_ensure_response( $prepared );
+	}
+
+	/**
+	 * Export references
+	 *
+	 * The export is served as is by serve_export(), not as JSON. Print
+	 * views open in the browser, other formats download.
+	 *
+	 * @since 0.3.0
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request object.
+	 * @return \WP_REST_Response|\WP_Error Response with the exported references as a string.
+	 */
+	public function export_references( \WP_REST_Request $request ) {
+		$args = $this->exporter->prepare_args( $request->get_params() );
+
+		if ( is_wp_error( $args ) ) {
+			return $args;
+		}
+
+		$format      = $request->get_param( 'format' );
+		$format      = is_string( $format ) && in_array( $format, Exporter::FORMATS, true ) ? $format : 'csv';
+		$disposition = 'print' === $format ? 'inline' : 'attachment';
+
+		return new \WP_REST_Response(
+			$this->exporter->export( $format, $args ),
+			200,
+			array(
+				'Content-Type'        => $this->exporter->get_content_type( $format ),
+				'Content-Disposition' => sprintf( '%s; filename="%s"', $disposition, $this->exporter->get_filename( $format, $args ) ),
+				'X-Robots-Tag'        => 'noindex',
+			)
+		);
+	}
+
+	/**
+	 * Serve exports without JSON encoding
+	 *
+	 * Hooked to rest_pre_serve_request, which runs after the response
+	 * headers were sent.
+	 *
+	 * @since 0.3.0
+	 * @param bool                                   $served  Whether the request was already served.
+	 * @param \WP_HTTP_Response                      $result  Result to send.
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request object.
+	 * @return bool True if an export was served.
+	 */
+	public function serve_export( bool $served, \WP_HTTP_Response $result, \WP_REST_Request $request ): bool {
+		if ( $served || '/' . self::REST_NAMESPACE . Exporter::REST_ROUTE !== $request->get_route() ) {
+			return $served;
+		}
+
+		$data = $result->get_data();
+
+		if ( 200 !== $result->get_status() || ! is_string( $data ) ) {
+			return $served;
+		}
+
+		echo $data; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by the exporter, or not HTML.
+
+		return true;
+	}
+
+	/**
+	 * Prepare organized references for a response
+	 *
+	 * Converts the year => type => items map into lists, because JSON
+	 * consumers would otherwise lose the order of numeric year keys.
+	 *
+	 * @since 0.3.0
+	 * @param References            $references  References data.
+	 * @param array<string, string> $type_labels Type labels.
+	 * @return array<int, array{year: string, types: array<int, array{slug: string, label: string, items: array<int, Reference_Item>}>}> Prepared references.
+	 */
+	private function prepare_references( array $references, array $type_labels ): array {
+		$prepared = array();
+
+		foreach ( $references as $year => $types ) {
+			$prepared_types = array();
+
+			foreach ( $types as $type_slug => $items ) {
+				$prepared_types[] = array(
+					'slug'  => $type_slug,
+					'label' => $type_labels[ $type_slug ] ?? $type_slug,
+					'items' => $items,
+				);
+			}
+
+			$prepared[] = array(
+				'year'  => (string) $year,
+				'types' => $prepared_types,
+			);
+		}
+
+		return $prepared;
+	}
+
+	/**
+	 * Add the term details to each item of prepared references
+	 *
+	 * @since 0.3.0
+	 * @param array<int, array{year: string, types: array<int, array{slug: string, label: string, items: array<int, Reference_Item>}>}> $prepared Prepared references.
+	 * @return array<int, array{year: string, types: array<int, array{slug: string, label: string, items: array<int, array<string, mixed>>}>}> Prepared references, items with their details.
+	 */
+	private function add_item_details( array $prepared ): array {
+		$term_ids = array();
+		foreach ( $prepared as $year ) {
+			foreach ( $year['types'] as $type ) {
+				$term_ids = array_merge( $term_ids, array_column( $type['items'], 'id' ) );
+			}
+		}
+
+		$details = $this->taxonomy_manager->get_term_details( $term_ids );
+
+		foreach ( $prepared as $year_index => $year ) {
+			foreach ( $year['types'] as $type_index => $type ) {
+				foreach ( $type['items'] as $item_index => $item ) {
+					if ( ! isset( $details[ $item['id'] ] ) ) {
+						continue;
+					}
+
+					$term_details = $details[ $item['id'] ];
+					$logo_url     = $term_details['logo'] ? wp_get_attachment_image_url( $term_details['logo'], 'medium' ) : false;
+
+					$prepared[ $year_index ]['types'][ $type_index ]['items'][ $item_index ]['details'] = array(
+						'logo'        => false !== $logo_url ? $logo_url : '',
+						'location'    => implode( ', ', array_filter( array( $term_details['city'], $term_details['country'] ) ) ),
+						'category'    => $term_details['category'],
+						'description' => $term_details['description'],
+					);
+				}
+			}
+		}
+
+		return $prepared;
+	}
+}
@@ -0,0 +1,475 @@
+<?php
+/**
+ * Schema Generator class
+ *
+ * Describes references as schema.org structured data.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Schema Generator
+ *
+ * Describes references as schema.org structured data in JSON-LD.
+ * Each referenced post is an Event performed by the site, with the
+ * production as its CreativeWork. Reference types take a role: clients
+ * organize events, festivals are their super events, and awards are
+ * awards of the production. The JSON-LD is generated from the organized
+ * references data and cached along with it.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-import-type References from Data_Organizer
+ * @phpstan-import-type Term_Details from Taxonomy_Manager
+ */
+class Schema_Generator {
+	/**
+	 * Roles reference types can take
+	 *
+	 * @var array<int, string>
+	 */
+	const ROLES = array( 'organizer', 'festival', 'award' );
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Cache manager instance
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Taxonomy manager instance
+	 *
+	 * @var Taxonomy_Manager
+	 */
+	private Taxonomy_Manager $taxonomy_manager;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager   $config_manager   Config manager instance.
+	 * @param Cache_Manager    $cache_manager    Cache manager instance.
+	 * @param Taxonomy_Manager $taxonomy_manager Taxonomy manager instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Cache_Manager $cache_manager, Taxonomy_Manager $taxonomy_manager ) {
+		$this->config_manager   = $config_manager;
+		$this->cache_manager    = $cache_manager;
+		$this->taxonomy_manager = $taxonomy_manager;
+	}
+
+	/**
+	 * Get the JSON-LD script describing references
+	 *
+	 * The script is cached with a key including the key of the
+	 * references data, so both are invalidated together. As terms are
+	 * excluded after the references data is cached, the key includes
+	 * the excluded terms as well.
+	 *
+	 * @since 0.3.0
+	 * @param References      $references     References data, without the excluded terms.
+	 * @param string          $post_type      Post type slug.
+	 * @param string          $data_cache_key Cache key of the references data.
+	 * @param array<int, int> $excluded_terms Term IDs excluded from the references.
+	 * @return string Script tag, empty if there is nothing to describe.
+	 */
+	public function get_script( array $references, string $post_type, string $data_cache_key, array $excluded_terms = array() ): string {
+		sort( $excluded_terms );
+
+		$cache_key = $this->cache_manager->get_output_cache_key(
+			$data_cache_key,
+			array(
+				'schema'         => true,
+				'locale'         => determine_locale(),
+				'excluded_terms' => $excluded_terms,
+			)
+		);
+
+		$script = $this->cache_manager->get_output( $cache_key );
+
+		if ( false !== $script ) {
+			return $script;
+		}
+
+		$graph  = $this->generate( $references, $post_type );
+		$script = '';
+
+		if ( ! empty( $graph ) ) {
+			$json = wp_json_encode(
+				array(
+					'@context' => 'https://schema.org',
+					'@graph'   => $graph,
+				),
+				JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE
+			);
+
+			$script = false !== $json ? '<script type="application/ld+json">' . $json . '</script>' : '';
+		}
+
+		$this->cache_manager->set_output( $cache_key, $script );
+
+		return $script;
+	}
+
+	/**
+	 * Generate the schema.org graph of references
+	 *
+	 * @since 0.3.0
+	 * @param References $references References data.
+	 * @param string     $post_type  Post type slug.
+	 * @return array<int, array<string, mixed>> Nodes of the graph.
+	 */
+	public function generate( array $references, string $post_type ): array {
+		$config = $this->config_manager->get_config( $post_type );
+
+		if ( ! $config ) {
+			return array();
+		}
+
+		$roles = $this->get_roles( $post_type, $config['ref_types'] );
+
+		// Collect the terms of each post by role, and the names and taxonomies of all terms.
+		$post_terms = array();
+		$terms      = array();
+		foreach ( $references as $types ) {
+			foreach ( $types as $taxonomy => $items ) {
+				if ( ! isset( $roles[ $taxonomy ] ) ) {
+					continue;
+				}
+
+				foreach ( $items as $item ) {
+					$terms[ $item['id'] ] = array(
+						'name'     => $item['name'],
+						'taxonomy' => $taxonomy,
+					);
+
+					foreach ( $item['posts'] as $post_id ) {
+						$post_terms[ $post_id ][ $roles[ $taxonomy ] ][ $item['id'] ] = $item['id'];
+					}
+				}
+			}
+		}
+
+		if ( empty( $post_terms ) ) {
+			return array();
+		}
+
+		$post_ids    = array_keys( $post_terms );
+		$productions = $this->get_productions( $post_ids, $post_type, $config['ref_tax'] );
+		$start_dates = $this->get_start_dates( $post_type, $post_ids );
+		$details     = $this->taxonomy_manager->get_term_details( array_keys( $terms ) );
+		$performer   = $this->get_performer();
+
+		_prime_post_caches( $post_ids, false, false );
+
+		$events      = array();
+		$works       = array();
+		$term_nodes  = array();
+		$work_awards = array();
+		foreach ( $post_terms as $post_id => $roles_terms ) {
+			$post = get_post( $post_id );
+
+			if ( ! $post instanceof \WP_Post ) {
+				continue;
+			}
+
+			$url   = (string) get_permalink( $post );
+			$event = array(
+				'@type'     => 'Event',
+				'@id'       => $url . '#event',
+				'name'      => html_entity_decode( get_the_title( $post ), ENT_QUOTES, 'UTF-8' ),
+				'url'       => $url,
+				'performer' => array( '@id' => $performer['@id'] ),
+			);
+
+			if ( isset( $start_dates[ $post_id ] ) ) {
+				$event['startDate'] = $start_dates[ $post_id ];
+			}
+
+			foreach ( $productions[ $post_id ] ?? array() as $production ) {
+				if ( ! isset( $works[ $production->term_id ] ) ) {
+					$works[ $production->term_id ] = $this->get_term_node( 'CreativeWork', $production->term_id, $production->name, $production->taxonomy, null );
+				}
+
+				$event['workPerformed'][] = array( '@id' => $works[ $production->term_id ]['@id'] );
+
+				// Awards of the event are awards of its productions.
+				foreach ( $roles_terms['award'] ?? array() as $award_id ) {
+					$work_awards[ $production->term_id ][ $award_id ] = $terms[ $award_id ]['name'];
+				}
+			}
+
+			foreach ( array( 'organizer' => 'Organization', 'festival' => 'Festival' ) as $role => $type ) {
+				foreach ( $roles_terms[ $role ] ?? array() as $term_id ) {
+					if ( ! isset( $term_nodes[ $term_id ] ) ) {
+						$term_nodes[ $term_id ] = $this->get_term_node( $type, $term_id, $terms[ $term_id ]['name'], $terms[ $term_id ]['taxonomy'], $details[ $term_id ] ?? null );
+					}
+
+					$event[ 'organizer' === $role ? 'organizer' : 'superEvent' ][] = array( '@id' => $term_nodes[ $term_id ]['@id'] );
+				}
+			}
+
+			$events[] = $event;
+		}
+
+		foreach ( $work_awards as $term_id => $awards ) {
+			$works[ $term_id ]['award'] = array_values( $awards );
+		}
+
+		$graph = array_merge( array( $performer ), $events, array_values( $works ), array_values( $term_nodes ) );
+
+		/**
+		 * Filters the schema.org graph describing references.
+		 *
+		 * @since 0.3.0
+		 *
+		 * @param array<int, array<string, mixed>> $graph      Nodes of the graph.
+		 * @param string                           $post_type  Post type slug.
+		 * @param array<string, mixed>             $references References data the graph is generated from.
+		 * @return array<int, array<string, mixed>> Filtered nodes.
+		 *
+		 * @example
+		 * Describe the performing company as a theater group:
+		 * ```php
+		 * add_filter( 'gatherpress_references_schema_graph', function ( $graph ) {
+		 *     $graph[0]['@type'] = 'TheaterGroup';
+		 *     return $graph;
+		 * } );
+		 * ```
+		 */
+		$graph = apply_filters( 'gatherpress_references_schema_graph', $graph, $post_type, $references );
+
+		return is_array( $graph ) ? array_values( array_filter( $graph, 'is_array' ) ) : array();
+	}
+
+	/**
+	 * Get the roles of the reference types of a post type
+	 *
+	 * @since 0.3.0
+	 * @param string             $post_type  Post type slug.
+	 * @param array<int, string> $taxonomies Reference type taxonomies.
+	 * @return array<string, string> Roles keyed by taxonomy slug.
+	 */
+	private function get_roles( string $post_type, array $taxonomies ): array {
+		/**
+		 * Filters the roles reference types take in structured data.
+		 *
+		 * Clients organize events ('organizer'), festivals are their
+		 * super events ('festival'), and awards are awards of the
+		 * production ('award'). Types without a role are left out.
+		 *
+		 * @since 0.3.0
+		 *
+		 * @param array<string, string> $roles     Roles keyed by taxonomy slug.
+		 * @param string                $post_type Post type slug.
+		 * @return array<string, string> Filtered roles.
+		 *
+		 * @example
+		 * Describe venues as organizers:
+		 * ```php
+		 * add_filter( 'gatherpress_references_schema_roles', function ( $roles ) {
+		 *     $roles['_gatherpress-venue'] = 'organizer';
+		 *     return $roles;
+		 * } );
+		 * ```
+		 */
+		$roles = apply_filters(
+			'gatherpress_references_schema_roles',
+			array(
+				'_gatherpress-client'   => 'organizer',
+				'_gatherpress-festival' => 'festival',
+				'_gatherpress-award'    => 'award',
+			),
+			$post_type
+		);
+
+		$valid = array();
+		foreach ( is_array( $roles ) ? $roles : array() as $taxonomy => $role ) {
+			if ( in_array( $taxonomy, $taxonomies, true ) && in_array( $role, self::ROLES, true ) ) {
+				$valid[ (string) $taxonomy ] = (string) $role;
+			}
+		}
+
+		return $valid;
+	}
+
+	/**
+	 * Get the productions of posts
+	 *
+	 * @since 0.3.0
+	 * @param array<int, int> $post_ids  Post IDs.
+	 * @param string          $post_type Post type slug.
+	 * @param string          $ref_tax   Reference taxonomy.
+	 * @return array<int, array<int, \WP_Term>> Terms keyed by post ID.
+	 */
+	private function get_productions( array $post_ids, string $post_type, string $ref_tax ): array {
+		update_object_term_cache( $post_ids, $post_type );
+
+		$productions = array();
+		foreach ( $post_ids as $post_id ) {
+			$terms = get_the_terms( $post_id, $ref_tax );
+
+			if ( is_array( $terms ) ) {
+				$productions[ $post_id ] = $terms;
+			}
+		}
+
+		return $productions;
+	}
+
+	/**
+	 * Get the start dates of posts
+	 *
+	 * The start date of GatherPress events, the publish date of other posts.
+	 *
+	 * @since 0.3.0
+	 * @param string          $post_type Post type slug.
+	 * @param array<int, int> $post_ids  Post IDs.
+	 * @return array<int, string> ISO 8601 dates keyed by post ID.
+	 */
+	private function get_start_dates( string $post_type, array $post_ids ): array {
+		/**
+		 * Help phpstan understand $wpdb is global.
+		 *
+		 * @var \wpdb $wpdb WordPress database abstraction object.
+		 */
+		global $wpdb;
+
+		$safe_ids     = array_map( 'intval', $post_ids );
+		$placeholders = implode( ',', array_fill( 0, count( $safe_ids ), '%d' ) );
+
+		if ( $post_type === 'gatherpress_event' ) {
+			$table = $wpdb->prefix . 'gatherpress_events';
+			/**
+			 * Threat as literal string since the table name is dynamic, but we are controlling it and it's not coming from user input, so it should be safe.
+			 *
+			 * @var literal-string $sql
+			 */
+			$sql = "SELECT post_id, datetime_start_gmt AS date_gmt FROM {$table} WHERE post_id IN ({$placeholders})";
+		} else {
+			/**
+			 * Threat as literal string since the table name is dynamic, but we are controlling it and it's not coming from user input, so it should be safe.
+			 *
+			 * @var literal-string $sql
+			 */
+			$sql = "SELECT ID AS post_id, post_date_gmt AS date_gmt FROM {$wpdb->posts} WHERE ID IN ({$placeholders})";
+		}
+
+		$results = $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Cached as part of the structured data.
+			$wpdb->prepare( $sql, ...$safe_ids ), // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+
+		$dates = array();
+		foreach ( is_array( $results ) ? $results : array() as $row ) {
+			// Skip posts without a date, stored as zeros.
+			if ( ! is_array( $row ) || ! is_numeric( $row['post_id'] ?? null ) || ! is_string( $row['date_gmt'] ?? null ) || 0 === strpos( $row['date_gmt'], '0000' ) ) {
+				continue;
+			}
+
+			$date = date_create_immutable( $row['date_gmt'], new \DateTimeZone( 'UTC' ) );
+
+			if ( false !== $date ) {
+				$dates[ (int) $row['post_id'] ] = $date->setTimezone( wp_timezone() )->format( 'c' );
+			}
+		}
+
+		return $dates;
+	}
+
+	/**
+	 * Get the node of the site performing the events
+	 *
+	 * @since 0.3.0
+	 * @return array{'@type': string, '@id': string, name: string, url: string} Performer node.
+	 */
+	private function get_performer(): array {
+		return array(
+			'@type' => 'PerformingGroup',
+			'@id'   => home_url( '/#gatherpress-references-performer' ),
+			'name'  => get_bloginfo( 'name' ),
+			'url'   => home_url( '/' ),
+		);
+	}
+
+	/**
+	 * Get the node of a term
+	 *
+	 * Terms link to their custom URL, or their archive if the taxonomy
+	 * is viewable. Logos and locations are added from the term details.
+	 *
+	 * @since 0.3.0
+	 * @param string            $type     Schema.org type.
+	 * @param int               $term_id  Term ID.
+	 * @param string            $name     Term name.
+	 * @param string            $taxonomy Taxonomy slug.
+	 * @param Term_Details|null $details  Term details, null to leave them out.
+	 * @return array<string, mixed> Term node.
+	 */
+	private function get_term_node( string $type, int $term_id, string $name, string $taxonomy, ?array $details ): array {
+		$node = array(
+			'@type' => $type,
+			'@id'   => home_url( '/#gatherpress-references-term-' . $term_id ),
+			'name'  => html_entity_decode( $name, ENT_QUOTES, 'UTF-8' ),
+		);
+
+		$url = null !== $details ? $details['url'] : '';
+
+		if ( '' === $url && is_taxonomy_viewable( $taxonomy ) ) {
+			$link = get_term_link( $term_id, $taxonomy );
+			$url  = is_string( $link ) ? $link : '';
+		}
+
+		if ( '' !== $url ) {
+			$node['url'] = $url;
+		}
+
+		if ( null === $details ) {
+			return $node;
+		}
+
+		if ( $details['logo'] > 0 && 'Organization' === $type ) {
+			$logo = wp_get_attachment_image_url( $details['logo'], 'full' );
+
+			if ( false !== $logo ) {
+				$node['logo'] = $logo;
+			}
+		}
+
+		if ( '' !== $details['city'] || '' !== $details['country'] ) {
+			$address = array_filter(
+				array(
+					'@type'           => 'PostalAddress',
+					'addressLocality' => $details['city'],
+					'addressCountry'  => $details['country'],
+				)
+			);
+
+			if ( 'Organization' === $type ) {
+				$node['address'] = $address;
+			} else {
+				$node['location'] = array(
+					'@type'   => 'Place',
+					'address' => $address,
+				);
+			}
+		}
+
+		if ( '' !== $details['description'] ) {
+			$node['description'] = $details['description'];
+		}
+
+		return $node;
+	}
+}
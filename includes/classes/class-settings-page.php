@@ -0,0 +1,479 @@
+<?php
+/**
+ * Settings Page class
+ *
+ * Adds a settings page to configure reference post types and
+ * taxonomies without code.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Settings Page
+ *
+ * Adds a settings page to configure reference post types and
+ * taxonomies without code. Configurations are stored in an option
+ * and added as post type support by Config_Manager, so they work
+ * like those registered with add_post_type_support(). Post types
+ * configured in code are shown, but can't be changed.
+ *
+ * @since 0.3.0
+ *
+ * @phpstan-import-type Stored_Config from Config_Manager
+ * @phpstan-import-type Taxonomy_Definition from Config_Manager
+ */
+class Settings_Page {
+	/**
+	 * Page slug
+	 *
+	 * @var string
+	 */
+	const PAGE_SLUG = 'gatherpress-references-settings';
+
+	/**
+	 * Settings group
+	 *
+	 * @var string
+	 */
+	const OPTION_GROUP = 'gatherpress_references';
+
+	/**
+	 * Capability required to change the settings
+	 *
+	 * @var string
+	 */
+	const CAPABILITY = 'manage_options';
+
+	/**
+	 * Maximum length of taxonomy slugs, as limited by register_taxonomy()
+	 *
+	 * @var int
+	 */
+	const MAX_TAXONOMY_LENGTH = 32;
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Taxonomy manager instance
+	 *
+	 * @var Taxonomy_Manager
+	 */
+	private Taxonomy_Manager $taxonomy_manager;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager   $config_manager   Config manager instance.
+	 * @param Taxonomy_Manager $taxonomy_manager Taxonomy manager instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Taxonomy_Manager $taxonomy_manager ) {
+		$this->config_manager   = $config_manager;
+		$this->taxonomy_manager = $taxonomy_manager;
+	}
+
+	/**
+	 * Add the page to the Settings menu
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function add_page(): void {
+		add_options_page(
+			__( 'GatherPress References', 'gatherpress-references' ),
+			__( 'GatherPress References', 'gatherpress-references' ),
+			self::CAPABILITY,
+			self::PAGE_SLUG,
+			array( $this, 'render' )
+		);
+	}
+
+	/**
+	 * Register the setting
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_setting(): void {
+		register_setting(
+			self::OPTION_GROUP,
+			Config_Manager::OPTION,
+			array(
+				'type'              => 'array',
+				'default'           => array(),
+				'sanitize_callback' => array( $this, 'sanitize' ),
+			)
+		);
+	}
+
+	/**
+	 * Get the post types that can be configured
+	 *
+	 * @since 0.3.0
+	 * @return array<string, \WP_Post_Type> Post type objects by slug.
+	 */
+	private function get_post_types(): array {
+		$post_types = get_post_types( array( 'public' => true ), 'objects' );
+		unset( $post_types['attachment'] );
+
+		return $post_types;
+	}
+
+	/**
+	 * Render the page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function render(): void {
+		$stored_configs = $this->config_manager->get_stored_configs();
+		$option         = Config_Manager::OPTION;
+		?>
+		<div class="wrap">
+			<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+			<p><?php esc_html_e( 'Enable references for a post type by choosing the taxonomy its posts are grouped by, such as productions, and the taxonomies listed as reference types, such as clients or awards. Taxonomies that don\'t exist yet are created, if the plugin knows them. New reference types are created with the names you give them.', 'gatherpress-references' ); ?></p>
+
+			<form method="post" action="options.php">
+				<?php settings_fields( self::OPTION_GROUP ); ?>
+
+				<table class="widefat striped">
+					<thead>
+						<tr>
+							<th scope="col"><?php esc_html_e( 'Post Type', 'gatherpress-references' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Enabled', 'gatherpress-references' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Reference Taxonomy', 'gatherpress-references' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Reference Types', 'gatherpress-references' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Season Start', 'gatherpress-references' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php
+						foreach ( $this->get_post_types() as $post_type => $post_type_object ) {
+							if ( $this->config_manager->is_configured_in_code( $post_type ) ) {
+								$this->render_code_row( $post_type_object );
+								continue;
+							}
+
+							$this->render_row( $post_type_object, $stored_configs[ $post_type ] ?? null, $option . '[' . $post_type . ']' );
+						}
+						?>
+					</tbody>
+				</table>
+
+				<datalist id="gatherpress-references-taxonomies">
+					<?php foreach ( get_taxonomies() as $taxonomy ) : ?>
+						<option value="<?php echo esc_attr( $taxonomy ); ?>"></option>
+					<?php endforeach; ?>
+				</datalist>
+
+				<?php submit_button(); ?>
+			</form>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the row of a post type configured in code
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Post_Type $post_type_object Post type object.
+	 * @return void
+	 */
+	private function render_code_row( \WP_Post_Type $post_type_object ): void {
+		$config = $this->config_manager->get_config( $post_type_object->name );
+
+		if ( ! $config ) {
+			return;
+		}
+		?>
+		<tr>
+			<th scope="row"><?php echo esc_html( $post_type_object->label ); ?></th>
+			<td><?php esc_html_e( 'Configured in code', 'gatherpress-references' ); ?></td>
+			<td><code><?php echo esc_html( $config['ref_tax'] ); ?></code></td>
+			<td><code><?php echo esc_html( implode( ', ', $config['ref_types'] ) ); ?></code></td>
+			<td><?php echo esc_html( $this->get_month_label( $config['season_start'] ) ); ?></td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render the row of a post type configurable on the page
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Post_Type  $post_type_object Post type object.
+	 * @param ?Stored_Config $config           Stored configuration, null if not enabled.
+	 * @param string         $name             Name prefix of the fields.
+	 * @return void
+	 */
+	private function render_row( \WP_Post_Type $post_type_object, ?array $config, string $name ): void {
+		$id = 'gatherpress-references-' . $post_type_object->name;
+		?>
+		<tr>
+			<th scope="row"><label for="<?php echo esc_attr( $id . '-enabled' ); ?>"><?php echo esc_html( $post_type_object->label ); ?></label></th>
+			<td>
+				<input type="checkbox" id="<?php echo esc_attr( $id . '-enabled' ); ?>" name="<?php echo esc_attr( $name . '[enabled]' ); ?>" value="1" <?php checked( null !== $config ); ?> />
+			</td>
+			<td>
+				<input type="text" class="regular-text code" list="gatherpress-references-taxonomies" aria-label="<?php esc_attr_e( 'Reference Taxonomy', 'gatherpress-references' ); ?>" name="<?php echo esc_attr( $name . '[ref_tax]' ); ?>" value="<?php echo esc_attr( $config['ref_tax'] ?? '' ); ?>" />
+			</td>
+			<td>
+				<input type="text" class="regular-text code" aria-label="<?php esc_attr_e( 'Reference Types', 'gatherpress-references' ); ?>" aria-describedby="<?php echo esc_attr( $id . '-types-description' ); ?>" name="<?php echo esc_attr( $name . '[ref_types]' ); ?>" value="<?php echo esc_attr( implode( ', ', $config['ref_types'] ?? array() ) ); ?>" />
+				<p class="description" id="<?php echo esc_attr( $id . '-types-description' ); ?>"><?php esc_html_e( 'Taxonomy slugs, separated by commas.', 'gatherpress-references' ); ?></p>
+				<?php $this->render_type_taxonomy_fields( $config['type_taxonomies'] ?? array(), $name . '[type_taxonomies]' ); ?>
+			</td>
+			<td>
+				<select aria-label="<?php esc_attr_e( 'Season Start', 'gatherpress-references' ); ?>" name="<?php echo esc_attr( $name . '[season_start]' ); ?>">
+					<?php for ( $month = 0; $month <= 12; $month++ ) : ?>
+						<option value="<?php echo esc_attr( (string) $month ); ?>" <?php selected( $config['season_start'] ?? 0, $month ); ?>><?php echo esc_html( $this->get_month_label( $month ) ); ?></option>
+					<?php endfor; ?>
+				</select>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render the fields of reference types created on the page
+	 *
+	 * Lists the stored types and an empty row to add one.
+	 *
+	 * @since 0.3.0
+	 * @param array<string, Taxonomy_Definition> $type_taxonomies Stored definitions by taxonomy slug.
+	 * @param string                             $name            Name prefix of the fields.
+	 * @return void
+	 */
+	private function render_type_taxonomy_fields( array $type_taxonomies, string $name ): void {
+		$rows = array();
+		foreach ( $type_taxonomies as $slug => $definition ) {
+			$rows[] = array(
+				'slug'     => (string) $slug,
+				'singular' => $definition['singular'],
+				'plural'   => $definition['plural'],
+			);
+		}
+		$rows[] = array(
+			'slug'     => '',
+			'singular' => '',
+			'plural'   => '',
+		);
+		?>
+		<fieldset>
+			<legend><?php esc_html_e( 'New reference types', 'gatherpress-references' ); ?></legend>
+			<?php foreach ( $rows as $index => $row ) : ?>
+				<p>
+					<input type="text" class="code" aria-label="<?php esc_attr_e( 'Taxonomy Slug', 'gatherpress-references' ); ?>" placeholder="gatherpress-coproduction" name="<?php echo esc_attr( $name . '[' . $index . '][slug]' ); ?>" value="<?php echo esc_attr( $row['slug'] ); ?>" />
+					<input type="text" aria-label="<?php esc_attr_e( 'Singular Name', 'gatherpress-references' ); ?>" placeholder="<?php esc_attr_e( 'Co-production', 'gatherpress-references' ); ?>" name="<?php echo esc_attr( $name . '[' . $index . '][singular]' ); ?>" value="<?php echo esc_attr( $row['singular'] ); ?>" />
+					<input type="text" aria-label="<?php esc_attr_e( 'Plural Name', 'gatherpress-references' ); ?>" placeholder="<?php esc_attr_e( 'Co-productions', 'gatherpress-references' ); ?>" name="<?php echo esc_attr( $name . '[' . $index . '][plural]' ); ?>" value="<?php echo esc_attr( $row['plural'] ); ?>" />
+				</p>
+			<?php endforeach; ?>
+		</fieldset>
+		<?php
+	}
+
+	/**
+	 * Get the label of a season start month
+	 *
+	 * @since 0.3.0
+	 * @param int $month Month (1-12), 0 for calendar years.
+	 * @return string Label.
+	 */
+	private function get_month_label( int $month ): string {
+		global $wp_locale;
+
+		if ( 0 === $month || ! $wp_locale instanceof \WP_Locale ) {
+			return __( 'None, calendar years', 'gatherpress-references' );
+		}
+
+		return $wp_locale->get_month( $month );
+	}
+
+	/**
+	 * Sanitize and validate the submitted configurations
+	 *
+	 * Invalid configurations are reported and keep their previously
+	 * stored version, if any.
+	 *
+	 * @since 0.3.0
+	 * @param mixed $value Submitted value.
+	 * @return array<string, Stored_Config> Configurations by post type.
+	 */
+	public function sanitize( $value ): array {
+		$stored_configs = $this->config_manager->get_stored_configs();
+		$configs        = array();
+
+		if ( ! is_array( $value ) ) {
+			return $stored_configs;
+		}
+
+		foreach ( $value as $post_type => $fields ) {
+			if ( ! is_string( $post_type ) || ! is_array( $fields ) || ! post_type_exists( $post_type ) ) {
+				continue;
+			}
+
+			// Configurations saved with update_option() list their types as array, and are always enabled.
+			$is_enabled = ! empty( $fields['enabled'] ) || ( isset( $fields['ref_types'] ) && is_array( $fields['ref_types'] ) );
+
+			if ( ! $is_enabled || $this->config_manager->is_configured_in_code( $post_type ) ) {
+				continue;
+			}
+
+			$config = $this->sanitize_config( $post_type, $fields );
+
+			if ( $config ) {
+				$configs[ $post_type ] = $config;
+			} elseif ( isset( $stored_configs[ $post_type ] ) ) {
+				$configs[ $post_type ] = $stored_configs[ $post_type ];
+			}
+		}
+
+		return $configs;
+	}
+
+	/**
+	 * Sanitize and validate the configuration of a post type
+	 *
+	 * Reference types created on the page are added to the types.
+	 *
+	 * @since 0.3.0
+	 * @param string       $post_type Post type slug.
+	 * @param array<mixed> $fields    Submitted fields.
+	 * @return ?Stored_Config Configuration or null if invalid.
+	 */
+	private function sanitize_config( string $post_type, array $fields ): ?array {
+		$post_type_object = get_post_type_object( $post_type );
+		$label            = $post_type_object ? $post_type_object->label : $post_type;
+
+		$ref_tax   = isset( $fields['ref_tax'] ) && is_string( $fields['ref_tax'] ) ? sanitize_key( $fields['ref_tax'] ) : '';
+		$ref_types = $fields['ref_types'] ?? array();
+		$ref_types = is_string( $ref_types ) ? explode( ',', $ref_types ) : $ref_types;
+		$ref_types = is_array( $ref_types ) ? $ref_types : array();
+		$ref_types = array_map(
+			static fn( $ref_type ): string => is_string( $ref_type ) ? sanitize_key( $ref_type ) : '',
+			$ref_types
+		);
+		$ref_types = array_values( array_diff( array_unique( array_filter( $ref_types ) ), array( $ref_tax ) ) );
+
+		$type_taxonomies = $this->sanitize_type_taxonomies( $fields['type_taxonomies'] ?? array(), $ref_tax );
+		$ref_types       = array_values( array_unique( array_merge( $ref_types, array_map( 'strval', array_keys( $type_taxonomies ) ) ) ) );
+
+		if ( '' === $ref_tax || empty( $ref_types ) ) {
+			add_settings_error(
+				Config_Manager::OPTION,
+				'missing-taxonomies-' . $post_type,
+				sprintf(
+					/* translators: %s: post type label */
+					__( '%s: Choose a reference taxonomy and at least one other taxonomy as reference type.', 'gatherpress-references' ),
+					$label
+				)
+			);
+			return null;
+		}
+
+		$invalid = array();
+		if ( ! $this->is_valid_taxonomy( $ref_tax, true ) ) {
+			$invalid[] = $ref_tax;
+		}
+		foreach ( $ref_types as $ref_type ) {
+			if ( ! $this->is_valid_taxonomy( $ref_type, false, isset( $type_taxonomies[ $ref_type ] ) ) ) {
+				$invalid[] = $ref_type;
+			}
+		}
+
+		if ( ! empty( $invalid ) ) {
+			add_settings_error(
+				Config_Manager::OPTION,
+				'invalid-taxonomies-' . $post_type,
+				sprintf(
+					/* translators: 1: post type label, 2: taxonomy slugs */
+					__( '%1$s: These taxonomies don\'t exist and can\'t be created: %2$s. Add names for new reference types. The previous configuration was kept.', 'gatherpress-references' ),
+					$label,
+					implode( ', ', $invalid )
+				)
+			);
+			return null;
+		}
+
+		$season_start = isset( $fields['season_start'] ) && is_numeric( $fields['season_start'] ) ? (int) $fields['season_start'] : 0;
+
+		$config = array(
+			'ref_tax'      => $ref_tax,
+			'ref_types'    => $ref_types,
+			'season_start' => ( $season_start >= 1 && $season_start <= 12 ) ? $season_start : 0,
+		);
+
+		if ( ! empty( $type_taxonomies ) ) {
+			$config['type_taxonomies'] = $type_taxonomies;
+		}
+
+		return $config;
+	}
+
+	/**
+	 * Sanitize the submitted reference types to create
+	 *
+	 * Takes rows with a slug and names, or definitions keyed by slug
+	 * as in support configs. Rows without names are left out, and
+	 * either name falls back to the other one.
+	 *
+	 * @since 0.3.0
+	 * @param mixed  $value   Submitted type taxonomies.
+	 * @param string $ref_tax Reference taxonomy slug, which can't be a type.
+	 * @return array<string, Taxonomy_Definition> Definitions keyed by taxonomy slug.
+	 */
+	private function sanitize_type_taxonomies( $value, string $ref_tax ): array {
+		$type_taxonomies = array();
+
+		if ( ! is_array( $value ) ) {
+			return $type_taxonomies;
+		}
+
+		foreach ( $value as $key => $row ) {
+			if ( ! is_array( $row ) ) {
+				continue;
+			}
+
+			$slug     = isset( $row['slug'] ) && is_string( $row['slug'] ) ? $row['slug'] : ( is_string( $key ) ? $key : '' );
+			$slug     = sanitize_key( $slug );
+			$singular = isset( $row['singular'] ) && is_string( $row['singular'] ) ? sanitize_text_field( $row['singular'] ) : '';
+			$plural   = isset( $row['plural'] ) && is_string( $row['plural'] ) ? sanitize_text_field( $row['plural'] ) : '';
+
+			if ( '' === $slug || $ref_tax === $slug || ( '' === $singular && '' === $plural ) ) {
+				continue;
+			}
+
+			$type_taxonomies[ $slug ] = array(
+				'singular' => '' !== $singular ? $singular : $plural,
+				'plural'   => '' !== $plural ? $plural : $singular,
+				'args'     => array(),
+			);
+		}
+
+		return $type_taxonomies;
+	}
+
+	/**
+	 * Check whether a taxonomy exists or can be created
+	 *
+	 * @since 0.3.0
+	 * @param string $taxonomy              Taxonomy slug.
+	 * @param bool   $is_reference_taxonomy Whether it's used as reference taxonomy, not as type.
+	 * @param bool   $is_declared           Whether it's created with names given on the page.
+	 * @return bool Whether the taxonomy can be used.
+	 */
+	private function is_valid_taxonomy( string $taxonomy, bool $is_reference_taxonomy, bool $is_declared = false ): bool {
+		if ( strlen( $taxonomy ) > self::MAX_TAXONOMY_LENGTH ) {
+			return false;
+		}
+
+		return $is_declared || taxonomy_exists( $taxonomy ) || $this->taxonomy_manager->can_register( $taxonomy, $is_reference_taxonomy );
+	}
+}
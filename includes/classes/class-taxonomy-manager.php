@@ -17,8 +17,88 @@ defined( 'ABSPATH' ) || exit;
  * Handles registration of custom taxonomies based on post type configurations.
  *
  * @since 0.1.0
+ *
+ * @phpstan-type Term_Details array{logo: int, url: string, city: string, country: string, category: string, description: string}
  */
 class Taxonomy_Manager {
+	/**
+	 * Term meta key for a custom reference URL
+	 *
+	 * @var string
+	 */
+	const META_URL = 'gatherpress_references_url';
+
+	/**
+	 * Term meta key for the attachment ID of a logo
+	 *
+	 * @var string
+	 */
+	const META_LOGO = 'gatherpress_references_logo';
+
+	/**
+	 * Term meta key for the city
+	 *
+	 * @var string
+	 */
+	const META_CITY = 'gatherpress_references_city';
+
+	/**
+	 * Term meta key for the country
+	 *
+	 * @var string
+	 */
+	const META_COUNTRY = 'gatherpress_references_country';
+
+	/**
+	 * Term meta key for a category, such as an award category or festival section
+	 *
+	 * @var string
+	 */
+	const META_CATEGORY = 'gatherpress_references_category';
+
+	/**
+	 * Term meta key for excluding a term from all references
+	 *
+	 * @var string
+	 */
+	const META_HIDDEN = 'gatherpress_references_hidden';
+
+	/**
+	 * Term meta key for the public name of a term, replacing its name in references
+	 *
+	 * @var string
+	 */
+	const META_DISPLAY_NAME = 'gatherpress_references_display_name';
+
+	/**
+	 * Term meta key for the priority of a term, listing it before terms of lower priority
+	 *
+	 * @var string
+	 */
+	const META_PRIORITY = 'gatherpress_references_priority';
+
+	/**
+	 * Term meta key for the position of a term in the manual sort order
+	 *
+	 * @var string
+	 */
+	const META_ORDER = 'gatherpress_references_order';
+
+	/**
+	 * All term meta keys of reference terms
+	 *
+	 * @var array<int, string>
+	 */
+	const META_KEYS = array( self::META_URL, self::META_LOGO, self::META_CITY, self::META_COUNTRY, self::META_CATEGORY, self::META_HIDDEN, self::META_DISPLAY_NAME, self::META_PRIORITY, self::META_ORDER );
+
+	/**
+	 * Term meta keys describing the organization or place of a term,
+	 * rather than how references present it
+	 *
+	 * @var array<int, string>
+	 */
+	const DETAIL_META_KEYS = array( self::META_URL, self::META_LOGO, self::META_CITY, self::META_COUNTRY, self::META_CATEGORY );
+
 	/**
 	 * Config manager instance
 	 *
@@ -51,49 +131,68 @@ class Taxonomy_Manager {
 
 		foreach ( $configs as $post_type => $config ) {
 			// Register reference taxonomy.
-			if ( ! empty( $config['ref_tax'] ) &&
-				$config['ref_tax'] === 'gatherpress-production' &&
-				! taxonomy_exists( $config['ref_tax'] ) ) {
-				$this->register_reference_taxonomy( $post_type );
+			if ( ! empty( $config['ref_tax'] ) ) {
+				if ( ! taxonomy_exists( $config['ref_tax'] ) ) {
+					$this->register_reference_taxonomy( $config['ref_tax'], $post_type );
+				} else {
+					// Post types sharing a reference taxonomy.
+					register_taxonomy_for_object_type( $config['ref_tax'], $post_type );
+				}
 			}
 
 			// Register reference type taxonomies.
 			if ( ! empty( $config['ref_types'] ) ) {
 				foreach ( $config['ref_types'] as $ref_type ) {
-					if ( taxonomy_exists( $ref_type ) ) {
-						continue;
+					if ( ! taxonomy_exists( $ref_type ) ) {
+						$this->register_type_taxonomy( $ref_type, $post_type );
+					} else {
+						register_taxonomy_for_object_type( $ref_type, $post_type );
 					}
 
-					$this->register_type_taxonomy( $ref_type, $post_type );
+					$this->register_type_term_meta( $ref_type );
 				}
 			}
 		}
 	}
 
+	/**
+	 * Check whether a taxonomy not registered yet can be registered by the plugin
+	 *
+	 * @since 0.3.0
+	 * @param string $taxonomy              Taxonomy slug.
+	 * @param bool   $is_reference_taxonomy Whether it's used as reference taxonomy, not as type.
+	 * @return bool Whether the taxonomy can be registered.
+	 */
+	public function can_register( string $taxonomy, bool $is_reference_taxonomy = false ): bool {
+		if ( $is_reference_taxonomy ) {
+			return null !== $this->get_reference_taxonomy_config( $taxonomy );
+		}
+
+		return null !== $this->get_taxonomy_config( $taxonomy );
+	}
+
 	/**
 	 * Register reference taxonomy
 	 *
+	 * Registers 'gatherpress-production' and reference taxonomies declared
+	 * in support configs or with the 'gatherpress_references_ref_taxonomies'
+	 * filter. Those are hierarchical and without public archives, unless
+	 * their args say otherwise. Public ones get archives at their plural
+	 * name, unless they set a 'rewrite' arg.
+	 *
 	 * @since 0.1.0
+	 * @param string $taxonomy  Taxonomy slug.
 	 * @param string $post_type Post type to associate with.
 	 * @return void
 	 */
-	private function register_reference_taxonomy( string $post_type ): void {
-		$labels = array(
-			'name'              => __( 'Productions', 'gatherpress-references' ),
-			'singular_name'     => __( 'Production', 'gatherpress-references' ),
-			'search_items'      => __( 'Search Productions', 'gatherpress-references' ),
-			'all_items'         => __( 'All Productions', 'gatherpress-references' ),
-			'parent_item'       => __( 'Parent Production', 'gatherpress-references' ),
-			'parent_item_colon' => __( 'Parent Production:', 'gatherpress-references' ),
-			'edit_item'         => __( 'Edit Production', 'gatherpress-references' ),
-			'update_item'       => __( 'Update Production', 'gatherpress-references' ),
-			'add_new_item'      => __( 'Add New Production', 'gatherpress-references' ),
-			'new_item_name'     => __( 'New Production Name', 'gatherpress-references' ),
-			'menu_name'         => __( 'Productions', 'gatherpress-references' ),
-		);
+	private function register_reference_taxonomy( string $taxonomy, string $post_type ): void {
+		$taxonomy_config = $this->get_reference_taxonomy_config( $taxonomy );
+
+		if ( ! $taxonomy_config ) {
+			return;
+		}
 
 		$args = array(
-			'labels'             => $labels,
 			'hierarchical'       => true,
 			'public'             => false,
 			'publicly_queryable' => true,
@@ -104,7 +203,60 @@ class Taxonomy_Manager {
 			'show_in_rest'       => true,
 		);
 
-		register_taxonomy( 'gatherpress-production', array( $post_type ), $args );
+		if ( ! empty( $taxonomy_config['args']['public'] ) && ! isset( $taxonomy_config['args']['rewrite'] ) ) {
+			$args['rewrite'] = array( 'slug' => sanitize_title( $taxonomy_config['labels']['name'] ) );
+		}
+
+		$args = array_merge( $args, $taxonomy_config['args'] );
+
+		// Labels given as args complete the plugin's labels.
+		$args['labels'] = array_merge(
+			$taxonomy_config['labels'],
+			isset( $taxonomy_config['args']['labels'] ) && is_array( $taxonomy_config['args']['labels'] ) ? $taxonomy_config['args']['labels'] : array()
+		);
+
+		register_taxonomy( $taxonomy, array( $post_type ), $args );
+	}
+
+	/**
+	 * Get reference taxonomy configuration
+	 *
+	 * @since 0.3.0
+	 * @param string $taxonomy Taxonomy slug.
+	 * @return ?array{labels: array<string, string>, args: array<string, mixed>} Configuration or null.
+	 */
+	private function get_reference_taxonomy_config( string $taxonomy ): ?array {
+		$definitions = $this->config_manager->get_ref_tax_definitions();
+
+		if ( isset( $definitions[ $taxonomy ] ) ) {
+			$hierarchical = ! isset( $definitions[ $taxonomy ]['args']['hierarchical'] ) || ! empty( $definitions[ $taxonomy ]['args']['hierarchical'] );
+
+			return array(
+				'labels' => $this->get_taxonomy_labels( $definitions[ $taxonomy ]['singular'], $definitions[ $taxonomy ]['plural'], $hierarchical ),
+				'args'   => $definitions[ $taxonomy ]['args'],
+			);
+		}
+
+		if ( $taxonomy !== 'gatherpress-production' ) {
+			return null;
+		}
+
+		return array(
+			'labels' => array(
+				'name'              => __( 'Productions', 'gatherpress-references' ),
+				'singular_name'     => __( 'Production', 'gatherpress-references' ),
+				'search_items'      => __( 'Search Productions', 'gatherpress-references' ),
+				'all_items'         => __( 'All Productions', 'gatherpress-references' ),
+				'parent_item'       => __( 'Parent Production', 'gatherpress-references' ),
+				'parent_item_colon' => __( 'Parent Production:', 'gatherpress-references' ),
+				'edit_item'         => __( 'Edit Production', 'gatherpress-references' ),
+				'update_item'       => __( 'Update Production', 'gatherpress-references' ),
+				'add_new_item'      => __( 'Add New Production', 'gatherpress-references' ),
+				'new_item_name'     => __( 'New Production Name', 'gatherpress-references' ),
+				'menu_name'         => __( 'Productions', 'gatherpress-references' ),
+			),
+			'args'   => array(),
+		);
 	}
 
 	/**
@@ -123,7 +275,6 @@ class Taxonomy_Manager {
 		}
 
 		$args = array(
-			'labels'             => $taxonomy_config['labels'],
 			'hierarchical'       => false,
 			'public'             => false,
 			'publicly_queryable' => true,
@@ -133,18 +284,173 @@ class Taxonomy_Manager {
 			'rewrite'            => false,
 			'show_in_rest'       => true,
 		);
+		$args = array_merge( $args, $taxonomy_config['args'] );
+
+		// Labels given as args complete the plugin's labels.
+		$args['labels'] = array_merge(
+			$taxonomy_config['labels'],
+			isset( $taxonomy_config['args']['labels'] ) && is_array( $taxonomy_config['args']['labels'] ) ? $taxonomy_config['args']['labels'] : array()
+		);
 
 		register_taxonomy( $taxonomy, array( $post_type ), $args );
 	}
 
+	/**
+	 * Register term meta for a reference type taxonomy
+	 *
+	 * @since 0.3.0
+	 * @param string $taxonomy Taxonomy slug.
+	 * @return void
+	 */
+	private function register_type_term_meta( string $taxonomy ): void {
+		if ( ! taxonomy_exists( $taxonomy ) ) {
+			return;
+		}
+
+		$meta = array(
+			self::META_URL          => array(
+				'type'              => 'string',
+				'description'       => __( 'Custom URL the reference links to.', 'gatherpress-references' ),
+				'default'           => '',
+				'sanitize_callback' => 'esc_url_raw',
+			),
+			self::META_LOGO         => array(
+				'type'              => 'integer',
+				'description'       => __( 'Attachment ID of the reference logo.', 'gatherpress-references' ),
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+			),
+			self::META_CITY         => array(
+				'type'              => 'string',
+				'description'       => __( 'City of the reference, such as where a festival takes place.', 'gatherpress-references' ),
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			self::META_COUNTRY      => array(
+				'type'              => 'string',
+				'description'       => __( 'Country of the reference.', 'gatherpress-references' ),
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			self::META_CATEGORY     => array(
+				'type'              => 'string',
+				'description'       => __( 'Category of the reference, such as an award category or festival section.', 'gatherpress-references' ),
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			self::META_HIDDEN       => array(
+				'type'              => 'boolean',
+				'description'       => __( 'Whether the reference is left out of all references, such as a client under NDA.', 'gatherpress-references' ),
+				'default'           => false,
+				'sanitize_callback' => 'rest_sanitize_boolean',
+			),
+			self::META_DISPLAY_NAME => array(
+				'type'              => 'string',
+				'description'       => __( 'Public name of the reference, shown instead of the term name.', 'gatherpress-references' ),
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			),
+			self::META_PRIORITY     => array(
+				'type'              => 'integer',
+				'description'       => __( 'Priority of the reference. References of higher priority are listed first within their type.', 'gatherpress-references' ),
+				'default'           => 0,
+				'sanitize_callback' => 'intval',
+			),
+			self::META_ORDER        => array(
+				'type'              => 'integer',
+				'description'       => __( 'Position of the reference when references are sorted manually, lowest first.', 'gatherpress-references' ),
+				'default'           => 0,
+				'sanitize_callback' => 'intval',
+			),
+		);
+
+		foreach ( $meta as $meta_key => $args ) {
+			register_term_meta(
+				$taxonomy,
+				$meta_key,
+				array_merge(
+					$args,
+					array(
+						'single'       => true,
+						'show_in_rest' => true,
+					)
+				)
+			);
+		}
+	}
+
+	/**
+	 * Get the details of reference terms
+	 *
+	 * Loads the terms and their term meta at once.
+	 *
+	 * @since 0.3.0
+	 * @param array<int, int> $term_ids Term IDs.
+	 * @return array<int, Term_Details> Details keyed by term ID.
+	 */
+	public function get_term_details( array $term_ids ): array {
+		$term_ids = array_values( array_unique( array_filter( $term_ids ) ) );
+
+		if ( empty( $term_ids ) ) {
+			return array();
+		}
+
+		_prime_term_caches( $term_ids, false );
+		update_termmeta_cache( $term_ids );
+
+		$details = array();
+		foreach ( $term_ids as $term_id ) {
+			$term = get_term( $term_id );
+
+			$details[ $term_id ] = array(
+				'logo'        => absint( get_term_meta( $term_id, self::META_LOGO, true ) ),
+				'url'         => $this->get_term_meta_string( $term_id, self::META_URL ),
+				'city'        => $this->get_term_meta_string( $term_id, self::META_CITY ),
+				'country'     => $this->get_term_meta_string( $term_id, self::META_COUNTRY ),
+				'category'    => $this->get_term_meta_string( $term_id, self::META_CATEGORY ),
+				'description' => $term instanceof \WP_Term ? $term->description : '',
+			);
+		}
+
+		return $details;
+	}
+
+	/**
+	 * Get a string term meta value
+	 *
+	 * @since 0.3.0
+	 * @param int    $term_id  Term ID.
+	 * @param string $meta_key Meta key.
+	 * @return string Meta value, empty if not set.
+	 */
+	private function get_term_meta_string( int $term_id, string $meta_key ): string {
+		$value = get_term_meta( $term_id, $meta_key, true );
+
+		return is_string( $value ) ? $value : '';
+	}
+
 	/**
 	 * Get taxonomy configuration
 	 *
+	 * Type taxonomies declared in support configs or with the
+	 * 'gatherpress_references_type_taxonomies' filter get labels
+	 * from their singular and plural names, and take precedence
+	 * over the built-in ones.
+	 *
 	 * @since 0.1.0
 	 * @param string $taxonomy Taxonomy slug.
-	 * @return ?array{labels: array<string, string>} Configuration or null.
+	 * @return ?array{labels: array<string, string>, args: array<string, mixed>} Configuration or null.
 	 */
 	private function get_taxonomy_config( string $taxonomy ): ?array {
+		$definitions = $this->config_manager->get_type_definitions();
+
+		if ( isset( $definitions[ $taxonomy ] ) ) {
+			return array(
+				'labels' => $this->get_taxonomy_labels( $definitions[ $taxonomy ]['singular'], $definitions[ $taxonomy ]['plural'], ! empty( $definitions[ $taxonomy ]['args']['hierarchical'] ) ),
+				'args'   => $definitions[ $taxonomy ]['args'],
+			);
+		}
+
 		$configs = array(
 			'_gatherpress-client'   => array(
 				'labels' => array(
@@ -158,6 +464,7 @@ class Taxonomy_Manager {
 					'new_item_name' => __( 'New Client Name', 'gatherpress-references' ),
 					'menu_name'     => __( 'Clients', 'gatherpress-references' ),
 				),
+				'args'   => array(),
 			),
 			'_gatherpress-festival' => array(
 				'labels' => array(
@@ -171,6 +478,7 @@ class Taxonomy_Manager {
 					'new_item_name' => __( 'New Festival Name', 'gatherpress-references' ),
 					'menu_name'     => __( 'Festivals', 'gatherpress-references' ),
 				),
+				'args'   => array(),
 			),
 			'_gatherpress-award'    => array(
 				'labels' => array(
@@ -184,9 +492,48 @@ class Taxonomy_Manager {
 					'new_item_name' => __( 'New Award Name', 'gatherpress-references' ),
 					'menu_name'     => __( 'Awards', 'gatherpress-references' ),
 				),
+				'args'   => array(),
 			),
 		);
 
 		return $configs[ $taxonomy ] ?? null;
 	}
+
+	/**
+	 * Get labels of a taxonomy from its singular and plural name
+	 *
+	 * @since 0.3.0
+	 * @param string $singular     Singular name.
+	 * @param string $plural       Plural name.
+	 * @param bool   $hierarchical Whether the taxonomy is hierarchical.
+	 * @return array<string, string> Taxonomy labels.
+	 */
+	private function get_taxonomy_labels( string $singular, string $plural, bool $hierarchical = false ): array {
+		$labels = array(
+			'name'          => $plural,
+			'singular_name' => $singular,
+			/* translators: %s: plural name of a reference taxonomy or type, e.g. "Venues" */
+			'search_items'  => sprintf( __( 'Search %s', 'gatherpress-references' ), $plural ),
+			/* translators: %s: plural name of a reference taxonomy or type, e.g. "Venues" */
+			'all_items'     => sprintf( __( 'All %s', 'gatherpress-references' ), $plural ),
+			/* translators: %s: singular name of a reference taxonomy or type, e.g. "Venue" */
+			'edit_item'     => sprintf( __( 'Edit %s', 'gatherpress-references' ), $singular ),
+			/* translators: %s: singular name of a reference taxonomy or type, e.g. "Venue" */
+			'update_item'   => sprintf( __( 'Update %s', 'gatherpress-references' ), $singular ),
+			/* translators: %s: singular name of a reference taxonomy or type, e.g. "Venue" */
+			'add_new_item'  => sprintf( __( 'Add New %s', 'gatherpress-references' ), $singular ),
+			/* translators: %s: singular name of a reference taxonomy or type, e.g. "Venue" */
+			'new_item_name' => sprintf( __( 'New %s Name', 'gatherpress-references' ), $singular ),
+			'menu_name'     => $plural,
+		);
+
+		if ( $hierarchical ) {
+			/* translators: %s: singular name of a reference taxonomy, e.g. "Track" */
+			$labels['parent_item'] = sprintf( __( 'Parent %s', 'gatherpress-references' ), $singular );
+			/* translators: %s: singular name of a reference taxonomy, e.g. "Track" */
+			$labels['parent_item_colon'] = sprintf( __( 'Parent %s:', 'gatherpress-references' ), $singular );
+		}
+
+		return $labels;
+	}
 }
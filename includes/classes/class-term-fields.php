@@ -0,0 +1,333 @@
+<?php
+/**
+ * Term Fields class
+ *
+ * Adds reference term meta fields to the term add and edit screens.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Term Fields
+ *
+ * Adds reference term meta fields to the term add and edit screens
+ * of all configured reference type taxonomies.
+ *
+ * @since 0.3.0
+ */
+class Term_Fields {
+	/**
+	 * Nonce action and field name
+	 *
+	 * @var string
+	 */
+	const NONCE = 'gatherpress_references_term_fields';
+
+	/**
+	 * Handle of the script selecting logos
+	 *
+	 * @var string
+	 */
+	const SCRIPT_HANDLE = 'gatherpress-references-term-fields';
+
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager $config_manager Config manager instance.
+	 */
+	public function __construct( Config_Manager $config_manager ) {
+		$this->config_manager = $config_manager;
+	}
+
+	/**
+	 * Hook the fields into all reference type taxonomy screens
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register(): void {
+		foreach ( $this->get_type_taxonomies() as $taxonomy ) {
+			add_action( "{$taxonomy}_add_form_fields", array( $this, 'render_add_fields' ) );
+			add_action( "{$taxonomy}_edit_form_fields", array( $this, 'render_edit_fields' ) );
+			add_action( "created_{$taxonomy}", array( $this, 'save_fields' ) );
+			add_action( "edited_{$taxonomy}", array( $this, 'save_fields' ) );
+		}
+
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_scripts' ) );
+	}
+
+	/**
+	 * Enqueue the media library and the script selecting logos on term screens
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function enqueue_scripts(): void {
+		$screen = get_current_screen();
+
+		if ( ! $screen || ! in_array( $screen->taxonomy, $this->get_type_taxonomies(), true ) ) {
+			return;
+		}
+
+		wp_enqueue_media();
+
+		wp_register_script( self::SCRIPT_HANDLE, false, array( 'media-editor' ), false, true );
+		wp_enqueue_script( self::SCRIPT_HANDLE );
+		wp_add_inline_script( self::SCRIPT_HANDLE, $this->get_inline_script() );
+	}
+
+	/**
+	 * Get the script selecting logos from the media library
+	 *
+	 * @since 0.3.0
+	 * @return string JavaScript.
+	 */
+	private function get_inline_script(): string {
+		$title = wp_json_encode( __( 'Select logo', 'gatherpress-references' ) );
+
+		return <<<JS
+document.addEventListener( 'click', function ( event ) {
+	var button = event.target.closest( '[data-references-image]' );
+	if ( ! button ) {
+		return;
+	}
+	event.preventDefault();
+	var field = button.closest( '.references-image-field' );
+	var input = field.querySelector( 'input' );
+	var preview = field.querySelector( '.references-image-preview' );
+	if ( button.dataset.referencesImage === 'remove' ) {
+		input.value = '';
+		preview.innerHTML = '';
+		return;
+	}
+	var frame = wp.media( { title: {$title}, library: { type: 'image' }, multiple: false } );
+	frame.on( 'select', function () {
+		var image = frame.state().get( 'selection' ).first().toJSON();
+		var size = image.sizes && image.sizes.thumbnail ? image.sizes.thumbnail : image;
+		input.value = image.id;
+		preview.innerHTML = '';
+		var img = document.createElement( 'img' );
+		img.src = size.url;
+		img.alt = '';
+		preview.appendChild( img );
+	} );
+	frame.open();
+} );
+JS;
+	}
+
+	/**
+	 * Get all reference type taxonomies
+	 *
+	 * @since 0.3.0
+	 * @return array<int, string> Taxonomy slugs.
+	 */
+	private function get_type_taxonomies(): array {
+		$taxonomies = array();
+
+		foreach ( $this->config_manager->get_all_configs() as $config ) {
+			$taxonomies = array_merge( $taxonomies, $config['ref_types'] );
+		}
+
+		return array_values( array_unique( $taxonomies ) );
+	}
+
+	/**
+	 * Get field definitions
+	 *
+	 * @since 0.3.0
+	 * @return array<string, array{label: string, type: string, description: string}> Fields keyed by meta key.
+	 */
+	private function get_fields(): array {
+		return array(
+			Taxonomy_Manager::META_URL          => array(
+				'label'       => __( 'Reference URL', 'gatherpress-references' ),
+				'type'        => 'url',
+				'description' => __( 'Used when the references block links items to a custom URL.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_LOGO         => array(
+				'label'       => __( 'Logo', 'gatherpress-references' ),
+				'type'        => 'image',
+				'description' => __( 'Shown when the references block shows logos.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_CITY         => array(
+				'label'       => __( 'City', 'gatherpress-references' ),
+				'type'        => 'text',
+				'description' => __( 'Shown with the country when the references block shows locations.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_COUNTRY      => array(
+				'label'       => __( 'Country', 'gatherpress-references' ),
+				'type'        => 'text',
+				'description' => '',
+			),
+			Taxonomy_Manager::META_CATEGORY     => array(
+				'label'       => __( 'Category', 'gatherpress-references' ),
+				'type'        => 'text',
+				'description' => __( 'For example an award category or festival section. Shown when the references block shows categories.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_DISPLAY_NAME => array(
+				'label'       => __( 'Display name', 'gatherpress-references' ),
+				'type'        => 'text',
+				'description' => __( 'Shown in references instead of the name, such as the official wording of an award.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_PRIORITY     => array(
+				'label'       => __( 'Priority', 'gatherpress-references' ),
+				'type'        => 'number',
+				'description' => __( 'References of higher priority are listed first within their type, before the sort order applies. Defaults to 0.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_ORDER        => array(
+				'label'       => __( 'Order', 'gatherpress-references' ),
+				'type'        => 'number',
+				'description' => __( 'Position when the references block sorts references manually, lowest first.', 'gatherpress-references' ),
+			),
+			Taxonomy_Manager::META_HIDDEN       => array(
+				'label'       => __( 'Hide from references', 'gatherpress-references' ),
+				'type'        => 'checkbox',
+				'description' => __( 'Leave this reference out of all references, such as a client under NDA.', 'gatherpress-references' ),
+			),
+		);
+	}
+
+	/**
+	 * Render fields on the "Add New" term screen
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function render_add_fields(): void {
+		wp_nonce_field( self::NONCE, self::NONCE );
+
+		foreach ( $this->get_fields() as $meta_key => $field ) {
+			?>
+			<div class="form-field">
+				<label for="<?php echo esc_attr( $meta_key ); ?>"><?php echo esc_html( $field['label'] ); ?></label>
+				<?php $this->render_input( $meta_key, $field['type'], '' ); ?>
+				<?php if ( '' !== $field['description'] ) : ?>
+					<p class="description"><?php echo esc_html( $field['description'] ); ?></p>
+				<?php endif; ?>
+			</div>
+			<?php
+		}
+	}
+
+	/**
+	 * Render fields on the "Edit" term screen
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Term $term Term being edited.
+	 * @return void
+	 */
+	public function render_edit_fields( \WP_Term $term ): void {
+		wp_nonce_field( self::NONCE, self::NONCE );
+
+		foreach ( $this->get_fields() as $meta_key => $field ) {
+			$value = get_term_meta( $term->term_id, $meta_key, true );
+			?>
+			<tr class="form-field">
+				<th scope="row"><label for="<?php echo esc_attr( $meta_key ); ?>"><?php echo esc_html( $field['label'] ); ?></label></th>
+				<td>
+					<?php $this->render_input( $meta_key, $field['type'], is_scalar( $value ) ? (string) $value : '' ); ?>
+					<?php if ( '' !== $field['description'] ) : ?>
+						<p class="description"><?php echo esc_html( $field['description'] ); ?></p>
+					<?php endif; ?>
+				</td>
+			</tr>
+			<?php
+		}
+	}
+
+	/**
+	 * Render the input of a field
+	 *
+	 * Images are stored as attachment ID, selected from the media library.
+	 *
+	 * @since 0.3.0
+	 * @param string $meta_key Meta key, used as name and ID.
+	 * @param string $type     Input type, 'checkbox' or 'image'.
+	 * @param string $value    Current value.
+	 * @return void
+	 */
+	private function render_input( string $meta_key, string $type, string $value ): void {
+		if ( 'checkbox' === $type ) {
+			?>
+			<input type="checkbox" name="<?php echo esc_attr( $meta_key ); ?>" id="<?php echo esc_attr( $meta_key ); ?>" value="1" <?php checked( '1', $value ); ?> />
+			<?php
+			return;
+		}
+
+		if ( 'image' !== $type ) {
+			?>
+			<input type="<?php echo esc_attr( $type ); ?>" name="<?php echo esc_attr( $meta_key ); ?>" id="<?php echo esc_attr( $meta_key ); ?>" value="<?php echo esc_attr( $value ); ?>" />
+			<?php
+			return;
+		}
+
+		$attachment_id = absint( $value );
+		?>
+		<div class="references-image-field">
+			<input type="hidden" name="<?php echo esc_attr( $meta_key ); ?>" id="<?php echo esc_attr( $meta_key ); ?>" value="<?php echo esc_attr( $attachment_id ? (string) $attachment_id : '' ); ?>" />
+			<div class="references-image-preview"><?php echo $attachment_id ? wp_kses_post( wp_get_attachment_image( $attachment_id, 'thumbnail' ) ) : ''; ?></div>
+			<p>
+				<button type="button" class="button" data-references-image="select"><?php esc_html_e( 'Select logo', 'gatherpress-references' ); ?></button>
+				<button type="button" class="button-link" data-references-image="remove"><?php esc_html_e( 'Remove logo', 'gatherpress-references' ); ?></button>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Save field values
+	 *
+	 * Values are sanitized by the callbacks registered with the term meta.
+	 *
+	 * @since 0.3.0
+	 * @param int $term_id Term ID.
+	 * @return void
+	 */
+	public function save_fields( int $term_id ): void {
+		if ( ! isset( $_POST[ self::NONCE ] ) || ! is_string( $_POST[ self::NONCE ] ) ||
+			! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST[ self::NONCE ] ) ), self::NONCE ) ) {
+			return;
+		}
+
+		if ( ! current_user_can( 'edit_term', $term_id ) ) {
+			return;
+		}
+
+		foreach ( $this->get_fields() as $meta_key => $field ) {
+			// Unchecked checkboxes aren't submitted.
+			if ( 'checkbox' === $field['type'] ) {
+				$value = empty( $_POST[ $meta_key ] ) ? '' : '1';
+			} elseif ( ! isset( $_POST[ $meta_key ] ) || ! is_string( $_POST[ $meta_key ] ) ) {
+				continue;
+			} else {
+				$value = sanitize_text_field( wp_unslash( $_POST[ $meta_key ] ) );
+			}
+
+			if ( 'image' === $field['type'] ) {
+				$value = absint( $value );
+			} elseif ( 'number' === $field['type'] ) {
+				$value = intval( $value );
+			}
+
+			if ( '' === $value || 0 === $value ) {
+				delete_term_meta( $term_id, $meta_key );
+				continue;
+			}
+
+			update_term_meta( $term_id, $meta_key, $value );
+		}
+	}
+}
@@ -0,0 +1,312 @@
+<?php
+/**
+ * Term Merger class
+ *
+ * Finds near-duplicate reference terms and merges them.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Term Merger
+ *
+ * Finds near-duplicate terms in the reference type taxonomies, such as
+ * "Staatstheater Mainz", "Staatstheater  Mainz" and "Mainz Staatstheater",
+ * and merges them into one term. Names are compared after normalizing
+ * case, accents, punctuation, whitespace and word order, and with their
+ * similarity for typos.
+ *
+ * @since 0.3.0
+ */
+class Term_Merger {
+	/**
+	 * Config manager instance
+	 *
+	 * @var Config_Manager
+	 */
+	private Config_Manager $config_manager;
+
+	/**
+	 * Cache manager instance
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Config_Manager $config_manager Config manager instance.
+	 * @param Cache_Manager  $cache_manager  Cache manager instance.
+	 */
+	public function __construct( Config_Manager $config_manager, Cache_Manager $cache_manager ) {
+		$this->config_manager = $config_manager;
+		$this->cache_manager  = $cache_manager;
+	}
+
+	/**
+	 * Get all reference type taxonomies
+	 *
+	 * @since 0.3.0
+	 * @return array<int, string> Taxonomy slugs.
+	 */
+	public function get_type_taxonomies(): array {
+		$taxonomies = array();
+
+		foreach ( $this->config_manager->get_all_configs() as $config ) {
+			$taxonomies = array_merge( $taxonomies, $config['ref_types'] );
+		}
+
+		return array_values( array_filter( array_unique( $taxonomies ), 'taxonomy_exists' ) );
+	}
+
+	/**
+	 * Normalize a term name for comparison
+	 *
+	 * Lowercases the name, removes accents and punctuation, collapses
+	 * whitespace and sorts the words, so reordered names match.
+	 *
+	 * @since 0.3.0
+	 * @param string $name Term name.
+	 * @return string Normalized name.
+	 */
+	public function normalize_name( string $name ): string {
+		$name  = mb_strtolower( remove_accents( html_entity_decode( $name, ENT_QUOTES, 'UTF-8' ) ) );
+		$name  = (string) preg_replace( '/[^\p{L}\p{N}]+/u', ' ', $name );
+		$words = array_filter( explode( ' ', $name ) );
+
+		sort( $words );
+
+		return implode( ' ', $words );
+	}
+
+	/**
+	 * Get the similarity of two normalized names
+	 *
+	 * @since 0.3.0
+	 * @param string $a Normalized name.
+	 * @param string $b Normalized name.
+	 * @return float Similarity from 0 to 1.
+	 */
+	public function get_similarity( string $a, string $b ): float {
+		if ( $a === $b ) {
+			return 1.0;
+		}
+
+		similar_text( $a, $b, $percent );
+
+		return $percent / 100;
+	}
+
+	/**
+	 * Find groups of near-duplicate terms in a taxonomy
+	 *
+	 * Terms are grouped when their normalized names are equal or at
+	 * least as similar as the 'gatherpress_references_duplicate_similarity'
+	 * threshold. Similar terms of similar terms end up in the same group.
+	 * Runs on request only, as it compares the names of all terms.
+	 *
+	 * @since 0.3.0
+	 * @param string $taxonomy Taxonomy slug.
+	 * @return array<int, array<int, \WP_Term>> Groups of at least two terms, most used first.
+	 */
+	public function find_duplicates( string $taxonomy ): array {
+		$terms = get_terms(
+			array(
+				'taxonomy'   => $taxonomy,
+				'hide_empty' => false,
+			)
+		);
+
+		if ( ! is_array( $terms ) || count( $terms ) < 2 ) {
+			return array();
+		}
+
+		$terms = array_values(
+			array_filter(
+				$terms,
+				static fn( $term ): bool => $term instanceof \WP_Term
+			)
+		);
+
+		/**
+		 * Filters how similar normalized term names must be to count as duplicates.
+		 *
+		 * Names that are equal after normalizing case, accents, punctuation,
+		 * whitespace and word order always count as duplicates.
+		 *
+		 * @since 0.3.0
+		 *
+		 * @param float  $threshold Similarity from 0 to 1. Default 0.9.
+		 * @param string $taxonomy  Taxonomy slug.
+		 * @return float Filtered threshold.
+		 *
+		 * @example
+		 * Only find names that are equal after normalizing:
+		 * ```php
+		 * add_filter( 'gatherpress_references_duplicate_similarity', fn() => 1.0 );
+		 * ```
+		 */
+		$threshold = apply_filters( 'gatherpress_references_duplicate_similarity', 0.9, $taxonomy );
+		$threshold = is_numeric( $threshold ) ? (float) $threshold : 0.9;
+
+		$names   = array();
+		$parents = array();
+		foreach ( $terms as $index => $term ) {
+			$names[ $index ]   = $this->normalize_name( $term->name );
+			$parents[ $index ] = $index;
+		}
+
+		// Names are compared shortest first. The similarity of two names is
+		// at most 2 * shorter / (shorter + longer) length, so comparing a
+		// name stops at the first one that is too long to be similar.
+		$lengths = array_map( 'strlen', $names );
+		asort( $lengths );
+		$order = array_keys( $lengths );
+
+		$count = count( $order );
+		for ( $a = 0; $a < $count; $a++ ) {
+			$i = $order[ $a ];
+
+			if ( 0 === $lengths[ $i ] ) {
+				continue;
+			}
+
+			for ( $b = $a + 1; $b < $count; $b++ ) {
+				$j = $order[ $b ];
+
+				if ( 2 * $lengths[ $i ] / ( $lengths[ $i ] + $lengths[ $j ] ) < $threshold ) {
+					break;
+				}
+
+				if ( $this->get_similarity( $names[ $i ], $names[ $j ] ) < $threshold ) {
+					continue;
+				}
+
+				// Union the groups of both terms.
+				$parents[ $this->find_root( $parents, $j ) ] = $this->find_root( $parents, $i );
+			}
+		}
+
+		$groups = array();
+		foreach ( $terms as $index => $term ) {
+			$groups[ $this->find_root( $parents, $index ) ][] = $term;
+		}
+
+		$groups = array_values(
+			array_filter(
+				$groups,
+				static fn( array $group ): bool => count( $group ) > 1
+			)
+		);
+
+		foreach ( $groups as $index => $group ) {
+			usort(
+				$group,
+				static fn( \WP_Term $a, \WP_Term $b ): int => $b->count <=> $a->count ?: strnatcasecmp( $a->name, $b->name )
+			);
+			$groups[ $index ] = $group;
+		}
+
+		return $groups;
+	}
+
+	/**
+	 * Find the root of a term's group
+	 *
+	 * @since 0.3.0
+	 * @param array<int, int> $parents Parent index of each term.
+	 * @param int             $index   Term index.
+	 * @return int Root index.
+	 */
+	private function find_root( array $parents, int $index ): int {
+		while ( $parents[ $index ] !== $index ) {
+			$index = $parents[ $index ];
+		}
+
+		return $index;
+	}
+
+	/**
+	 * Merge terms into a target term
+	 *
+	 * Posts of the merged terms are assigned the target term, term meta
+	 * the target doesn't have yet is copied over, and the merged terms
+	 * are deleted. All caches are flushed afterwards.
+	 *
+	 * @since 0.3.0
+	 * @param string          $taxonomy   Taxonomy slug.
+	 * @param int             $target_id  ID of the term to keep.
+	 * @param array<int, int> $source_ids IDs of the terms to merge into it.
+	 * @return int|\WP_Error Number of merged terms, or error if the target is invalid.
+	 */
+	public function merge( string $taxonomy, int $target_id, array $source_ids ) {
+		if ( ! in_array( $taxonomy, $this->get_type_taxonomies(), true ) ) {
+			return new \WP_Error( 'gatherpress_references_invalid_taxonomy', __( 'Only terms of reference types can be merged.', 'gatherpress-references' ) );
+		}
+
+		$target = get_term( $target_id, $taxonomy );
+
+		if ( ! $target instanceof \WP_Term ) {
+			return new \WP_Error( 'gatherpress_references_invalid_term', __( 'The term to keep does not exist.', 'gatherpress-references' ) );
+		}
+
+		$merged = 0;
+		foreach ( array_unique( $source_ids ) as $source_id ) {
+			$source = get_term( $source_id, $taxonomy );
+
+			if ( ! $source instanceof \WP_Term || $source->term_id === $target->term_id ) {
+				continue;
+			}
+
+			$this->copy_term_meta( $source->term_id, $target->term_id );
+
+			// Deleting with a forced default assigns the target to all posts of the source.
+			$deleted = wp_delete_term(
+				$source->term_id,
+				$taxonomy,
+				array(
+					'default'       => $target->term_id,
+					'force_default' => true,
+				)
+			);
+
+			if ( true === $deleted ) {
+				++$merged;
+			}
+		}
+
+		if ( $merged > 0 ) {
+			$this->cache_manager->clear_all();
+		}
+
+		return $merged;
+	}
+
+	/**
+	 * Copy term details the target doesn't have yet
+	 *
+	 * Only details such as the URL, logo and location are copied. How
+	 * the target is presented, whether hidden, renamed, prioritized or
+	 * ordered, stays as set on the target.
+	 *
+	 * @since 0.3.0
+	 * @param int $source_id Source term ID.
+	 * @param int $target_id Target term ID.
+	 * @return void
+	 */
+	private function copy_term_meta( int $source_id, int $target_id ): void {
+		foreach ( Taxonomy_Manager::DETAIL_META_KEYS as $meta_key ) {
+			$value = get_term_meta( $source_id, $meta_key, true );
+
+			if ( ! empty( $value ) && empty( get_term_meta( $target_id, $meta_key, true ) ) ) {
+				update_term_meta( $target_id, $meta_key, $value );
+			}
+		}
+	}
+}
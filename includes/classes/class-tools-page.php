@@ -0,0 +1,856 @@
+<?php
+/**
+ * Tools Page class
+ *
+ * Adds the plugin's page to the Tools menu, showing cache
+ * diagnostics, letting admins flush and warm the caches, import
+ * references from CSV files, export them and merge duplicate
+ * reference terms.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Tools Page
+ *
+ * Adds the plugin's page to the Tools menu, showing cache
+ * diagnostics, letting admins flush and warm the caches, import
+ * references from CSV files, export them and merge duplicate
+ * reference terms.
+ *
+ * @since 0.3.0
+ */
+class Tools_Page {
+	/**
+	 * Page slug
+	 *
+	 * @var string
+	 */
+	const PAGE_SLUG = 'gatherpress-references';
+
+	/**
+	 * Capability required to see the page and run its actions
+	 *
+	 * @var string
+	 */
+	const CAPABILITY = 'manage_options';
+
+	/**
+	 * Admin post action and nonce action of the cache forms
+	 *
+	 * @var string
+	 */
+	const CACHE_ACTION = 'gatherpress_references_cache';
+
+	/**
+	 * Admin post action and nonce action of the merge forms
+	 *
+	 * @var string
+	 */
+	const MERGE_ACTION = 'gatherpress_references_merge_terms';
+
+	/**
+	 * Admin post action and nonce action of the form finding duplicate terms
+	 *
+	 * @var string
+	 */
+	const FIND_DUPLICATES_ACTION = 'gatherpress_references_find_duplicates';
+
+	/**
+	 * Admin post action and nonce action of the import form
+	 *
+	 * @var string
+	 */
+	const IMPORT_ACTION = 'gatherpress_references_import';
+
+	/**
+	 * Admin post action and nonce action of the export form
+	 *
+	 * @var string
+	 */
+	const EXPORT_ACTION = 'gatherpress_references_export';
+
+	/**
+	 * Prefix of the transient keeping a user's last import report
+	 *
+	 * @var string
+	 */
+	const IMPORT_REPORT_TRANSIENT = 'gatherpress_references_import_report_';
+
+	/**
+	 * Prefix of the transient keeping the duplicate terms a user found last
+	 *
+	 * @var string
+	 */
+	const DUPLICATES_TRANSIENT = 'gatherpress_references_duplicates_';
+
+	/**
+	 * Query argument of the notice shown after an action
+	 *
+	 * @var string
+	 */
+	const NOTICE_QUERY_ARG = 'gatherpress-references-notice';
+
+	/**
+	 * Cache manager instance
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Cache warmer instance
+	 *
+	 * @var Cache_Warmer
+	 */
+	private Cache_Warmer $cache_warmer;
+
+	/**
+	 * Term merger instance
+	 *
+	 * @var Term_Merger
+	 */
+	private Term_Merger $term_merger;
+
+	/**
+	 * CSV importer instance
+	 *
+	 * @var Csv_Importer
+	 */
+	private Csv_Importer $csv_importer;
+
+	/**
+	 * Exporter instance
+	 *
+	 * @var Exporter
+	 */
+	private Exporter $exporter;
+
+	/**
+	 * Constructor
+	 *
+	 * @since 0.3.0
+	 * @param Cache_Manager $cache_manager Cache manager instance.
+	 * @param Cache_Warmer  $cache_warmer  Cache warmer instance.
+	 * @param Term_Merger   $term_merger   Term merger instance.
+	 * @param Csv_Importer  $csv_importer  CSV importer instance.
+	 * @param Exporter      $exporter      Exporter instance.
+	 */
+	public function __construct( Cache_Manager $cache_manager, Cache_Warmer $cache_warmer, Term_Merger $term_merger, Csv_Importer $csv_importer, Exporter $exporter ) {
+		$this->cache_manager = $cache_manager;
+		$this->cache_warmer  = $cache_warmer;
+		$this->term_merger   = $term_merger;
+		$this->csv_importer  = $csv_importer;
+		$this->exporter      = $exporter;
+	}
+
+	/**
+	 * Add the page to the Tools menu
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function add_page(): void {
+		add_management_page(
+			__( 'GatherPress References', 'gatherpress-references' ),
+			__( 'GatherPress References', 'gatherpress-references' ),
+			self::CAPABILITY,
+			self::PAGE_SLUG,
+			array( $this, 'render' )
+		);
+	}
+
+	/**
+	 * Get the URL of the page
+	 *
+	 * @since 0.3.0
+	 * @return string Page URL.
+	 */
+	public function get_url(): string {
+		return add_query_arg( 'page', self::PAGE_SLUG, admin_url( 'tools.php' ) );
+	}
+
+	/**
+	 * Render the page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function render(): void {
+		?>
+		<div class="wrap">
+			<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+
+			<?php $this->render_notice(); ?>
+
+			<h2><?php esc_html_e( 'Cache', 'gatherpress-references' ); ?></h2>
+			<p><?php esc_html_e( 'References are cached until a post, its reference terms or a reference term change. Counts of hits and misses start over when the cache is flushed.', 'gatherpress-references' ); ?></p>
+
+			<table class="widefat striped" style="max-width: 40em;">
+				<tbody>
+					<?php foreach ( $this->get_status_rows() as $label => $value ) : ?>
+						<tr>
+							<th scope="row"><?php echo esc_html( $label ); ?></th>
+							<td><?php echo esc_html( $value ); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::CACHE_ACTION ); ?>" />
+				<?php wp_nonce_field( self::CACHE_ACTION ); ?>
+				<p>
+					<button type="submit" class="button" name="cache_action" value="flush"><?php esc_html_e( 'Flush cache', 'gatherpress-references' ); ?></button>
+					<button type="submit" class="button" name="cache_action" value="warm"><?php esc_html_e( 'Warm cache now', 'gatherpress-references' ); ?></button>
+				</p>
+			</form>
+
+			<h2><?php esc_html_e( 'Import', 'gatherpress-references' ); ?></h2>
+			<p><?php esc_html_e( 'Import historical references from a CSV file with a header row. Each row becomes a past event, or adds its terms to an event with the same title on the same date. Columns named like the date, the title or a reference taxonomy are imported, others are ignored. Separate several terms in one cell with "|". Missing terms are created.', 'gatherpress-references' ); ?></p>
+
+			<?php $this->render_import(); ?>
+
+			<h2><?php esc_html_e( 'Export', 'gatherpress-references' ); ?></h2>
+			<p><?php esc_html_e( 'Download references as CSV, Markdown or plain text, such as for funding applications, or open a print view to save as PDF. Exports list the references of all years, newest first.', 'gatherpress-references' ); ?></p>
+
+			<?php $this->render_export(); ?>
+
+			<h2><?php esc_html_e( 'Duplicate Terms', 'gatherpress-references' ); ?></h2>
+			<p><?php esc_html_e( 'Find terms with the same or very similar names, ignoring case, accents, punctuation and word order. Finding them compares all terms and can take a while, so the results are kept for an hour. Merging assigns the kept term to all events of the others, then deletes them.', 'gatherpress-references' ); ?></p>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<input type="hidden" name="action" value="<?php echo esc_attr( self::FIND_DUPLICATES_ACTION ); ?>" />
+				<?php wp_nonce_field( self::FIND_DUPLICATES_ACTION ); ?>
+				<p><button type="submit" class="button"><?php esc_html_e( 'Find duplicates', 'gatherpress-references' ); ?></button></p>
+			</form>
+
+			<?php $this->render_duplicates(); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the duplicate terms found last, one merge form per group
+	 *
+	 * Nothing is rendered until the current user searched for duplicates.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	private function render_duplicates(): void {
+		$duplicates = get_transient( self::DUPLICATES_TRANSIENT . get_current_user_id() );
+
+		if ( ! is_array( $duplicates ) ) {
+			return;
+		}
+
+		$found = false;
+
+		foreach ( $duplicates as $taxonomy => $group_ids ) {
+			if ( ! is_string( $taxonomy ) || ! is_array( $group_ids ) || ! taxonomy_exists( $taxonomy ) ) {
+				continue;
+			}
+
+			$groups = $this->get_duplicate_groups( $taxonomy, $group_ids );
+
+			if ( empty( $groups ) ) {
+				continue;
+			}
+
+			$found           = true;
+			$taxonomy_object = get_taxonomy( $taxonomy );
+			?>
+			<h3><?php echo esc_html( $taxonomy_object ? $taxonomy_object->labels->name : $taxonomy ); ?></h3>
+			<?php foreach ( $groups as $index => $group ) { ?>
+				<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+					<input type="hidden" name="action" value="<?php echo esc_attr( self::MERGE_ACTION ); ?>" />
+					<input type="hidden" name="taxonomy" value="<?php echo esc_attr( $taxonomy ); ?>" />
+					<?php wp_nonce_field( self::MERGE_ACTION ); ?>
+					<table class="widefat striped" style="max-width: 40em;">
+						<thead>
+							<tr>
+								<th scope="col"><?php esc_html_e( 'Keep', 'gatherpress-references' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Merge', 'gatherpress-references' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Name', 'gatherpress-references' ); ?></th>
+								<th scope="col"><?php esc_html_e( 'Events', 'gatherpress-references' ); ?></th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $group as $position => $term ) { ?>
+								<tr>
+									<td><input type="radio" name="target" value="<?php echo esc_attr( (string) $term->term_id ); ?>" <?php checked( 0, $position ); ?> aria-label="<?php echo esc_attr( sprintf( /* translators: %s: term name */ __( 'Keep %s', 'gatherpress-references' ), $term->name ) ); ?>" /></td>
+									<td><input type="checkbox" name="sources[]" value="<?php echo esc_attr( (string) $term->term_id ); ?>" checked aria-label="<?php echo esc_attr( sprintf( /* translators: %s: term name */ __( 'Merge %s', 'gatherpress-references' ), $term->name ) ); ?>" /></td>
+									<td><a href="<?php echo esc_url( (string) get_edit_term_link( $term->term_id, $taxonomy ) ); ?>"><?php echo esc_html( $term->name ); ?></a></td>
+									<td><?php echo esc_html( number_format_i18n( $term->count ) ); ?></td>
+								</tr>
+							<?php } ?>
+						</tbody>
+					</table>
+					<p><button type="submit" class="button"><?php esc_html_e( 'Merge into kept term', 'gatherpress-references' ); ?></button></p>
+				</form>
+			<?php } ?>
+			<?php
+		}
+
+		if ( ! $found ) {
+			?>
+			<p><em><?php esc_html_e( 'No duplicate terms found.', 'gatherpress-references' ); ?></em></p>
+			<?php
+		}
+	}
+
+	/**
+	 * Get the terms of the duplicate groups found last
+	 *
+	 * Terms deleted since, such as by merging, are left out, and so
+	 * are groups with fewer than two terms left.
+	 *
+	 * @since 0.3.0
+	 * @param string       $taxonomy  Taxonomy slug.
+	 * @param array<mixed> $group_ids Groups of term IDs.
+	 * @return array<int, array<int, \WP_Term>> Groups of terms.
+	 */
+	private function get_duplicate_groups( string $taxonomy, array $group_ids ): array {
+		$group_ids = array_map(
+			static fn( $ids ): array => is_array( $ids ) ? array_map( 'absint', $ids ) : array(),
+			$group_ids
+		);
+		$term_ids  = array_filter( array_merge( ...array_values( $group_ids ) ) );
+
+		if ( empty( $term_ids ) ) {
+			return array();
+		}
+
+		$terms = get_terms(
+			array(
+				'taxonomy'   => $taxonomy,
+				'include'    => $term_ids,
+				'hide_empty' => false,
+			)
+		);
+
+		if ( ! is_array( $terms ) ) {
+			return array();
+		}
+
+		$terms_by_id = array();
+		foreach ( $terms as $term ) {
+			if ( $term instanceof \WP_Term ) {
+				$terms_by_id[ $term->term_id ] = $term;
+			}
+		}
+
+		$groups = array();
+		foreach ( $group_ids as $ids ) {
+			$group = array();
+			foreach ( $ids as $id ) {
+				if ( isset( $terms_by_id[ $id ] ) ) {
+					$group[] = $terms_by_id[ $id ];
+				}
+			}
+
+			if ( count( $group ) > 1 ) {
+				$groups[] = $group;
+			}
+		}
+
+		return $groups;
+	}
+
+	/**
+	 * Render the import form and the report of the last import
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	private function render_import(): void {
+		$post_types = $this->csv_importer->get_post_types();
+
+		if ( empty( $post_types ) ) {
+			?>
+			<p><em><?php esc_html_e( 'No post type supports references.', 'gatherpress-references' ); ?></em></p>
+			<?php
+			return;
+		}
+
+		$this->render_import_report();
+		?>
+		<form method="post" enctype="multipart/form-data" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+			<input type="hidden" name="action" value="<?php echo esc_attr( self::IMPORT_ACTION ); ?>" />
+			<?php wp_nonce_field( self::IMPORT_ACTION ); ?>
+			<table class="form-table" role="presentation">
+				<tbody>
+					<tr>
+						<th scope="row"><label for="gatherpress-references-import-file"><?php esc_html_e( 'CSV file', 'gatherpress-references' ); ?></label></th>
+						<td><input type="file" id="gatherpress-references-import-file" name="csv" accept=".csv,text/csv" required /></td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="gatherpress-references-import-post-type"><?php esc_html_e( 'Post type', 'gatherpress-references' ); ?></label></th>
+						<td>
+							<select id="gatherpress-references-import-post-type" name="post_type">
+								<?php foreach ( $post_types as $post_type ) { ?>
+									<?php $post_type_object = get_post_type_object( $post_type ); ?>
+									<option value="<?php echo esc_attr( $post_type ); ?>"><?php echo esc_html( $post_type_object ? $post_type_object->labels->name : $post_type ); ?></option>
+								<?php } ?>
+							</select>
+							<?php foreach ( $post_types as $post_type ) { ?>
+								<p class="description">
+									<?php
+									echo esc_html(
+										sprintf(
+											/* translators: 1: post type slug, 2: comma-separated column names */
+											__( 'Columns of %1$s: %2$s', 'gatherpress-references' ),
+											$post_type,
+											implode( ', ', $this->csv_importer->get_fields( $post_type ) )
+										)
+									);
+									?>
+								</p>
+							<?php } ?>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Dry run', 'gatherpress-references' ); ?></th>
+						<td><label><input type="checkbox" name="dry_run" value="1" checked /> <?php esc_html_e( 'Only report what would be imported', 'gatherpress-references' ); ?></label></td>
+					</tr>
+				</tbody>
+			</table>
+			<p><button type="submit" class="button"><?php esc_html_e( 'Import', 'gatherpress-references' ); ?></button></p>
+		</form>
+		<?php
+	}
+
+	/**
+	 * Render the export form
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	private function render_export(): void {
+		$post_types = $this->exporter->get_post_types();
+
+		if ( empty( $post_types ) ) {
+			?>
+			<p><em><?php esc_html_e( 'No post type supports references.', 'gatherpress-references' ); ?></em></p>
+			<?php
+			return;
+		}
+
+		$post_type_labels = array();
+		$options          = array();
+		foreach ( $post_types as $post_type ) {
+			$post_type_object               = get_post_type_object( $post_type );
+			$post_type_labels[ $post_type ] = $post_type_object ? $post_type_object->labels->name : $post_type;
+			$options[ $post_type ]          = $this->exporter->get_filter_options( $post_type );
+		}
+		?>
+		<form method="post" target="_blank" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+			<input type="hidden" name="action" value="<?php echo esc_attr( self::EXPORT_ACTION ); ?>" />
+			<?php wp_nonce_field( self::EXPORT_ACTION ); ?>
+			<table class="form-table" role="presentation">
+				<tbody>
+					<tr>
+						<th scope="row"><label for="gatherpress-references-export-post-type"><?php esc_html_e( 'Post type', 'gatherpress-references' ); ?></label></th>
+						<td>
+							<select id="gatherpress-references-export-post-type" name="post_type">
+								<?php foreach ( $post_type_labels as $post_type => $label ) { ?>
+									<option value="<?php echo esc_attr( $post_type ); ?>"><?php echo esc_html( $label ); ?></option>
+								<?php } ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="gatherpress-references-export-production"><?php esc_html_e( 'Production', 'gatherpress-references' ); ?></label></th>
+						<td>
+							<select id="gatherpress-references-export-production" name="ref_term_id">
+								<option value="0"><?php esc_html_e( 'All productions', 'gatherpress-references' ); ?></option>
+								<?php foreach ( $options as $post_type => $post_type_options ) { ?>
+									<optgroup label="<?php echo esc_attr( $post_type_labels[ $post_type ] ); ?>">
+										<?php foreach ( $post_type_options['productions'] as $term_id => $name ) { ?>
+											<option value="<?php echo esc_attr( (string) $term_id ); ?>"><?php echo esc_html( $name ); ?></option>
+										<?php } ?>
+									</optgroup>
+								<?php } ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="gatherpress-references-export-type"><?php esc_html_e( 'Reference type', 'gatherpress-references' ); ?></label></th>
+						<td>
+							<select id="gatherpress-references-export-type" name="type">
+								<option value="all"><?php esc_html_e( 'All types', 'gatherpress-references' ); ?></option>
+								<?php foreach ( $options as $post_type => $post_type_options ) { ?>
+									<optgroup label="<?php echo esc_attr( $post_type_labels[ $post_type ] ); ?>">
+										<?php foreach ( $post_type_options['types'] as $taxonomy => $label ) { ?>
+											<option value="<?php echo esc_attr( $taxonomy ); ?>"><?php echo esc_html( $label ); ?></option>
+										<?php } ?>
+									</optgroup>
+								<?php } ?>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><?php esc_html_e( 'Years', 'gatherpress-references' ); ?></th>
+						<td>
+							<label><?php esc_html_e( 'From', 'gatherpress-references' ); ?> <input type="number" name="year_from" min="0" class="small-text" /></label>
+							<label><?php esc_html_e( 'To', 'gatherpress-references' ); ?> <input type="number" name="year_to" min="0" class="small-text" /></label>
+							<p class="description"><?php esc_html_e( 'Leave empty for all years.', 'gatherpress-references' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<th scope="row"><label for="gatherpress-references-export-format"><?php esc_html_e( 'Format', 'gatherpress-references' ); ?></label></th>
+						<td>
+							<select id="gatherpress-references-export-format" name="format">
+								<?php foreach ( $this->exporter->get_format_labels() as $format => $label ) { ?>
+									<option value="<?php echo esc_attr( $format ); ?>"><?php echo esc_html( $label ); ?></option>
+								<?php } ?>
+							</select>
+						</td>
+					</tr>
+				</tbody>
+			</table>
+			<p><button type="submit" class="button"><?php esc_html_e( 'Export', 'gatherpress-references' ); ?></button></p>
+		</form>
+		<?php
+	}
+
+	/**
+	 * Render the report of the current user's last import, once
+	 *
+	 * Error messages of failed imports are shown as notice instead.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	private function render_import_report(): void {
+		$transient = self::IMPORT_REPORT_TRANSIENT . get_current_user_id();
+		$report    = get_transient( $transient );
+
+		if ( ! is_array( $report ) ) {
+			return;
+		}
+
+		delete_transient( $transient );
+
+		$rows = array(
+			__( 'Rows', 'gatherpress-references' )           => isset( $report['rows'] ) && is_int( $report['rows'] ) ? $report['rows'] : 0,
+			__( 'Events created', 'gatherpress-references' ) => isset( $report['events_created'] ) && is_int( $report['events_created'] ) ? $report['events_created'] : 0,
+			__( 'Events reused', 'gatherpress-references' )  => isset( $report['events_reused'] ) && is_int( $report['events_reused'] ) ? $report['events_reused'] : 0,
+		);
+		?>
+		<div class="card">
+			<h3><?php echo esc_html( empty( $report['dry_run'] ) ? __( 'Last import', 'gatherpress-references' ) : __( 'Dry run, nothing was saved', 'gatherpress-references' ) ); ?></h3>
+			<table class="widefat striped">
+				<tbody>
+					<?php foreach ( $rows as $label => $value ) { ?>
+						<tr>
+							<th scope="row"><?php echo esc_html( $label ); ?></th>
+							<td><?php echo esc_html( number_format_i18n( $value ) ); ?></td>
+						</tr>
+					<?php } ?>
+					<?php foreach ( isset( $report['terms_created'] ) && is_array( $report['terms_created'] ) ? $report['terms_created'] : array() as $taxonomy => $names ) { ?>
+						<?php $taxonomy_object = get_taxonomy( (string) $taxonomy ); ?>
+						<tr>
+							<th scope="row">
+								<?php
+								echo esc_html(
+									sprintf(
+										/* translators: %s: taxonomy name */
+										__( 'New %s', 'gatherpress-references' ),
+										$taxonomy_object ? $taxonomy_object->labels->name : $taxonomy
+									)
+								);
+								?>
+							</th>
+							<td><?php echo esc_html( is_array( $names ) ? implode( ', ', array_filter( $names, 'is_string' ) ) : '' ); ?></td>
+						</tr>
+					<?php } ?>
+				</tbody>
+			</table>
+			<?php if ( ! empty( $report['errors'] ) && is_array( $report['errors'] ) ) { ?>
+				<h4><?php esc_html_e( 'Skipped rows', 'gatherpress-references' ); ?></h4>
+				<ul>
+					<?php foreach ( $report['errors'] as $line => $message ) { ?>
+						<li>
+							<?php
+							echo esc_html(
+								sprintf(
+									/* translators: 1: line number, 2: error message */
+									__( 'Line %1$d: %2$s', 'gatherpress-references' ),
+									$line,
+									is_string( $message ) ? $message : ''
+								)
+							);
+							?>
+						</li>
+					<?php } ?>
+				</ul>
+			<?php } ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the cache status, formatted for display
+	 *
+	 * @since 0.3.0
+	 * @return array<string, string> Values keyed by label.
+	 */
+	private function get_status_rows(): array {
+		$stats   = $this->cache_manager->get_stats();
+		$unknown = __( 'Unknown, stored in the object cache', 'gatherpress-references' );
+
+		return array(
+			__( 'Cached references', 'gatherpress-references' )   => null !== $stats['data_entries'] ? number_format_i18n( $stats['data_entries'] ) : $unknown,
+			__( 'Cached block output', 'gatherpress-references' ) => null !== $stats['output_entries'] ? number_format_i18n( $stats['output_entries'] ) : $unknown,
+			__( 'Cache versions', 'gatherpress-references' )      => null !== $stats['versions'] ? number_format_i18n( $stats['versions'] ) : $unknown,
+			__( 'Size', 'gatherpress-references' )                => null !== $stats['size'] ? (string) size_format( $stats['size'] ) : $unknown,
+			__( 'Hits', 'gatherpress-references' )                => number_format_i18n( $stats['hits'] ),
+			__( 'Misses', 'gatherpress-references' )              => number_format_i18n( $stats['misses'] ),
+			__( 'Hit rate', 'gatherpress-references' )            => null !== $stats['hit_rate'] ? number_format_i18n( $stats['hit_rate'] * 100, 1 ) . '%' : __( 'No lookups yet', 'gatherpress-references' ),
+			__( 'Counting since', 'gatherpress-references' )      => $this->format_time( $stats['since'] ),
+			__( 'Last flushed', 'gatherpress-references' )        => $this->format_time( $stats['last_cleared'] ),
+			__( 'Next warming', 'gatherpress-references' )        => $this->format_time( $this->cache_warmer->get_next_scheduled() ),
+		);
+	}
+
+	/**
+	 * Format a timestamp for display
+	 *
+	 * @since 0.3.0
+	 * @param int $timestamp Timestamp, 0 if unknown.
+	 * @return string Formatted date and time.
+	 */
+	private function format_time( int $timestamp ): string {
+		if ( 0 === $timestamp ) {
+			return __( 'Never', 'gatherpress-references' );
+		}
+
+		/* translators: Date and time format, see https://www.php.net/manual/datetime.format.php */
+		$formatted = wp_date( __( 'F j, Y g:i a', 'gatherpress-references' ), $timestamp );
+
+		return false !== $formatted ? $formatted : '';
+	}
+
+	/**
+	 * Render the notice of the last action
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	private function render_notice(): void {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Only shows the result of an action verified before.
+		$notice = isset( $_GET[ self::NOTICE_QUERY_ARG ] ) && is_string( $_GET[ self::NOTICE_QUERY_ARG ] ) ? sanitize_key( wp_unslash( $_GET[ self::NOTICE_QUERY_ARG ] ) ) : '';
+		$count  = isset( $_GET['count'] ) && is_string( $_GET['count'] ) ? absint( $_GET['count'] ) : 0;
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$type = 'success';
+
+		if ( 'flushed' === $notice ) {
+			$message = __( 'The cache was flushed.', 'gatherpress-references' );
+		} elseif ( 'warmed' === $notice ) {
+			$message = sprintf(
+				/* translators: %d: number of blocks */
+				_n( 'The cache of %d block was warmed.', 'The caches of %d blocks were warmed.', $count, 'gatherpress-references' ),
+				$count
+			);
+		} elseif ( 'merged' === $notice ) {
+			$message = sprintf(
+				/* translators: %d: number of terms */
+				_n( '%d term was merged.', '%d terms were merged.', $count, 'gatherpress-references' ),
+				$count
+			);
+		} elseif ( 'merge-failed' === $notice ) {
+			$type    = 'error';
+			$message = __( 'The terms could not be merged. Choose a term to keep of a reference type.', 'gatherpress-references' );
+		} elseif ( 'imported' === $notice ) {
+			$message = __( 'The file was imported. See the report below.', 'gatherpress-references' );
+		} elseif ( 'export-failed' === $notice ) {
+			$type    = 'error';
+			$message = __( 'The references could not be exported. Choose a production and reference type of the post type.', 'gatherpress-references' );
+		} elseif ( 'import-failed' === $notice ) {
+			$type    = 'error';
+			$error   = get_transient( self::IMPORT_REPORT_TRANSIENT . get_current_user_id() );
+			$message = sprintf(
+				/* translators: %s: error message */
+				__( 'The file could not be imported: %s', 'gatherpress-references' ),
+				is_string( $error ) ? $error : __( 'Unknown error.', 'gatherpress-references' )
+			);
+			delete_transient( self::IMPORT_REPORT_TRANSIENT . get_current_user_id() );
+		} else {
+			return;
+		}
+		?>
+		<div class="notice notice-<?php echo esc_attr( $type ); ?> is-dismissible"><p><?php echo esc_html( $message ); ?></p></div>
+		<?php
+	}
+
+	/**
+	 * Handle the cache forms
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_cache_action(): void {
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to manage the references cache.', 'gatherpress-references' ), 403 );
+		}
+
+		check_admin_referer( self::CACHE_ACTION );
+
+		$cache_action = isset( $_POST['cache_action'] ) && is_string( $_POST['cache_action'] ) ? sanitize_key( wp_unslash( $_POST['cache_action'] ) ) : '';
+		$query_args   = array();
+
+		if ( 'flush' === $cache_action ) {
+			$this->cache_manager->clear_all();
+			$query_args[ self::NOTICE_QUERY_ARG ] = 'flushed';
+		} elseif ( 'warm' === $cache_action ) {
+			$query_args[ self::NOTICE_QUERY_ARG ] = 'warmed';
+			$query_args['count']                  = $this->cache_warmer->warm();
+		}
+
+		wp_safe_redirect( add_query_arg( $query_args, $this->get_url() ) );
+		exit;
+	}
+
+	/**
+	 * Handle the merge forms
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_merge_action(): void {
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to merge reference terms.', 'gatherpress-references' ), 403 );
+		}
+
+		check_admin_referer( self::MERGE_ACTION );
+
+		$taxonomy   = isset( $_POST['taxonomy'] ) && is_string( $_POST['taxonomy'] ) ? sanitize_key( wp_unslash( $_POST['taxonomy'] ) ) : '';
+		$target_id  = isset( $_POST['target'] ) && is_string( $_POST['target'] ) ? absint( $_POST['target'] ) : 0;
+		$source_ids = isset( $_POST['sources'] ) && is_array( $_POST['sources'] ) ? array_map( 'absint', wp_unslash( $_POST['sources'] ) ) : array();
+
+		$merged = $this->term_merger->merge( $taxonomy, $target_id, array_values( $source_ids ) );
+
+		$query_args = is_wp_error( $merged )
+			? array( self::NOTICE_QUERY_ARG => 'merge-failed' )
+			: array(
+				self::NOTICE_QUERY_ARG => 'merged',
+				'count'                => $merged,
+			);
+
+		wp_safe_redirect( add_query_arg( $query_args, $this->get_url() ) );
+		exit;
+	}
+
+	/**
+	 * Handle the form finding duplicate terms
+	 *
+	 * The groups found are kept for the current user for an hour, as
+	 * term IDs, and shown on the page after the redirect.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_find_duplicates_action(): void {
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to merge reference terms.', 'gatherpress-references' ), 403 );
+		}
+
+		check_admin_referer( self::FIND_DUPLICATES_ACTION );
+
+		$duplicates = array();
+		foreach ( $this->term_merger->get_type_taxonomies() as $taxonomy ) {
+			$duplicates[ $taxonomy ] = array_map(
+				static fn( array $group ): array => array_map( static fn( \WP_Term $term ): int => $term->term_id, $group ),
+				$this->term_merger->find_duplicates( $taxonomy )
+			);
+		}
+
+		set_transient( self::DUPLICATES_TRANSIENT . get_current_user_id(), $duplicates, HOUR_IN_SECONDS );
+
+		wp_safe_redirect( $this->get_url() );
+		exit;
+	}
+
+	/**
+	 * Handle the import form
+	 *
+	 * The report is kept for the current user for a few minutes and
+	 * shown on the page after the redirect.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_import_action(): void {
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to import references.', 'gatherpress-references' ), 403 );
+		}
+
+		check_admin_referer( self::IMPORT_ACTION );
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Path of the uploaded file, checked with is_uploaded_file().
+		$file      = isset( $_FILES['csv']['tmp_name'] ) && is_string( $_FILES['csv']['tmp_name'] ) ? $_FILES['csv']['tmp_name'] : '';
+		$post_type = isset( $_POST['post_type'] ) && is_string( $_POST['post_type'] ) ? sanitize_key( wp_unslash( $_POST['post_type'] ) ) : '';
+		$dry_run   = ! empty( $_POST['dry_run'] );
+
+		$report = '' !== $file && is_uploaded_file( $file )
+			? $this->csv_importer->import( $file, $post_type, array(), $dry_run )
+			: new \WP_Error( 'gatherpress_references_missing_file', __( 'No file was uploaded.', 'gatherpress-references' ) );
+
+		// Errors are kept as their message, reports as arrays.
+		set_transient(
+			self::IMPORT_REPORT_TRANSIENT . get_current_user_id(),
+			is_wp_error( $report ) ? $report->get_error_message() : $report,
+			5 * MINUTE_IN_SECONDS
+		);
+
+		$query_args = array( self::NOTICE_QUERY_ARG => is_wp_error( $report ) ? 'import-failed' : 'imported' );
+
+		wp_safe_redirect( add_query_arg( $query_args, $this->get_url() ) );
+		exit;
+	}
+
+	/**
+	 * Handle the export form
+	 *
+	 * Sends the export as download, or the print view to the browser.
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_export_action(): void {
+		if ( ! current_user_can( self::CAPABILITY ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to export references.', 'gatherpress-references' ), 403 );
+		}
+
+		check_admin_referer( self::EXPORT_ACTION );
+
+		$params = array();
+		foreach ( array( 'post_type', 'ref_term_id', 'type', 'year_from', 'year_to', 'format' ) as $key ) {
+			if ( isset( $_POST[ $key ] ) && is_string( $_POST[ $key ] ) ) {
+				$params[ $key ] = sanitize_text_field( wp_unslash( $_POST[ $key ] ) );
+			}
+		}
+
+		$args   = $this->exporter->prepare_args( $params );
+		$format = isset( $params['format'] ) && in_array( $params['format'], Exporter::FORMATS, true ) ? $params['format'] : 'csv';
+
+		if ( is_wp_error( $args ) ) {
+			wp_safe_redirect( add_query_arg( self::NOTICE_QUERY_ARG, 'export-failed', $this->get_url() ) );
+			exit;
+		}
+
+		nocache_headers();
+		header( 'Content-Type: ' . $this->exporter->get_content_type( $format ) );
+		header( sprintf( 'Content-Disposition: %s; filename="%s"', 'print' === $format ? 'inline' : 'attachment', $this->exporter->get_filename( $format, $args ) ) );
+
+		echo $this->exporter->export( $format, $args ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by the exporter, or not HTML.
+		exit;
+	}
+}
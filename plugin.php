@@ -19,11 +19,24 @@ namespace GatherPress\References;
 
 defined( 'ABSPATH' ) || exit;
 
+require_once __DIR__ . '/includes/classes/class-cache-command.php';
 require_once __DIR__ . '/includes/classes/class-cache-manager.php';
+require_once __DIR__ . '/includes/classes/class-cache-warmer.php';
 require_once __DIR__ . '/includes/classes/class-config-manager.php';
+require_once __DIR__ . '/includes/classes/class-csv-importer.php';
 require_once __DIR__ . '/includes/classes/class-data-organizer.php';
+require_once __DIR__ . '/includes/classes/class-data-provider.php';
+require_once __DIR__ . '/includes/classes/class-exporter.php';
+require_once __DIR__ . '/includes/classes/class-filter-bar.php';
+require_once __DIR__ . '/includes/classes/class-import-command.php';
 require_once __DIR__ . '/includes/classes/class-query-builder.php';
+require_once __DIR__ . '/includes/classes/class-rest-controller.php';
+require_once __DIR__ . '/includes/classes/class-schema-generator.php';
+require_once __DIR__ . '/includes/classes/class-settings-page.php';
 require_once __DIR__ . '/includes/classes/class-taxonomy-manager.php';
+require_once __DIR__ . '/includes/classes/class-term-fields.php';
+require_once __DIR__ . '/includes/classes/class-term-merger.php';
+require_once __DIR__ . '/includes/classes/class-tools-page.php';
 
 /**
  * Main Plugin Class
@@ -54,6 +67,13 @@ class Plugin {
 	 */
 	private Cache_Manager $cache_manager;
 
+	/**
+	 * Cache warmer
+	 *
+	 * @var Cache_Warmer
+	 */
+	private Cache_Warmer $cache_warmer;
+
 	/**
 	 * Taxonomy manager
 	 *
@@ -75,6 +95,69 @@ class Plugin {
 	 */
 	private Data_Organizer $data_organizer;
 
+	/**
+	 * Data provider
+	 *
+	 * @var Data_Provider
+	 */
+	private Data_Provider $data_provider;
+
+	/**
+	 * Exporter
+	 *
+	 * @var Exporter
+	 */
+	private Exporter $exporter;
+
+	/**
+	 * Schema generator
+	 *
+	 * @var Schema_Generator
+	 */
+	private Schema_Generator $schema_generator;
+
+	/**
+	 * REST controller
+	 *
+	 * @var Rest_Controller
+	 */
+	private Rest_Controller $rest_controller;
+
+	/**
+	 * Term fields
+	 *
+	 * @var Term_Fields
+	 */
+	private Term_Fields $term_fields;
+
+	/**
+	 * Term merger
+	 *
+	 * @var Term_Merger
+	 */
+	private Term_Merger $term_merger;
+
+	/**
+	 * CSV importer
+	 *
+	 * @var Csv_Importer
+	 */
+	private Csv_Importer $csv_importer;
+
+	/**
+	 * Settings page
+	 *
+	 * @var Settings_Page
+	 */
+	private Settings_Page $settings_page;
+
+	/**
+	 * Tools page
+	 *
+	 * @var Tools_Page
+	 */
+	private Tools_Page $tools_page;
+
 	/**
 	 * Constructor
 	 *
@@ -107,9 +190,19 @@ class Plugin {
 	private function init_components(): void {
 		$this->config_manager   = new Config_Manager();
 		$this->cache_manager    = new Cache_Manager();
+		$this->cache_warmer     = new Cache_Warmer();
 		$this->taxonomy_manager = new Taxonomy_Manager( $this->config_manager );
 		$this->query_builder    = new Query_Builder( $this->config_manager );
 		$this->data_organizer   = new Data_Organizer( $this->config_manager );
+		$this->data_provider    = new Data_Provider( $this->config_manager, $this->cache_manager, $this->query_builder, $this->data_organizer );
+		$this->exporter         = new Exporter( $this->config_manager, $this->data_provider, $this->data_organizer );
+		$this->schema_generator = new Schema_Generator( $this->config_manager, $this->cache_manager, $this->taxonomy_manager );
+		$this->rest_controller  = new Rest_Controller( $this->config_manager, $this->data_provider, $this->data_organizer, $this->taxonomy_manager, $this->exporter );
+		$this->term_fields      = new Term_Fields( $this->config_manager );
+		$this->settings_page    = new Settings_Page( $this->config_manager, $this->taxonomy_manager );
+		$this->term_merger      = new Term_Merger( $this->config_manager, $this->cache_manager );
+		$this->csv_importer     = new Csv_Importer( $this->config_manager, $this->cache_manager );
+		$this->tools_page       = new Tools_Page( $this->cache_manager, $this->cache_warmer, $this->term_merger, $this->csv_importer, $this->exporter );
 	}
 
 	/**
@@ -122,11 +215,31 @@ class Plugin {
 		add_action( 'registered_post_type_gatherpress_event', array( $this, 'register_taxonomies' ) );
 		add_action( 'registered_post_type_gatherpress_event', array( $this, 'register_block' ) );
 		add_action( 'init', array( $this, 'load_textdomain' ) );
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+		add_filter( 'rest_pre_serve_request', array( $this, 'serve_rest_export' ), 10, 3 );
+		add_action( 'admin_init', array( $this, 'register_term_fields' ) );
+		add_action( 'admin_init', array( $this, 'register_settings' ) );
+		add_action( 'admin_menu', array( $this, 'register_settings_page' ) );
+		add_action( 'admin_menu', array( $this, 'register_tools_page' ) );
+		add_action( 'admin_post_' . Tools_Page::CACHE_ACTION, array( $this, 'handle_cache_action' ) );
+		add_action( 'admin_post_' . Tools_Page::MERGE_ACTION, array( $this, 'handle_merge_action' ) );
+		add_action( 'admin_post_' . Tools_Page::FIND_DUPLICATES_ACTION, array( $this, 'handle_find_duplicates_action' ) );
+		add_action( 'admin_post_' . Tools_Page::IMPORT_ACTION, array( $this, 'handle_import_action' ) );
+		add_action( 'admin_post_' . Tools_Page::EXPORT_ACTION, array( $this, 'handle_export_action' ) );
+		add_action( 'cli_init', array( $this, 'register_cli_commands' ) );
 
 		// Cache invalidation hooks.
 		add_action( 'transition_post_status', array( $this, 'clear_cache_on_status_change' ), 10, 3 );
+		add_action( 'post_updated', array( $this, 'clear_cache_on_post_update' ), 10, 3 );
+		add_action( 'edited_term', array( $this, 'clear_cache_on_term_change' ), 10, 3 );
 		add_action( 'delete_term', array( $this, 'clear_cache_on_term_change' ), 10, 3 );
-		add_action( 'set_object_terms', array( $this, 'clear_cache_on_term_relationship' ), 10, 4 );
+		add_action( 'added_term_meta', array( $this, 'clear_cache_on_term_meta_change' ), 10, 3 );
+		add_action( 'updated_term_meta', array( $this, 'clear_cache_on_term_meta_change' ), 10, 3 );
+		add_action( 'deleted_term_meta', array( $this, 'clear_cache_on_term_meta_change' ), 10, 3 );
+		add_action( 'set_object_terms', array( $this, 'clear_cache_on_term_relationship' ), 10, 6 );
+		add_action( 'update_option_' . Config_Manager::OPTION, array( $this, 'clear_cache_on_settings_change' ), 10, 2 );
+		add_action( Cache_Warmer::CRON_HOOK, array( $this, 'warm_cache' ) );
+		add_action( 'shutdown', array( $this, 'save_cache_stats' ) );
 	}
 
 	/**
@@ -168,6 +281,130 @@ class Plugin {
 		register_block_type( __DIR__ . '/build/' );
 	}
 
+	/**
+	 * Register REST routes
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_rest_routes(): void {
+		$this->rest_controller->register_routes();
+	}
+
+	/**
+	 * Serve REST exports without JSON encoding
+	 *
+	 * @since 0.3.0
+	 * @param bool                                   $served  Whether the request was already served.
+	 * @param \WP_HTTP_Response                      $result  Result to send.
+	 * @param \WP_REST_Request<array<string, mixed>> $request Request object.
+	 * @return bool True if the request was served.
+	 */
+	public function serve_rest_export( bool $served, \WP_HTTP_Response $result, \WP_REST_Request $request ): bool {
+		return $this->rest_controller->serve_export( $served, $result, $request );
+	}
+
+	/**
+	 * Register term fields
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_term_fields(): void {
+		$this->term_fields->register();
+	}
+
+	/**
+	 * Register settings
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_settings(): void {
+		$this->settings_page->register_setting();
+	}
+
+	/**
+	 * Register settings page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_settings_page(): void {
+		$this->settings_page->add_page();
+	}
+
+	/**
+	 * Register tools page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_tools_page(): void {
+		$this->tools_page->add_page();
+	}
+
+	/**
+	 * Handle the cache forms of the tools page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_cache_action(): void {
+		$this->tools_page->handle_cache_action();
+	}
+
+	/**
+	 * Handle the merge forms of the tools page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_merge_action(): void {
+		$this->tools_page->handle_merge_action();
+	}
+
+	/**
+	 * Handle the form finding duplicate terms on the tools page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_find_duplicates_action(): void {
+		$this->tools_page->handle_find_duplicates_action();
+	}
+
+	/**
+	 * Handle the import form of the tools page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_import_action(): void {
+		$this->tools_page->handle_import_action();
+	}
+
+	/**
+	 * Handle the export form of the tools page
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function handle_export_action(): void {
+		$this->tools_page->handle_export_action();
+	}
+
+	/**
+	 * Register WP-CLI commands
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function register_cli_commands(): void {
+		\WP_CLI::add_command( 'gatherpress-references cache', new Cache_Command( $this->cache_manager, $this->cache_warmer ) );
+		\WP_CLI::add_command( 'gatherpress-references import', new Import_Command( $this->csv_importer ) );
+	}
+
 	/**
 	 * Clear cache on status change
 	 *
@@ -183,17 +420,43 @@ class Plugin {
 			return;
 		}
 
-		// @todo #48 if GatherPress event, only if past event
-		// ...
-
 		if ( ( 'publish' === $new_status || 'publish' === $old_status ) && $new_status !== $old_status ) {
-			$this->cache_manager->clear_all();
+			$this->invalidate_post_cache( $post );
+		}
+	}
+
+	/**
+	 * Clear cache on updates of published posts
+	 *
+	 * A changed date moves the post to another year, so the entries of
+	 * its years before and after the update are invalidated. Publishing
+	 * and unpublishing are handled by clear_cache_on_status_change().
+	 *
+	 * @since 0.3.0
+	 * @param int      $post_id     Post ID.
+	 * @param \WP_Post $post_after  Post object after the update.
+	 * @param \WP_Post $post_before Post object before the update.
+	 * @return void
+	 */
+	public function clear_cache_on_post_update( int $post_id, \WP_Post $post_after, \WP_Post $post_before ): void {
+		if ( ! post_type_supports( $post_after->post_type, 'gatherpress_references' ) ) {
+			return;
 		}
+
+		if ( 'publish' !== $post_after->post_status || 'publish' !== $post_before->post_status ) {
+			return;
+		}
+
+		$this->invalidate_post_cache( $post_after, array(), array(), $this->data_organizer->get_post_years( $post_before ) );
 	}
 
 	/**
 	 * Clear cache on term change
 	 *
+	 * Deleting a term removes it from all its posts at once, and editing
+	 * it changes its name and description wherever it's shown, so all
+	 * entries of the post types using the taxonomy are cleared.
+	 *
 	 * @since 0.1.0
 	 * @param int    $term_id  Term ID.
 	 * @param int    $tt_id    Term taxonomy ID.
@@ -201,10 +464,35 @@ class Plugin {
 	 * @return void
 	 */
 	public function clear_cache_on_term_change( int $term_id, int $tt_id, string $taxonomy ): void {
-		$all_taxonomies = $this->config_manager->get_all_taxonomies();
+		foreach ( $this->config_manager->get_all_configs() as $post_type => $config ) {
+			if ( $taxonomy === $config['ref_tax'] || in_array( $taxonomy, $config['ref_types'], true ) ) {
+				$this->cache_manager->invalidate_post_type( $post_type );
+				$this->cache_warmer->schedule();
+			}
+		}
+	}
 
-		if ( in_array( $taxonomy, $all_taxonomies, true ) ) {
-			$this->cache_manager->clear_all();
+	/**
+	 * Clear cache on term meta change
+	 *
+	 * Blocks showing item details, and their cached output, depend on
+	 * the term meta of reference terms.
+	 *
+	 * @since 0.3.0
+	 * @param int|array<int> $meta_ids Meta ID, or IDs when deleted.
+	 * @param int            $term_id  Term ID.
+	 * @param string         $meta_key Meta key.
+	 * @return void
+	 */
+	public function clear_cache_on_term_meta_change( $meta_ids, int $term_id, string $meta_key ): void {
+		if ( ! in_array( $meta_key, Taxonomy_Manager::META_KEYS, true ) ) {
+			return;
+		}
+
+		$term = get_term( $term_id );
+
+		if ( $term instanceof \WP_Term ) {
+			$this->clear_cache_on_term_change( $term->term_id, $term->term_taxonomy_id, $term->taxonomy );
 		}
 	}
 
@@ -212,30 +500,155 @@ class Plugin {
 	 * Clear cache on term relationship
 	 *
 	 * @since 0.1.0
-	 * @param int               $object_id Object ID.
-	 * @param array<int|string> $terms     An array of object term IDs or slugs.
-	 * @param int[]             $tt_ids    An array of term taxonomy IDs.
-	 * @param string            $taxonomy  Taxonomy slug.
+	 * @param int               $object_id  Object ID.
+	 * @param array<int|string> $terms      An array of object term IDs or slugs.
+	 * @param int[]             $tt_ids     An array of term taxonomy IDs.
+	 * @param string            $taxonomy   Taxonomy slug.
+	 * @param bool              $append     Whether terms were appended.
+	 * @param int[]             $old_tt_ids Term taxonomy IDs before the change.
 	 * @return void
 	 */
-	public function clear_cache_on_term_relationship( int $object_id, array $terms, array $tt_ids, string $taxonomy ): void {
+	public function clear_cache_on_term_relationship( int $object_id, array $terms, array $tt_ids, string $taxonomy, bool $append = false, array $old_tt_ids = array() ): void {
 		$post = get_post( $object_id );
 
 		if ( ! $post || ! post_type_supports( $post->post_type, 'gatherpress_references' ) || $post->post_status !== 'publish' ) {
 			return;
 		}
 
-		// if GatherPress event, only if past event
-		// ...
-		// @todo #48 Add safeguard to only delete cache, when past events are related.
+		$config = $this->config_manager->get_config( $post->post_type );
+
+		if ( ! $config || ( $taxonomy !== $config['ref_tax'] && ! in_array( $taxonomy, $config['ref_types'], true ) ) ) {
+			return;
+		}
 
-		$all_taxonomies = $this->config_manager->get_all_taxonomies();
+		$tt_ids     = array_map( 'intval', $tt_ids );
+		$old_tt_ids = array_map( 'intval', $old_tt_ids );
+		sort( $tt_ids );
+		sort( $old_tt_ids );
+
+		if ( $tt_ids === $old_tt_ids ) {
+			return;
+		}
 
-		if ( ! in_array( $taxonomy, $all_taxonomies, true ) ) {
+		if ( $taxonomy !== $config['ref_tax'] ) {
+			$this->invalidate_post_cache( $post, array(), array( $taxonomy ) );
 			return;
 		}
 
-		$this->cache_manager->clear_all();
+		// The post leaves the entries of the productions it no longer belongs to.
+		$ref_term_ids = array();
+		foreach ( array_merge( $tt_ids, $old_tt_ids ) as $tt_id ) {
+			$term = get_term_by( 'term_taxonomy_id', $tt_id, $taxonomy );
+			if ( $term instanceof \WP_Term ) {
+				$ref_term_ids[] = $term->term_id;
+			}
+		}
+
+		$this->invalidate_post_cache( $post, $ref_term_ids );
+	}
+
+	/**
+	 * Clear cache on settings change
+	 *
+	 * Changed types or seasons change the references of a post type.
+	 *
+	 * @since 0.3.0
+	 * @param mixed $old_value Previous configurations.
+	 * @param mixed $value     New configurations.
+	 * @return void
+	 */
+	public function clear_cache_on_settings_change( $old_value, $value ): void {
+		$post_types = array_merge(
+			is_array( $old_value ) ? array_keys( $old_value ) : array(),
+			is_array( $value ) ? array_keys( $value ) : array()
+		);
+
+		foreach ( array_unique( $post_types ) as $post_type ) {
+			$this->cache_manager->invalidate_post_type( (string) $post_type );
+		}
+
+		$this->cache_warmer->schedule();
+	}
+
+	/**
+	 * Invalidate the cache entries a post could be part of
+	 *
+	 * Upcoming GatherPress events are skipped, as only past events are listed.
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Post           $post         Post object.
+	 * @param array<int, int>    $ref_term_ids Production term IDs to invalidate besides the post's current ones.
+	 * @param array<int, string> $types        Reference types to invalidate, defaults to all types of the post.
+	 * @param array<int, int>    $years        Years to invalidate besides the post's current ones.
+	 * @return void
+	 */
+	private function invalidate_post_cache( \WP_Post $post, array $ref_term_ids = array(), array $types = array(), array $years = array() ): void {
+		if ( $this->is_upcoming_event( $post ) ) {
+			return;
+		}
+
+		$config = $this->config_manager->get_config( $post->post_type );
+
+		if ( ! $config ) {
+			return;
+		}
+
+		$current_term_ids = wp_get_object_terms( $post->ID, $config['ref_tax'], array( 'fields' => 'ids' ) );
+		if ( is_array( $current_term_ids ) ) {
+			$ref_term_ids = array_merge( $ref_term_ids, array_map( 'intval', $current_term_ids ) );
+		}
+
+		if ( empty( $types ) ) {
+			foreach ( $config['ref_types'] as $ref_type ) {
+				if ( has_term( '', $ref_type, $post ) ) {
+					$types[] = $ref_type;
+				}
+			}
+		}
+
+		$years = array_merge( $years, $this->data_organizer->get_post_years( $post ) );
+
+		$this->cache_manager->invalidate( $post->post_type, $ref_term_ids, $years, $types );
+		$this->cache_warmer->schedule();
+	}
+
+	/**
+	 * Warm the caches of all references blocks
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function warm_cache(): void {
+		$this->cache_warmer->warm();
+	}
+
+	/**
+	 * Save the cache hits and misses of this request
+	 *
+	 * @since 0.3.0
+	 * @return void
+	 */
+	public function save_cache_stats(): void {
+		$this->cache_manager->save_stats();
+	}
+
+	/**
+	 * Check whether a post is a GatherPress event that has not ended yet
+	 *
+	 * @since 0.3.0
+	 * @param \WP_Post $post Post object.
+	 * @return bool Whether the post is an upcoming event.
+	 */
+	private function is_upcoming_event( \WP_Post $post ): bool {
+		if ( $post->post_type !== 'gatherpress_event' || ! class_exists( \GatherPress\Core\Event::class ) ) {
+			return false;
+		}
+
+		$event    = new \GatherPress\Core\Event( $post->ID );
+		$datetime = $event->get_datetime();
+
+		// Events without dates yet can't be told apart, so they count as past.
+		return ! empty( $datetime['datetime_end_gmt'] ) && ! $event->has_event_past();
 	}
 
 	/**
@@ -248,6 +661,26 @@ class Plugin {
 		return $this->cache_manager;
 	}
 
+	/**
+	 * Get cache warmer
+	 *
+	 * @since 0.3.0
+	 * @return Cache_Warmer Cache warmer instance.
+	 */
+	public function get_cache_warmer(): Cache_Warmer {
+		return $this->cache_warmer;
+	}
+
+	/**
+	 * Get taxonomy manager
+	 *
+	 * @since 0.3.0
+	 * @return Taxonomy_Manager Taxonomy manager instance.
+	 */
+	public function get_taxonomy_manager(): Taxonomy_Manager {
+		return $this->taxonomy_manager;
+	}
+
 	/**
 	 * Get query builder
 	 *
@@ -267,6 +700,36 @@ class Plugin {
 	public function get_data_organizer(): Data_Organizer {
 		return $this->data_organizer;
 	}
+
+	/**
+	 * Get data provider
+	 *
+	 * @since 0.3.0
+	 * @return Data_Provider Data provider instance.
+	 */
+	public function get_data_provider(): Data_Provider {
+		return $this->data_provider;
+	}
+
+	/**
+	 * Get exporter
+	 *
+	 * @since 0.3.0
+	 * @return Exporter Exporter instance.
+	 */
+	public function get_exporter(): Exporter {
+		return $this->exporter;
+	}
+
+	/**
+	 * Get schema generator
+	 *
+	 * @since 0.3.0
+	 * @return Schema_Generator Schema generator instance.
+	 */
+	public function get_schema_generator(): Schema_Generator {
+		return $this->schema_generator;
+	}
 }
 
 /**
@@ -285,6 +748,19 @@ function register_post_type_support(): void {
 }
 add_action( 'registered_post_type_gatherpress_event', __NAMESPACE__ . '\register_post_type_support', 9 );
 
+/**
+ * Register post type support configured on the settings page
+ *
+ * Runs after the support added in code, which takes precedence.
+ *
+ * @since 0.3.0
+ * @return void
+ */
+function register_stored_post_type_support(): void {
+	( new Config_Manager() )->register_stored_support();
+}
+add_action( 'registered_post_type_gatherpress_event', __NAMESPACE__ . '\register_stored_post_type_support', 9 );
+
 /**
  * Plugin activation
  *
@@ -304,6 +780,7 @@ register_activation_hook( __FILE__, __NAMESPACE__ . '\gatherpress_references_act
  */
 function gatherpress_references_deactivate(): void {
 	Plugin::get_instance()->get_cache_manager()->clear_all();
+	Plugin::get_instance()->get_cache_warmer()->unschedule();
 }
 register_deactivation_hook( __FILE__, __NAMESPACE__ . '\gatherpress_references_deactivate' );
 
@@ -349,6 +826,8 @@ function gatherpress_references_uninstall(): void {
 	}
 
 	Plugin::get_instance()->get_cache_manager()->clear_all();
+	delete_option( Cache_Manager::STATS_OPTION );
+	delete_option( Config_Manager::OPTION );
 }
 register_uninstall_hook( __FILE__, __NAMESPACE__ . '\gatherpress_references_uninstall' );
 
@@ -0,0 +1,138 @@
+/**
+ * Filter Bar Preview Component
+ *
+ * Shows the front-end filter bar in the editor. Its controls are
+ * inactive here, filtering happens on the front end only.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Get all productions of the reference data
+ *
+ * @param {Object} filteredData Reference data keyed by year.
+ * @return {Array} Productions with id and name, sorted by name.
+ */
+function getProductions( filteredData ) {
+	const productions = {};
+	Object.values( filteredData ).forEach( ( yearData ) =>
+		Object.values( yearData ).forEach( ( items ) =>
+			items.forEach( ( item ) =>
+				( item.productions || [] ).forEach( ( production ) => {
+					productions[ production.id ] = production;
+				} )
+			)
+		)
+	);
+
+	return Object.values( productions ).sort( ( a, b ) =>
+		a.name.localeCompare( b.name )
+	);
+}
+
+/**
+ * Filter Bar Preview component
+ *
+ * @param {Object}  props                 Component properties.
+ * @param {Object}  props.filteredData    Reference data keyed by year.
+ * @param {Array}   props.sortedYears     Sorted year keys.
+ * @param {Array}   props.orderedTypeKeys Ordered type taxonomy slugs.
+ * @param {Object}  props.typeLabels      Type slug to label mapping.
+ * @param {boolean} props.showTypes       Whether the type filter is offered.
+ * @param {boolean} props.showProductions Whether the production filter is offered.
+ * @return {Element|null} Filter bar element or null if there is nothing to filter.
+ */
+export default function FilterBarPreview( {
+	filteredData,
+	sortedYears,
+	orderedTypeKeys,
+	typeLabels,
+	showTypes,
+	showProductions,
+} ) {
+	const types = orderedTypeKeys.filter( ( typeKey ) =>
+		sortedYears.some(
+			( yearKey ) => filteredData[ yearKey ][ typeKey ]?.length > 0
+		)
+	);
+	const hasTypes = showTypes && types.length > 1;
+	const productions = showProductions ? getProductions( filteredData ) : [];
+	const hasYears = sortedYears.length > 1;
+
+	if ( ! hasTypes && productions.length === 0 && ! hasYears ) {
+		return null;
+	}
+
+	return (
+		<div
+			className="references-filters"
+			role="group"
+			aria-label={ __( 'Filter references', 'gatherpress-references' ) }
+		>
+			{ hasTypes && (
+				<div className="references-filter-types">
+					{ types.map( ( typeKey ) => (
+						<button
+							key={ typeKey }
+							type="button"
+							className="references-filter-type"
+							aria-pressed="true"
+							disabled
+						>
+							{ typeLabels[ typeKey ] }
+						</button>
+					) ) }
+				</div>
+			) }
+
+			{ productions.length > 0 && (
+				<div className="references-filter">
+					<span
+						className="references-filter-label"
+						aria-hidden="true"
+					>
+						{ __( 'Production', 'gatherpress-references' ) }
+					</span>
+					<select
+						disabled
+						aria-label={ __(
+							'Production',
+							'gatherpress-references'
+						) }
+					>
+						<option>
+							{ __(
+								'All productions',
+								'gatherpress-references'
+							) }
+						</option>
+					</select>
+				</div>
+			) }
+
+			{ hasYears && (
+				<div className="references-filter">
+					<span
+						className="references-filter-label"
+						aria-hidden="true"
+					>
+						{ __( 'Year', 'gatherpress-references' ) }
+					</span>
+					<select
+						disabled
+						aria-label={ __( 'Year', 'gatherpress-references' ) }
+					>
+						<option>
+							{ __( 'All years', 'gatherpress-references' ) }
+						</option>
+					</select>
+				</div>
+			) }
+		</div>
+	);
+}
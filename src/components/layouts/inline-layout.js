@@ -0,0 +1,82 @@
+/**
+ * Inline Layout
+ *
+ * Preview of the inline layout: one compact paragraph per year,
+ * with a "Type: A, B, C" line per type.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { Fragment } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import { InlineItems } from '../reference-items';
+
+/**
+ * Inline Layout component
+ *
+ * @param {Object}  props                   Component properties.
+ * @param {Object}  props.filteredData      Filtered reference data keyed by year.
+ * @param {Array}   props.sortedYears       Sorted year keys.
+ * @param {Array}   props.orderedTypeKeys   Ordered type taxonomy slugs.
+ * @param {Object}  props.typeLabels        Type slug to label mapping.
+ * @param {number}  props.headingLevel      Primary heading level (1-5).
+ * @param {string}  props.referenceType     Reference type filter.
+ * @param {string}  props.productionDisplay How to show productions (none, annotate, group).
+ * @param {boolean} props.showCount         Whether to show how often each item occurred.
+ * @param {Array}   props.itemDetails       Term details shown with each item.
+ * @return {Element} Inline paragraphs.
+ */
+export default function InlineLayout( {
+	filteredData,
+	sortedYears,
+	orderedTypeKeys,
+	typeLabels,
+	headingLevel,
+	referenceType,
+	productionDisplay,
+	showCount,
+	itemDetails,
+} ) {
+	const YearHeading = `h${ headingLevel }`;
+	const showTypeHeadings = referenceType === 'all';
+
+	return sortedYears.map( ( yearKey ) => {
+		const typeKeys = orderedTypeKeys.filter(
+			( typeKey ) => filteredData[ yearKey ][ typeKey ]?.length > 0
+		);
+
+		return (
+			<Fragment key={ yearKey }>
+				<YearHeading className="references-year">
+					{ yearKey }
+				</YearHeading>
+				<p className="references-inline">
+					{ typeKeys.map( ( typeKey, index ) => (
+						<Fragment key={ typeKey }>
+							{ index > 0 && <br /> }
+							{ showTypeHeadings && (
+								<>
+									<strong className="references-type">
+										{ typeLabels[ typeKey ] }:
+									</strong>{ ' ' }
+								</>
+							) }
+							<InlineItems
+								items={ filteredData[ yearKey ][ typeKey ] }
+								productionDisplay={ productionDisplay }
+								showCount={ showCount }
+								itemDetails={ itemDetails }
+							/>
+						</Fragment>
+					) ) }
+				</p>
+			</Fragment>
+		);
+	} );
+}
@@ -0,0 +1,147 @@
+/**
+ * Logo Wall Layout
+ *
+ * Preview of the logo wall layout: the items of one type and all
+ * years once, as a grid of their logos, or their names without a logo.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { compareItems } from '../../utils/item-sort';
+
+/**
+ * Reference type shown by logo walls of all types, if configured
+ *
+ * @type {string}
+ */
+const LOGO_TYPE = '_gatherpress-client';
+
+/**
+ * Get the reference type shown by the logo wall
+ *
+ * Mirrors Block_Renderer::get_logo_type(): the selected type or, with
+ * all types, clients if configured, otherwise the first type.
+ *
+ * @param {string} referenceType   Reference type filter.
+ * @param {Array}  orderedTypeKeys Ordered type taxonomy slugs.
+ * @return {string} Type taxonomy slug.
+ */
+function getLogoType( referenceType, orderedTypeKeys ) {
+	if ( referenceType !== 'all' ) {
+		return referenceType;
+	}
+
+	return orderedTypeKeys.includes( LOGO_TYPE )
+		? LOGO_TYPE
+		: orderedTypeKeys[ 0 ];
+}
+
+/**
+ * Merge the items of one type in all years into a single list
+ *
+ * Mirrors Data_Organizer::merge_years(), so the preview lists
+ * the same items in the same order as the rendered block.
+ *
+ * @param {Object} filteredData           Filtered reference data keyed by year.
+ * @param {string} logoType               Type taxonomy slug of the items.
+ * @param {string} itemSortOrder          Item sort order (alphabetical, chronological, frequency, manual).
+ * @param {string} itemSecondarySortOrder Item sort order for items the sort order considers equal.
+ * @return {Array} Merged items.
+ */
+function mergeYears(
+	filteredData,
+	logoType,
+	itemSortOrder,
+	itemSecondarySortOrder
+) {
+	const merged = new Map();
+
+	Object.values( filteredData ).forEach( ( yearData ) => {
+		( yearData[ logoType ] || [] ).forEach( ( item ) => {
+			// Placeholders share the ID 0, so they are told apart by name.
+			const key = item.id || item.name;
+			const existing = merged.get( key );
+			merged.set(
+				key,
+				existing
+					? {
+							...existing,
+							count: existing.count + item.count,
+							first_date:
+								existing.first_date < item.first_date
+									? existing.first_date
+									: item.first_date,
+					  }
+					: item
+			);
+		} );
+	} );
+
+	return [ ...merged.values() ].sort( ( a, b ) =>
+		compareItems( a, b, itemSortOrder, itemSecondarySortOrder )
+	);
+}
+
+/**
+ * Logo Wall component
+ *
+ * @param {Object}  props                        Component properties.
+ * @param {Object}  props.filteredData           Filtered reference data keyed by year.
+ * @param {string}  props.referenceType          Reference type filter.
+ * @param {Array}   props.orderedTypeKeys        Ordered type taxonomy slugs.
+ * @param {string}  props.itemSortOrder          Item sort order (alphabetical, chronological, frequency, manual).
+ * @param {string}  props.itemSecondarySortOrder Item sort order for items the sort order considers equal.
+ * @param {number}  props.columns                Number of columns.
+ * @param {boolean} props.grayscale              Whether logos are shown in grayscale.
+ * @param {number}  props.maxCount               Maximum number of logos, 0 for all.
+ * @return {Element} Logo grid.
+ */
+export default function LogoWall( {
+	filteredData,
+	referenceType,
+	orderedTypeKeys,
+	itemSortOrder,
+	itemSecondarySortOrder,
+	columns,
+	grayscale,
+	maxCount,
+} ) {
+	const items = mergeYears(
+		filteredData,
+		getLogoType( referenceType, orderedTypeKeys ),
+		itemSortOrder,
+		itemSecondarySortOrder
+	);
+	const shownItems = maxCount > 0 ? items.slice( 0, maxCount ) : items;
+
+	return (
+		<ul
+			className={ `references-logos${
+				grayscale ? ' references-logos--grayscale' : ''
+			}` }
+			style={ { '--references-logo-columns': columns } }
+		>
+			{ shownItems.map( ( item ) => (
+				<li
+					key={ item.id || item.name }
+					className="references-logo-item"
+				>
+					{ item.details?.logo ? (
+						<img
+							className="references-logo"
+							src={ item.details.logo }
+							alt={ item.name }
+						/>
+					) : (
+						<span className="references-logo-name">
+							{ item.name }
+						</span>
+					) }
+				</li>
+			) ) }
+		</ul>
+	);
+}
@@ -0,0 +1,83 @@
+/**
+ * Table Layout
+ *
+ * Preview of the table layout: one row per year, one column per type.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { InlineItems } from '../reference-items';
+
+/**
+ * Table Layout component
+ *
+ * @param {Object}  props                   Component properties.
+ * @param {Object}  props.filteredData      Filtered reference data keyed by year.
+ * @param {Array}   props.sortedYears       Sorted year keys.
+ * @param {Array}   props.orderedTypeKeys   Ordered type taxonomy slugs.
+ * @param {Object}  props.typeLabels        Type slug to label mapping.
+ * @param {string}  props.periodLabel       Label of the first column (year, decade, season).
+ * @param {string}  props.productionDisplay How to show productions (none, annotate, group).
+ * @param {boolean} props.showCount         Whether to show how often each item occurred.
+ * @param {Array}   props.itemDetails       Term details shown with each item.
+ * @return {Element} Table element.
+ */
+export default function TableLayout( {
+	filteredData,
+	sortedYears,
+	orderedTypeKeys,
+	typeLabels,
+	periodLabel,
+	productionDisplay,
+	showCount,
+	itemDetails,
+} ) {
+	const columns = orderedTypeKeys.filter( ( typeKey ) =>
+		sortedYears.some(
+			( yearKey ) => filteredData[ yearKey ][ typeKey ]?.length > 0
+		)
+	);
+
+	return (
+		<figure className="wp-block-table references-table">
+			<table>
+				<thead>
+					<tr>
+						<th scope="col">{ periodLabel }</th>
+						{ columns.map( ( typeKey ) => (
+							<th key={ typeKey } scope="col">
+								{ typeLabels[ typeKey ] }
+							</th>
+						) ) }
+					</tr>
+				</thead>
+				<tbody>
+					{ sortedYears.map( ( yearKey ) => (
+						<tr key={ yearKey }>
+							<th scope="row" className="references-year">
+								{ yearKey }
+							</th>
+							{ columns.map( ( typeKey ) => (
+								<td key={ typeKey }>
+									<InlineItems
+										items={
+											filteredData[ yearKey ][
+												typeKey
+											] || []
+										}
+										productionDisplay={ productionDisplay }
+										showCount={ showCount }
+										itemDetails={ itemDetails }
+									/>
+								</td>
+							) ) }
+						</tr>
+					) ) }
+				</tbody>
+			</table>
+		</figure>
+	);
+}
@@ -0,0 +1,75 @@
+/**
+ * Term List Layout
+ *
+ * Preview of the term list layout: every item once per type,
+ * followed by the years it appeared in.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { Fragment } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import ReferenceItems from '../reference-items';
+import { groupByTerm } from '../../utils/term-groups';
+
+/**
+ * Term List component
+ *
+ * @param {Object}  props                        Component properties.
+ * @param {Object}  props.filteredData           Filtered reference data keyed by year.
+ * @param {Array}   props.orderedTypeKeys        Ordered type taxonomy slugs.
+ * @param {Object}  props.typeLabels             Type slug to label mapping.
+ * @param {number}  props.headingLevel           Heading level of the type headings (1-5).
+ * @param {string}  props.referenceType          Reference type filter.
+ * @param {string}  props.productionDisplay      How to show productions (none, annotate, group).
+ * @param {boolean} props.showCount              Whether to show how often each item occurred.
+ * @param {Array}   props.itemDetails            Term details shown with each item.
+ * @param {string}  props.itemSortOrder          Item sort order (alphabetical, chronological, frequency, manual).
+ * @param {string}  props.itemSecondarySortOrder Item sort order for items the sort order considers equal.
+ * @return {Element} Type headings and item lists.
+ */
+export default function TermList( {
+	filteredData,
+	orderedTypeKeys,
+	typeLabels,
+	headingLevel,
+	referenceType,
+	productionDisplay,
+	showCount,
+	itemDetails,
+	itemSortOrder,
+	itemSecondarySortOrder,
+} ) {
+	const TypeHeading = `h${ headingLevel }`;
+
+	return groupByTerm(
+		filteredData,
+		orderedTypeKeys,
+		itemSortOrder,
+		itemSecondarySortOrder
+	).map( ( { typeKey, items } ) => (
+		<Fragment key={ typeKey }>
+			{ referenceType === 'all' && (
+				<TypeHeading className="references-type">
+					{ typeLabels[ typeKey ] }
+				</TypeHeading>
+			) }
+			<ReferenceItems
+				items={ items }
+				productionDisplay={
+					productionDisplay === 'group'
+						? 'annotate'
+						: productionDisplay
+				}
+				showCount={ showCount }
+				itemDetails={ itemDetails }
+			/>
+		</Fragment>
+	) );
+}
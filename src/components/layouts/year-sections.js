@@ -0,0 +1,159 @@
+/**
+ * Year Sections Layout
+ *
+ * Preview of the list, timeline and grid layouts, which share their
+ * markup per year: a year heading followed by the type sections.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { Button, ButtonGroup } from '@wordpress/components';
+import { chevronUp, chevronDown } from '@wordpress/icons';
+
+/**
+ * Internal dependencies
+ */
+import ReferenceItems from '../reference-items';
+
+/**
+ * Container and section elements per layout
+ *
+ * @type {Object}
+ */
+const LAYOUT_TAGS = {
+	list: { Container: null, Section: 'div' },
+	timeline: { Container: 'ol', Section: 'li' },
+	grid: { Container: 'div', Section: 'div' },
+};
+
+/**
+ * Year Sections component
+ *
+ * @param {Object}   props                   Component properties.
+ * @param {string}   props.layout            Layout (list, timeline, grid).
+ * @param {Object}   props.filteredData      Filtered reference data keyed by year.
+ * @param {Array}    props.sortedYears       Sorted year keys.
+ * @param {Array}    props.orderedTypeKeys   Ordered type taxonomy slugs.
+ * @param {Object}   props.typeLabels        Type slug to label mapping.
+ * @param {number}   props.headingLevel      Primary heading level (1-5).
+ * @param {string}   props.referenceType     Reference type filter.
+ * @param {string}   props.productionDisplay How to show productions (none, annotate, group).
+ * @param {boolean}  props.showCount         Whether to show how often each item occurred.
+ * @param {Array}    props.itemDetails       Term details shown with each item.
+ * @param {Function} props.moveTypeUp        Callback to move a type up.
+ * @param {Function} props.moveTypeDown      Callback to move a type down.
+ * @return {Element} Year sections.
+ */
+export default function YearSections( {
+	layout,
+	filteredData,
+	sortedYears,
+	orderedTypeKeys,
+	typeLabels,
+	headingLevel,
+	referenceType,
+	productionDisplay,
+	showCount,
+	itemDetails,
+	moveTypeUp,
+	moveTypeDown,
+} ) {
+	const { Container, Section } = LAYOUT_TAGS[ layout ] || LAYOUT_TAGS.list;
+	const secondaryHeadingLevel = Math.min( headingLevel + 1, 6 );
+	const YearHeading = `h${ headingLevel }`;
+	const TypeHeading = `h${ secondaryHeadingLevel }`;
+
+	const showTypeHeadings = referenceType === 'all';
+	const showTypeReorderControls =
+		referenceType === 'all' && orderedTypeKeys.length > 1;
+
+	const sections = sortedYears.map( ( yearKey ) => {
+		const yearData = filteredData[ yearKey ];
+		return (
+			<Section
+				key={ yearKey }
+				className={ Container ? `references-${ layout }-item` : '' }
+			>
+				<YearHeading className="references-year">
+					{ yearKey }
+				</YearHeading>
+
+				{ orderedTypeKeys.map( ( typeKey ) => {
+					const items = yearData[ typeKey ];
+					if ( ! items || items.length === 0 ) {
+						return null;
+					}
+
+					const currentIndex = orderedTypeKeys.indexOf( typeKey );
+					const isFirstType = currentIndex === 0;
+					const isLastType =
+						currentIndex === orderedTypeKeys.length - 1;
+
+					return (
+						<div
+							key={ typeKey }
+							className="reference-type-container"
+						>
+							{ showTypeHeadings && (
+								<div className="references-type-header">
+									<TypeHeading className="references-type">
+										{ typeLabels[ typeKey ] }
+									</TypeHeading>
+									{ showTypeReorderControls && (
+										<ButtonGroup className="references-type-movers">
+											<Button
+												icon={ chevronUp }
+												onClick={ () =>
+													moveTypeUp( typeKey )
+												}
+												label={ __(
+													'Move up',
+													'gatherpress-references'
+												) }
+												disabled={ isFirstType }
+												size="small"
+											/>
+											<Button
+												icon={ chevronDown }
+												onClick={ () =>
+													moveTypeDown( typeKey )
+												}
+												label={ __(
+													'Move down',
+													'gatherpress-references'
+												) }
+												disabled={ isLastType }
+												size="small"
+											/>
+										</ButtonGroup>
+									) }
+								</div>
+							) }
+
+							<ReferenceItems
+								items={ items }
+								productionDisplay={ productionDisplay }
+								showCount={ showCount }
+								itemDetails={ itemDetails }
+							/>
+						</div>
+					);
+				} ) }
+			</Section>
+		);
+	} );
+
+	if ( ! Container ) {
+		return <>{ sections }</>;
+	}
+
+	return (
+		<Container className={ `references-${ layout }` }>
+			{ sections }
+		</Container>
+	);
+}
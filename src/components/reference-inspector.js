@@ -14,11 +14,96 @@ import { InspectorControls } from '@wordpress/block-editor';
 import {
 	PanelBody,
 	SelectControl,
-	TextControl,
 	ToggleControl,
 	RangeControl,
+	CheckboxControl,
+	FormTokenField,
 } from '@wordpress/components';
 
+/**
+ * Internal dependencies
+ */
+import YearRangeControl from './year-range-control';
+import { getConfigSeasonStart } from '../utils/periods';
+
+/**
+ * Month names for the season start control
+ *
+ * @type {Array}
+ */
+const MONTHS = [
+	__( 'January', 'gatherpress-references' ),
+	__( 'February', 'gatherpress-references' ),
+	__( 'March', 'gatherpress-references' ),
+	__( 'April', 'gatherpress-references' ),
+	__( 'May', 'gatherpress-references' ),
+	__( 'June', 'gatherpress-references' ),
+	__( 'July', 'gatherpress-references' ),
+	__( 'August', 'gatherpress-references' ),
+	__( 'September', 'gatherpress-references' ),
+	__( 'October', 'gatherpress-references' ),
+	__( 'November', 'gatherpress-references' ),
+	__( 'December', 'gatherpress-references' ),
+];
+
+/**
+ * Term details that can be shown with each item
+ *
+ * @type {Array}
+ */
+const ITEM_DETAILS = [
+	{ value: 'logo', label: __( 'Logo', 'gatherpress-references' ) },
+	{
+		value: 'location',
+		label: __( 'Location (city, country)', 'gatherpress-references' ),
+	},
+	{ value: 'category', label: __( 'Category', 'gatherpress-references' ) },
+	{
+		value: 'description',
+		label: __( 'Description', 'gatherpress-references' ),
+	},
+];
+
+/**
+ * Orders items can be sorted in within each type
+ *
+ * Mirrors Data_Organizer::ITEM_SORT_ORDERS.
+ *
+ * @type {Array}
+ */
+const ITEM_SORT_ORDERS = [
+	{
+		value: 'alphabetical',
+		label: __( 'Alphabetically', 'gatherpress-references' ),
+	},
+	{
+		value: 'chronological',
+		label: __( 'By first event date', 'gatherpress-references' ),
+	},
+	{
+		value: 'frequency',
+		label: __( 'Most frequent first', 'gatherpress-references' ),
+	},
+	{
+		value: 'manual',
+		label: __( 'Manually (term order)', 'gatherpress-references' ),
+	},
+];
+
+/**
+ * Formats references can be downloaded in
+ *
+ * Mirrors Exporter::FORMATS.
+ *
+ * @type {Array}
+ */
+const EXPORT_FORMATS = [
+	{ value: 'csv', label: __( 'CSV', 'gatherpress-references' ) },
+	{ value: 'markdown', label: __( 'Markdown', 'gatherpress-references' ) },
+	{ value: 'text', label: __( 'Plain text', 'gatherpress-references' ) },
+	{ value: 'print', label: __( 'Print view', 'gatherpress-references' ) },
+];
+
 /**
  * Reference Inspector component
  *
@@ -31,6 +116,8 @@ import {
  * @param {Object}   props.refTaxonomy        Reference taxonomy object.
  * @param {Array}    props.refTerms           Reference term objects.
  * @param {Array}    props.taxonomies         Taxonomy objects for types.
+ * @param {Object}   props.config             Block configuration.
+ * @param {Array}    props.referenceItems     Reference items of the preview, as `{ id, name }`.
  * @return {Element} Inspector controls element.
  */
 export default function ReferenceInspector( {
@@ -40,6 +127,8 @@ export default function ReferenceInspector( {
 	refTaxonomy,
 	refTerms,
 	taxonomies,
+	config,
+	referenceItems,
 } ) {
 	const {
 		postType,
@@ -48,9 +137,87 @@ export default function ReferenceInspector( {
 		referenceType,
 		headingLevel,
 		yearSortOrder,
+		linkTarget,
+		productionDisplay,
+		showCount,
+		itemSortOrder,
+		itemSecondarySortOrder,
+		groupBy,
+		seasonStartMonth,
+		layout,
+		yearsLimit,
+		showFilters,
+		itemDetails,
+		logoColumns,
+		logoGrayscale,
+		logoMaxCount,
+		structuredData,
+		exportFormats,
+		excludedTerms,
 	} = attributes;
 
-	const showYearSortControl = year === 0;
+	// Excluded terms are shown by name, falling back to their ID.
+	const getExcludedLabel = ( id ) => {
+		const item = referenceItems.find(
+			( candidate ) => candidate.id === id
+		);
+		return item
+			? item.name
+			: sprintf(
+					/* translators: %d: Reference term ID. */
+					__( 'Reference #%d', 'gatherpress-references' ),
+					id
+			  );
+	};
+	const onExcludedChange = ( tokens ) => {
+		const ids = tokens
+			.map( ( token ) => {
+				const item = referenceItems.find(
+					( candidate ) => candidate.name === token
+				);
+				if ( item ) {
+					return item.id;
+				}
+				return excludedTerms.find(
+					( id ) => getExcludedLabel( id ) === token
+				);
+			} )
+			.filter( Boolean );
+		setAttributes( { excludedTerms: [ ...new Set( ids ) ] } );
+	};
+
+	const isLogoWall = layout === 'logos';
+	// Logo walls and term lists show all years, without year headings.
+	const showsYearSections = ! isLogoWall && layout !== 'terms';
+	const showYearSortControl = year === 0 && showsYearSections;
+	const showProductionDisplayControl = refTermId === 0;
+
+	// Post types counting in seasons replace calendar years by their seasons.
+	const configSeasonStart = getConfigSeasonStart( config );
+	const groupByOptions = [
+		{
+			label: configSeasonStart
+				? sprintf(
+						/* translators: %s: month name */
+						__( 'Season (from %s)', 'gatherpress-references' ),
+						MONTHS[ configSeasonStart - 1 ]
+				  )
+				: __( 'Year', 'gatherpress-references' ),
+			value: configSeasonStart ? 'season' : 'year',
+		},
+		{
+			label: __( 'Decade', 'gatherpress-references' ),
+			value: 'decade',
+		},
+	];
+	if ( ! configSeasonStart ) {
+		groupByOptions.push( {
+			label: __( 'Season', 'gatherpress-references' ),
+			value: 'season',
+		} );
+	}
+	const groupByValue =
+		configSeasonStart && groupBy !== 'decade' ? 'season' : groupBy;
 
 	const yearSortLabel =
 		yearSortOrder === 'asc'
@@ -128,28 +295,82 @@ export default function ReferenceInspector( {
 					}
 				/>
 
-				<TextControl
-					label={ __( 'Year', 'gatherpress-references' ) }
-					value={ year > 0 ? year.toString() : '' }
-					onChange={ ( value ) => {
-						const numValue = parseInt( value );
-						setAttributes( {
-							year: isNaN( numValue ) ? 0 : numValue,
-						} );
-					} }
-					type="number"
-					min="0"
-					max={ new Date().getFullYear() + 1 }
-					placeholder={ __(
-						'Leave empty for all years',
-						'gatherpress-references'
-					) }
-					help={ __(
-						'Enter a specific year (e.g., 2024) or leave empty for all years',
-						'gatherpress-references'
-					) }
+				{ showProductionDisplayControl && (
+					<SelectControl
+						label={ sprintf(
+							/* translators: %s: taxonomy singular name */
+							__( 'Show %s', 'gatherpress-references' ),
+							refTaxonomy?.labels?.singular_name ||
+								__( 'Reference Term', 'gatherpress-references' )
+						) }
+						value={ productionDisplay }
+						options={ [
+							{
+								label: __( 'Hide', 'gatherpress-references' ),
+								value: 'none',
+							},
+							{
+								label: __(
+									'Next to each item',
+									'gatherpress-references'
+								),
+								value: 'annotate',
+							},
+							{
+								label: __(
+									'Group items under it',
+									'gatherpress-references'
+								),
+								value: 'group',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { productionDisplay: value } )
+						}
+						help={ __(
+							'Show which one each reference came from when listing all of them. Ignored on archives, where the term is auto-detected.',
+							'gatherpress-references'
+						) }
+					/>
+				) }
+
+				<YearRangeControl
+					attributes={ attributes }
+					setAttributes={ setAttributes }
 				/>
 
+				<SelectControl
+					label={ __( 'Group By', 'gatherpress-references' ) }
+					value={ groupByValue }
+					options={ groupByOptions }
+					onChange={ ( value ) =>
+						setAttributes( { groupBy: value } )
+					}
+				/>
+
+				{ groupBy === 'season' && ! configSeasonStart && (
+					<SelectControl
+						label={ __(
+							'Seasons Start In',
+							'gatherpress-references'
+						) }
+						value={ seasonStartMonth }
+						options={ MONTHS.map( ( label, index ) => ( {
+							label,
+							value: index + 1,
+						} ) ) }
+						onChange={ ( value ) =>
+							setAttributes( {
+								seasonStartMonth: parseInt( value ),
+							} )
+						}
+						help={ __(
+							'Seasons are labelled by their first and last year, e.g. 2023/24.',
+							'gatherpress-references'
+						) }
+					/>
+				) }
+
 				{ showYearSortControl && (
 					<ToggleControl
 						label={ yearSortLabel }
@@ -166,6 +387,27 @@ export default function ReferenceInspector( {
 					/>
 				) }
 
+				{ showYearSortControl && (
+					<RangeControl
+						label={ __(
+							'Most Recent Years Shown',
+							'gatherpress-references'
+						) }
+						value={ yearsLimit }
+						onChange={ ( value ) =>
+							setAttributes( { yearsLimit: value ?? 0 } )
+						}
+						min={ 0 }
+						max={ 30 }
+						allowReset
+						resetFallbackValue={ 0 }
+						help={ __(
+							'Set to 0 to show all years. Otherwise, a "Show older years" link loads the rest.',
+							'gatherpress-references'
+						) }
+					/>
+				) }
+
 				<SelectControl
 					label={ __( 'Reference Type', 'gatherpress-references' ) }
 					value={ referenceType }
@@ -188,22 +430,345 @@ export default function ReferenceInspector( {
 					) }
 				/>
 
-				<RangeControl
+				<SelectControl
+					label={ __( 'Sort Items', 'gatherpress-references' ) }
+					value={ itemSortOrder }
+					options={ ITEM_SORT_ORDERS }
+					onChange={ ( value ) =>
+						setAttributes( {
+							itemSortOrder: value,
+							itemSecondarySortOrder:
+								value === itemSecondarySortOrder
+									? 'alphabetical'
+									: itemSecondarySortOrder,
+						} )
+					}
+					help={
+						itemSortOrder === 'manual'
+							? __(
+									'Uses the "Order" of each reference term, lowest first.',
+									'gatherpress-references'
+							  )
+							: undefined
+					}
+				/>
+
+				{ itemSortOrder !== 'alphabetical' && (
+					<SelectControl
+						label={ __( 'Then Sort By', 'gatherpress-references' ) }
+						value={ itemSecondarySortOrder }
+						options={ ITEM_SORT_ORDERS.filter(
+							( { value } ) => value !== itemSortOrder
+						) }
+						onChange={ ( value ) =>
+							setAttributes( { itemSecondarySortOrder: value } )
+						}
+						help={ __(
+							'Sorts references the first order considers equal. References with a priority are always listed first.',
+							'gatherpress-references'
+						) }
+					/>
+				) }
+
+				<ToggleControl
+					label={ __( 'Show Count', 'gatherpress-references' ) }
+					checked={ showCount }
+					onChange={ ( value ) =>
+						setAttributes( { showCount: value } )
+					}
+					help={ __(
+						'Show how many events a reference appeared on in a year, e.g. "(3×)", when it is more than one.',
+						'gatherpress-references'
+					) }
+				/>
+
+				<SelectControl
+					label={ __( 'Link Items To', 'gatherpress-references' ) }
+					value={ linkTarget }
+					options={ [
+						{
+							label: __( 'No link', 'gatherpress-references' ),
+							value: 'none',
+						},
+						{
+							label: __(
+								'Term archive',
+								'gatherpress-references'
+							),
+							value: 'term',
+						},
+						{
+							label: __(
+								'Custom URL (term meta)',
+								'gatherpress-references'
+							),
+							value: 'url',
+						},
+						{
+							label: __( 'Events', 'gatherpress-references' ),
+							value: 'event',
+						},
+					] }
+					onChange={ ( value ) =>
+						setAttributes( { linkTarget: value } )
+					}
+					help={ __(
+						'Choose where each reference links to. Items without a custom URL stay unlinked.',
+						'gatherpress-references'
+					) }
+				/>
+
+				{ showsYearSections && (
+					<ToggleControl
+						label={ __( 'Show Filters', 'gatherpress-references' ) }
+						checked={ showFilters }
+						onChange={ ( value ) =>
+							setAttributes( { showFilters: value } )
+						}
+						help={ __(
+							'Let visitors filter the references by type, production and year, without reloading the page.',
+							'gatherpress-references'
+						) }
+					/>
+				) }
+
+				<ToggleControl
 					label={ __(
-						'Year Heading Level',
+						'Add Structured Data',
 						'gatherpress-references'
 					) }
-					value={ headingLevel }
+					checked={ structuredData }
 					onChange={ ( value ) =>
-						setAttributes( { headingLevel: value } )
+						setAttributes( { structuredData: value } )
 					}
-					min={ 1 }
-					max={ 5 }
 					help={ __(
-						'Choose the heading level for year headings (H1-H5). Type headings will be one level smaller.',
+						'Describe all references to search engines as schema.org events, productions, clients, festivals and awards.',
 						'gatherpress-references'
 					) }
 				/>
+
+				<SelectControl
+					label={ __( 'Layout', 'gatherpress-references' ) }
+					value={ layout }
+					options={ [
+						{
+							label: __( 'List', 'gatherpress-references' ),
+							value: 'list',
+						},
+						{
+							label: __( 'Table', 'gatherpress-references' ),
+							value: 'table',
+						},
+						{
+							label: __( 'Timeline', 'gatherpress-references' ),
+							value: 'timeline',
+						},
+						{
+							label: __(
+								'Inline (comma-separated)',
+								'gatherpress-references'
+							),
+							value: 'inline',
+						},
+						{
+							label: __( 'Grid', 'gatherpress-references' ),
+							value: 'grid',
+						},
+						{
+							label: __( 'Logo wall', 'gatherpress-references' ),
+							value: 'logos',
+						},
+						{
+							label: __(
+								'By reference, with years',
+								'gatherpress-references'
+							),
+							value: 'terms',
+						},
+					] }
+					onChange={ ( value ) => {
+						// Logo walls are meant for clients, unless another type was chosen.
+						const showClients =
+							value === 'logos' &&
+							referenceType === 'all' &&
+							taxonomies.some(
+								( tax ) => tax.slug === '_gatherpress-client'
+							);
+						setAttributes( {
+							layout: value,
+							...( showClients && {
+								referenceType: '_gatherpress-client',
+							} ),
+						} );
+					} }
+					help={ __(
+						'Table shows one row per year and one column per type. Inline lists each type on a single line. Logo wall shows each reference once, as its logo, without years. By reference lists each reference once per type, followed by its years.',
+						'gatherpress-references'
+					) }
+				/>
+
+				{ isLogoWall && (
+					<>
+						<RangeControl
+							label={ __( 'Columns', 'gatherpress-references' ) }
+							value={ logoColumns }
+							onChange={ ( value ) =>
+								setAttributes( { logoColumns: value ?? 4 } )
+							}
+							min={ 1 }
+							max={ 8 }
+							help={ __(
+								'Small screens show at most two columns.',
+								'gatherpress-references'
+							) }
+						/>
+						<ToggleControl
+							label={ __(
+								'Grayscale Logos',
+								'gatherpress-references'
+							) }
+							checked={ logoGrayscale }
+							onChange={ ( value ) =>
+								setAttributes( { logoGrayscale: value } )
+							}
+							help={ __(
+								'Logos are shown in color on hover and focus.',
+								'gatherpress-references'
+							) }
+						/>
+						<RangeControl
+							label={ __(
+								'Maximum Logos',
+								'gatherpress-references'
+							) }
+							value={ logoMaxCount }
+							onChange={ ( value ) =>
+								setAttributes( { logoMaxCount: value ?? 0 } )
+							}
+							min={ 0 }
+							max={ 48 }
+							allowReset
+							resetFallbackValue={ 0 }
+							help={ __(
+								'Set to 0 to show all. Combine with sorting by frequency to show the most frequent ones.',
+								'gatherpress-references'
+							) }
+						/>
+					</>
+				) }
+
+				{ showsYearSections && (
+					<RangeControl
+						label={ __(
+							'Year Heading Level',
+							'gatherpress-references'
+						) }
+						value={ headingLevel }
+						onChange={ ( value ) =>
+							setAttributes( { headingLevel: value } )
+						}
+						min={ 1 }
+						max={ 5 }
+						help={ __(
+							'Choose the heading level for year headings (H1-H5). Type headings will be one level smaller.',
+							'gatherpress-references'
+						) }
+					/>
+				) }
+
+				{ layout === 'terms' && (
+					<RangeControl
+						label={ __(
+							'Type Heading Level',
+							'gatherpress-references'
+						) }
+						value={ headingLevel }
+						onChange={ ( value ) =>
+							setAttributes( { headingLevel: value } )
+						}
+						min={ 1 }
+						max={ 5 }
+					/>
+				) }
+			</PanelBody>
+
+			<PanelBody
+				title={ __( 'Excluded References', 'gatherpress-references' ) }
+				initialOpen={ excludedTerms.length > 0 }
+			>
+				<FormTokenField
+					label={ __( 'Leave out', 'gatherpress-references' ) }
+					value={ excludedTerms.map( getExcludedLabel ) }
+					suggestions={ referenceItems.map( ( item ) => item.name ) }
+					onChange={ onExcludedChange }
+					__experimentalExpandOnFocus
+				/>
+				<p>
+					{ __(
+						'References left out of this block only. To hide a reference everywhere, use "Hide from references" on its term.',
+						'gatherpress-references'
+					) }
+				</p>
+			</PanelBody>
+
+			<PanelBody
+				title={ __( 'Item Details', 'gatherpress-references' ) }
+				initialOpen={ itemDetails.length > 0 }
+			>
+				<p>
+					{ __(
+						'Show details set on each reference term with the items.',
+						'gatherpress-references'
+					) }
+				</p>
+				{ ITEM_DETAILS.map( ( { value, label } ) => (
+					<CheckboxControl
+						key={ value }
+						label={ label }
+						checked={ itemDetails.includes( value ) }
+						onChange={ ( checked ) =>
+							setAttributes( {
+								itemDetails: ITEM_DETAILS.map(
+									( detail ) => detail.value
+								).filter( ( detail ) =>
+									detail === value
+										? checked
+										: itemDetails.includes( detail )
+								),
+							} )
+						}
+					/>
+				) ) }
+			</PanelBody>
+
+			<PanelBody
+				title={ __( 'Download Links', 'gatherpress-references' ) }
+				initialOpen={ exportFormats.length > 0 }
+			>
+				<p>
+					{ __(
+						'Let visitors download the references, with the filters they chose. The print view can be saved as PDF.',
+						'gatherpress-references'
+					) }
+				</p>
+				{ EXPORT_FORMATS.map( ( { value, label } ) => (
+					<CheckboxControl
+						key={ value }
+						label={ label }
+						checked={ exportFormats.includes( value ) }
+						onChange={ ( checked ) =>
+							setAttributes( {
+								exportFormats: EXPORT_FORMATS.map(
+									( format ) => format.value
+								).filter( ( format ) =>
+									format === value
+										? checked
+										: exportFormats.includes( format )
+								),
+							} )
+						}
+					/>
+				) ) }
 			</PanelBody>
 		</InspectorControls>
 	);
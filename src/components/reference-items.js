@@ -0,0 +1,180 @@
+/**
+ * Reference Items Components
+ *
+ * Render the items of one reference type, as a list or inline,
+ * with their optional count and production annotations.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import { groupItemsByProduction } from '../utils/production-groups';
+import { formatPeriods } from '../utils/term-groups';
+
+/**
+ * Item name with its optional annotations
+ *
+ * Term details are only present on live data, requested
+ * with the details the block shows. Items grouped by term
+ * end with their years.
+ *
+ * @param {Object}  props                   Component properties.
+ * @param {Object}  props.item              Reference item.
+ * @param {string}  props.productionDisplay How to show productions (none, annotate, group).
+ * @param {boolean} props.showCount         Whether to show how often the item occurred.
+ * @param {Array}   props.itemDetails       Term details shown with the item.
+ * @return {Element} Item element.
+ */
+function ReferenceItem( {
+	item,
+	productionDisplay,
+	showCount,
+	itemDetails = [],
+} ) {
+	const details = item.details || {};
+	const shows = ( detail ) =>
+		itemDetails.includes( detail ) && details[ detail ];
+
+	return (
+		<>
+			{ shows( 'logo' ) && (
+				<>
+					<img
+						className="references-item-logo"
+						src={ details.logo }
+						alt=""
+					/>{ ' ' }
+				</>
+			) }
+			{ item.name }
+			{ showCount && item.count > 1 && (
+				<span className="references-item-count">
+					{ ' ' +
+						sprintf(
+							/* translators: %d: number of events a reference appeared on */
+							__( '(%d×)', 'gatherpress-references' ),
+							item.count
+						) }
+				</span>
+			) }
+			{ productionDisplay === 'annotate' &&
+				item.productions?.length > 0 && (
+					<span className="references-item-productions">
+						{ ` (${ item.productions
+							.map( ( production ) => production.name )
+							.join( ', ' ) })` }
+					</span>
+				) }
+			{ [ 'location', 'category', 'description' ]
+				.filter( shows )
+				.map( ( detail ) => (
+					<span
+						key={ detail }
+						className={ `references-item-${ detail }` }
+					>
+						{ ' ' + details[ detail ] }
+					</span>
+				) ) }
+			{ item.periods && (
+				<span className="references-item-periods">
+					{ ` (${ formatPeriods( item.periods ) })` }
+				</span>
+			) }
+		</>
+	);
+}
+
+/**
+ * Reference item list
+ *
+ * @param {Object}  props                   Component properties.
+ * @param {Array}   props.items             Reference items of one type.
+ * @param {string}  props.productionDisplay How to show productions (none, annotate, group).
+ * @param {boolean} props.showCount         Whether to show how often each item occurred.
+ * @param {Array}   props.itemDetails       Term details shown with each item.
+ * @return {Element} List element.
+ */
+export default function ReferenceItems( {
+	items,
+	productionDisplay,
+	showCount,
+	itemDetails,
+} ) {
+	if ( productionDisplay === 'group' ) {
+		return (
+			<ul className="references-list references-list--grouped">
+				{ groupItemsByProduction( items ).map( ( group ) => (
+					<li key={ group.production?.id ?? 0 }>
+						<span className="references-production">
+							{ group.production?.name ??
+								__( 'Other', 'gatherpress-references' ) }
+						</span>
+						<ReferenceItems
+							items={ group.items }
+							showCount={ showCount }
+							itemDetails={ itemDetails }
+						/>
+					</li>
+				) ) }
+			</ul>
+		);
+	}
+
+	return (
+		<ul className="references-list">
+			{ items.map( ( item, index ) => (
+				<li key={ index }>
+					<ReferenceItem
+						item={ item }
+						productionDisplay={ productionDisplay }
+						showCount={ showCount }
+						itemDetails={ itemDetails }
+					/>
+				</li>
+			) ) }
+		</ul>
+	);
+}
+
+/**
+ * Comma-separated reference items
+ *
+ * Used by the compact layouts, which annotate productions
+ * instead of grouping items under them.
+ *
+ * @param {Object}  props                   Component properties.
+ * @param {Array}   props.items             Reference items of one type.
+ * @param {string}  props.productionDisplay How to show productions (none, annotate, group).
+ * @param {boolean} props.showCount         Whether to show how often each item occurred.
+ * @param {Array}   props.itemDetails       Term details shown with each item.
+ * @return {Element} Inline items.
+ */
+export function InlineItems( {
+	items,
+	productionDisplay,
+	showCount,
+	itemDetails,
+} ) {
+	return items.map( ( item, index ) => (
+		<span key={ index }>
+			{ index > 0 && ', ' }
+			<ReferenceItem
+				item={ item }
+				productionDisplay={
+					productionDisplay === 'group'
+						? 'annotate'
+						: productionDisplay
+				}
+				showCount={ showCount }
+				itemDetails={ itemDetails }
+			/>
+		</span>
+	) );
+}
@@ -1,8 +1,8 @@
 /**
  * Reference Preview Component
  *
- * Renders the block preview in the editor with placeholder data,
- * including year headings, type headings with reorder controls, and item lists.
+ * Renders the block preview in the editor with live or placeholder data,
+ * in the block's layout (list, table, timeline, inline, grid or logo wall).
  *
  * @since 0.1.0
  */
@@ -10,124 +10,164 @@
 /**
  * WordPress dependencies
  */
-import { __ } from '@wordpress/i18n';
-import { Button, ButtonGroup } from '@wordpress/components';
-import { chevronUp, chevronDown } from '@wordpress/icons';
+import { _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Internal dependencies
+ */
+import YearSections from './layouts/year-sections';
+import TableLayout from './layouts/table-layout';
+import InlineLayout from './layouts/inline-layout';
+import LogoWall from './layouts/logo-wall';
+import TermList from './layouts/term-list';
+
+/**
+ * Placeholder of the "Show older years" link
+ *
+ * @param {Object} props            Component properties.
+ * @param {number} props.olderYears Number of older years left out.
+ * @return {Element|null} Placeholder element or null if no years are left out.
+ */
+function ShowOlderYears( { olderYears } ) {
+	if ( olderYears <= 0 ) {
+		return null;
+	}
+
+	return (
+		<p className="references-show-older">
+			<span>
+				{ sprintf(
+					/* translators: %d: number of older years */
+					_n(
+						'Show %d older year',
+						'Show %d older years',
+						olderYears,
+						'gatherpress-references'
+					),
+					olderYears
+				) }
+			</span>
+		</p>
+	);
+}
 
 /**
  * Reference Preview component
  *
- * @param {Object}   props                 Component properties.
- * @param {Object}   props.filteredData    Filtered placeholder data keyed by year.
- * @param {Array}    props.sortedYears     Sorted year keys.
- * @param {Array}    props.orderedTypeKeys Ordered type taxonomy slugs.
- * @param {Object}   props.typeLabels      Type slug to label mapping.
- * @param {number}   props.headingLevel    Primary heading level (1-5).
- * @param {string}   props.referenceType   Reference type filter.
- * @param {Function} props.moveTypeUp      Callback to move a type up.
- * @param {Function} props.moveTypeDown    Callback to move a type down.
+ * @param {Object}   props                        Component properties.
+ * @param {string}   props.layout                 Layout (list, table, timeline, inline, grid, logos, terms).
+ * @param {Object}   props.filteredData           Filtered reference data keyed by year.
+ * @param {Array}    props.sortedYears            Sorted year keys.
+ * @param {Array}    props.orderedTypeKeys        Ordered type taxonomy slugs.
+ * @param {Object}   props.typeLabels             Type slug to label mapping.
+ * @param {string}   props.periodLabel            Label of the period column in the table layout.
+ * @param {number}   props.headingLevel           Primary heading level (1-5).
+ * @param {string}   props.referenceType          Reference type filter.
+ * @param {string}   props.productionDisplay      How to show productions (none, annotate, group).
+ * @param {boolean}  props.showCount              Whether to show how often each item occurred.
+ * @param {Array}    props.itemDetails            Term details shown with each item.
+ * @param {string}   props.itemSortOrder          Item sort order (alphabetical, chronological, frequency, manual).
+ * @param {string}   props.itemSecondarySortOrder Item sort order for items the sort order considers equal.
+ * @param {Object}   props.logoWall               Logo wall settings (columns, grayscale, maxCount).
+ * @param {Function} props.moveTypeUp             Callback to move a type up.
+ * @param {Function} props.moveTypeDown           Callback to move a type down.
+ * @param {number}   props.olderYears             Number of older years left out.
+ * @param {boolean}  props.olderFirst             Whether older years come before the shown ones.
  * @return {Element|null} Preview element or null if no data.
  */
 export default function ReferencePreview( {
+	layout,
 	filteredData,
 	sortedYears,
 	orderedTypeKeys,
 	typeLabels,
+	periodLabel,
 	headingLevel,
 	referenceType,
+	productionDisplay,
+	showCount,
+	itemDetails = [],
+	itemSortOrder,
+	itemSecondarySortOrder,
+	logoWall,
 	moveTypeUp,
 	moveTypeDown,
+	olderYears = 0,
+	olderFirst = false,
 } ) {
 	if ( Object.keys( filteredData ).length === 0 ) {
 		return null;
 	}
 
-	const secondaryHeadingLevel = Math.min( headingLevel + 1, 6 );
-	const YearHeading = `h${ headingLevel }`;
-	const TypeHeading = `h${ secondaryHeadingLevel }`;
-
-	const showTypeHeadings = referenceType === 'all';
-	const showTypeReorderControls =
-		referenceType === 'all' && orderedTypeKeys.length > 1;
+	// Logo walls list their items once, without years.
+	if ( layout === 'logos' ) {
+		return (
+			<LogoWall
+				filteredData={ filteredData }
+				referenceType={ referenceType }
+				orderedTypeKeys={ orderedTypeKeys }
+				itemSortOrder={ itemSortOrder }
+				itemSecondarySortOrder={ itemSecondarySortOrder }
+				{ ...logoWall }
+			/>
+		);
+	}
 
-	return (
-		<>
-			{ sortedYears.map( ( yearKey ) => {
-				const yearData = filteredData[ yearKey ];
-				return (
-					<div key={ yearKey }>
-						<YearHeading className="references-year">
-							{ yearKey }
-						</YearHeading>
+	const layoutProps = {
+		filteredData,
+		sortedYears,
+		orderedTypeKeys,
+		typeLabels,
+		productionDisplay,
+		showCount,
+		itemDetails,
+	};
 
-						{ orderedTypeKeys.map( ( typeKey ) => {
-							const items = yearData[ typeKey ];
-							if ( ! items || items.length === 0 ) {
-								return null;
-							}
+	// Term lists show all years, after each item.
+	if ( layout === 'terms' ) {
+		return (
+			<TermList
+				{ ...layoutProps }
+				headingLevel={ headingLevel }
+				referenceType={ referenceType }
+				itemSortOrder={ itemSortOrder }
+				itemSecondarySortOrder={ itemSecondarySortOrder }
+			/>
+		);
+	}
 
-							const currentIndex =
-								orderedTypeKeys.indexOf( typeKey );
-							const isFirstType = currentIndex === 0;
-							const isLastType =
-								currentIndex === orderedTypeKeys.length - 1;
+	let preview;
 
-							return (
-								<div
-									key={ typeKey }
-									className="reference-type-container"
-								>
-									{ showTypeHeadings && (
-										<div className="references-type-header">
-											<TypeHeading className="references-type">
-												{ typeLabels[ typeKey ] }
-											</TypeHeading>
-											{ showTypeReorderControls && (
-												<ButtonGroup className="references-type-movers">
-													<Button
-														icon={ chevronUp }
-														onClick={ () =>
-															moveTypeUp(
-																typeKey
-															)
-														}
-														label={ __(
-															'Move up',
-															'gatherpress-references'
-														) }
-														disabled={ isFirstType }
-														size="small"
-													/>
-													<Button
-														icon={ chevronDown }
-														onClick={ () =>
-															moveTypeDown(
-																typeKey
-															)
-														}
-														label={ __(
-															'Move down',
-															'gatherpress-references'
-														) }
-														disabled={ isLastType }
-														size="small"
-													/>
-												</ButtonGroup>
-											) }
-										</div>
-									) }
+	if ( layout === 'table' ) {
+		preview = (
+			<TableLayout { ...layoutProps } periodLabel={ periodLabel } />
+		);
+	} else if ( layout === 'inline' ) {
+		preview = (
+			<InlineLayout
+				{ ...layoutProps }
+				headingLevel={ headingLevel }
+				referenceType={ referenceType }
+			/>
+		);
+	} else {
+		preview = (
+			<YearSections
+				{ ...layoutProps }
+				layout={ layout }
+				headingLevel={ headingLevel }
+				referenceType={ referenceType }
+				moveTypeUp={ moveTypeUp }
+				moveTypeDown={ moveTypeDown }
+			/>
+		);
+	}
 
-									<ul className="references-list">
-										{ items.map( ( item, index ) => (
-											<li key={ index }>{ item }</li>
-										) ) }
-									</ul>
-								</div>
-							);
-						} ) }
-					</div>
-				);
-			} ) }
+	return (
+		<>
+			{ olderFirst && <ShowOlderYears olderYears={ olderYears } /> }
+			{ preview }
+			{ ! olderFirst && <ShowOlderYears olderYears={ olderYears } /> }
 		</>
 	);
 }
@@ -0,0 +1,208 @@
+/**
+ * Year Range Control
+ *
+ * Lets editors pick all years, a single year, the last N years
+ * or a fixed range of years. The chosen mode is kept in local
+ * state, so clearing a field doesn't switch back to all years.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __ } from '@wordpress/i18n';
+import { SelectControl, TextControl } from '@wordpress/components';
+import { useEffect, useState } from '@wordpress/element';
+
+/**
+ * Earliest year that can be picked, as Data_Provider::MIN_YEAR
+ *
+ * @type {number}
+ */
+const MIN_YEAR = 1000;
+
+/**
+ * Largest number of recent years, as Data_Provider::MAX_LAST_YEARS
+ *
+ * @type {number}
+ */
+const MAX_LAST_YEARS = 100;
+
+/**
+ * Attributes that make up the year selection, all reset on mode changes
+ *
+ * @type {Object}
+ */
+const EMPTY_RANGE = {
+	year: 0,
+	yearFrom: 0,
+	yearTo: 0,
+	lastYears: 0,
+};
+
+/**
+ * Get the current range mode from the block attributes
+ *
+ * @param {Object} attributes           Block attributes.
+ * @param {number} attributes.year      Single year, 0 for none.
+ * @param {number} attributes.yearFrom  First year of the range, 0 for open.
+ * @param {number} attributes.yearTo    Last year of the range, 0 for open.
+ * @param {number} attributes.lastYears Number of recent years, 0 for none.
+ * @return {string} One of all, single, relative, range.
+ */
+function getRangeMode( { year, yearFrom, yearTo, lastYears } ) {
+	if ( year > 0 ) {
+		return 'single';
+	}
+	if ( lastYears > 0 ) {
+		return 'relative';
+	}
+	if ( yearFrom > 0 || yearTo > 0 ) {
+		return 'range';
+	}
+	return 'all';
+}
+
+/**
+ * Parse a number input, 0 if empty or invalid
+ *
+ * @param {string} value Input value.
+ * @return {number} Parsed number.
+ */
+function toNumber( value ) {
+	const numValue = parseInt( value );
+	return isNaN( numValue ) ? 0 : numValue;
+}
+
+/**
+ * Year Range Control component
+ *
+ * @param {Object}   props               Component properties.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Function to update attributes.
+ * @return {Element} Year range controls.
+ */
+export default function YearRangeControl( { attributes, setAttributes } ) {
+	const { year, yearFrom, yearTo, lastYears } = attributes;
+	const attributeMode = getRangeMode( attributes );
+	const [ mode, setMode ] = useState( attributeMode );
+	const currentYear = new Date().getFullYear();
+
+	// Follow changes from outside, such as undo, unless all fields are empty.
+	useEffect( () => {
+		if ( attributeMode !== 'all' ) {
+			setMode( attributeMode );
+		}
+	}, [ attributeMode ] );
+
+	const onModeChange = ( newMode ) => {
+		const defaults = {
+			all: {},
+			single: { year: currentYear },
+			relative: { lastYears: 5 },
+			range: { yearFrom: currentYear - 5, yearTo: currentYear },
+		};
+		setMode( newMode );
+		setAttributes( { ...EMPTY_RANGE, ...defaults[ newMode ] } );
+	};
+
+	return (
+		<>
+			<SelectControl
+				label={ __( 'Years', 'gatherpress-references' ) }
+				value={ mode }
+				options={ [
+					{
+						label: __( 'All years', 'gatherpress-references' ),
+						value: 'all',
+					},
+					{
+						label: __( 'A single year', 'gatherpress-references' ),
+						value: 'single',
+					},
+					{
+						label: __( 'The last years', 'gatherpress-references' ),
+						value: 'relative',
+					},
+					{
+						label: __(
+							'A range of years',
+							'gatherpress-references'
+						),
+						value: 'range',
+					},
+				] }
+				onChange={ onModeChange }
+			/>
+
+			{ mode === 'single' && (
+				<TextControl
+					label={ __( 'Year', 'gatherpress-references' ) }
+					value={ year > 0 ? year.toString() : '' }
+					onChange={ ( value ) =>
+						setAttributes( { year: toNumber( value ) } )
+					}
+					type="number"
+					min={ MIN_YEAR }
+					max={ currentYear + 1 }
+				/>
+			) }
+
+			{ mode === 'relative' && (
+				<TextControl
+					label={ __( 'Number of Years', 'gatherpress-references' ) }
+					value={ lastYears > 0 ? lastYears.toString() : '' }
+					onChange={ ( value ) =>
+						setAttributes( {
+							lastYears: Math.min(
+								MAX_LAST_YEARS,
+								Math.max( 0, toNumber( value ) )
+							),
+						} )
+					}
+					type="number"
+					min="1"
+					max={ MAX_LAST_YEARS }
+					help={ __(
+						'Includes the current year and moves on with the calendar.',
+						'gatherpress-references'
+					) }
+				/>
+			) }
+
+			{ mode === 'range' && (
+				<>
+					<TextControl
+						label={ __( 'From Year', 'gatherpress-references' ) }
+						value={ yearFrom > 0 ? yearFrom.toString() : '' }
+						onChange={ ( value ) =>
+							setAttributes( { yearFrom: toNumber( value ) } )
+						}
+						type="number"
+						min={ MIN_YEAR }
+						max={ currentYear + 1 }
+						placeholder={ __(
+							'Leave empty for no start',
+							'gatherpress-references'
+						) }
+					/>
+					<TextControl
+						label={ __( 'To Year', 'gatherpress-references' ) }
+						value={ yearTo > 0 ? yearTo.toString() : '' }
+						onChange={ ( value ) =>
+							setAttributes( { yearTo: toNumber( value ) } )
+						}
+						type="number"
+						min={ MIN_YEAR }
+						max={ currentYear + 1 }
+						placeholder={ __(
+							'Leave empty for no end',
+							'gatherpress-references'
+						) }
+					/>
+				</>
+			) }
+		</>
+	);
+}
@@ -10,7 +10,9 @@
 /**
  * WordPress dependencies
  */
+import { __ } from '@wordpress/i18n';
 import { useBlockProps } from '@wordpress/block-editor';
+import { Notice, Spinner } from '@wordpress/components';
 
 /**
  * Internal dependencies - Hooks
@@ -18,6 +20,7 @@ import { useBlockProps } from '@wordpress/block-editor';
 import useConfig from './hooks/use-config';
 import useTypeOrder from './hooks/use-type-order';
 import useBlockLabel from './hooks/use-block-label';
+import useReferences from './hooks/use-references';
 
 /**
  * Internal dependencies - Components
@@ -25,6 +28,7 @@ import useBlockLabel from './hooks/use-block-label';
 import NotConfigured from './components/not-configured';
 import ReferenceInspector from './components/reference-inspector';
 import ReferencePreview from './components/reference-preview';
+import FilterBarPreview from './components/filter-bar-preview';
 
 /**
  * Internal dependencies - Utilities
@@ -33,7 +37,10 @@ import {
 	getPlaceholderData,
 	filterPlaceholderData,
 	getSortedYears,
+	limitYears,
 } from './utils/placeholder-data';
+import { getPeriodLabel, resolveGrouping } from './utils/periods';
+import { excludeTerms, getReferenceItems } from './utils/excluded-terms';
 
 /**
  * Editor styles
@@ -49,8 +56,6 @@ import './editor.scss';
  * @return {Element} React element to render in editor.
  */
 export default function Edit( { attributes, setAttributes } ) {
-	const blockProps = useBlockProps();
-
 	const {
 		postType,
 		refTermId,
@@ -59,7 +64,34 @@ export default function Edit( { attributes, setAttributes } ) {
 		headingLevel,
 		yearSortOrder,
 		typeOrder,
+		productionDisplay,
+		showCount,
+		itemSortOrder,
+		itemSecondarySortOrder,
+		yearFrom,
+		yearTo,
+		lastYears,
+		groupBy,
+		seasonStartMonth,
+		layout,
+		yearsLimit,
+		showFilters,
+		itemDetails,
+		logoColumns,
+		logoGrayscale,
+		logoMaxCount,
+		excludedTerms,
 	} = attributes;
+	const blockProps = useBlockProps( {
+		className: `references-layout-${ layout }`,
+	} );
+	const yearOptions = {
+		yearFrom,
+		yearTo,
+		lastYears,
+		groupBy,
+		seasonStartMonth,
+	};
 
 	// Load configuration, taxonomies, and labels.
 	const {
@@ -84,6 +116,9 @@ export default function Edit( { attributes, setAttributes } ) {
 	useBlockLabel( {
 		refTermId,
 		year,
+		yearFrom,
+		yearTo,
+		lastYears,
 		referenceType,
 		refTerms,
 		typeLabels,
@@ -91,6 +126,22 @@ export default function Edit( { attributes, setAttributes } ) {
 		setAttributes,
 	} );
 
+	// Load the references the block will render.
+	const { references: loadedReferences, isLoading } = useReferences( {
+		postType: activePostType,
+		refTermId,
+		year,
+		yearOptions,
+		referenceType,
+		itemSortOrder,
+		itemSecondarySortOrder,
+		withDetails: itemDetails.length > 0 || layout === 'logos',
+		isConfigured,
+	} );
+
+	// Leave out the terms excluded from this block, as the renderer does.
+	const references = excludeTerms( loadedReferences, excludedTerms );
+
 	// Show error state if not configured.
 	if ( ! isConfigured || ! activePostType ) {
 		return (
@@ -101,19 +152,33 @@ export default function Edit( { attributes, setAttributes } ) {
 		);
 	}
 
-	// Generate and process preview data.
-	const placeholderData = getPlaceholderData( {
-		isConfigured,
-		config,
-		year,
-		orderedTypeKeys,
-		typeLabels,
-	} );
-	const filteredData = filterPlaceholderData(
-		placeholderData,
-		referenceType
-	);
-	const sortedYears = getSortedYears( filteredData, year, yearSortOrder );
+	const grouping = resolveGrouping( yearOptions, config );
+
+	// Use real references, falling back to placeholders if nothing matches.
+	const hasReferences = Object.keys( references ).length > 0;
+	const filteredData = hasReferences
+		? references
+		: filterPlaceholderData(
+				getPlaceholderData( {
+					isConfigured,
+					config,
+					year,
+					yearOptions: {
+						...yearOptions,
+						...grouping,
+					},
+					orderedTypeKeys,
+					typeLabels,
+				} ),
+				referenceType
+		  );
+	// Logo walls and term lists show all years, without year headings.
+	const showsYearSections = layout !== 'logos' && layout !== 'terms';
+	const allYears = getSortedYears( filteredData, year, yearSortOrder );
+	const sortedYears =
+		year > 0 || ! showsYearSections
+			? allYears
+			: limitYears( allYears, yearsLimit );
 
 	return (
 		<>
@@ -124,19 +189,60 @@ export default function Edit( { attributes, setAttributes } ) {
 				refTaxonomy={ refTaxonomy }
 				refTerms={ refTerms }
 				taxonomies={ taxonomies }
+				config={ config }
+				referenceItems={ getReferenceItems( loadedReferences ) }
 			/>
 
 			<div { ...blockProps }>
-				<ReferencePreview
-					filteredData={ filteredData }
-					sortedYears={ sortedYears }
-					orderedTypeKeys={ orderedTypeKeys }
-					typeLabels={ typeLabels }
-					headingLevel={ headingLevel }
-					referenceType={ referenceType }
-					moveTypeUp={ moveTypeUp }
-					moveTypeDown={ moveTypeDown }
-				/>
+				{ isLoading && <Spinner /> }
+				{ ! isLoading && ! hasReferences && (
+					<Notice status="info" isDismissible={ false }>
+						{ __(
+							'No matching past events found. Showing example references.',
+							'gatherpress-references'
+						) }
+					</Notice>
+				) }
+				{ showFilters &&
+					showsYearSections &&
+					( hasReferences || ! isLoading ) && (
+						<FilterBarPreview
+							filteredData={ filteredData }
+							sortedYears={ sortedYears }
+							orderedTypeKeys={ orderedTypeKeys }
+							typeLabels={ typeLabels }
+							showTypes={ referenceType === 'all' }
+							showProductions={ refTermId === 0 }
+						/>
+					) }
+				{ ( hasReferences || ! isLoading ) && (
+					<ReferencePreview
+						layout={ layout }
+						filteredData={ filteredData }
+						sortedYears={ sortedYears }
+						orderedTypeKeys={ orderedTypeKeys }
+						typeLabels={ typeLabels }
+						periodLabel={ getPeriodLabel( grouping.groupBy ) }
+						headingLevel={ headingLevel }
+						referenceType={ referenceType }
+						productionDisplay={
+							refTermId === 0 ? productionDisplay : 'none'
+						}
+						showCount={ showCount }
+						itemDetails={ itemDetails }
+						itemSortOrder={ itemSortOrder }
+						itemSecondarySortOrder={ itemSecondarySortOrder }
+						logoWall={ {
+							columns: logoColumns,
+							grayscale: logoGrayscale,
+							maxCount: logoMaxCount,
+						} }
+						moveTypeUp={ moveTypeUp }
+						moveTypeDown={ moveTypeDown }
+						olderYears={ allYears.length - sortedYears.length }
+						olderFirst={ yearSortOrder === 'asc' }
+					/>
+				) }
 			</div>
 		</>
 	);
@@ -13,6 +13,11 @@
 import { __ } from '@wordpress/i18n';
 import { useEffect, useRef } from '@wordpress/element';
 
+/**
+ * Internal dependencies
+ */
+import { getYearRangeLabel } from '../utils/periods';
+
 /**
  * Custom hook for dynamic block label management
  *
@@ -22,6 +27,9 @@ import { useEffect, useRef } from '@wordpress/element';
  * @param {Object}   params               Hook parameters.
  * @param {number}   params.refTermId     Reference term ID.
  * @param {number}   params.year          Year filter.
+ * @param {number}   params.yearFrom      First year of the range.
+ * @param {number}   params.yearTo        Last year of the range.
+ * @param {number}   params.lastYears     Number of recent years.
  * @param {string}   params.referenceType Reference type filter.
  * @param {Array}    params.refTerms      Available reference terms.
  * @param {Object}   params.typeLabels    Type slug to label mapping.
@@ -31,6 +39,9 @@ import { useEffect, useRef } from '@wordpress/element';
 export default function useBlockLabel( {
 	refTermId,
 	year,
+	yearFrom,
+	yearTo,
+	lastYears,
 	referenceType,
 	refTerms,
 	typeLabels,
@@ -53,8 +64,14 @@ export default function useBlockLabel( {
 			}
 		}
 
-		if ( year > 0 ) {
-			parts.push( year.toString() );
+		const yearLabel = getYearRangeLabel( {
+			year,
+			yearFrom,
+			yearTo,
+			lastYears,
+		} );
+		if ( yearLabel ) {
+			parts.push( yearLabel );
 		}
 
 		if ( referenceType !== 'all' ) {
@@ -83,6 +100,9 @@ export default function useBlockLabel( {
 		setAttributes,
 		refTermId,
 		year,
+		yearFrom,
+		yearTo,
+		lastYears,
 		referenceType,
 		refTerms,
 		typeLabels,
@@ -0,0 +1,132 @@
+/**
+ * References Hook
+ *
+ * Fetches the organized references for the current filter settings
+ * from the REST API, so the editor preview reflects real data.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import apiFetch from '@wordpress/api-fetch';
+import { useEffect, useState } from '@wordpress/element';
+import { addQueryArgs } from '@wordpress/url';
+
+/**
+ * Convert the REST response into reference data keyed by year
+ *
+ * @param {Array} years List of years (or decades, or seasons), each with its reference types.
+ * @return {Object} Reference data keyed by year, then by type slug.
+ */
+function toReferenceData( years ) {
+	const data = {};
+	( years || [] ).forEach( ( { year, types } ) => {
+		data[ year ] = {};
+		types.forEach( ( { slug, items } ) => {
+			data[ year ][ slug ] = items;
+		} );
+	} );
+	return data;
+}
+
+/**
+ * Custom hook for live reference data
+ *
+ * Requests the same data the server-side renderer uses,
+ * grouped by year and type, with items already sorted.
+ *
+ * @param {Object}  params                        Hook parameters.
+ * @param {string}  params.postType               Active post type slug.
+ * @param {number}  params.refTermId              Reference term ID.
+ * @param {number}  params.year                   Year filter.
+ * @param {Object}  params.yearOptions            Year range and grouping (yearFrom, yearTo, lastYears, groupBy, seasonStartMonth).
+ * @param {string}  params.referenceType          Reference type filter.
+ * @param {string}  params.itemSortOrder          Item sort order (alphabetical, chronological, frequency, manual).
+ * @param {string}  params.itemSecondarySortOrder Item sort order for items the sort order considers equal.
+ * @param {boolean} params.withDetails            Whether to add the term details of each item.
+ * @param {boolean} params.isConfigured           Whether block is configured.
+ * @return {Object} Reference data keyed by year, and loading state.
+ */
+export default function useReferences( {
+	postType,
+	refTermId,
+	year,
+	yearOptions,
+	referenceType,
+	itemSortOrder,
+	itemSecondarySortOrder,
+	withDetails,
+	isConfigured,
+} ) {
+	const { yearFrom, yearTo, lastYears, groupBy, seasonStartMonth } =
+		yearOptions;
+	const [ references, setReferences ] = useState( {} );
+	const [ isLoading, setIsLoading ] = useState( false );
+
+	useEffect( () => {
+		if ( ! isConfigured || ! postType ) {
+			setReferences( {} );
+			return;
+		}
+
+		let isCurrent = true;
+		setIsLoading( true );
+
+		apiFetch( {
+			path: addQueryArgs( '/gatherpress-references/v1/references', {
+				post_type: postType,
+				ref_term_id: refTermId,
+				year,
+				year_from: yearFrom,
+				year_to: yearTo,
+				last_years: lastYears,
+				group_by: groupBy,
+				season_start: seasonStartMonth,
+				type: referenceType,
+				item_sort: itemSortOrder,
+				item_secondary_sort: itemSecondarySortOrder,
+				details: withDetails,
+			} ),
+		} )
+			.then( ( data ) => {
+				if ( isCurrent ) {
+					setReferences( toReferenceData( data ) );
+				}
+			} )
+			.catch( () => {
+				if ( isCurrent ) {
+					setReferences( {} );
+				}
+			} )
+			.finally( () => {
+				if ( isCurrent ) {
+					setIsLoading( false );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [
+		postType,
+		refTermId,
+		year,
+		yearFrom,
+		yearTo,
+		lastYears,
+		groupBy,
+		seasonStartMonth,
+		referenceType,
+		itemSortOrder,
+		itemSecondarySortOrder,
+		withDetails,
+		isConfigured,
+	] );
+
+	return {
+		references,
+		isLoading,
+	};
+}
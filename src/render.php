@@ -24,8 +24,65 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 	 * Handles attribute extraction, data retrieval, and HTML generation.
 	 *
 	 * @since 0.1.0
+	 *
+	 * @phpstan-import-type References from Data_Organizer
+	 * @phpstan-import-type Reference_Item from Data_Organizer
+	 * @phpstan-import-type Reference_Options from Data_Organizer
+	 * @phpstan-import-type Filter_State from Filter_Bar
+	 * @phpstan-import-type Term_Details from Taxonomy_Manager
+	 * @phpstan-type Block_Attributes array{postType?: string, refTermId?: int, year?: int, referenceType?: string, headingLevel?: int, yearSortOrder?: string, typeOrder?: array<string>, linkTarget?: string, productionDisplay?: string, showCount?: bool, itemSortOrder?: string, itemSecondarySortOrder?: string, yearFrom?: int, yearTo?: int, lastYears?: int, groupBy?: string, seasonStartMonth?: int, layout?: string, yearsLimit?: int, showFilters?: bool, itemDetails?: array<string>, logoColumns?: int, logoGrayscale?: bool, logoMaxCount?: int, structuredData?: bool, exportFormats?: array<string>, excludedTerms?: array<int>}
+	 * @phpstan-type Render_Data array{post_type: string, ref_term_id: int, year: int, type: string, heading_level: int, secondary_heading_level: int, year_sort: string, type_order: array<string>, type_labels: array<string, string>, link_target: string, production_display: string, show_count: bool, item_sort: string, item_secondary_sort: string, options: Reference_Options, layout: string, period_label: string, years_limit: int, block_id: string, show_filters: bool, filters: Filter_State|null, item_details: array<int, string>, term_details: array<int, Term_Details>, logo_columns: int, logo_grayscale: bool, logo_max_count: int, structured_data: bool, export_formats: array<int, string>, excluded_terms: array<int, int>}
 	 */
 	class Block_Renderer {
+		/**
+		 * Allowed link targets for reference items
+		 *
+		 * @var array<int, string>
+		 */
+		const LINK_TARGETS = array( 'none', 'term', 'url', 'event' );
+
+		/**
+		 * Allowed ways to show the production(s) of each item
+		 *
+		 * @var array<int, string>
+		 */
+		const PRODUCTION_DISPLAYS = array( 'none', 'annotate', 'group' );
+
+		/**
+		 * Allowed layouts
+		 *
+		 * @var array<int, string>
+		 */
+		const LAYOUTS = array( 'list', 'table', 'timeline', 'inline', 'grid', 'logos', 'terms' );
+
+		/**
+		 * Allowed term details shown with each item
+		 *
+		 * @var array<int, string>
+		 */
+		const ITEM_DETAILS = array( 'logo', 'location', 'category', 'description' );
+
+		/**
+		 * Reference type shown by logo walls of all types, if configured
+		 *
+		 * @var string
+		 */
+		const LOGO_TYPE = '_gatherpress-client';
+
+		/**
+		 * Query argument that shows all years of the block with the given ID
+		 *
+		 * @var string
+		 */
+		const SHOW_ALL_QUERY_ARG = 'references-show-all';
+
+		/**
+		 * Placeholder of the "Show older years" link URL in rendered output
+		 *
+		 * @var string
+		 */
+		const SHOW_OLDER_URL_PLACEHOLDER = '{{gatherpress-references-show-older-url}}';
+
 		/**
 		 * Singleton instance
 		 *
@@ -48,11 +105,11 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		private Cache_Manager $cache_manager;
 
 		/**
-		 * Query builder instance
+		 * Data provider instance
 		 *
-		 * @var Query_Builder
+		 * @var Data_Provider
 		 */
-		private Query_Builder $query_builder;
+		private Data_Provider $data_provider;
 
 		/**
 		 * Data organizer instance
@@ -61,6 +118,34 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		 */
 		private Data_Organizer $data_organizer;
 
+		/**
+		 * Filter bar instance
+		 *
+		 * @var Filter_Bar
+		 */
+		private Filter_Bar $filter_bar;
+
+		/**
+		 * Taxonomy manager instance
+		 *
+		 * @var Taxonomy_Manager
+		 */
+		private Taxonomy_Manager $taxonomy_manager;
+
+		/**
+		 * Schema generator instance
+		 *
+		 * @var Schema_Generator
+		 */
+		private Schema_Generator $schema_generator;
+
+		/**
+		 * Exporter instance
+		 *
+		 * @var Exporter
+		 */
+		private Exporter $exporter;
+
 		/**
 		 * Constructor
 		 *
@@ -69,10 +154,14 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		private function __construct() {
 			$plugin = Plugin::get_instance();
 
-			$this->config_manager = new Config_Manager();
-			$this->cache_manager  = $plugin->get_cache_manager();
-			$this->query_builder  = $plugin->get_query_builder();
-			$this->data_organizer = $plugin->get_data_organizer();
+			$this->config_manager   = new Config_Manager();
+			$this->cache_manager    = $plugin->get_cache_manager();
+			$this->data_provider    = $plugin->get_data_provider();
+			$this->data_organizer   = $plugin->get_data_organizer();
+			$this->filter_bar       = new Filter_Bar();
+			$this->taxonomy_manager = $plugin->get_taxonomy_manager();
+			$this->schema_generator = $plugin->get_schema_generator();
+			$this->exporter         = $plugin->get_exporter();
 		}
 
 		/**
@@ -92,7 +181,7 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		 * Render the block
 		 *
 		 * @since 0.1.0
-		 * @param array{postType?: string, refTermId?: int, year?: int, referenceType?: string, headingLevel?: int, yearSortOrder?: string, typeOrder?: array<string>} $attributes Block attributes.
+		 * @param Block_Attributes $attributes Block attributes.
 		 * @return string Rendered block HTML.
 		 */
 		public function render( array $attributes ): string {
@@ -102,42 +191,172 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 			if ( ! $render_data ) {
 				return '';
 			}
+
 			// Get references data.
-			$references = $this->get_references_data(
+			$references = $this->data_provider->get_references(
 				$render_data['post_type'],
 				$render_data['ref_term_id'],
 				$render_data['year'],
-				$render_data['type']
+				$render_data['type'],
+				$render_data['options']
 			);
 
+			// Leave out the terms excluded from this block.
+			$references = $this->data_organizer->exclude_terms( $references, $render_data['excluded_terms'] );
+
 			if ( empty( $references ) ) {
 				return '';
 			}
 
+			// Serve the rendered output from cache, if enabled.
+			$output_cache_key = $this->get_output_cache_key( $attributes, $render_data, $references );
+			if ( '' !== $output_cache_key ) {
+				$html = $this->cache_manager->get_output( $output_cache_key );
+
+				if ( false !== $html ) {
+					return $this->add_show_older_url( $html, $render_data['block_id'] );
+				}
+			}
+
 			// Sort years.
 			$references = $this->data_organizer->sort_years( $references, $render_data['year_sort'] );
 
+			// Sort items within each type.
+			$references = $this->data_organizer->sort_items( $references, $render_data['item_sort'], $render_data['item_secondary_sort'] );
+
 			// Apply custom type order if specified.
 			if ( ! empty( $render_data['type_order'] ) ) {
-				$references = $this->apply_type_order( $references, $render_data['type_order'] );
+				$references = $this->data_organizer->apply_type_order( $references, $render_data['type_order'] );
 			}
 
-			// Generate HTML.
-			return $this->generate_html(
-				$references,
+			// Describe all references as structured data, including years left out below.
+			$structured_data = $render_data['structured_data'] ? $this->get_structured_data( $references, $render_data ) : '';
+
+			if ( $render_data['layout'] === 'logos' ) {
+				// Logo walls list their items once, without years.
+				$html = $this->render_logo_wall( $references, $render_data );
+			} elseif ( $render_data['layout'] === 'terms' ) {
+				// Term lists name each item once per type, followed by its years.
+				$html = $this->render_terms_layout( $references, $render_data );
+			} else {
+				// Only show the most recent years, until all are requested.
+				$older_years = 0;
+				if ( $render_data['years_limit'] > 0 && ! $this->is_showing_all_years( $render_data['block_id'] ) ) {
+					$all_years   = count( $references );
+					$references  = $this->data_organizer->limit_years( $references, $render_data['years_limit'] );
+					$older_years = $all_years - count( $references );
+				}
+
+				// Filter the references shown, starting from the filter state in the URL.
+				if ( $render_data['show_filters'] ) {
+					$render_data['filters'] = $this->filter_bar->get_state( $references, $this->get_type_columns( $references, $render_data ) );
+				}
+
+				// Load the term details of all items at once.
+				if ( ! empty( $render_data['item_details'] ) ) {
+					$render_data['term_details'] = $this->taxonomy_manager->get_term_details( $this->get_item_ids( $references ) );
+				}
+
+				// Generate HTML.
+				$html = $this->generate_html( $references, $render_data, $older_years );
+			}
+
+			$html .= $structured_data;
+
+			if ( '' !== $output_cache_key ) {
+				$this->cache_manager->set_output( $output_cache_key, $html );
+			}
+
+			return $this->add_show_older_url( $html, $render_data['block_id'] );
+		}
+
+		/**
+		 * Get the cache key of the rendered output
+		 *
+		 * Besides the attributes, including the block style and the
+		 * block supports, the output depends on the archive the block
+		 * is shown on, the filter state, whether all years are shown,
+		 * and the language. The filter state is checked against the
+		 * references, so made-up query arguments share the entry of
+		 * the unfiltered block. The "Show older years" link is added
+		 * after caching, so the key doesn't depend on the URL.
+		 *
+		 * @since 0.3.0
+		 * @param Block_Attributes $attributes  Block attributes.
+		 * @param Render_Data      $render_data Prepared render data.
+		 * @param References       $references  References data.
+		 * @return string Cache key, empty if the output is not cached.
+		 */
+		private function get_output_cache_key( array $attributes, array $render_data, array $references ): string {
+			/**
+			 * Filters whether the rendered output of a references block is cached.
+			 *
+			 * The output is cached as long as the references data, and
+			 * invalidated along with it. Defaults to false.
+			 *
+			 * @since 0.3.0
+			 *
+			 * @param bool                 $cache_output Whether to cache the rendered output.
+			 * @param array<string, mixed> $attributes   Block attributes.
+			 * @return bool Filtered value.
+			 *
+			 * @example
+			 * Cache the output of all references blocks:
+			 * ```php
+			 * add_filter( 'gatherpress_references_cache_output', '__return_true' );
+			 * ```
+			 */
+			$cache_output = apply_filters( 'gatherpress_references_cache_output', false, $attributes );
+
+			if ( true !== $cache_output ) {
+				return '';
+			}
+
+			$data_cache_key = $this->data_provider->get_cache_key(
+				$render_data['post_type'],
+				$render_data['ref_term_id'],
+				$render_data['year'],
+				$render_data['type'],
+				$render_data['options']
+			);
+
+			$context = array(
+				'attributes'  => $attributes,
+				'ref_term_id' => $render_data['ref_term_id'],
+				'filters'     => $render_data['show_filters'] ? $this->filter_bar->get_state( $references, $this->get_type_columns( $references, $render_data ) ) : array(),
+				'show_all'    => $render_data['years_limit'] > 0 && $this->is_showing_all_years( $render_data['block_id'] ),
+				'locale'      => determine_locale(),
+			);
+
+			return $this->cache_manager->get_output_cache_key( $data_cache_key, $context );
+		}
+
+		/**
+		 * Get the JSON-LD script describing the references
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return string Script tag, empty if there is nothing to describe.
+		 */
+		private function get_structured_data( array $references, array $render_data ): string {
+			$data_cache_key = $this->data_provider->get_cache_key(
+				$render_data['post_type'],
+				$render_data['ref_term_id'],
+				$render_data['year'],
 				$render_data['type'],
-				$render_data['type_labels'],
-				$render_data['heading_level'],
-				$render_data['secondary_heading_level']
+				$render_data['options']
 			);
+
+			return $this->schema_generator->get_script( $references, $render_data['post_type'], $data_cache_key, $render_data['excluded_terms'] );
 		}
 
 		/**
 		 * Prepare render data from attributes
 		 *
 		 * @since 0.1.0
-		 * @param array{postType?: string, refTermId?: int, year?: int, referenceType?: string, headingLevel?: int, yearSortOrder?: string, typeOrder?: array<string>} $attributes Block attributes.
-		 * @return ?array{post_type: string, ref_term_id: int, year: int, type: string, heading_level: int, secondary_heading_level: int, year_sort: string, type_order: array<string>, type_labels: array<string, string>}
+		 * @param Block_Attributes $attributes Block attributes.
+		 * @return ?Render_Data
 		 */
 		private function prepare_render_data( array $attributes ): ?array {
 			$sanitized = $this->sanitize_attributes( $attributes );
@@ -157,9 +376,41 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 				? $sanitized['year_sort']
 				: 'desc';
 
+			// Validate link target.
+			$link_target = in_array( $sanitized['link_target'], self::LINK_TARGETS, true )
+				? $sanitized['link_target']
+				: 'none';
+
+			// Validate item sort order.
+			$item_sort = in_array( $sanitized['item_sort'], Data_Organizer::ITEM_SORT_ORDERS, true )
+				? $sanitized['item_sort']
+				: 'alphabetical';
+
+			$item_secondary_sort = in_array( $sanitized['item_secondary_sort'], Data_Organizer::ITEM_SORT_ORDERS, true )
+				? $sanitized['item_secondary_sort']
+				: 'alphabetical';
+
+			// Validate layout.
+			$layout = in_array( $sanitized['layout'], self::LAYOUTS, true )
+				? $sanitized['layout']
+				: 'list';
+
+			// Label of the periods references are grouped by, as seasons configured for the post type take precedence.
+			$period_labels = array(
+				'year'   => __( 'Year', 'gatherpress-references' ),
+				'decade' => __( 'Decade', 'gatherpress-references' ),
+				'season' => __( 'Season', 'gatherpress-references' ),
+			);
+			$group_by      = ( $config['season_start'] > 0 && $sanitized['group_by'] !== 'decade' ) ? 'season' : $sanitized['group_by'];
+
 			// Auto-detect reference term from archive.
 			$ref_term_id = $this->resolve_ref_term_id( $sanitized['ref_term_id'], $config['ref_tax'] );
 
+			// Productions are only worth showing when references of all productions are merged.
+			$production_display = ( $ref_term_id === 0 && in_array( $sanitized['production_display'], self::PRODUCTION_DISPLAYS, true ) )
+				? $sanitized['production_display']
+				: 'none';
+
 			return array(
 				'post_type'               => $sanitized['post_type'],
 				'ref_term_id'             => $ref_term_id,
@@ -169,7 +420,34 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 				'secondary_heading_level' => $secondary_heading_level,
 				'year_sort'               => $year_sort,
 				'type_order'              => $sanitized['type_order'],
-				'type_labels'             => $this->get_type_labels( $config['ref_types'] ),
+				'type_labels'             => $this->config_manager->get_type_labels( $config['ref_types'] ),
+				'link_target'             => $link_target,
+				'production_display'      => $production_display,
+				'show_count'              => $sanitized['show_count'],
+				'item_sort'               => $item_sort,
+				'item_secondary_sort'     => $item_secondary_sort,
+				'options'                 => array(
+					'year_from'    => $sanitized['year_from'],
+					'year_to'      => $sanitized['year_to'],
+					'last_years'   => $sanitized['last_years'],
+					'group_by'     => $sanitized['group_by'],
+					'season_start' => $sanitized['season_start'],
+				),
+				'layout'                  => $layout,
+				'period_label'            => $period_labels[ $group_by ] ?? $period_labels['year'],
+				'years_limit'             => $sanitized['year'] > 0 ? 0 : max( 0, $sanitized['years_limit'] ),
+				// Identifies the block on the page, so only its older years are shown on request.
+				'block_id'                => substr( md5( (string) wp_json_encode( $attributes ) ), 0, 8 ),
+				'show_filters'            => $sanitized['show_filters'],
+				'filters'                 => null,
+				'item_details'            => array_values( array_intersect( self::ITEM_DETAILS, $sanitized['item_details'] ) ),
+				'term_details'            => array(),
+				'logo_columns'            => max( 1, min( 8, $sanitized['logo_columns'] ) ),
+				'logo_grayscale'          => $sanitized['logo_grayscale'],
+				'logo_max_count'          => max( 0, $sanitized['logo_max_count'] ),
+				'structured_data'         => $sanitized['structured_data'],
+				'export_formats'          => array_values( array_intersect( Exporter::FORMATS, $sanitized['export_formats'] ) ),
+				'excluded_terms'          => array_values( array_filter( $sanitized['excluded_terms'] ) ),
 			);
 		}
 
@@ -177,18 +455,38 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		 * Sanitize block attributes
 		 *
 		 * @since 0.1.0
-		 * @param array{postType?: string, refTermId?: int, year?: int, referenceType?: string, headingLevel?: int, yearSortOrder?: string, typeOrder?: array<string>} $attributes Block attributes.
-		 * @return array{post_type: string, ref_term_id: int, year: int, type: string, heading_level: int, year_sort: string, type_order: array<string>}
+		 * @param Block_Attributes $attributes Block attributes.
+		 * @return array{post_type: string, ref_term_id: int, year: int, type: string, heading_level: int, year_sort: string, type_order: array<string>, link_target: string, production_display: string, show_count: bool, item_sort: string, item_secondary_sort: string, year_from: int, year_to: int, last_years: int, group_by: string, season_start: int, layout: string, years_limit: int, show_filters: bool, item_details: array<string>, logo_columns: int, logo_grayscale: bool, logo_max_count: int, structured_data: bool, export_formats: array<string>, excluded_terms: array<int>}
 		 */
 		private function sanitize_attributes( array $attributes ): array {
 			return array(
-				'post_type'     => isset( $attributes['postType'] ) ? sanitize_text_field( $attributes['postType'] ) : '',
-				'ref_term_id'   => isset( $attributes['refTermId'] ) ? intval( $attributes['refTermId'] ) : 0,
-				'year'          => isset( $attributes['year'] ) ? intval( $attributes['year'] ) : 0,
-				'type'          => isset( $attributes['referenceType'] ) ? sanitize_text_field( $attributes['referenceType'] ) : 'all',
-				'heading_level' => isset( $attributes['headingLevel'] ) ? intval( $attributes['headingLevel'] ) : 2,
-				'year_sort'     => isset( $attributes['yearSortOrder'] ) ? sanitize_text_field( $attributes['yearSortOrder'] ) : 'desc',
-				'type_order'    => isset( $attributes['typeOrder'] ) ? array_map( 'sanitize_text_field', $attributes['typeOrder'] ) : array(),
+				'post_type'           => isset( $attributes['postType'] ) ? sanitize_text_field( $attributes['postType'] ) : '',
+				'ref_term_id'         => isset( $attributes['refTermId'] ) ? intval( $attributes['refTermId'] ) : 0,
+				'year'                => isset( $attributes['year'] ) ? intval( $attributes['year'] ) : 0,
+				'type'                => isset( $attributes['referenceType'] ) ? sanitize_text_field( $attributes['referenceType'] ) : 'all',
+				'heading_level'       => isset( $attributes['headingLevel'] ) ? intval( $attributes['headingLevel'] ) : 2,
+				'year_sort'           => isset( $attributes['yearSortOrder'] ) ? sanitize_text_field( $attributes['yearSortOrder'] ) : 'desc',
+				'type_order'          => isset( $attributes['typeOrder'] ) ? array_map( 'sanitize_text_field', $attributes['typeOrder'] ) : array(),
+				'link_target'         => isset( $attributes['linkTarget'] ) ? sanitize_text_field( $attributes['linkTarget'] ) : 'none',
+				'production_display'  => isset( $attributes['productionDisplay'] ) ? sanitize_text_field( $attributes['productionDisplay'] ) : 'none',
+				'show_count'          => ! empty( $attributes['showCount'] ),
+				'item_sort'           => isset( $attributes['itemSortOrder'] ) ? sanitize_text_field( $attributes['itemSortOrder'] ) : 'alphabetical',
+				'item_secondary_sort' => isset( $attributes['itemSecondarySortOrder'] ) ? sanitize_text_field( $attributes['itemSecondarySortOrder'] ) : 'alphabetical',
+				'year_from'           => isset( $attributes['yearFrom'] ) ? intval( $attributes['yearFrom'] ) : 0,
+				'year_to'             => isset( $attributes['yearTo'] ) ? intval( $attributes['yearTo'] ) : 0,
+				'last_years'          => isset( $attributes['lastYears'] ) ? intval( $attributes['lastYears'] ) : 0,
+				'group_by'            => isset( $attributes['groupBy'] ) ? sanitize_text_field( $attributes['groupBy'] ) : 'year',
+				'season_start'        => isset( $attributes['seasonStartMonth'] ) ? intval( $attributes['seasonStartMonth'] ) : 8,
+				'layout'              => isset( $attributes['layout'] ) ? sanitize_text_field( $attributes['layout'] ) : 'list',
+				'years_limit'         => isset( $attributes['yearsLimit'] ) ? intval( $attributes['yearsLimit'] ) : 0,
+				'show_filters'        => ! empty( $attributes['showFilters'] ),
+				'item_details'        => isset( $attributes['itemDetails'] ) ? array_map( 'sanitize_key', $attributes['itemDetails'] ) : array(),
+				'logo_columns'        => isset( $attributes['logoColumns'] ) ? intval( $attributes['logoColumns'] ) : 4,
+				'logo_grayscale'      => ! isset( $attributes['logoGrayscale'] ) || ! empty( $attributes['logoGrayscale'] ),
+				'logo_max_count'      => isset( $attributes['logoMaxCount'] ) ? intval( $attributes['logoMaxCount'] ) : 0,
+				'structured_data'     => ! empty( $attributes['structuredData'] ),
+				'export_formats'      => isset( $attributes['exportFormats'] ) ? array_map( 'sanitize_key', $attributes['exportFormats'] ) : array(),
+				'excluded_terms'      => isset( $attributes['excludedTerms'] ) ? array_map( 'absint', $attributes['excludedTerms'] ) : array(),
 			);
 		}
 
@@ -197,7 +495,7 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		 *
 		 * @since 0.1.0
 		 * @param string $post_type Post type slug.
-		 * @return ?array{ref_tax: string, ref_types: array<int, string>} Configuration or null.
+		 * @return ?array{ref_tax: string, ref_types: array<int, string>, season_start: int} Configuration or null.
 		 */
 		private function get_validated_config( string $post_type ): ?array {
 			if ( empty( $post_type ) || ! post_type_supports( $post_type, 'gatherpress_references' ) ) {
@@ -226,206 +524,833 @@ if ( ! class_exists( Block_Renderer::class ) ) {
 		}
 
 		/**
-		 * Get type labels for taxonomies
+		 * Check whether all years of a block were requested
+		 *
+		 * @since 0.3.0
+		 * @param string $block_id Block ID.
+		 * @return bool Whether to show all years.
+		 */
+		private function is_showing_all_years( string $block_id ): bool {
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only changes which years are displayed.
+			return isset( $_GET[ self::SHOW_ALL_QUERY_ARG ] ) && is_string( $_GET[ self::SHOW_ALL_QUERY_ARG ] ) && sanitize_key( wp_unslash( $_GET[ self::SHOW_ALL_QUERY_ARG ] ) ) === $block_id;
+		}
+
+		/**
+		 * Generate HTML output
 		 *
 		 * @since 0.1.0
-		 * @param array<int, string> $taxonomies Taxonomy slugs.
-		 * @return array<string, string> Type labels.
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @param int         $older_years Number of older years left out.
+		 * @return string HTML output.
 		 */
-		private function get_type_labels( array $taxonomies ): array {
-			$type_labels = array();
+		private function generate_html( array $references, array $render_data, int $older_years = 0 ): string {
+			$extra_attributes = array( 'class' => 'references-layout-' . $render_data['layout'] );
+			if ( $render_data['years_limit'] > 0 ) {
+				$extra_attributes['data-references-id'] = $render_data['block_id'];
+			}
+			if ( null !== $render_data['filters'] ) {
+				$extra_attributes = array_merge( $extra_attributes, $this->filter_bar->get_wrapper_attributes( $render_data['filters'] ) );
+			}
+			$wrapper_attributes = get_block_wrapper_attributes( $extra_attributes );
+
+			// Older years are shown where they will appear.
+			$older_first = ( $render_data['year_sort'] === 'asc' );
 
-			foreach ( $taxonomies as $taxonomy_slug ) {
-				$taxonomy = get_taxonomy( $taxonomy_slug );
-				if ( $taxonomy ) {
-					$_label                        = $taxonomy->labels->name ?? $taxonomy->name;
-					$type_labels[ $taxonomy_slug ] = is_string( $_label ) ? $_label : $taxonomy_slug;
+			ob_start();
+			?>
+			<div <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- get_block_wrapper_attributes() is escaped internally. ?>>
+				<?php
+				if ( null !== $render_data['filters'] ) {
+					echo $this->filter_bar->render( // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::render().
+						$references,
+						$render_data['filters'],
+						$render_data['type_labels'],
+						$render_data['type'] === 'all',
+						$render_data['ref_term_id'] === 0
+					);
 				}
-			}
 
-			/**
-			 * Customize the human-readable labels for each reference type displayed in headings.
-			 *
-			 * @since 0.1.0
-			 *
-			 * @param array<string, string> $labels Array of taxonomy slug => label pairs.
-			 * @return array<string, string> Filtered type labels.
-			 *
-			 * @example
-			 * Override existing label
-			 * ```php
-			 * add_filter( 'gatherpress_references_type_labels', function( $labels ) {
-			 *  $labels['_gatherpress-award'] = __( 'Prizes & Honours', 'textdomain' );
-			 *  return $labels;
-			 * } );
-			 * ```
-			 *
-			 * @example
-			 * Locale-specific labels
-			 * ```php
-			 * add_filter( 'gatherpress_references_type_labels', function( $labels ) {
-			 *     $locale = get_locale();
-			 *
-			 *     if ( $locale === 'de_DE' ) {
-			 *         $labels['_gatherpress-client'] = 'Gastspiele & Kunden';
-			 *         $labels['_gatherpress-festival'] = 'Festivals';
-			 *         $labels['_gatherpress-award'] = 'Auszeichnungen';
-			 *     }
-			 *
-			 *     return $labels;
-			 * } );
-			 * ```
-			 */
-			return apply_filters( 'gatherpress_references_type_labels', $type_labels );
+				if ( $older_first ) {
+					$this->render_show_older_link( $render_data['block_id'], $older_years );
+				}
+
+				if ( $render_data['layout'] === 'table' ) {
+					$this->render_table_layout( $references, $render_data );
+				} elseif ( $render_data['layout'] === 'inline' ) {
+					$this->render_inline_layout( $references, $render_data );
+				} else {
+					$this->render_year_sections( $references, $render_data );
+				}
+
+				if ( ! $older_first ) {
+					$this->render_show_older_link( $render_data['block_id'], $older_years );
+				}
+
+				$this->render_export_links( $render_data );
+				?>
+			</div>
+			<?php
+			return (string) ob_get_clean();
 		}
 
 		/**
-		 * Get references data (from cache or query)
+		 * Render the logo wall layout
 		 *
-		 * @since 0.1.0
-		 * @param string $post_type   Post type slug.
-		 * @param int    $ref_term_id Reference term ID.
-		 * @param int    $year        Year filter.
-		 * @param string $type        Type filter.
-		 * @return array<string, array<string, array<int, string>>> References data.
+		 * Lists the items of all years once, as a grid of their logos.
+		 * Only items of one type are shown, see get_logo_type(). Items
+		 * without a logo show their name instead. Items link to their
+		 * term archive or custom URL, if set as link target.
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return string HTML output.
 		 */
-		private function get_references_data( string $post_type, int $ref_term_id, int $year, string $type ): array {
-			// Try cache first.
-			$cache_key  = $this->cache_manager->get_cache_key( $post_type, $ref_term_id, $year, $type );
-			$references = $this->cache_manager->get( $cache_key );
+		private function render_logo_wall( array $references, array $render_data ): string {
+			$logo_type = $this->get_logo_type( $render_data );
 
-			if ( false !== $references ) {
-				return $references;
+			$type_references = array();
+			foreach ( $references as $ref_year => $types ) {
+				if ( ! empty( $types[ $logo_type ] ) ) {
+					$type_references[ $ref_year ] = array( $logo_type => $types[ $logo_type ] );
+				}
 			}
 
-			// Build and execute query.
-			$args  = $this->query_builder->build_args( $post_type, $ref_term_id, $year, $type );
-			$query = new \WP_Query( $args );
+			$items = $this->data_organizer->merge_years( $type_references, $render_data['item_sort'], $render_data['item_secondary_sort'] );
 
-			// Organize results.
-			$references = $this->data_organizer->organize_results( $post_type, $query, $type );
-
-			// Cache if we have data.
-			if ( ! empty( $references ) ) {
-				$this->cache_manager->set( $cache_key, $references );
+			if ( $render_data['logo_max_count'] > 0 ) {
+				$items = array_slice( $items, 0, $render_data['logo_max_count'] );
 			}
 
-			return $references;
+			$render_data['term_details'] = $this->taxonomy_manager->get_term_details( array_column( $items, 'id' ) );
+
+			$classes            = 'references-logos' . ( $render_data['logo_grayscale'] ? ' references-logos--grayscale' : '' );
+			$wrapper_attributes = get_block_wrapper_attributes( array( 'class' => 'references-layout-logos' ) );
+
+			ob_start();
+			?>
+			<div <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- get_block_wrapper_attributes() is escaped internally. ?>>
+				<ul class="<?php echo esc_attr( $classes ); ?>" style="<?php echo esc_attr( '--references-logo-columns: ' . $render_data['logo_columns'] ); ?>">
+					<?php foreach ( $items as $item ) { ?>
+						<li class="references-logo-item"><?php echo $this->render_logo( $item, $logo_type, $render_data ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_logo(). ?></li>
+					<?php } ?>
+				</ul>
+				<?php $this->render_export_links( $render_data ); ?>
+			</div>
+			<?php
+			return (string) ob_get_clean();
 		}
 
 		/**
-		 * Apply custom type order to references data
+		 * Get the reference type shown by the logo wall
 		 *
-		 * @since 0.1.0
-		 * @param array<string, array<string, array<int, string>>> $references References data.
-		 * @param array<string>                                    $type_order Custom type order.
-		 * @return array<string, array<string, array<int, string>>> Reordered references data.
+		 * That is the selected type. With all types, it's clients if the
+		 * post type has them, otherwise the first type in the block's order.
+		 *
+		 * @since 0.3.0
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return string Type taxonomy slug.
 		 */
-		private function apply_type_order( array $references, array $type_order ): array {
-			if ( empty( $type_order ) ) {
-				return $references;
+		private function get_logo_type( array $render_data ): string {
+			if ( $render_data['type'] !== 'all' ) {
+				return $render_data['type'];
 			}
 
-			$reordered = array();
+			$types = array_keys( $render_data['type_labels'] );
 
-			foreach ( $references as $year => $types ) {
-				$reordered_types = array();
+			if ( in_array( self::LOGO_TYPE, $types, true ) ) {
+				return self::LOGO_TYPE;
+			}
 
-				// First, add types in the specified order.
-				foreach ( $type_order as $type_slug ) {
-					if ( isset( $types[ $type_slug ] ) ) {
-						$reordered_types[ $type_slug ] = $types[ $type_slug ];
-					}
-				}
+			$ordered = array_values( array_intersect( array_unique( array_merge( $render_data['type_order'], $types ) ), $types ) );
 
-				// Then, add any remaining types that weren't in the order.
-				foreach ( $types as $type_slug => $items ) {
-					if ( ! isset( $reordered_types[ $type_slug ] ) ) {
-						$reordered_types[ $type_slug ] = $items;
-					}
+			return $ordered[0] ?? '';
+		}
+
+		/**
+		 * Render the term list layout
+		 *
+		 * Lists every item once per type, with the years it appeared in,
+		 * consecutive years collapsed into ranges. Type headings take the
+		 * heading level, as there are no year headings. Productions are
+		 * annotated rather than grouped.
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return string HTML output.
+		 */
+		private function render_terms_layout( array $references, array $render_data ): string {
+			$types = $this->data_organizer->group_by_term(
+				$references,
+				array_values( array_unique( array_merge( $render_data['type_order'], array_keys( $render_data['type_labels'] ) ) ) ),
+				$render_data['item_sort'],
+				$render_data['item_secondary_sort']
+			);
+
+			if ( ! empty( $render_data['item_details'] ) ) {
+				$item_ids = array();
+				foreach ( $types as $items ) {
+					$item_ids = array_merge( $item_ids, array_column( $items, 'id' ) );
 				}
+				$render_data['term_details'] = $this->taxonomy_manager->get_term_details( array_values( array_unique( $item_ids ) ) );
+			}
 
-				$reordered[ $year ] = $reordered_types;
+			if ( $render_data['production_display'] === 'group' ) {
+				$render_data['production_display'] = 'annotate';
 			}
 
-			return $reordered;
+			$heading_level      = $render_data['heading_level'];
+			$wrapper_attributes = get_block_wrapper_attributes( array( 'class' => 'references-layout-terms' ) );
+
+			ob_start();
+			?>
+			<div <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- get_block_wrapper_attributes() is escaped internally. ?>>
+				<?php foreach ( $types as $ref_type => $items ) { ?>
+					<?php if ( $render_data['type'] === 'all' ) { ?>
+						<h<?php echo esc_attr( (string) $heading_level ); ?> class="wp-block-heading references-type"><?php echo esc_html( $render_data['type_labels'][ $ref_type ] ?? $ref_type ); ?></h<?php echo esc_attr( (string) $heading_level ); ?>>
+					<?php } ?>
+					<ul class="wp-block-list references-list references-terms">
+						<?php foreach ( $items as $item ) { ?>
+							<li><?php echo $this->render_item( $item, $ref_type, $render_data ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_item(). ?> <span class="references-item-periods">(<?php echo esc_html( $this->data_organizer->format_periods( $item['periods'] ) ); ?>)</span></li>
+						<?php } ?>
+					</ul>
+				<?php } ?>
+				<?php $this->render_export_links( $render_data ); ?>
+			</div>
+			<?php
+			return (string) ob_get_clean();
 		}
 
 		/**
-		 * Generate HTML output
+		 * Render the logo of an item, or its name without a logo
 		 *
-		 * @since 0.1.0
-		 * @param array<string, array<string, array<int, string>>> $references            References data.
-		 * @param string                                           $type                  Type filter.
-		 * @param array<string, string>                            $type_labels           Type labels.
-		 * @param int                                              $heading_level         Primary heading level.
-		 * @param int                                              $secondary_heading_level Secondary heading level.
-		 * @return string HTML output.
+		 * @since 0.3.0
+		 * @param Reference_Item $item        Reference item.
+		 * @param string         $taxonomy    Taxonomy of the item.
+		 * @param Render_Data    $render_data Prepared render data, with the term details of the item.
+		 * @return string Escaped logo HTML.
 		 */
-		private function generate_html(
-			array $references,
-			string $type,
-			array $type_labels,
-			int $heading_level,
-			int $secondary_heading_level
-		): string {
-			$show_type_headings = ( $type === 'all' );
+		private function render_logo( array $item, string $taxonomy, array $render_data ): string {
+			$logo = $render_data['term_details'][ $item['id'] ]['logo'] ?? 0;
+			$html = $logo > 0
+				? wp_get_attachment_image(
+					$logo,
+					'medium',
+					false,
+					array(
+						'class' => 'references-logo',
+						'alt'   => $item['name'],
+					)
+				)
+				: '';
 
-			ob_start();
-			?>
-			<div <?php echo get_block_wrapper_attributes(); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- get_block_wrapper_attributes() is escaped internally. ?>>
-				<?php foreach ( $references as $ref_year => $types ) { ?>
-					<h<?php echo esc_attr( (string) $heading_level ); ?> class="wp-block-heading references-year"><?php echo esc_html( $ref_year ); ?></h<?php echo esc_attr( (string) $heading_level ); ?>>
+			if ( '' === $html ) {
+				$html = sprintf( '<span class="references-logo-name">%s</span>', esc_html( $item['name'] ) );
+			}
+
+			$url = $this->get_item_url( $item, $taxonomy, $render_data['link_target'] );
+
+			if ( '' === $url ) {
+				return $html;
+			}
+
+			return sprintf( '<a class="references-logo-link" href="%s">%s</a>', esc_url( $url ), $html );
+		}
+
+		/**
+		 * Add the URL of the "Show older years" link to rendered output
+		 *
+		 * The URL is that of the current page, so it's added to cached
+		 * output when served.
+		 *
+		 * @since 0.3.0
+		 * @param string $html     Rendered block HTML.
+		 * @param string $block_id Block ID.
+		 * @return string Rendered block HTML with the link URL.
+		 */
+		private function add_show_older_url( string $html, string $block_id ): string {
+			if ( false === strpos( $html, self::SHOW_OLDER_URL_PLACEHOLDER ) ) {
+				return $html;
+			}
+
+			return str_replace( self::SHOW_OLDER_URL_PLACEHOLDER, esc_url( add_query_arg( self::SHOW_ALL_QUERY_ARG, $block_id ) ), $html );
+		}
 
+		/**
+		 * Render the "Show older years" link
+		 *
+		 * The link reloads the page with all years of this block. The view
+		 * script loads that page in the background and swaps the block instead.
+		 * Its URL is added by add_show_older_url().
+		 *
+		 * @since 0.3.0
+		 * @param string $block_id    Block ID.
+		 * @param int    $older_years Number of older years left out.
+		 * @return void
+		 */
+		private function render_show_older_link( string $block_id, int $older_years ): void {
+			if ( $older_years <= 0 ) {
+				return;
+			}
+
+			?>
+			<p class="references-show-older">
+				<a href="<?php echo esc_attr( self::SHOW_OLDER_URL_PLACEHOLDER ); ?>" data-references-show-older="<?php echo esc_attr( $block_id ); ?>" rel="nofollow">
 					<?php
-					$this->render_type_sections(
-						$types,
-						$type_labels,
-						$show_type_headings,
-						$secondary_heading_level
+					echo esc_html(
+						sprintf(
+							/* translators: %d: number of older years */
+							_n( 'Show %d older year', 'Show %d older years', $older_years, 'gatherpress-references' ),
+							$older_years
+						)
 					);
 					?>
+				</a>
+			</p>
+			<?php
+		}
+
+		/**
+		 * Render the download links of the references
+		 *
+		 * Exports hold the references as configured, narrowed by the
+		 * filter state. The view script keeps the links in sync when
+		 * filters change.
+		 *
+		 * @since 0.3.0
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return void
+		 */
+		private function render_export_links( array $render_data ): void {
+			if ( empty( $render_data['export_formats'] ) ) {
+				return;
+			}
+
+			// Without the filter state, which the view script applies to the links.
+			$base_args = array(
+				'post_type'           => $render_data['post_type'],
+				'ref_term_id'         => $render_data['ref_term_id'],
+				'year'                => $render_data['year'],
+				'type'                => $render_data['type'],
+				'options'             => $render_data['options'],
+				'year_sort'           => $render_data['year_sort'],
+				'item_sort'           => $render_data['item_sort'],
+				'item_secondary_sort' => $render_data['item_secondary_sort'],
+				'type_order'          => $render_data['type_order'],
+				'types'               => array(),
+				'period'              => '',
+				'exclude'             => $render_data['excluded_terms'],
+			);
+
+			$args    = $base_args;
+			$filters = $render_data['filters'];
+			if ( null !== $filters ) {
+				$args['ref_term_id'] = $filters['production'] > 0 ? $filters['production'] : $args['ref_term_id'];
+				$args['types']       = $filters['types'] !== $filters['all_types'] ? $filters['types'] : array();
+				$args['period']      = $filters['year'];
+			}
+
+			$labels = $this->exporter->get_format_labels();
+			?>
+			<p class="references-exports">
+				<span class="references-exports-label"><?php esc_html_e( 'Download:', 'gatherpress-references' ); ?></span>
+				<?php
+				foreach ( $render_data['export_formats'] as $format ) {
+					?>
+					<a
+						class="references-export-link"
+						href="<?php echo esc_url( $this->exporter->get_url( $format, $args ) ); ?>"
+						rel="nofollow"
+						<?php echo 'print' === $format ? 'target="_blank"' : 'download'; ?>
+						<?php if ( null !== $filters ) { ?>
+							data-wp-context="<?php echo esc_attr( (string) wp_json_encode( array( 'exportUrl' => $this->exporter->get_url( $format, $base_args ) ) ) ); ?>"
+							data-wp-bind--href="state.exportHref"
+						<?php } ?>
+					><?php echo esc_html( $labels[ $format ] ); ?></a>
 				<?php } ?>
-			</div>
+			</p>
 			<?php
-			return (string) ob_get_clean();
+		}
+
+		/**
+		 * Render one section per year, for the list, timeline and grid layouts
+		 *
+		 * The layouts share their markup per year: a year heading followed by
+		 * the type sections. Timelines wrap the years in an ordered list,
+		 * grids in a container of cards. With the filter bar, list years
+		 * are wrapped as well, so they can be hidden.
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return void
+		 */
+		private function render_year_sections( array $references, array $render_data ): void {
+			$heading_level = $render_data['heading_level'];
+			$layout        = $render_data['layout'];
+			$container_tag = array(
+				'timeline' => 'ol',
+				'grid'     => 'div',
+			);
+			$section_tag   = array(
+				'timeline' => 'li',
+				'grid'     => 'div',
+			);
+			$section_class = array(
+				'timeline' => 'references-timeline-item',
+				'grid'     => 'references-grid-item',
+			);
+
+			if ( null !== $render_data['filters'] ) {
+				$section_tag['list']   = 'div';
+				$section_class['list'] = 'references-year-section';
+			}
+
+			if ( isset( $container_tag[ $layout ] ) ) {
+				printf( '<%s class="references-%s">', esc_attr( $container_tag[ $layout ] ), esc_attr( $layout ) );
+			}
+
+			foreach ( $references as $ref_year => $types ) {
+				if ( isset( $section_tag[ $layout ] ) ) {
+					printf(
+						'<%s class="%s"%s>',
+						esc_attr( $section_tag[ $layout ] ),
+						esc_attr( $section_class[ $layout ] ),
+						$this->filter_bar->get_year_attributes( $render_data['filters'], (string) $ref_year, $types ) // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes().
+					);
+				}
+				?>
+				<h<?php echo esc_attr( (string) $heading_level ); ?> class="wp-block-heading references-year"><?php echo esc_html( (string) $ref_year ); ?></h<?php echo esc_attr( (string) $heading_level ); ?>>
+
+				<?php
+				$this->render_type_sections( $types, $render_data );
+
+				if ( isset( $section_tag[ $layout ] ) ) {
+					printf( '</%s>', esc_attr( $section_tag[ $layout ] ) );
+				}
+			}
+
+			if ( isset( $container_tag[ $layout ] ) ) {
+				printf( '</%s>', esc_attr( $container_tag[ $layout ] ) );
+			}
+		}
+
+		/**
+		 * Render the table layout, one row per year and one column per type
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return void
+		 */
+		private function render_table_layout( array $references, array $render_data ): void {
+			$columns = $this->get_type_columns( $references, $render_data );
+			?>
+			<figure class="wp-block-table references-table">
+				<table>
+					<thead>
+						<tr>
+							<th scope="col"><?php echo esc_html( $render_data['period_label'] ); ?></th>
+							<?php foreach ( $columns as $ref_type ) { ?>
+								<th scope="col"<?php echo $this->filter_bar->get_type_attributes( $render_data['filters'], $ref_type, $this->get_type_items( $references, $ref_type ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo esc_html( $render_data['type_labels'][ $ref_type ] ?? $ref_type ); ?></th>
+							<?php } ?>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $references as $ref_year => $types ) { ?>
+							<tr<?php echo $this->filter_bar->get_year_attributes( $render_data['filters'], (string) $ref_year, $types ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>>
+								<th scope="row" class="references-year"><?php echo esc_html( (string) $ref_year ); ?></th>
+								<?php foreach ( $columns as $ref_type ) { ?>
+									<td<?php echo $this->filter_bar->get_type_attributes( $render_data['filters'], $ref_type, $this->get_type_items( $references, $ref_type ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo $this->render_inline_items( $types[ $ref_type ] ?? array(), $ref_type, $render_data ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_item(). ?></td>
+								<?php } ?>
+							</tr>
+						<?php } ?>
+					</tbody>
+				</table>
+			</figure>
+			<?php
+		}
+
+		/**
+		 * Render the inline layout, one compact paragraph per year
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return void
+		 */
+		private function render_inline_layout( array $references, array $render_data ): void {
+			$heading_level      = $render_data['heading_level'];
+			$show_type_headings = ( $render_data['type'] === 'all' );
+
+			foreach ( $references as $ref_year => $types ) {
+				$lines = array();
+
+				foreach ( $types as $ref_type => $items ) {
+					if ( empty( $items ) ) {
+						continue;
+					}
+
+					$label = $show_type_headings
+						? sprintf( '<strong class="references-type">%s:</strong> ', esc_html( $render_data['type_labels'][ $ref_type ] ?? $ref_type ) )
+						: '';
+					$line  = $label . $this->render_inline_items( $items, $ref_type, $render_data );
+
+					// Lines become blocks of their own, so they can be hidden.
+					if ( null !== $render_data['filters'] ) {
+						$line = sprintf(
+							'<span class="references-inline-line"%s>%s</span>',
+							$this->filter_bar->get_type_attributes( $render_data['filters'], $ref_type, $items ),
+							$line
+						);
+					}
+
+					$lines[] = $line;
+				}
+
+				$year_attributes = $this->filter_bar->get_year_attributes( $render_data['filters'], (string) $ref_year, $types );
+				?>
+				<h<?php echo esc_attr( (string) $heading_level ); ?> class="wp-block-heading references-year"<?php echo $year_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo esc_html( (string) $ref_year ); ?></h<?php echo esc_attr( (string) $heading_level ); ?>>
+				<p class="references-inline"<?php echo $year_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo implode( null !== $render_data['filters'] ? '' : '<br />', $lines ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped while building the lines. ?></p>
+				<?php
+			}
+		}
+
+		/**
+		 * Render items as a comma-separated list
+		 *
+		 * Used by the compact layouts, which annotate productions
+		 * instead of grouping items under them. With the filter bar,
+		 * items are wrapped so they can be hidden, and the commas
+		 * between the visible ones are added by the stylesheet.
+		 *
+		 * @since 0.3.0
+		 * @param array<int, Reference_Item> $items       Items of one type.
+		 * @param string                     $ref_type    Taxonomy of the items.
+		 * @param Render_Data                $render_data Prepared render data.
+		 * @return string Escaped items HTML.
+		 */
+		private function render_inline_items( array $items, string $ref_type, array $render_data ): string {
+			if ( $render_data['production_display'] === 'group' ) {
+				$render_data['production_display'] = 'annotate';
+			}
+
+			$rendered = array();
+			foreach ( $items as $item ) {
+				$rendered[] = $this->render_item( $item, $ref_type, $render_data );
+			}
+
+			if ( null === $render_data['filters'] ) {
+				return implode( ', ', $rendered );
+			}
+
+			foreach ( $rendered as $index => $html ) {
+				$rendered[ $index ] = sprintf(
+					'<span class="references-inline-item"%s>%s</span>',
+					$this->filter_bar->get_item_attributes( $render_data['filters'], array_column( $items[ $index ]['productions'], 'id' ) ),
+					$html
+				);
+			}
+
+			return implode( '', $rendered );
+		}
+
+		/**
+		 * Get the items of one type across all years
+		 *
+		 * @since 0.3.0
+		 * @param References $references References data.
+		 * @param string     $ref_type   Type taxonomy slug.
+		 * @return array<int, Reference_Item> Items.
+		 */
+		private function get_type_items( array $references, string $ref_type ): array {
+			$items = array();
+			foreach ( $references as $types ) {
+				$items = array_merge( $items, $types[ $ref_type ] ?? array() );
+			}
+
+			return $items;
+		}
+
+		/**
+		 * Get the term IDs of all items across all years and types
+		 *
+		 * @since 0.3.0
+		 * @param References $references References data.
+		 * @return array<int, int> Term IDs.
+		 */
+		private function get_item_ids( array $references ): array {
+			$ids = array();
+			foreach ( $references as $types ) {
+				foreach ( $types as $items ) {
+					$ids = array_merge( $ids, array_column( $items, 'id' ) );
+				}
+			}
+
+			return array_values( array_unique( $ids ) );
+		}
+
+		/**
+		 * Get the types present in the references, in the custom type order
+		 *
+		 * @since 0.3.0
+		 * @param References  $references  References data.
+		 * @param Render_Data $render_data Prepared render data.
+		 * @return array<int, string> Type taxonomy slugs.
+		 */
+		private function get_type_columns( array $references, array $render_data ): array {
+			$present = array();
+			foreach ( $references as $types ) {
+				foreach ( $types as $ref_type => $items ) {
+					if ( ! empty( $items ) ) {
+						$present[ $ref_type ] = true;
+					}
+				}
+			}
+
+			$ordered = array_unique( array_merge( $render_data['type_order'], array_keys( $render_data['type_labels'] ), array_keys( $present ) ) );
+
+			return array_values(
+				array_filter(
+					$ordered,
+					static fn( string $ref_type ): bool => isset( $present[ $ref_type ] )
+				)
+			);
 		}
 
 		/**
 		 * Render type sections for a single year
 		 *
 		 * @since 0.1.0
-		 * @param array<string, array<int, string>> $types                   Types with items.
-		 * @param array<string, string>             $type_labels             Type labels.
-		 * @param bool                              $show_type_headings      Whether to show type headings.
-		 * @param int                               $secondary_heading_level Heading level for type headings.
+		 * @param array<string, array<int, Reference_Item>> $types       Types with items.
+		 * @param Render_Data                               $render_data Prepared render data.
 		 * @return void
 		 */
-		private function render_type_sections(
-			array $types,
-			array $type_labels,
-			bool $show_type_headings,
-			int $secondary_heading_level
-		): void {
+		private function render_type_sections( array $types, array $render_data ): void {
+			$show_type_headings      = ( $render_data['type'] === 'all' );
+			$secondary_heading_level = $render_data['secondary_heading_level'];
+
 			foreach ( $types as $ref_type => $items ) {
 				if ( empty( $items ) ) {
 					continue;
 				}
 
+				$type_attributes = $this->filter_bar->get_type_attributes( $render_data['filters'], $ref_type, $items );
+
 				if ( $show_type_headings ) {
 					?>
-					<h<?php echo esc_attr( (string) $secondary_heading_level ); ?> class="wp-block-heading references-type"><?php echo esc_html( $type_labels[ $ref_type ] ); ?></h<?php echo esc_attr( (string) $secondary_heading_level ); ?>>
+					<h<?php echo esc_attr( (string) $secondary_heading_level ); ?> class="wp-block-heading references-type"<?php echo $type_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo esc_html( $render_data['type_labels'][ $ref_type ] ); ?></h<?php echo esc_attr( (string) $secondary_heading_level ); ?>>
 					<?php
 				}
+
+				if ( $render_data['production_display'] === 'group' ) {
+					$this->render_production_groups( $items, $ref_type, $render_data, $type_attributes );
+					continue;
+				}
 				?>
-				<ul class="wp-block-list references-list">
+				<ul class="wp-block-list references-list"<?php echo $type_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>>
 					<?php foreach ( $items as $item ) { ?>
-						<li><?php echo esc_html( $item ); ?></li>
+						<li<?php echo $this->filter_bar->get_item_attributes( $render_data['filters'], array_column( $item['productions'], 'id' ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo $this->render_item( $item, $ref_type, $render_data ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_item(). ?></li>
 					<?php } ?>
 				</ul>
 				<?php
 			}
 		}
+
+		/**
+		 * Render the items of one type grouped under their productions
+		 *
+		 * @since 0.3.0
+		 * @param array<int, Reference_Item> $items           Items of one type.
+		 * @param string                     $ref_type        Taxonomy of the items.
+		 * @param Render_Data                $render_data     Prepared render data.
+		 * @param string                     $type_attributes Escaped filter directives of the type.
+		 * @return void
+		 */
+		private function render_production_groups( array $items, string $ref_type, array $render_data, string $type_attributes = '' ): void {
+			?>
+			<ul class="wp-block-list references-list references-list--grouped"<?php echo $type_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>>
+				<?php foreach ( $this->data_organizer->group_items_by_production( $items ) as $group ) { ?>
+					<li<?php echo $this->filter_bar->get_item_attributes( $render_data['filters'], isset( $group['production'] ) ? array( $group['production']['id'] ) : array() ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>>
+						<span class="references-production">
+							<?php echo esc_html( $group['production']['name'] ?? __( 'Other', 'gatherpress-references' ) ); ?>
+						</span>
+						<ul class="wp-block-list references-list">
+							<?php foreach ( $group['items'] as $item ) { ?>
+								<li<?php echo $this->filter_bar->get_item_attributes( $render_data['filters'], array_column( $item['productions'], 'id' ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in Filter_Bar::get_attributes(). ?>><?php echo $this->render_item( $item, $ref_type, $render_data ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in render_item(). ?></li>
+							<?php } ?>
+						</ul>
+					</li>
+				<?php } ?>
+			</ul>
+			<?php
+		}
+
+		/**
+		 * Render a single reference item
+		 *
+		 * Links the item according to the link target, and annotates it
+		 * with its count, production(s) and term details if requested.
+		 *
+		 * @since 0.3.0
+		 * @param Reference_Item $item        Reference item.
+		 * @param string         $taxonomy    Taxonomy of the item.
+		 * @param Render_Data    $render_data Prepared render data.
+		 * @return string Escaped item HTML.
+		 */
+		private function render_item( array $item, string $taxonomy, array $render_data ): string {
+			$html = $this->render_item_name( $item, $taxonomy, $render_data['link_target'] );
+
+			if ( $render_data['show_count'] && $item['count'] > 1 ) {
+				$html .= sprintf(
+					' <span class="references-item-count">%s</span>',
+					/* translators: %d: number of events a reference appeared on */
+					esc_html( sprintf( __( '(%d×)', 'gatherpress-references' ), $item['count'] ) )
+				);
+			}
+
+			if ( $render_data['production_display'] === 'annotate' && ! empty( $item['productions'] ) ) {
+				$html .= sprintf(
+					' <span class="references-item-productions">(%s)</span>',
+					esc_html( implode( ', ', wp_list_pluck( $item['productions'], 'name' ) ) )
+				);
+			}
+
+			if ( isset( $render_data['term_details'][ $item['id'] ] ) ) {
+				$html = $this->render_item_details( $html, $render_data['term_details'][ $item['id'] ], $render_data['item_details'] );
+			}
+
+			return $html;
+		}
+
+		/**
+		 * Add the requested term details to a rendered item
+		 *
+		 * The logo comes before the name, with an empty alt text as the
+		 * name follows. Location, category and description come after it.
+		 *
+		 * @since 0.3.0
+		 * @param string             $html         Escaped item HTML.
+		 * @param Term_Details       $details      Term details of the item.
+		 * @param array<int, string> $item_details Details to show, of self::ITEM_DETAILS.
+		 * @return string Escaped item HTML.
+		 */
+		private function render_item_details( string $html, array $details, array $item_details ): string {
+			if ( in_array( 'logo', $item_details, true ) && $details['logo'] > 0 ) {
+				$logo = wp_get_attachment_image(
+					$details['logo'],
+					'thumbnail',
+					false,
+					array(
+						'class' => 'references-item-logo',
+						'alt'   => '',
+					)
+				);
+
+				if ( '' !== $logo ) {
+					$html = $logo . ' ' . $html;
+				}
+			}
+
+			$location = implode( ', ', array_filter( array( $details['city'], $details['country'] ) ) );
+			if ( in_array( 'location', $item_details, true ) && '' !== $location ) {
+				$html .= sprintf( ' <span class="references-item-location">%s</span>', esc_html( $location ) );
+			}
+
+			if ( in_array( 'category', $item_details, true ) && '' !== $details['category'] ) {
+				$html .= sprintf( ' <span class="references-item-category">%s</span>', esc_html( $details['category'] ) );
+			}
+
+			$description = trim( wp_strip_all_tags( $details['description'] ) );
+			if ( in_array( 'description', $item_details, true ) && '' !== $description ) {
+				$html .= sprintf( ' <span class="references-item-description">%s</span>', esc_html( $description ) );
+			}
+
+			return $html;
+		}
+
+		/**
+		 * Render the name of a reference item, linked according to the link target
+		 *
+		 * @since 0.3.0
+		 * @param Reference_Item $item        Reference item.
+		 * @param string         $taxonomy    Taxonomy of the item.
+		 * @param string         $link_target One of self::LINK_TARGETS.
+		 * @return string Escaped item HTML.
+		 */
+		private function render_item_name( array $item, string $taxonomy, string $link_target ): string {
+			$name = esc_html( $item['name'] );
+
+			if ( $link_target === 'event' ) {
+				return $this->render_event_links( $name, $item['posts'] );
+			}
+
+			$url = $this->get_item_url( $item, $taxonomy, $link_target );
+
+			if ( empty( $url ) ) {
+				return $name;
+			}
+
+			return sprintf( '<a href="%s">%s</a>', esc_url( $url ), $name );
+		}
+
+		/**
+		 * Get the term archive or custom URL of a reference item
+		 *
+		 * @since 0.3.0
+		 * @param Reference_Item $item        Reference item.
+		 * @param string         $taxonomy    Taxonomy of the item.
+		 * @param string         $link_target Either 'term' or 'url'; anything else yields no URL.
+		 * @return string URL or empty string.
+		 */
+		private function get_item_url( array $item, string $taxonomy, string $link_target ): string {
+			if ( $link_target === 'term' ) {
+				$url = get_term_link( $item['id'], $taxonomy );
+				return is_string( $url ) ? $url : '';
+			}
+
+			if ( $link_target === 'url' ) {
+				$url = get_term_meta( $item['id'], Taxonomy_Manager::META_URL, true );
+				return is_string( $url ) ? $url : '';
+			}
+
+			return '';
+		}
+
+		/**
+		 * Render an item name linked to the event(s) it came from
+		 *
+		 * A single event links the name itself. Multiple events keep the
+		 * name as text and append one numbered link per event.
+		 *
+		 * @since 0.3.0
+		 * @param string          $name     Escaped item name.
+		 * @param array<int, int> $post_ids Post IDs, most recent first.
+		 * @return string Escaped item HTML.
+		 */
+		private function render_event_links( string $name, array $post_ids ): string {
+			if ( empty( $post_ids ) ) {
+				return $name;
+			}
+
+			if ( count( $post_ids ) === 1 ) {
+				return sprintf( '<a href="%s">%s</a>', esc_url( (string) get_permalink( (int) reset( $post_ids ) ) ), $name );
+			}
+
+			$links = array();
+			foreach ( array_values( $post_ids ) as $index => $post_id ) {
+				$links[] = sprintf(
+					'<a href="%s" aria-label="%s">%d</a>',
+					esc_url( (string) get_permalink( $post_id ) ),
+					esc_attr( get_the_title( $post_id ) ),
+					$index + 1
+				);
+			}
+
+			return sprintf( '%s <span class="references-item-events">%s</span>', $name, implode( ' ', $links ) );
+		}
 	}
 }
 
@@ -440,6 +1365,26 @@ if ( ! class_exists( Block_Renderer::class ) ) {
  *   headingLevel?: int,
  *   yearSortOrder?: string,
  *   typeOrder?: string[],
+ *   linkTarget?: string,
+ *   productionDisplay?: string,
+ *   showCount?: bool,
+ *   itemSortOrder?: string,
+ *   itemSecondarySortOrder?: string,
+ *   yearFrom?: int,
+ *   yearTo?: int,
+ *   lastYears?: int,
+ *   groupBy?: string,
+ *   seasonStartMonth?: int,
+ *   layout?: string,
+ *   yearsLimit?: int,
+ *   showFilters?: bool,
+ *   itemDetails?: string[],
+ *   logoColumns?: int,
+ *   logoGrayscale?: bool,
+ *   logoMaxCount?: int,
+ *   structuredData?: bool,
+ *   exportFormats?: string[],
+ *   excludedTerms?: int[],
  * } $attributes
  */
 $gatherpress_references_renderer = Block_Renderer::get_instance();
@@ -0,0 +1,61 @@
+/**
+ * Excluded Terms Utilities
+ *
+ * Leaves out the reference terms excluded from a block,
+ * mirroring Data_Organizer::exclude_terms().
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * Remove excluded terms from reference data
+ *
+ * Types and years left without items are removed as well.
+ *
+ * @param {Object} data        Reference data keyed by year, then by type slug.
+ * @param {Array}  excludedIds Term IDs to leave out.
+ * @return {Object} Reference data without the excluded terms.
+ */
+export function excludeTerms( data, excludedIds ) {
+	if ( excludedIds.length === 0 ) {
+		return data;
+	}
+
+	const filtered = {};
+	Object.entries( data ).forEach( ( [ year, types ] ) => {
+		Object.entries( types ).forEach( ( [ type, items ] ) => {
+			const kept = items.filter(
+				( item ) => ! excludedIds.includes( item.id )
+			);
+			if ( kept.length > 0 ) {
+				filtered[ year ] = filtered[ year ] || {};
+				filtered[ year ][ type ] = kept;
+			}
+		} );
+	} );
+	return filtered;
+}
+
+/**
+ * Collect the distinct reference items of reference data
+ *
+ * @param {Object} data Reference data keyed by year, then by type slug.
+ * @return {Array} Items of `{ id, name }`, sorted by name.
+ */
+export function getReferenceItems( data ) {
+	const items = {};
+	Object.values( data ).forEach( ( types ) => {
+		Object.values( types ).forEach( ( typeItems ) => {
+			typeItems.forEach( ( { id, name } ) => {
+				items[ id ] = { id, name };
+			} );
+		} );
+	} );
+
+	return Object.values( items ).sort( ( a, b ) =>
+		a.name.localeCompare( b.name, undefined, {
+			numeric: true,
+			sensitivity: 'base',
+		} )
+	);
+}
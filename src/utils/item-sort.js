@@ -0,0 +1,55 @@
+/**
+ * Item Sort Utilities
+ *
+ * Compares reference items the way Data_Organizer::compare_items()
+ * does, for lists the editor merges itself.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * Compare two items by a single sort order
+ *
+ * @param {Object} a         First item.
+ * @param {Object} b         Second item.
+ * @param {string} sortOrder Sort order (alphabetical, chronological, frequency, manual).
+ * @return {number} Negative if the first item comes first, positive if the second does, 0 if equal.
+ */
+function compareBy( a, b, sortOrder ) {
+	switch ( sortOrder ) {
+		case 'chronological':
+			return ( a.first_date || '' ).localeCompare( b.first_date || '' );
+		case 'frequency':
+			return b.count - a.count;
+		case 'manual':
+			return ( a.order || 0 ) - ( b.order || 0 );
+		default:
+			return a.name.localeCompare( b.name, undefined, {
+				numeric: true,
+			} );
+	}
+}
+
+/**
+ * Compare two items by priority, sort order, secondary sort order and name
+ *
+ * @param {Object} a             First item.
+ * @param {Object} b             Second item.
+ * @param {string} sortOrder     Sort order.
+ * @param {string} secondarySort Sort order for items the sort order considers equal.
+ * @return {number} Negative if the first item comes first, positive if the second does, 0 if equal.
+ */
+export function compareItems( a, b, sortOrder, secondarySort ) {
+	const priority = ( b.priority || 0 ) - ( a.priority || 0 );
+	if ( priority !== 0 ) {
+		return priority;
+	}
+
+	for ( const order of [ sortOrder, secondarySort, 'alphabetical' ] ) {
+		const result = compareBy( a, b, order );
+		if ( result !== 0 ) {
+			return result;
+		}
+	}
+	return 0;
+}
@@ -0,0 +1,133 @@
+/**
+ * Period Utilities
+ *
+ * Mirrors how the server groups references into years, decades or
+ * seasons, and describes year ranges for labels.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Get the key of the period a date belongs to
+ *
+ * Decades are keyed like "2020s", seasons by their first and last
+ * year like "2023/24". Seasons starting in January are calendar years.
+ *
+ * @param {number} year        Year.
+ * @param {number} month       Month (1-12).
+ * @param {string} groupBy     Grouping period (year, decade, season).
+ * @param {number} seasonStart Month (1-12) seasons start in.
+ * @return {string} Period key.
+ */
+export function getPeriodKey( year, month, groupBy, seasonStart ) {
+	if ( groupBy === 'decade' ) {
+		return `${ Math.floor( year / 10 ) * 10 }s`;
+	}
+
+	if ( groupBy === 'season' && seasonStart > 1 ) {
+		const firstYear = month >= seasonStart ? year : year - 1;
+		const lastYear = String( ( firstYear + 1 ) % 100 ).padStart( 2, '0' );
+		return `${ firstYear }/${ lastYear }`;
+	}
+
+	return year.toString();
+}
+
+/**
+ * Get the season start month configured for the post type
+ *
+ * @param {Object} config Block configuration from the post type support.
+ * @return {number} Month (1-12), or 0 if the post type counts in calendar years.
+ */
+export function getConfigSeasonStart( config ) {
+	const seasonStart = parseInt( config?.season_start );
+	return seasonStart >= 1 && seasonStart <= 12 ? seasonStart : 0;
+}
+
+/**
+ * Resolve the grouping the server will apply
+ *
+ * A season start configured for the post type takes precedence
+ * over the block's grouping, unless it groups by decade.
+ *
+ * @param {Object} yearOptions                  Year range and grouping options.
+ * @param {string} yearOptions.groupBy          Grouping period (year, decade, season).
+ * @param {number} yearOptions.seasonStartMonth Month (1-12) seasons start in.
+ * @param {Object} config                       Block configuration.
+ * @return {Object} Resolved groupBy and seasonStartMonth.
+ */
+export function resolveGrouping( { groupBy, seasonStartMonth }, config ) {
+	const configSeasonStart = getConfigSeasonStart( config );
+
+	if ( configSeasonStart > 0 && groupBy !== 'decade' ) {
+		return { groupBy: 'season', seasonStartMonth: configSeasonStart };
+	}
+
+	return { groupBy, seasonStartMonth };
+}
+
+/**
+ * Get the label of the period references are grouped by
+ *
+ * @param {string} groupBy Resolved grouping period (year, decade, season).
+ * @return {string} Period label.
+ */
+export function getPeriodLabel( groupBy ) {
+	const labels = {
+		year: __( 'Year', 'gatherpress-references' ),
+		decade: __( 'Decade', 'gatherpress-references' ),
+		season: __( 'Season', 'gatherpress-references' ),
+	};
+
+	return labels[ groupBy ] || labels.year;
+}
+
+/**
+ * Describe the selected years
+ *
+ * @param {Object} params           Year attributes.
+ * @param {number} params.year      Single year, 0 for none.
+ * @param {number} params.yearFrom  First year of the range, 0 for open.
+ * @param {number} params.yearTo    Last year of the range, 0 for open.
+ * @param {number} params.lastYears Number of recent years, 0 for none.
+ * @return {string} Description, or an empty string for all years.
+ */
+export function getYearRangeLabel( { year, yearFrom, yearTo, lastYears } ) {
+	if ( year > 0 ) {
+		return year.toString();
+	}
+
+	if ( lastYears > 0 ) {
+		return sprintf(
+			/* translators: %d: number of years */
+			_n(
+				'Last %d year',
+				'Last %d years',
+				lastYears,
+				'gatherpress-references'
+			),
+			lastYears
+		);
+	}
+
+	if ( yearFrom > 0 && yearTo > 0 ) {
+		return `${ yearFrom }–${ yearTo }`;
+	}
+
+	if ( yearFrom > 0 ) {
+		/* translators: %d: first year */
+		return sprintf( __( 'Since %d', 'gatherpress-references' ), yearFrom );
+	}
+
+	if ( yearTo > 0 ) {
+		/* translators: %d: last year */
+		return sprintf( __( 'Until %d', 'gatherpress-references' ), yearTo );
+	}
+
+	return '';
+}
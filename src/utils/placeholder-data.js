@@ -6,6 +6,11 @@
  * @since 0.1.0
  */
 
+/**
+ * Internal dependencies
+ */
+import { getPeriodKey } from './periods';
+
 /**
  * Build placeholder data for a single year
  *
@@ -20,7 +25,15 @@ function buildYearData( orderedTypeKeys, typeLabels ) {
 		yearData[ taxSlug ] = [
 			`${ taxLabel } Example 1`,
 			`${ taxLabel } Example 2`,
-		].sort();
+		]
+			.sort()
+			.map( ( name ) => ( {
+				id: 0,
+				name,
+				count: 1,
+				posts: [],
+				productions: [],
+			} ) );
 	} );
 	return yearData;
 }
@@ -28,12 +41,13 @@ function buildYearData( orderedTypeKeys, typeLabels ) {
 /**
  * Generate placeholder data for editor preview
  *
- * Creates one or two years of example data based on current filter settings.
+ * Creates one or two periods of example data based on current filter settings.
  *
  * @param {Object}  params                 Generation parameters.
  * @param {boolean} params.isConfigured    Whether block is configured.
  * @param {Object}  params.config          Block configuration.
  * @param {number}  params.year            Year filter value (0 = all years).
+ * @param {Object}  params.yearOptions     Year range and grouping options.
  * @param {Array}   params.orderedTypeKeys Ordered taxonomy slugs.
  * @param {Object}  params.typeLabels      Type slug to label mapping.
  * @return {Object} Placeholder data keyed by year.
@@ -42,6 +56,7 @@ export function getPlaceholderData( {
 	isConfigured,
 	config,
 	year,
+	yearOptions = {},
 	orderedTypeKeys,
 	typeLabels,
 } ) {
@@ -49,18 +64,31 @@ export function getPlaceholderData( {
 		return {};
 	}
 
-	const currentYear = new Date().getFullYear();
-	const displayYear = year > 0 ? year : currentYear;
+	const { yearTo = 0, groupBy = 'year', seasonStartMonth = 1 } = yearOptions;
+	const now = new Date();
+	const currentYear = now.getFullYear();
+	const lastYear = Math.min( yearTo || currentYear, currentYear );
+	const month = lastYear === currentYear ? now.getMonth() + 1 : 12;
+	const periodKey = ( periodYear ) =>
+		getPeriodKey( periodYear, month, groupBy, seasonStartMonth );
 
 	if ( year > 0 ) {
 		return {
-			[ displayYear ]: buildYearData( orderedTypeKeys, typeLabels ),
+			[ periodKey( year ) ]: buildYearData( orderedTypeKeys, typeLabels ),
 		};
 	}
 
+	const previousYear = groupBy === 'decade' ? lastYear - 10 : lastYear - 1;
+
 	return {
-		[ currentYear + ' ' ]: buildYearData( orderedTypeKeys, typeLabels ),
-		[ currentYear - 1 + ' ' ]: buildYearData( orderedTypeKeys, typeLabels ),
+		[ periodKey( lastYear ) + ' ' ]: buildYearData(
+			orderedTypeKeys,
+			typeLabels
+		),
+		[ periodKey( previousYear ) + ' ' ]: buildYearData(
+			orderedTypeKeys,
+			typeLabels
+		),
 	};
 }
 
@@ -119,3 +147,22 @@ export function getSortedYears( filteredData, year, yearSortOrder ) {
 		return yearB - yearA;
 	} );
 }
+
+/**
+ * Keep only the most recent years
+ *
+ * @param {Array}  sortedYears Sorted year keys.
+ * @param {number} limit       Number of years to keep, 0 to keep all.
+ * @return {Array} Sorted year keys of the most recent years.
+ */
+export function limitYears( sortedYears, limit ) {
+	if ( limit <= 0 || sortedYears.length <= limit ) {
+		return sortedYears;
+	}
+
+	const recent = [ ...sortedYears ]
+		.sort( ( a, b ) => parseInt( b ) - parseInt( a ) )
+		.slice( 0, limit );
+
+	return sortedYears.filter( ( yearKey ) => recent.includes( yearKey ) );
+}
@@ -0,0 +1,50 @@
+/**
+ * Production Grouping Utilities
+ *
+ * Groups reference items by the production they came from,
+ * mirroring Data_Organizer::group_items_by_production().
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * Group reference items by production
+ *
+ * Items belonging to several productions appear in each of their groups.
+ * Groups are sorted by production name; items without a production
+ * are collected in a final group whose production is null.
+ *
+ * @param {Array} items Reference items of one type.
+ * @return {Array} Groups of `{ production, items }`.
+ */
+export function groupItemsByProduction( items ) {
+	const groups = {};
+	const orphans = [];
+
+	items.forEach( ( item ) => {
+		const productions = item.productions || [];
+		if ( productions.length === 0 ) {
+			orphans.push( item );
+			return;
+		}
+		productions.forEach( ( production ) => {
+			if ( ! groups[ production.id ] ) {
+				groups[ production.id ] = { production, items: [] };
+			}
+			groups[ production.id ].items.push( item );
+		} );
+	} );
+
+	const sorted = Object.values( groups ).sort( ( a, b ) =>
+		a.production.name.localeCompare( b.production.name, undefined, {
+			numeric: true,
+			sensitivity: 'base',
+		} )
+	);
+
+	if ( orphans.length > 0 ) {
+		sorted.push( { production: null, items: orphans } );
+	}
+
+	return sorted;
+}
@@ -0,0 +1,102 @@
+/**
+ * Term Grouping Utilities
+ *
+ * Groups reference data by type and term, listing the years of each
+ * term, mirroring Data_Organizer::group_by_term() and format_periods().
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * Internal dependencies
+ */
+import { compareItems } from './item-sort';
+
+/**
+ * Group reference data by type and term
+ *
+ * @param {Object} filteredData           Filtered reference data keyed by year.
+ * @param {Array}  orderedTypeKeys        Ordered type taxonomy slugs.
+ * @param {string} itemSortOrder          Item sort order (alphabetical, chronological, frequency, manual).
+ * @param {string} itemSecondarySortOrder Item sort order for items the sort order considers equal.
+ * @return {Array} Types of `{ typeKey, items }`, each item with its `periods`, oldest first.
+ */
+export function groupByTerm(
+	filteredData,
+	orderedTypeKeys,
+	itemSortOrder,
+	itemSecondarySortOrder
+) {
+	const periods = Object.keys( filteredData ).sort( ( a, b ) =>
+		a.localeCompare( b, undefined, { numeric: true } )
+	);
+
+	return orderedTypeKeys
+		.map( ( typeKey ) => {
+			const merged = new Map();
+
+			periods.forEach( ( period ) => {
+				( filteredData[ period ][ typeKey ] || [] ).forEach(
+					( item ) => {
+						// Placeholders share the ID 0, so they are told apart by name.
+						const key = item.id || item.name;
+						const existing = merged.get( key );
+						merged.set(
+							key,
+							existing
+								? {
+										...existing,
+										count: existing.count + item.count,
+										periods: [
+											...existing.periods,
+											period,
+										],
+								  }
+								: { ...item, periods: [ period ] }
+						);
+					}
+				);
+			} );
+
+			return {
+				typeKey,
+				items: [ ...merged.values() ].sort( ( a, b ) =>
+					compareItems( a, b, itemSortOrder, itemSecondarySortOrder )
+				),
+			};
+		} )
+		.filter( ( { items } ) => items.length > 0 );
+}
+
+/**
+ * Format a list of years, collapsing consecutive ones into ranges
+ *
+ * For example "2019, 2021–2023". Decades and seasons are collapsed
+ * alike, such as "1990s–2000s" or "2021/22–2023/24".
+ *
+ * @param {Array} periods Years, decades or seasons, oldest first.
+ * @return {string} Formatted periods.
+ */
+export function formatPeriods( periods ) {
+	const ranges = [];
+
+	periods.forEach( ( period ) => {
+		const range = ranges[ ranges.length - 1 ];
+		const step = period.endsWith( 's' ) ? 10 : 1;
+
+		if (
+			range &&
+			parseInt( period, 10 ) === parseInt( range.last, 10 ) + step
+		) {
+			range.last = period;
+		} else {
+			ranges.push( { first: period, last: period } );
+		}
+	} );
+
+	return ranges
+		.map( ( { first, last } ) =>
+			first === last ? first : `${ first }–${ last }`
+		)
+		.join( ', ' );
+}
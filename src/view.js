@@ -0,0 +1,236 @@
+/**
+ * GatherPress References Block - Frontend Script
+ *
+ * Filters the rendered references by type, production and year,
+ * keeping the filter state in the URL and the download links, and
+ * progressively enhances the "Show older years" link.
+ *
+ * @since 0.3.0
+ */
+
+/**
+ * WordPress dependencies
+ */
+import { store, getContext } from '@wordpress/interactivity';
+
+/**
+ * Query arguments keeping the filter state in the URL
+ *
+ * Mirrors Filter_Bar::QUERY_ARGS.
+ *
+ * @type {Object}
+ */
+const QUERY_ARGS = {
+	types: 'references-type',
+	production: 'references-production',
+	year: 'references-year',
+};
+
+/**
+ * Query argument showing all years of a block
+ *
+ * Mirrors Block_Renderer::SHOW_ALL_QUERY_ARG.
+ *
+ * @type {string}
+ */
+const SHOW_ALL_QUERY_ARG = 'references-show-all';
+
+/**
+ * Whether a type is shown with the current filters
+ *
+ * @param {Object} filters       Filter state.
+ * @param {string} type          Type taxonomy slug.
+ * @param {Array}  productionIds Production IDs of the type's items.
+ * @return {boolean} Whether the type is shown.
+ */
+function isTypeShown( filters, type, productionIds ) {
+	if ( ! filters.types.includes( type ) ) {
+		return false;
+	}
+
+	return ! filters.production || productionIds.includes( filters.production );
+}
+
+/**
+ * Keep the filter state in the URL
+ *
+ * @param {Object} context Block context, with the filters and all types.
+ */
+function updateUrl( context ) {
+	const { filters, allTypes } = context;
+	const url = new URL( window.location.href );
+	const values = {
+		types:
+			filters.types.length === allTypes.length
+				? ''
+				: filters.types.join( ',' ),
+		production: filters.production ? String( filters.production ) : '',
+		year: filters.year,
+	};
+
+	Object.entries( QUERY_ARGS ).forEach( ( [ key, queryArg ] ) => {
+		if ( values[ key ] ) {
+			url.searchParams.set( queryArg, values[ key ] );
+		} else {
+			url.searchParams.delete( queryArg );
+		}
+	} );
+
+	window.history.replaceState( window.history.state, '', url );
+}
+
+const { state } = store( 'gatherpress/references', {
+	state: {
+		get isTypeSelected() {
+			const { filters, filterType } = getContext();
+			return filters.types.includes( filterType );
+		},
+		get hasActiveFilters() {
+			const { filters, allTypes } = getContext();
+			return (
+				filters.types.length !== allTypes.length ||
+				!! filters.production ||
+				!! filters.year
+			);
+		},
+		get isYearHidden() {
+			const { filters, year, yearTypes } = getContext();
+			if ( filters.year && filters.year !== year ) {
+				return true;
+			}
+
+			return ! Object.entries( yearTypes ).some( ( [ type, ids ] ) =>
+				isTypeShown( filters, type, ids )
+			);
+		},
+		get isTypeHidden() {
+			const { filters, type, typeProductions } = getContext();
+			return ! isTypeShown( filters, type, typeProductions );
+		},
+		get isItemHidden() {
+			const { filters, itemProductions } = getContext();
+			return (
+				!! filters.production &&
+				! itemProductions.includes( filters.production )
+			);
+		},
+		get exportHref() {
+			const { exportUrl, filters, allTypes } = getContext();
+			const url = new URL( exportUrl );
+
+			// Mirrors the filter arguments of the export route.
+			if ( filters.types.length !== allTypes.length ) {
+				url.searchParams.set( 'types', filters.types.join( ',' ) );
+			}
+			if ( filters.production ) {
+				url.searchParams.set(
+					'ref_term_id',
+					String( filters.production )
+				);
+			}
+			if ( filters.year ) {
+				url.searchParams.set( 'period', filters.year );
+			}
+
+			return url.toString();
+		},
+	},
+	actions: {
+		toggleType() {
+			const context = getContext();
+			const { filters, allTypes, filterType } = context;
+
+			// Keep the configured type order.
+			filters.types = state.isTypeSelected
+				? filters.types.filter( ( type ) => type !== filterType )
+				: allTypes.filter(
+						( type ) =>
+							type === filterType ||
+							filters.types.includes( type )
+				  );
+			updateUrl( context );
+		},
+		setProduction( event ) {
+			const context = getContext();
+			context.filters.production = parseInt( event.target.value ) || 0;
+			updateUrl( context );
+		},
+		setYear( event ) {
+			const context = getContext();
+			context.filters.year = event.target.value;
+			updateUrl( context );
+		},
+		resetFilters() {
+			const context = getContext();
+			context.filters.types = [ ...context.allTypes ];
+			context.filters.production = 0;
+			context.filters.year = '';
+			updateUrl( context );
+		},
+	},
+} );
+
+/**
+ * Replace a block with its version showing all years
+ *
+ * Filterable blocks are hydrated on page load only, so they reload
+ * the page instead. Others fall back to that if the block can't be
+ * loaded.
+ *
+ * @param {HTMLAnchorElement} link "Show older years" link.
+ * @return {Promise<void>} Resolves once the block is replaced.
+ */
+async function showOlderYears( link ) {
+	const blockId = link.dataset.referencesShowOlder;
+	const selector = `[data-references-id="${ blockId }"]`;
+	const block = link.closest( selector );
+
+	// Start from the current URL, to keep the filter state.
+	const url = new URL( window.location.href );
+	url.searchParams.set( SHOW_ALL_QUERY_ARG, blockId );
+
+	if ( ! block || block.hasAttribute( 'data-wp-interactive' ) ) {
+		window.location.assign( url );
+		return;
+	}
+
+	link.setAttribute( 'aria-busy', 'true' );
+
+	try {
+		const response = await window.fetch( url, {
+			credentials: 'same-origin',
+		} );
+		if ( ! response.ok ) {
+			throw new Error( response.statusText );
+		}
+
+		const html = await response.text();
+		const page = new window.DOMParser().parseFromString(
+			html,
+			'text/html'
+		);
+		const fullBlock = page.querySelector( selector );
+		if ( ! fullBlock ) {
+			throw new Error( 'Block not found' );
+		}
+
+		const newBlock = document.importNode( fullBlock, true );
+		block.replaceWith( newBlock );
+
+		// The link is gone, so keep keyboard users in the block.
+		newBlock.setAttribute( 'tabindex', '-1' );
+		newBlock.focus();
+	} catch ( error ) {
+		window.location.assign( url );
+	}
+}
+
+document.addEventListener( 'click', ( event ) => {
+	const link = event.target.closest( '[data-references-show-older]' );
+	if ( ! link ) {
+		return;
+	}
+
+	event.preventDefault();
+	showOlderYears( link );
+} );
@@ -8,6 +8,8 @@
 namespace GatherPress\References\Tests\Integration;
 
 use GatherPress\References\Block_Renderer;
+use GatherPress\References\Plugin;
+use WP_Block_Supports;
 use WP_UnitTestCase;
 
 /**
@@ -35,6 +37,127 @@ class BlockRendererTest extends WP_UnitTestCase {
 		}
 	}
 
+	/**
+	 * Tear down the test.
+	 */
+	public function tear_down() {
+		Plugin::get_instance()->get_cache_manager()->clear_all();
+		WP_Block_Supports::$block_to_render = null;
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Cache references of all productions, so rendering doesn't query events.
+	 *
+	 * One event of the production Hamlet has two clients and a festival.
+	 *
+	 * @return array{event_id: int, production_id: int, client_ids: array<int, int>, festival_id: int}
+	 */
+	private function cache_references(): array {
+		$production_id = self::factory()->term->create(
+			array(
+				'taxonomy' => '_gatherpress-production',
+				'name'     => 'Hamlet',
+			)
+		);
+		$client_ids    = array();
+		foreach ( array( 'Staatstheater Mainz', 'Theater Basel' ) as $client_name ) {
+			$client_ids[ $client_name ] = self::factory()->term->create(
+				array(
+					'taxonomy' => '_gatherpress-client',
+					'name'     => $client_name,
+				)
+			);
+		}
+		$festival_id   = self::factory()->term->create(
+			array(
+				'taxonomy' => '_gatherpress-festival',
+				'name'     => 'Theaterfestival Basel',
+			)
+		);
+		$event_id      = self::factory()->post->create(
+			array(
+				'post_type'  => 'gatherpress_event',
+				'post_title' => 'Hamlet in Mainz and Basel',
+			)
+		);
+
+		$production = array(
+			'id'   => $production_id,
+			'name' => 'Hamlet',
+		);
+		$items      = array();
+		foreach ( $client_ids as $client_name => $client_id ) {
+			$items[] = array(
+				'id'          => $client_id,
+				'name'        => $client_name,
+				'count'       => 1,
+				'posts'       => array( $event_id ),
+				'productions' => array( $production ),
+				'priority'    => 0,
+				'order'       => 0,
+				'first_date'  => '2020-05-01 19:00:00',
+			);
+		}
+
+		$plugin = Plugin::get_instance();
+		$plugin->get_cache_manager()->set(
+			$plugin->get_data_provider()->get_cache_key( 'gatherpress_event', 0, 0, 'all' ),
+			array(
+				'2020' => array(
+					'_gatherpress-client'   => $items,
+					'_gatherpress-festival' => array(
+						array(
+							'id'          => $festival_id,
+							'name'        => 'Theaterfestival Basel',
+							'count'       => 1,
+							'posts'       => array( $event_id ),
+							'productions' => array( $production ),
+							'priority'    => 0,
+							'order'       => 0,
+							'first_date'  => '2020-05-01 19:00:00',
+						),
+					),
+				),
+			)
+		);
+
+		return array(
+			'event_id'      => $event_id,
+			'production_id' => $production_id,
+			'client_ids'    => array_values( $client_ids ),
+			'festival_id'   => $festival_id,
+		);
+	}
+
+	/**
+	 * Render the block as WordPress does, with block supports applied.
+	 *
+	 * @param array<string, mixed> $attributes Block attributes.
+	 * @return string Rendered block HTML.
+	 */
+	private function render_block( array $attributes ): string {
+		WP_Block_Supports::$block_to_render = array(
+			'blockName' => 'gatherpress/references',
+			'attrs'     => $attributes,
+		);
+
+		return Block_Renderer::get_instance()->render( $attributes );
+	}
+
+	/**
+	 * Get the JSON-LD script of rendered block HTML.
+	 *
+	 * @param string $html Rendered block HTML.
+	 * @return string Script tag, empty if there is none.
+	 */
+	private function get_structured_data( string $html ): string {
+		$start = strpos( $html, '<script type="application/ld+json">' );
+
+		return false !== $start ? substr( $html, $start ) : '';
+	}
+
 	/**
 	 * Test that Block_Renderer can be instantiated.
 	 */
@@ -117,4 +240,152 @@ class BlockRendererTest extends WP_UnitTestCase {
 
 		$this->assertEmpty( $result );
 	}
+
+	/**
+	 * Test that the structured data of blocks differing only in excluded terms is cached apart.
+	 */
+	public function test_structured_data_follows_excluded_terms() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$data       = $this->cache_references();
+		$attributes = array(
+			'postType'       => 'gatherpress_event',
+			'referenceType'  => 'all',
+			'structuredData' => true,
+		);
+
+		// The first block rendered caches its script.
+		$excluding = $this->get_structured_data( $this->render_block( array_merge( $attributes, array( 'excludedTerms' => array( $data['client_ids'][1] ) ) ) ) );
+		$including = $this->get_structured_data( $this->render_block( $attributes ) );
+
+		$this->assertStringContainsString( 'Staatstheater Mainz', $excluding );
+		$this->assertStringNotContainsString( 'Theater Basel', $excluding );
+		$this->assertStringContainsString( 'Staatstheater Mainz', $including );
+		$this->assertStringContainsString( 'Theater Basel', $including );
+	}
+
+	/**
+	 * Test that items are grouped under their productions, without PHP source leaking into the page.
+	 */
+	public function test_render_groups_items_by_production() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$this->cache_references();
+
+		$html = $this->render_block(
+			array(
+				'postType'          => 'gatherpress_event',
+				'referenceType'     => 'all',
+				'productionDisplay' => 'group',
+			)
+		);
+
+		$this->assertStringContainsString( 'references-list--grouped', $html );
+		$this->assertMatchesRegularExpression( '/<span class="references-production">\s*Hamlet\s*<\/span>/', $html );
+		$this->assertStringContainsString( 'Staatstheater Mainz', $html );
+		$this->assertStringContainsString( 'Theater Basel', $html );
+		$this->assertStringNotContainsString( 'production_display', $html );
+		$this->assertStringNotContainsString( '$this->', $html );
+	}
+
+	/**
+	 * Test that each layout renders its own markup, and unknown layouts fall back to the list.
+	 */
+	public function test_render_layouts() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$this->cache_references();
+
+		$layouts = array(
+			'list'     => array( 'references-layout-list', '<ul class="wp-block-list references-list">' ),
+			'table'    => array( 'references-layout-table', '<figure class="wp-block-table references-table">', '<th scope="row" class="references-year">2020</th>' ),
+			'timeline' => array( 'references-layout-timeline', '<ol class="references-timeline">', '<li class="references-timeline-item">' ),
+			'inline'   => array( 'references-layout-inline', '<p class="references-inline">', 'Staatstheater Mainz, Theater Basel' ),
+			'grid'     => array( 'references-layout-grid', '<div class="references-grid">', '<div class="references-grid-item">' ),
+			'unknown'  => array( 'references-layout-list', '<ul class="wp-block-list references-list">' ),
+		);
+
+		foreach ( $layouts as $layout => $expected ) {
+			$html = $this->render_block(
+				array(
+					'postType'      => 'gatherpress_event',
+					'referenceType' => 'all',
+					'layout'        => $layout,
+				)
+			);
+
+			foreach ( $expected as $markup ) {
+				$this->assertStringContainsString( $markup, $html, "Layout: $layout" );
+			}
+		}
+	}
+
+	/**
+	 * Test that logo walls of all types only show clients, linked to their term archives.
+	 */
+	public function test_logo_wall_shows_clients() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$data = $this->cache_references();
+
+		$html = $this->render_block(
+			array(
+				'postType'      => 'gatherpress_event',
+				'referenceType' => 'all',
+				'layout'        => 'logos',
+				'linkTarget'    => 'term',
+			)
+		);
+
+		$this->assertSame( 2, substr_count( $html, 'references-logo-item' ) );
+		$this->assertStringContainsString( 'Staatstheater Mainz', $html );
+		$this->assertStringNotContainsString( 'Theaterfestival Basel', $html );
+		$this->assertStringContainsString( esc_url( (string) get_term_link( $data['client_ids'][0], '_gatherpress-client' ) ), $html );
+	}
+
+	/**
+	 * Test that made-up query arguments share the cached output of the block.
+	 */
+	public function test_output_cache_ignores_unknown_query_args() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		if ( wp_using_ext_object_cache() ) {
+			$this->markTestSkipped( 'Output entries are not stored in the options table.' );
+		}
+
+		$this->cache_references();
+		add_filter( 'gatherpress_references_cache_output', '__return_true' );
+
+		$attributes = array(
+			'postType'      => 'gatherpress_event',
+			'referenceType' => 'all',
+			'showFilters'   => true,
+			'yearsLimit'    => 1,
+		);
+
+		$html = $this->render_block( $attributes );
+
+		$_GET['x']               = '1';
+		$_GET['references-type'] = 'garbage';
+		$_GET['references-year'] = '1900';
+
+		$made_up = $this->render_block( $attributes );
+
+		unset( $_GET['x'], $_GET['references-type'], $_GET['references-year'] );
+		remove_filter( 'gatherpress_references_cache_output', '__return_true' );
+
+		$this->assertSame( $html, $made_up );
+		$this->assertSame( 1, Plugin::get_instance()->get_cache_manager()->get_stats()['output_entries'] );
+		$this->assertStringNotContainsString( Block_Renderer::SHOW_OLDER_URL_PLACEHOLDER, $html );
+	}
 }
@@ -130,7 +130,39 @@ class CacheIntegrationTest extends WP_UnitTestCase {
 			) 
 		);
 
-		$this->assertFalse( $this->cache_manager->get( $cache_key ) );
+		// Invalidated entries get a new key.
+		$this->assertNotEquals( $cache_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all' ) );
+		$this->assertFalse( $this->cache_manager->get( $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all' ) ) );
+	}
+
+	/**
+	 * Test that updating a published post invalidates its years before and after the update.
+	 */
+	public function test_cache_cleared_on_post_update() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$post_id = self::factory()->post->create(
+			array(
+				'post_type'   => 'gatherpress_event',
+				'post_status' => 'publish',
+				'post_date'   => '2019-05-01 20:00:00',
+			)
+		);
+
+		$old_year_key = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2019, 'all' );
+		$new_year_key = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2021, 'all' );
+
+		wp_update_post(
+			array(
+				'ID'        => $post_id,
+				'post_date' => '2021-05-01 20:00:00',
+			)
+		);
+
+		$this->assertNotEquals( $old_year_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2019, 'all' ) );
+		$this->assertNotEquals( $new_year_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2021, 'all' ) );
 	}
 
 	/**
@@ -151,4 +183,138 @@ class CacheIntegrationTest extends WP_UnitTestCase {
 		$this->assertFalse( $this->cache_manager->get( $key1 ) );
 		$this->assertFalse( $this->cache_manager->get( $key2 ) );
 	}
+
+	/**
+	 * Test that invalidating a post keeps the entries it can't be part of.
+	 */
+	public function test_invalidate_only_affects_matching_entries() {
+		$all_key      = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all' );
+		$term_key     = $this->cache_manager->get_cache_key( 'gatherpress_event', 5, 0, 'all' );
+		$year_key     = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2024, 'all' );
+		$type_key     = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, '_gatherpress-client' );
+		$other_term   = $this->cache_manager->get_cache_key( 'gatherpress_event', 6, 0, 'all' );
+		$other_year   = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2023, 'all' );
+		$other_type   = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, '_gatherpress-award' );
+		$other_scheme = $this->cache_manager->get_cache_key( 'post', 0, 0, 'all' );
+
+		$this->cache_manager->invalidate( 'gatherpress_event', array( 5 ), array( 2024 ), array( '_gatherpress-client' ) );
+
+		$this->assertNotEquals( $all_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all' ) );
+		$this->assertNotEquals( $term_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 5, 0, 'all' ) );
+		$this->assertNotEquals( $year_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2024, 'all' ) );
+		$this->assertNotEquals( $type_key, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, '_gatherpress-client' ) );
+
+		$this->assertEquals( $other_term, $this->cache_manager->get_cache_key( 'gatherpress_event', 6, 0, 'all' ) );
+		$this->assertEquals( $other_year, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2023, 'all' ) );
+		$this->assertEquals( $other_type, $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, '_gatherpress-award' ) );
+		$this->assertEquals( $other_scheme, $this->cache_manager->get_cache_key( 'post', 0, 0, 'all' ) );
+	}
+
+	/**
+	 * Test that invalidating a post type changes all its keys.
+	 */
+	public function test_invalidate_post_type_changes_keys() {
+		$key = $this->cache_manager->get_cache_key( 'gatherpress_event', 6, 2023, '_gatherpress-award' );
+
+		$this->cache_manager->invalidate_post_type( 'gatherpress_event' );
+
+		$this->assertNotEquals( $key, $this->cache_manager->get_cache_key( 'gatherpress_event', 6, 2023, '_gatherpress-award' ) );
+	}
+
+	/**
+	 * Test that only invalidating stores versions, and that they expire.
+	 */
+	public function test_versions_are_stored_only_when_invalidating() {
+		if ( wp_using_ext_object_cache() ) {
+			$this->markTestSkipped( 'Versions are not stored in the options table.' );
+		}
+
+		$this->cache_manager->clear_all();
+
+		$key = $this->cache_manager->get_cache_key( 'gatherpress_event', 99999, 1900, 'all' );
+		$this->assertSame( 0, $this->cache_manager->get_stats()['versions'] );
+
+		$this->cache_manager->invalidate_post_type( 'gatherpress_event' );
+
+		$this->assertSame( 1, $this->cache_manager->get_stats()['versions'] );
+		$this->assertNotFalse( get_option( '_transient_timeout_gatherpress_refs_version_' . md5( 'gatherpress_event' ) ) );
+		$this->assertNotEquals( $key, $this->cache_manager->get_cache_key( 'gatherpress_event', 99999, 1900, 'all' ) );
+	}
+
+	/**
+	 * Test that rendered output is invalidated along with its data.
+	 */
+	public function test_output_cache_key_follows_data_cache_key() {
+		$context    = array( 'locale' => 'en_US' );
+		$output_key = $this->cache_manager->get_output_cache_key( $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2024, 'all' ), $context );
+
+		$this->cache_manager->set_output( $output_key, '<div>References</div>' );
+		$this->assertSame( '<div>References</div>', $this->cache_manager->get_output( $output_key ) );
+
+		$this->cache_manager->invalidate( 'gatherpress_event', array(), array( 2024 ), array() );
+
+		$new_output_key = $this->cache_manager->get_output_cache_key( $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2024, 'all' ), $context );
+		$this->assertNotSame( $output_key, $new_output_key );
+		$this->assertFalse( $this->cache_manager->get_output( $new_output_key ) );
+	}
+
+	/**
+	 * Test that hits and misses are counted and saved.
+	 */
+	public function test_stats_count_hits_and_misses() {
+		$this->cache_manager->clear_all();
+
+		// Save the counts of every request, rather than a sample.
+		add_filter(
+			'gatherpress_references_cache_stats_sample_rate',
+			function () {
+				return 1;
+			}
+		);
+
+		$cache_key = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2024, 'all' );
+		$this->cache_manager->get( $cache_key );
+		$this->cache_manager->set( $cache_key, array( '2024' => array() ) );
+		$this->cache_manager->get( $cache_key );
+		$this->cache_manager->get( $cache_key );
+		$this->cache_manager->save_stats();
+
+		remove_all_filters( 'gatherpress_references_cache_stats_sample_rate' );
+
+		$stats = $this->cache_manager->get_stats();
+
+		$this->assertSame( 2, $stats['hits'] );
+		$this->assertSame( 1, $stats['misses'] );
+		$this->assertEqualsWithDelta( 2 / 3, $stats['hit_rate'], 0.001 );
+		$this->assertSame( 1, $stats['data_entries'] );
+		$this->assertSame( 0, $stats['output_entries'] );
+		$this->assertGreaterThan( 0, $stats['last_cleared'] );
+	}
+
+	/**
+	 * Test that flushing starts counting from scratch.
+	 */
+	public function test_clear_all_resets_stats() {
+		$this->cache_manager->get( $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 2024, 'all' ) );
+		$this->cache_manager->save_stats();
+
+		$this->cache_manager->clear_all();
+		$stats = $this->cache_manager->get_stats();
+
+		$this->assertSame( 0, $stats['hits'] );
+		$this->assertSame( 0, $stats['misses'] );
+		$this->assertNull( $stats['hit_rate'] );
+	}
+
+	/**
+	 * Test that reading the stats doesn't write them.
+	 */
+	public function test_get_stats_does_not_save() {
+		delete_option( Cache_Manager::STATS_OPTION );
+
+		$stats = $this->cache_manager->get_stats();
+
+		$this->assertSame( 0, $stats['since'] );
+		$this->assertFalse( get_option( Cache_Manager::STATS_OPTION ) );
+	}
 }
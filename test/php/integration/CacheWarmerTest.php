@@ -0,0 +1,80 @@
+<?php
+/**
+ * Integration tests for Cache_Warmer class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Integration;
+
+use GatherPress\References\Cache_Warmer;
+use WP_UnitTestCase;
+
+/**
+ * Class CacheWarmerTest
+ *
+ * Tests the Cache_Warmer class within the WordPress environment.
+ *
+ * @since 0.3.0
+ */
+class CacheWarmerTest extends WP_UnitTestCase {
+
+	/**
+	 * Cache warmer instance.
+	 *
+	 * @var Cache_Warmer
+	 */
+	private Cache_Warmer $cache_warmer;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->cache_warmer = new Cache_Warmer();
+	}
+
+	/**
+	 * Clean up after each test.
+	 */
+	public function tear_down() {
+		$this->cache_warmer->unschedule();
+		parent::tear_down();
+	}
+
+	/**
+	 * Test that warming is scheduled once.
+	 */
+	public function test_schedule_adds_single_event() {
+		$this->cache_warmer->schedule();
+		$timestamp = wp_next_scheduled( Cache_Warmer::CRON_HOOK );
+
+		$this->cache_warmer->schedule();
+
+		$this->assertIsInt( $timestamp );
+		$this->assertSame( $timestamp, wp_next_scheduled( Cache_Warmer::CRON_HOOK ) );
+	}
+
+	/**
+	 * Test that blocks are found in published content, including nested ones.
+	 */
+	public function test_find_blocks_in_published_content() {
+		$block  = '<!-- wp:gatherpress/references {"postType":"gatherpress_event","year":2024} /-->';
+		$nested = '<!-- wp:group --><div class="wp-block-group"><!-- wp:gatherpress/references {"postType":"gatherpress_event","layout":"table"} /--></div><!-- /wp:group -->';
+
+		self::factory()->post->create( array( 'post_content' => $block ) );
+		self::factory()->post->create( array( 'post_content' => $block . $nested ) );
+		self::factory()->post->create(
+			array(
+				'post_content' => '<!-- wp:gatherpress/references {"postType":"gatherpress_event","year":2023} /-->',
+				'post_status'  => 'draft',
+			)
+		);
+
+		$blocks = array_values( $this->cache_warmer->find_blocks() );
+
+		$this->assertCount( 2, $blocks );
+		$this->assertSame( 2024, $blocks[0]['attrs']['year'] );
+		$this->assertSame( 'table', $blocks[1]['attrs']['layout'] );
+	}
+}
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Integration tests for Csv_Importer class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Integration;
+
+use GatherPress\References\Cache_Manager;
+use GatherPress\References\Config_Manager;
+use GatherPress\References\Csv_Importer;
+use WP_UnitTestCase;
+
+/**
+ * Class CsvImporterTest
+ *
+ * Tests importing historical references from CSV files.
+ *
+ * @since 0.3.0
+ */
+class CsvImporterTest extends WP_UnitTestCase {
+
+	/**
+	 * CSV importer instance.
+	 *
+	 * @var Csv_Importer
+	 */
+	private Csv_Importer $csv_importer;
+
+	/**
+	 * Path of the CSV file of the test.
+	 *
+	 * @var string
+	 */
+	private string $file = '';
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$this->csv_importer = new Csv_Importer( new Config_Manager(), new Cache_Manager() );
+		$this->file         = wp_tempnam( 'references.csv' );
+	}
+
+	/**
+	 * Tear down the test.
+	 */
+	public function tear_down() {
+		if ( '' !== $this->file && file_exists( $this->file ) ) {
+			unlink( $this->file );
+		}
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Write the CSV file of the test.
+	 *
+	 * @param array<int, string> $lines Lines of the file.
+	 */
+	private function write_csv( array $lines ): void {
+		file_put_contents( $this->file, implode( "\n", $lines ) . "\n" );
+	}
+
+	/**
+	 * Test that years, months and full dates are parsed.
+	 */
+	public function test_parse_date() {
+		$this->assertSame( '2019-01-01', $this->csv_importer->parse_date( '2019' ) );
+		$this->assertSame( '2019-05-01', $this->csv_importer->parse_date( '2019-5' ) );
+		$this->assertSame( '2019-05-24', $this->csv_importer->parse_date( '2019-05-24' ) );
+		$this->assertSame( '2019-05-24', $this->csv_importer->parse_date( '24.05.2019' ) );
+		$this->assertNull( $this->csv_importer->parse_date( 'spring' ) );
+		$this->assertNull( $this->csv_importer->parse_date( '' ) );
+	}
+
+	/**
+	 * Test that headers are mapped by field key, label and taxonomy slug.
+	 */
+	public function test_guess_mapping() {
+		$mapping = $this->csv_importer->guess_mapping(
+			array( 'date', 'Production', 'client', '_gatherpress-award', 'Notes' ),
+			'gatherpress_event'
+		);
+
+		$this->assertSame(
+			array(
+				'date'               => 'date',
+				'Production'         => '_gatherpress-production',
+				'client'             => '_gatherpress-client',
+				'_gatherpress-award' => '_gatherpress-award',
+			),
+			$mapping
+		);
+	}
+
+	/**
+	 * Test that a dry run reports what would be imported without saving anything.
+	 */
+	public function test_dry_run_saves_nothing() {
+		$this->write_csv(
+			array(
+				'Date;Production;Client',
+				'2019-05-24;Hamlet;Staatstheater Mainz|Schauspiel Frankfurt',
+				'2019-05-24;Hamlet;Theater Basel',
+				'spring;Faust;Theater Basel',
+			)
+		);
+
+		$report = $this->csv_importer->import( $this->file, 'gatherpress_event', array(), true );
+
+		$this->assertIsArray( $report );
+		$this->assertTrue( $report['dry_run'] );
+		$this->assertSame( 3, $report['rows'] );
+		$this->assertSame( 1, $report['events_created'] );
+		$this->assertSame( array( 'Hamlet' ), $report['terms_created']['_gatherpress-production'] );
+		$this->assertSame( array( 'Staatstheater Mainz', 'Schauspiel Frankfurt', 'Theater Basel' ), $report['terms_created']['_gatherpress-client'] );
+		$this->assertArrayHasKey( 4, $report['errors'] );
+		$this->assertNull( term_exists( 'Hamlet', '_gatherpress-production' ) );
+		$this->assertSame( 0, (int) wp_count_posts( 'gatherpress_event' )->publish );
+	}
+
+	/**
+	 * Test that importing creates past events and terms, and reuses both.
+	 */
+	public function test_import_creates_and_reuses_events() {
+		$client = self::factory()->term->create(
+			array(
+				'taxonomy' => '_gatherpress-client',
+				'name'     => 'Theater Basel',
+			)
+		);
+
+		$this->write_csv(
+			array(
+				'Date,Production,Client',
+				'2019-05-24,Hamlet,Staatstheater Mainz',
+				'2019-05-24,Hamlet,Theater Basel',
+				'2020,Faust,Theater Basel',
+				'2999-01-01,Faust,Theater Basel',
+			)
+		);
+
+		$report = $this->csv_importer->import( $this->file, 'gatherpress_event' );
+
+		$this->assertIsArray( $report );
+		$this->assertSame( 2, $report['events_created'] );
+		$this->assertSame( 0, $report['events_reused'] );
+		$this->assertSame( array( 5 ), array_keys( $report['errors'] ) );
+
+		$events = get_posts(
+			array(
+				'post_type' => 'gatherpress_event',
+				'title'     => 'Hamlet',
+			)
+		);
+
+		$this->assertCount( 1, $events );
+		$this->assertSame( '2019-05-24', get_the_date( 'Y-m-d', $events[0] ) );
+		$this->assertContains( $client, wp_get_object_terms( $events[0]->ID, '_gatherpress-client', array( 'fields' => 'ids' ) ) );
+		$this->assertCount( 2, wp_get_object_terms( $events[0]->ID, '_gatherpress-client' ) );
+		$this->assertNotNull( term_exists( 'Hamlet', '_gatherpress-production' ) );
+
+		// Importing again reuses the events and terms.
+		$report = $this->csv_importer->import( $this->file, 'gatherpress_event' );
+
+		$this->assertIsArray( $report );
+		$this->assertSame( 0, $report['events_created'] );
+		$this->assertSame( 2, $report['events_reused'] );
+		$this->assertEmpty( $report['terms_created'] );
+	}
+
+	/**
+	 * Test that files without a date column are rejected.
+	 */
+	public function test_import_requires_date_column() {
+		$this->write_csv(
+			array(
+				'Production,Client',
+				'Hamlet,Theater Basel',
+			)
+		);
+
+		$this->assertWPError( $this->csv_importer->import( $this->file, 'gatherpress_event' ) );
+		$this->assertWPError( $this->csv_importer->import( $this->file, 'attachment' ) );
+	}
+}
@@ -0,0 +1,358 @@
+<?php
+/**
+ * Integration tests for Exporter class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Integration;
+
+use GatherPress\References\Cache_Manager;
+use GatherPress\References\Config_Manager;
+use GatherPress\References\Data_Organizer;
+use GatherPress\References\Data_Provider;
+use GatherPress\References\Exporter;
+use GatherPress\References\Query_Builder;
+use WP_UnitTestCase;
+
+/**
+ * Class ExporterTest
+ *
+ * Tests exporting references as CSV, Markdown, plain text and print view.
+ *
+ * @since 0.3.0
+ */
+class ExporterTest extends WP_UnitTestCase {
+
+	/**
+	 * Exporter instance.
+	 *
+	 * @var Exporter
+	 */
+	private Exporter $exporter;
+
+	/**
+	 * Cache manager instance.
+	 *
+	 * @var Cache_Manager
+	 */
+	private Cache_Manager $cache_manager;
+
+	/**
+	 * Data provider instance.
+	 *
+	 * @var Data_Provider
+	 */
+	private Data_Provider $data_provider;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$config_manager      = new Config_Manager();
+		$data_organizer      = new Data_Organizer( $config_manager );
+		$this->cache_manager = new Cache_Manager();
+		$this->data_provider = new Data_Provider( $config_manager, $this->cache_manager, new Query_Builder( $config_manager ), $data_organizer );
+		$this->exporter      = new Exporter( $config_manager, $this->data_provider, $data_organizer );
+	}
+
+	/**
+	 * Tear down the test.
+	 */
+	public function tear_down() {
+		$this->cache_manager->clear_all();
+
+		parent::tear_down();
+	}
+
+	/**
+	 * Cache references of all productions, so exports don't query events.
+	 *
+	 * @return void
+	 */
+	private function cache_references(): void {
+		$production = array(
+			'id'   => 5,
+			'name' => 'Hamlet',
+		);
+
+		$this->cache_manager->set(
+			$this->data_provider->get_cache_key( 'gatherpress_event', 0, 0, 'all' ),
+			array(
+				'2019' => array(
+					'_gatherpress-client' => array(
+						array(
+							'id'          => 1,
+							'name'        => 'Theater Basel',
+							'count'       => 1,
+							'posts'       => array( 11 ),
+							'productions' => array( $production ),
+							'priority'    => 0,
+							'order'       => 0,
+							'first_date'  => '2019-01-01 00:00:00',
+						),
+					),
+				),
+				'2020' => array(
+					'_gatherpress-client' => array(
+						array(
+							'id'          => 2,
+							'name'        => 'Staatstheater Mainz',
+							'count'       => 2,
+							'posts'       => array( 12, 13 ),
+							'productions' => array( $production ),
+							'priority'    => 0,
+							'order'       => 0,
+							'first_date'  => '2020-01-01 00:00:00',
+						),
+					),
+					'_gatherpress-award'  => array(
+						array(
+							'id'          => 3,
+							'name'        => 'Prize *with* [brackets]',
+							'count'       => 1,
+							'posts'       => array( 12 ),
+							'productions' => array( $production ),
+							'priority'    => 0,
+							'order'       => 0,
+							'first_date'  => '2020-01-01 00:00:00',
+						),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Test that arguments are validated and defaults applied.
+	 */
+	public function test_prepare_args() {
+		$args = $this->exporter->prepare_args(
+			array(
+				'post_type'  => 'gatherpress_event',
+				'types'      => '_gatherpress-award,unknown',
+				'type_order' => array( '_gatherpress-award' ),
+				'sort_order' => 'asc',
+			)
+		);
+
+		$this->assertIsArray( $args );
+		$this->assertSame( 'all', $args['type'] );
+		$this->assertSame( array( '_gatherpress-award' ), $args['types'] );
+		$this->assertSame( array( '_gatherpress-award' ), $args['type_order'] );
+		$this->assertSame( 'asc', $args['year_sort'] );
+		$this->assertSame( 'alphabetical', $args['item_sort'] );
+		$this->assertSame( 'year', $args['options']['group_by'] );
+
+		$this->assertWPError( $this->exporter->prepare_args( array( 'post_type' => 'attachment' ) ) );
+		$this->assertWPError(
+			$this->exporter->prepare_args(
+				array(
+					'post_type' => 'gatherpress_event',
+					'type'      => 'category',
+				)
+			)
+		);
+		$this->assertWPError(
+			$this->exporter->prepare_args(
+				array(
+					'post_type'   => 'gatherpress_event',
+					'ref_term_id' => 99999,
+				)
+			)
+		);
+	}
+
+	/**
+	 * Test that years, periods and excluded terms are validated.
+	 */
+	public function test_prepare_args_validates_ranges() {
+		$this->cache_references();
+
+		$term_id = self::factory()->term->create( array( 'taxonomy' => '_gatherpress-client' ) );
+		$args    = $this->exporter->prepare_args(
+			array(
+				'post_type'  => 'gatherpress_event',
+				'last_years' => 500,
+				'exclude'    => array( $term_id, 99999 ),
+			)
+		);
+
+		$this->assertIsArray( $args );
+		$this->assertSame( Data_Provider::MAX_LAST_YEARS, $args['options']['last_years'] );
+		$this->assertSame( array( $term_id ), $args['exclude'] );
+
+		$this->assertWPError(
+			$this->exporter->prepare_args(
+				array(
+					'post_type' => 'gatherpress_event',
+					'year_from' => 99999,
+				)
+			)
+		);
+		$this->assertWPError(
+			$this->exporter->prepare_args(
+				array(
+					'post_type' => 'gatherpress_event',
+					'period'    => '2021',
+				)
+			)
+		);
+		$this->assertIsArray(
+			$this->exporter->prepare_args(
+				array(
+					'post_type' => 'gatherpress_event',
+					'period'    => '2020',
+				)
+			)
+		);
+	}
+
+	/**
+	 * Test that CSV exports list one row per item, with its productions.
+	 */
+	public function test_export_csv() {
+		$this->cache_references();
+
+		$args = $this->exporter->prepare_args( array( 'post_type' => 'gatherpress_event' ) );
+		$this->assertIsArray( $args );
+
+		$csv   = $this->exporter->export( 'csv', $args );
+		$lines = explode( "\n", trim( $csv ) );
+
+		$this->assertStringStartsWith( "\xEF\xBB\xBF", $csv );
+		$this->assertCount( 4, $lines );
+		$this->assertSame( array( '2020', 'Clients', 'Staatstheater Mainz', '2', 'Hamlet' ), str_getcsv( $lines[1], ',', '"', '' ) );
+		$this->assertSame( '2019', str_getcsv( $lines[3], ',', '"', '' )[0] );
+	}
+
+	/**
+	 * Test that CSV cells can't run as formulas in spreadsheet apps.
+	 */
+	public function test_export_csv_escapes_formulas() {
+		$names = array( '=HYPERLINK("https://example.com","Click")', '+1', '-1', '@SUM(A1)', "\tTab" );
+		$items = array();
+		foreach ( $names as $index => $name ) {
+			$items[] = array(
+				'id'          => $index + 1,
+				'name'        => $name,
+				'count'       => 1,
+				'posts'       => array( 11 ),
+				'productions' => array(),
+				'priority'    => 0,
+				'order'       => $index,
+				'first_date'  => '2020-01-01 00:00:00',
+			);
+		}
+
+		$this->cache_manager->set(
+			$this->data_provider->get_cache_key( 'gatherpress_event', 0, 0, 'all' ),
+			array(
+				'2020' => array(
+					'_gatherpress-client' => $items,
+				),
+			)
+		);
+
+		$args = $this->exporter->prepare_args(
+			array(
+				'post_type' => 'gatherpress_event',
+				'item_sort' => 'manual',
+			)
+		);
+		$this->assertIsArray( $args );
+
+		$lines = explode( "\n", trim( $this->exporter->export( 'csv', $args ) ) );
+
+		foreach ( $names as $index => $name ) {
+			$this->assertSame( "'" . $name, str_getcsv( $lines[ $index + 1 ], ',', '"', '' )[2] );
+		}
+	}
+
+	/**
+	 * Test that Markdown exports escape names and follow the year sort order.
+	 */
+	public function test_export_markdown() {
+		$this->cache_references();
+
+		$args = $this->exporter->prepare_args(
+			array(
+				'post_type'  => 'gatherpress_event',
+				'sort_order' => 'asc',
+			)
+		);
+		$this->assertIsArray( $args );
+
+		$markdown = $this->exporter->export( 'markdown', $args );
+
+		$this->assertStringStartsWith( '# References', $markdown );
+		$this->assertLessThan( strpos( $markdown, '## 2020' ), strpos( $markdown, '## 2019' ) );
+		$this->assertStringContainsString( '- Staatstheater Mainz (2×) – Hamlet', $markdown );
+		$this->assertStringContainsString( 'Prize \*with\* \[brackets\]', $markdown );
+	}
+
+	/**
+	 * Test that exports are narrowed to the filtered types and period.
+	 */
+	public function test_export_filters() {
+		$this->cache_references();
+
+		$args = $this->exporter->prepare_args(
+			array(
+				'post_type' => 'gatherpress_event',
+				'types'     => array( '_gatherpress-client' ),
+				'period'    => '2020',
+			)
+		);
+		$this->assertIsArray( $args );
+
+		$text = $this->exporter->export( 'text', $args );
+
+		$this->assertSame( "References 2020\n\n2020\n  Clients: Staatstheater Mainz (2×) – Hamlet\n", $text );
+		$this->assertSame( 'references-2020.txt', $this->exporter->get_filename( 'text', $args ) );
+	}
+
+	/**
+	 * Test that the print view is an escaped HTML document.
+	 */
+	public function test_export_print() {
+		$this->cache_references();
+
+		$args = $this->exporter->prepare_args( array( 'post_type' => 'gatherpress_event' ) );
+		$this->assertIsArray( $args );
+
+		$html = $this->exporter->export( 'print', $args );
+
+		$this->assertStringStartsWith( '<!DOCTYPE html>', $html );
+		$this->assertStringContainsString( '<h2>2020</h2>', $html );
+		$this->assertStringContainsString( '<li>Theater Basel – Hamlet</li>', $html );
+		$this->assertStringContainsString( 'text/html', $this->exporter->get_content_type( 'print' ) );
+	}
+
+	/**
+	 * Test that export URLs leave out defaults.
+	 */
+	public function test_get_url() {
+		$args = $this->exporter->prepare_args(
+			array(
+				'post_type' => 'gatherpress_event',
+				'types'     => array( '_gatherpress-client', '_gatherpress-award' ),
+			)
+		);
+		$this->assertIsArray( $args );
+
+		$url = $this->exporter->get_url( 'markdown', $args );
+		wp_parse_str( (string) wp_parse_url( $url, PHP_URL_QUERY ), $query );
+
+		$this->assertSame( 'markdown', $query['format'] );
+		$this->assertSame( '_gatherpress-client,_gatherpress-award', $query['types'] );
+		$this->assertArrayNotHasKey( 'year', $query );
+		$this->assertArrayNotHasKey( 'item_sort', $query );
+	}
+}
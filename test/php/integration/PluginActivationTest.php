@@ -67,4 +67,14 @@ class PluginActivationTest extends WP_UnitTestCase {
 
 		$this->assertInstanceOf( \GatherPress\References\Data_Organizer::class, $organizer );
 	}
+
+	/**
+	 * Test that data provider is accessible.
+	 */
+	public function test_data_provider_accessible() {
+		$plugin   = Plugin::get_instance();
+		$provider = $plugin->get_data_provider();
+
+		$this->assertInstanceOf( \GatherPress\References\Data_Provider::class, $provider );
+	}
 }
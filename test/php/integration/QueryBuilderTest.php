@@ -69,6 +69,7 @@ class QueryBuilderTest extends WP_UnitTestCase {
 		$this->assertEquals( 'gatherpress_event', $result['post_type'] );
 		$this->assertEquals( 'publish', $result['post_status'] );
 		$this->assertEquals( 'ids', $result['fields'] );
+		$this->assertEquals( -1, $result['posts_per_page'] );
 	}
 
 	/**
@@ -134,4 +135,51 @@ class QueryBuilderTest extends WP_UnitTestCase {
 		$this->assertArrayHasKey( 'gatherpress_event_query', $result );
 		$this->assertEquals( 'past', $result['gatherpress_event_query'] );
 	}
+
+	/**
+	 * Test that a year range adds a date_query with both bounds.
+	 */
+	public function test_build_args_adds_date_query_for_year_range() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$result = $this->query_builder->build_args(
+			'gatherpress_event',
+			0,
+			0,
+			'all',
+			array(
+				'year_from' => 2015,
+				'year_to'   => 2020,
+			)
+		);
+
+		$this->assertEquals(
+			array(
+				array(
+					'year'    => 2015,
+					'compare' => '>=',
+				),
+				array(
+					'year'    => 2020,
+					'compare' => '<=',
+				),
+			),
+			$result['date_query']
+		);
+	}
+
+	/**
+	 * Test that a single year takes precedence over a year range.
+	 */
+	public function test_build_args_single_year_overrides_year_range() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$result = $this->query_builder->build_args( 'gatherpress_event', 0, 2024, 'all', array( 'year_from' => 2015 ) );
+
+		$this->assertEquals( array( array( 'year' => 2024 ) ), $result['date_query'] );
+	}
 }
@@ -0,0 +1,167 @@
+<?php
+/**
+ * Integration tests for Rest_Controller class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Integration;
+
+use WP_REST_Request;
+use WP_UnitTestCase;
+
+/**
+ * Class RestControllerTest
+ *
+ * Tests the REST API routes within the WordPress environment.
+ *
+ * @since 0.3.0
+ */
+class RestControllerTest extends WP_UnitTestCase {
+
+	/**
+	 * REST server instance.
+	 *
+	 * @var \WP_REST_Server
+	 */
+	private \WP_REST_Server $server;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		global $wp_rest_server;
+		$wp_rest_server = new \WP_REST_Server();
+		$this->server   = $wp_rest_server;
+		do_action( 'rest_api_init', $this->server );
+	}
+
+	/**
+	 * Clean up after each test.
+	 */
+	public function tear_down() {
+		global $wp_rest_server;
+		$wp_rest_server = null;
+		parent::tear_down();
+	}
+
+	/**
+	 * Test that the references route is registered.
+	 */
+	public function test_references_route_is_registered() {
+		$routes = $this->server->get_routes();
+
+		$this->assertArrayHasKey( '/gatherpress-references/v1/references', $routes );
+	}
+
+	/**
+	 * Test that the references route is publicly readable.
+	 */
+	public function test_references_route_is_public() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		wp_set_current_user( 0 );
+
+		$request = new WP_REST_Request( 'GET', '/gatherpress-references/v1/references' );
+		$request->set_param( 'post_type', 'gatherpress_event' );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertEquals( 200, $response->get_status() );
+	}
+
+	/**
+	 * Test that unknown reference types are rejected.
+	 */
+	public function test_references_route_rejects_unknown_type() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$request = new WP_REST_Request( 'GET', '/gatherpress-references/v1/references' );
+		$request->set_param( 'post_type', 'gatherpress_event' );
+		$request->set_param( 'type', 'category' );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertEquals( 400, $response->get_status() );
+	}
+
+	/**
+	 * Test that an invalid sort order is rejected.
+	 */
+	public function test_references_route_rejects_invalid_sort_order() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$request = new WP_REST_Request( 'GET', '/gatherpress-references/v1/references' );
+		$request->set_param( 'post_type', 'gatherpress_event' );
+		$request->set_param( 'sort_order', 'sideways' );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertEquals( 400, $response->get_status() );
+	}
+
+	/**
+	 * Test that years out of range are rejected.
+	 */
+	public function test_references_route_rejects_out_of_range_years() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$params = array(
+			'year'       => 99999,
+			'year_from'  => 12,
+			'year_to'    => (int) wp_date( 'Y' ) + 2,
+			'last_years' => 101,
+		);
+
+		foreach ( $params as $param => $value ) {
+			$request = new WP_REST_Request( 'GET', '/gatherpress-references/v1/references' );
+			$request->set_param( 'post_type', 'gatherpress_event' );
+			$request->set_param( $param, $value );
+
+			$response = $this->server->dispatch( $request );
+
+			$this->assertEquals( 400, $response->get_status(), $param );
+		}
+	}
+
+	/**
+	 * Test that unsupported post types are rejected.
+	 */
+	public function test_references_route_rejects_unsupported_post_type() {
+		$request = new WP_REST_Request( 'GET', '/gatherpress-references/v1/references' );
+		$request->set_param( 'post_type', 'nonexistent_post_type' );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertEquals( 400, $response->get_status() );
+	}
+
+	/**
+	 * Test that an empty result is returned when no data matches.
+	 */
+	public function test_references_route_returns_empty_when_no_matching_data() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$request = new WP_REST_Request( 'GET', '/gatherpress-references/v1/references' );
+		$request->set_param( 'post_type', 'gatherpress_event' );
+		$request->set_param( 'ref_term_id', 99999 );
+		$request->set_param( 'year', 1900 );
+
+		$response = $this->server->dispatch( $request );
+
+		$this->assertEquals( 200, $response->get_status() );
+		$this->assertEmpty( $response->get_data() );
+	}
+}
@@ -0,0 +1,191 @@
+<?php
+/**
+ * Integration tests for Schema_Generator class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Integration;
+
+use GatherPress\References\Cache_Manager;
+use GatherPress\References\Config_Manager;
+use GatherPress\References\Schema_Generator;
+use GatherPress\References\Taxonomy_Manager;
+use WP_UnitTestCase;
+
+/**
+ * Class SchemaGeneratorTest
+ *
+ * Tests describing references as schema.org structured data.
+ *
+ * @since 0.3.0
+ */
+class SchemaGeneratorTest extends WP_UnitTestCase {
+
+	/**
+	 * Schema generator instance.
+	 *
+	 * @var Schema_Generator
+	 */
+	private Schema_Generator $schema_generator;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$config_manager         = new Config_Manager();
+		$this->schema_generator = new Schema_Generator( $config_manager, new Cache_Manager(), new Taxonomy_Manager( $config_manager ) );
+	}
+
+	/**
+	 * Create an event with a production, a client and an award, and its references data.
+	 *
+	 * @param string $client_name Name of the client.
+	 * @return array{event_id: int, production_id: int, client_id: int, references: array<string, mixed>}
+	 */
+	private function create_references( string $client_name = 'Staatstheater Mainz' ): array {
+		$production_id = self::factory()->term->create(
+			array(
+				'taxonomy' => '_gatherpress-production',
+				'name'     => 'Hamlet',
+			)
+		);
+		$client_id     = self::factory()->term->create(
+			array(
+				'taxonomy' => '_gatherpress-client',
+				'name'     => $client_name,
+			)
+		);
+		$award_id      = self::factory()->term->create(
+			array(
+				'taxonomy' => '_gatherpress-award',
+				'name'     => 'Nestroy Prize',
+			)
+		);
+		$event_id      = self::factory()->post->create(
+			array(
+				'post_type'  => 'gatherpress_event',
+				'post_title' => 'Hamlet in Mainz',
+			)
+		);
+
+		wp_set_object_terms( $event_id, array( $production_id ), '_gatherpress-production' );
+		update_term_meta( $client_id, Taxonomy_Manager::META_CITY, 'Mainz' );
+
+		$production = array(
+			'id'   => $production_id,
+			'name' => 'Hamlet',
+		);
+
+		return array(
+			'event_id'      => $event_id,
+			'production_id' => $production_id,
+			'client_id'     => $client_id,
+			'references'    => array(
+				'2020' => array(
+					'_gatherpress-client' => array(
+						array(
+							'id'          => $client_id,
+							'name'        => $client_name,
+							'count'       => 1,
+							'posts'       => array( $event_id ),
+							'productions' => array( $production ),
+						),
+					),
+					'_gatherpress-award'  => array(
+						array(
+							'id'          => $award_id,
+							'name'        => 'Nestroy Prize',
+							'count'       => 1,
+							'posts'       => array( $event_id ),
+							'productions' => array( $production ),
+						),
+					),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Find the node of a type in a graph.
+	 *
+	 * @param array<int, array<string, mixed>> $graph Nodes of the graph.
+	 * @param string                           $type  Schema.org type.
+	 * @return array<string, mixed>|null Node, null if not found.
+	 */
+	private function find_node( array $graph, string $type ): ?array {
+		foreach ( $graph as $node ) {
+			if ( $node['@type'] === $type ) {
+				return $node;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Test that events link their production, organizer and performer, and awards go to the production.
+	 */
+	public function test_generate_graph() {
+		$data  = $this->create_references();
+		$graph = $this->schema_generator->generate( $data['references'], 'gatherpress_event' );
+
+		$event        = $this->find_node( $graph, 'Event' );
+		$work         = $this->find_node( $graph, 'CreativeWork' );
+		$organization = $this->find_node( $graph, 'Organization' );
+		$performer    = $this->find_node( $graph, 'PerformingGroup' );
+
+		$this->assertNotNull( $event );
+		$this->assertNotNull( $work );
+		$this->assertNotNull( $organization );
+		$this->assertNotNull( $performer );
+
+		$this->assertSame( 'Hamlet in Mainz', $event['name'] );
+		$this->assertSame( get_permalink( $data['event_id'] ), $event['url'] );
+		$this->assertSame( array( array( '@id' => $work['@id'] ) ), $event['workPerformed'] );
+		$this->assertSame( array( array( '@id' => $organization['@id'] ) ), $event['organizer'] );
+		$this->assertSame( array( '@id' => $performer['@id'] ), $event['performer'] );
+
+		$this->assertSame( 'Hamlet', $work['name'] );
+		$this->assertSame( array( 'Nestroy Prize' ), $work['award'] );
+
+		$this->assertSame( 'Staatstheater Mainz', $organization['name'] );
+		$this->assertSame( 'Mainz', $organization['address']['addressLocality'] );
+	}
+
+	/**
+	 * Test that reference types without a role are left out.
+	 */
+	public function test_generate_skips_types_without_role() {
+		$data = $this->create_references();
+
+		add_filter( 'gatherpress_references_schema_roles', '__return_empty_array' );
+		$graph = $this->schema_generator->generate( $data['references'], 'gatherpress_event' );
+		remove_filter( 'gatherpress_references_schema_roles', '__return_empty_array' );
+
+		$this->assertSame( array(), $graph );
+	}
+
+	/**
+	 * Test that the script can't be closed by term names, and is cached.
+	 */
+	public function test_get_script() {
+		$data   = $this->create_references( 'Evil</script><script>alert(1)</script>' );
+		$script = $this->schema_generator->get_script( $data['references'], 'gatherpress_event', 'test_key' );
+
+		$this->assertStringStartsWith( '<script type="application/ld+json">', $script );
+		$this->assertSame( 1, substr_count( $script, '</script>' ) );
+
+		$json = json_decode( substr( $script, strlen( '<script type="application/ld+json">' ), -strlen( '</script>' ) ), true );
+		$this->assertSame( 'https://schema.org', $json['@context'] );
+
+		// Served from the cache, even if the references changed.
+		$this->assertSame( $script, $this->schema_generator->get_script( array(), 'gatherpress_event', 'test_key' ) );
+	}
+}
@@ -102,4 +102,152 @@ class TaxonomyRegistrationTest extends WP_UnitTestCase {
 		$this->assertContains( '_gatherpress-festival', $config['ref_types'] );
 		$this->assertContains( '_gatherpress-award', $config['ref_types'] );
 	}
+
+	/**
+	 * Test that type taxonomies declared in a support config are registered with their labels.
+	 */
+	public function test_declared_type_taxonomy_is_registered() {
+		add_post_type_support(
+			'page',
+			'gatherpress_references',
+			array(
+				'ref_tax'         => 'category',
+				'ref_types'       => array( '_test-venue' ),
+				'type_taxonomies' => array(
+					'_test-venue' => array(
+						'singular' => 'Venue',
+						'plural'   => 'Venues',
+						'args'     => array( 'hierarchical' => true ),
+					),
+				),
+			)
+		);
+
+		$config_manager = new Config_Manager();
+		( new Taxonomy_Manager( $config_manager ) )->register_taxonomies();
+		remove_post_type_support( 'page', 'gatherpress_references' );
+
+		$taxonomy = get_taxonomy( '_test-venue' );
+		unregister_taxonomy( '_test-venue' );
+		unregister_taxonomy_for_object_type( 'category', 'page' );
+
+		$this->assertInstanceOf( \WP_Taxonomy::class, $taxonomy );
+		$this->assertEquals( 'Venues', $taxonomy->labels->name );
+		$this->assertEquals( 'Edit Venue', $taxonomy->labels->edit_item );
+		$this->assertTrue( $taxonomy->hierarchical );
+		$this->assertContains( 'page', $taxonomy->object_type );
+	}
+
+	/**
+	 * Test that type taxonomies can be declared with a filter.
+	 */
+	public function test_type_taxonomies_filter_declares_taxonomy() {
+		$declare = static function ( $definitions ) {
+			$definitions['_test-series'] = array( 'plural' => 'Series' );
+			return $definitions;
+		};
+		add_filter( 'gatherpress_references_type_taxonomies', $declare );
+
+		$definitions = ( new Config_Manager() )->get_type_definitions();
+		remove_filter( 'gatherpress_references_type_taxonomies', $declare );
+
+		$this->assertEquals( 'Series', $definitions['_test-series']['singular'] );
+		$this->assertEquals( 'Series', $definitions['_test-series']['plural'] );
+	}
+
+	/**
+	 * Test that a declared reference taxonomy is registered with public archives.
+	 */
+	public function test_declared_reference_taxonomy_is_registered() {
+		add_post_type_support(
+			'page',
+			'gatherpress_references',
+			array(
+				'ref_tax'            => '_test-track',
+				'ref_types'          => array( 'post_tag' ),
+				'ref_tax_definition' => array(
+					'singular' => 'Track',
+					'plural'   => 'Tracks',
+					'args'     => array(
+						'hierarchical' => false,
+						'public'       => true,
+					),
+				),
+			)
+		);
+
+		$config_manager   = new Config_Manager();
+		$taxonomy_manager = new Taxonomy_Manager( $config_manager );
+		$taxonomy_manager->register_taxonomies();
+		remove_post_type_support( 'page', 'gatherpress_references' );
+
+		$taxonomy = get_taxonomy( '_test-track' );
+		unregister_taxonomy( '_test-track' );
+		unregister_taxonomy_for_object_type( 'post_tag', 'page' );
+
+		$this->assertInstanceOf( \WP_Taxonomy::class, $taxonomy );
+		$this->assertEquals( 'Tracks', $taxonomy->labels->name );
+		$this->assertFalse( $taxonomy->hierarchical );
+		$this->assertTrue( $taxonomy->public );
+		$this->assertEquals( 'tracks', $taxonomy->rewrite['slug'] );
+		$this->assertContains( 'page', $taxonomy->object_type );
+	}
+
+	/**
+	 * Test that unknown reference taxonomies can't be registered.
+	 */
+	public function test_unknown_reference_taxonomy_can_not_be_registered() {
+		$taxonomy_manager = new Taxonomy_Manager( new Config_Manager() );
+
+		$this->assertTrue( $taxonomy_manager->can_register( 'gatherpress-production', true ) );
+		$this->assertFalse( $taxonomy_manager->can_register( '_test-unknown', true ) );
+	}
+
+	/**
+	 * Test that the term details are registered as REST-enabled term meta.
+	 */
+	public function test_term_details_are_registered_as_term_meta() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$registered = get_registered_meta_keys( 'term', '_gatherpress-festival' );
+
+		foreach ( array( Taxonomy_Manager::META_URL, Taxonomy_Manager::META_LOGO, Taxonomy_Manager::META_CITY, Taxonomy_Manager::META_COUNTRY, Taxonomy_Manager::META_CATEGORY ) as $meta_key ) {
+			$this->assertArrayHasKey( $meta_key, $registered );
+			$this->assertTrue( (bool) $registered[ $meta_key ]['show_in_rest'] );
+		}
+
+		$this->assertSame( 'integer', $registered[ Taxonomy_Manager::META_LOGO ]['type'] );
+	}
+
+	/**
+	 * Test that the term details are read from term meta and the description.
+	 */
+	public function test_get_term_details() {
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$term_id = self::factory()->term->create(
+			array(
+				'taxonomy'    => '_gatherpress-festival',
+				'name'        => 'Festival A',
+				'description' => 'Open air festival.',
+			)
+		);
+		update_term_meta( $term_id, Taxonomy_Manager::META_CITY, 'Avignon' );
+		update_term_meta( $term_id, Taxonomy_Manager::META_COUNTRY, 'France' );
+		update_term_meta( $term_id, Taxonomy_Manager::META_LOGO, '42' );
+
+		$taxonomy_manager = new Taxonomy_Manager( new Config_Manager() );
+		$details          = $taxonomy_manager->get_term_details( array( $term_id, $term_id, 0 ) );
+
+		$this->assertSame( array( $term_id ), array_keys( $details ) );
+		$this->assertSame( 42, $details[ $term_id ]['logo'] );
+		$this->assertSame( 'Avignon', $details[ $term_id ]['city'] );
+		$this->assertSame( 'France', $details[ $term_id ]['country'] );
+		$this->assertSame( '', $details[ $term_id ]['category'] );
+		$this->assertSame( 'Open air festival.', $details[ $term_id ]['description'] );
+	}
 }
@@ -0,0 +1,186 @@
+<?php
+/**
+ * Integration tests for Term_Merger class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Integration;
+
+use GatherPress\References\Cache_Manager;
+use GatherPress\References\Config_Manager;
+use GatherPress\References\Taxonomy_Manager;
+use GatherPress\References\Term_Merger;
+use WP_UnitTestCase;
+
+/**
+ * Class TermMergerTest
+ *
+ * Tests finding and merging duplicate reference terms.
+ *
+ * @since 0.3.0
+ */
+class TermMergerTest extends WP_UnitTestCase {
+
+	/**
+	 * Term merger instance.
+	 *
+	 * @var Term_Merger
+	 */
+	private Term_Merger $term_merger;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+
+		if ( ! post_type_exists( 'gatherpress_event' ) ) {
+			$this->markTestSkipped( 'GatherPress event post type not registered.' );
+		}
+
+		$this->term_merger = new Term_Merger( new Config_Manager(), new Cache_Manager() );
+	}
+
+	/**
+	 * Test that names are normalized regardless of case, accents, whitespace and word order.
+	 */
+	public function test_normalize_name() {
+		$expected = $this->term_merger->normalize_name( 'Staatstheater Mainz' );
+
+		$this->assertSame( 'mainz staatstheater', $expected );
+		$this->assertSame( $expected, $this->term_merger->normalize_name( 'Staatstheater  Mainz' ) );
+		$this->assertSame( $expected, $this->term_merger->normalize_name( 'Mainz Staatstheater' ) );
+		$this->assertSame( $expected, $this->term_merger->normalize_name( 'Staatstheater Mainz,' ) );
+		$this->assertSame( 'theatre zurich', $this->term_merger->normalize_name( 'Théâtre Zürich' ) );
+	}
+
+	/**
+	 * Test that near-duplicates are grouped, and different names are not.
+	 */
+	public function test_find_duplicates() {
+		$taxonomy = '_gatherpress-client';
+		$kept     = self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Staatstheater Mainz',
+			)
+		);
+		self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Mainz Staatstheater',
+			)
+		);
+		self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Staatstheater Maniz',
+			)
+		);
+		self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Schauspiel Frankfurt',
+			)
+		);
+
+		$groups = $this->term_merger->find_duplicates( $taxonomy );
+
+		$this->assertCount( 1, $groups );
+		$this->assertCount( 3, $groups[0] );
+		$this->assertContains( $kept, wp_list_pluck( $groups[0], 'term_id' ) );
+		$this->assertNotContains( 'Schauspiel Frankfurt', wp_list_pluck( $groups[0], 'name' ) );
+	}
+
+	/**
+	 * Test that names of different lengths are still compared when they can be similar.
+	 */
+	public function test_find_duplicates_of_different_length() {
+		$taxonomy = '_gatherpress-client';
+		foreach ( array( 'Theater Basel', 'Theaterr Basel', 'Staatstheater Mainz', 'Staatstheater Mainz am Rhein' ) as $name ) {
+			self::factory()->term->create(
+				array(
+					'taxonomy' => $taxonomy,
+					'name'     => $name,
+				)
+			);
+		}
+
+		$groups = $this->term_merger->find_duplicates( $taxonomy );
+
+		$this->assertCount( 1, $groups );
+		$this->assertEqualsCanonicalizing( array( 'Theater Basel', 'Theaterr Basel' ), wp_list_pluck( $groups[0], 'name' ) );
+	}
+
+	/**
+	 * Test that merging reassigns events, copies term meta and deletes the merged terms.
+	 */
+	public function test_merge_reassigns_events() {
+		$taxonomy = '_gatherpress-client';
+		$target   = self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Staatstheater Mainz',
+			)
+		);
+		$source   = self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Mainz Staatstheater',
+			)
+		);
+		update_term_meta( $source, Taxonomy_Manager::META_CITY, 'Mainz' );
+
+		$event_id = self::factory()->post->create( array( 'post_type' => 'gatherpress_event' ) );
+		wp_set_object_terms( $event_id, array( $source ), $taxonomy );
+
+		$merged = $this->term_merger->merge( $taxonomy, $target, array( $source, $target ) );
+
+		$this->assertSame( 1, $merged );
+		$this->assertNull( term_exists( $source, $taxonomy ) );
+		$this->assertEquals( array( $target ), wp_get_object_terms( $event_id, $taxonomy, array( 'fields' => 'ids' ) ) );
+		$this->assertSame( 'Mainz', get_term_meta( $target, Taxonomy_Manager::META_CITY, true ) );
+	}
+
+	/**
+	 * Test that merging doesn't copy how the merged terms are presented.
+	 */
+	public function test_merge_keeps_presentation_of_target() {
+		$taxonomy = '_gatherpress-client';
+		$target   = self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Staatstheater Mainz',
+			)
+		);
+		$source   = self::factory()->term->create(
+			array(
+				'taxonomy' => $taxonomy,
+				'name'     => 'Mainz Staatstheater',
+			)
+		);
+		update_term_meta( $source, Taxonomy_Manager::META_HIDDEN, true );
+		update_term_meta( $source, Taxonomy_Manager::META_DISPLAY_NAME, 'Duplicate' );
+		update_term_meta( $source, Taxonomy_Manager::META_PRIORITY, 5 );
+		update_term_meta( $source, Taxonomy_Manager::META_URL, 'https://www.staatstheater-mainz.de' );
+
+		$this->assertSame( 1, $this->term_merger->merge( $taxonomy, $target, array( $source ) ) );
+
+		$this->assertFalse( metadata_exists( 'term', $target, Taxonomy_Manager::META_HIDDEN ) );
+		$this->assertFalse( metadata_exists( 'term', $target, Taxonomy_Manager::META_DISPLAY_NAME ) );
+		$this->assertFalse( metadata_exists( 'term', $target, Taxonomy_Manager::META_PRIORITY ) );
+		$this->assertSame( 'https://www.staatstheater-mainz.de', get_term_meta( $target, Taxonomy_Manager::META_URL, true ) );
+	}
+
+	/**
+	 * Test that terms of other taxonomies can't be merged.
+	 */
+	public function test_merge_rejects_other_taxonomies() {
+		$target = self::factory()->term->create( array( 'taxonomy' => 'category' ) );
+		$source = self::factory()->term->create( array( 'taxonomy' => 'category' ) );
+
+		$this->assertWPError( $this->term_merger->merge( 'category', $target, array( $source ) ) );
+		$this->assertNotNull( term_exists( $source, 'category' ) );
+	}
+}
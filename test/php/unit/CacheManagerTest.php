@@ -66,6 +66,19 @@ class CacheManagerTest extends WP_UnitTestCase {
 		$this->assertNotEquals( $key1, $key4 );
 	}
 
+	/**
+	 * Test that year range and grouping options are part of the cache key.
+	 */
+	public function test_options_produce_different_keys() {
+		$key1 = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all' );
+		$key2 = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all', array( 'year_from' => 2015 ) );
+		$key3 = $this->cache_manager->get_cache_key( 'gatherpress_event', 0, 0, 'all', array( 'group_by' => 'decade' ) );
+
+		$this->assertNotEquals( $key1, $key2 );
+		$this->assertNotEquals( $key1, $key3 );
+		$this->assertNotEquals( $key2, $key3 );
+	}
+
 	/**
 	 * Test that same parameters produce the same cache key.
 	 */
@@ -96,6 +96,38 @@ class ConfigManagerTest extends WP_UnitTestCase {
 		$this->assertIsArray( $result['ref_types'] );
 	}
 
+	/**
+	 * Test get_config reads a valid season start and ignores an invalid one.
+	 */
+	public function test_get_config_reads_season_start() {
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'      => 'category',
+				'ref_types'    => array( 'post_tag' ),
+				'season_start' => 8,
+			)
+		);
+		$valid = $this->config_manager->get_config( 'post' );
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'      => 'category',
+				'ref_types'    => array( 'post_tag' ),
+				'season_start' => 13,
+			)
+		);
+		$invalid = $this->config_manager->get_config( 'post' );
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		$this->assertEquals( 8, $valid['season_start'] );
+		$this->assertEquals( 0, $invalid['season_start'] );
+	}
+
 	/**
 	 * Test get_all_taxonomies returns unique values.
 	 */
@@ -104,4 +136,93 @@ class ConfigManagerTest extends WP_UnitTestCase {
 
 		$this->assertEquals( count( $result ), count( array_unique( $result ) ) );
 	}
+
+	/**
+	 * Test get_type_labels skips unknown taxonomies.
+	 */
+	public function test_get_type_labels_skips_unknown_taxonomies() {
+		$result = $this->config_manager->get_type_labels( array( 'nonexistent_taxonomy' ) );
+
+		$this->assertEmpty( $result );
+	}
+
+	/**
+	 * Test get_type_labels applies the type labels filter.
+	 */
+	public function test_get_type_labels_applies_filter() {
+		add_filter(
+			'gatherpress_references_type_labels',
+			function ( $labels ) {
+				$labels['category'] = 'Filtered';
+				return $labels;
+			}
+		);
+
+		$result = $this->config_manager->get_type_labels( array( 'category' ) );
+
+		remove_all_filters( 'gatherpress_references_type_labels' );
+
+		$this->assertEquals( 'Filtered', $result['category'] );
+	}
+
+	/**
+	 * Test that stored configurations add post type support, unless configured in code.
+	 */
+	public function test_register_stored_support() {
+		update_option(
+			Config_Manager::OPTION,
+			array(
+				'page' => array(
+					'ref_tax'   => 'category',
+					'ref_types' => array( 'post_tag' ),
+				),
+			)
+		);
+
+		$this->config_manager->register_stored_support();
+		$config = $this->config_manager->get_config( 'page' );
+		$stored = $this->config_manager->is_configured_in_code( 'page' );
+		remove_post_type_support( 'page', 'gatherpress_references' );
+		delete_option( Config_Manager::OPTION );
+
+		$this->assertEquals( 'category', $config['ref_tax'] );
+		$this->assertEquals( array( 'post_tag' ), $config['ref_types'] );
+		$this->assertFalse( $stored );
+		$this->assertTrue( $this->config_manager->is_configured_in_code( 'gatherpress_event' ) );
+	}
+
+	/**
+	 * Test that types created on the settings page are declared for registration.
+	 */
+	public function test_stored_type_taxonomies_are_declared() {
+		update_option(
+			Config_Manager::OPTION,
+			array(
+				'page' => array(
+					'ref_tax'         => 'category',
+					'ref_types'       => array( 'gatherpress-coproduction' ),
+					'type_taxonomies' => array(
+						'gatherpress-coproduction' => array(
+							'singular' => 'Co-production',
+							'plural'   => 'Co-productions',
+						),
+					),
+				),
+			)
+		);
+
+		$this->config_manager->register_stored_support();
+		$definitions = $this->config_manager->get_type_definitions();
+		remove_post_type_support( 'page', 'gatherpress_references' );
+		delete_option( Config_Manager::OPTION );
+
+		$this->assertSame(
+			array(
+				'singular' => 'Co-production',
+				'plural'   => 'Co-productions',
+				'args'     => array(),
+			),
+			$definitions['gatherpress-coproduction']
+		);
+	}
 }
@@ -9,6 +9,7 @@ namespace GatherPress\References\Tests\Unit;
 
 use GatherPress\References\Data_Organizer;
 use GatherPress\References\Config_Manager;
+use GatherPress\References\Taxonomy_Manager;
 use WP_UnitTestCase;
 
 /**
@@ -131,4 +132,653 @@ class DataOrganizerTest extends WP_UnitTestCase {
 		$this->assertArrayHasKey( '_gatherpress-festival', $result['2022'] );
 		$this->assertArrayHasKey( '_gatherpress-award', $result['2022'] );
 	}
+
+	/**
+	 * Test apply_type_order reorders types within each year.
+	 */
+	public function test_apply_type_order_reorders_types() {
+		$references = array(
+			'2024' => array(
+				'_gatherpress-client'   => array( 'Client A' ),
+				'_gatherpress-festival' => array( 'Festival B' ),
+				'_gatherpress-award'    => array( 'Award C' ),
+			),
+		);
+
+		$result = $this->data_organizer->apply_type_order( $references, array( '_gatherpress-award', '_gatherpress-client' ) );
+
+		$this->assertEquals(
+			array( '_gatherpress-award', '_gatherpress-client', '_gatherpress-festival' ),
+			array_keys( $result['2024'] )
+		);
+	}
+
+	/**
+	 * Test apply_type_order with empty order keeps data unchanged.
+	 */
+	public function test_apply_type_order_empty_order() {
+		$references = array(
+			'2024' => array( '_gatherpress-client' => array( 'Client A' ) ),
+		);
+
+		$this->assertEquals( $references, $this->data_organizer->apply_type_order( $references, array() ) );
+	}
+
+	/**
+	 * Test organize_results keeps term IDs and post IDs per item.
+	 */
+	public function test_organize_results_keeps_term_and_post_ids() {
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'   => 'category',
+				'ref_types' => array( 'post_tag' ),
+			)
+		);
+
+		$tag_id   = self::factory()->tag->create( array( 'name' => 'Client A' ) );
+		$post_ids = self::factory()->post->create_many( 2, array( 'post_date' => '2023-05-01 10:00:00' ) );
+		foreach ( $post_ids as $post_id ) {
+			wp_set_post_terms( $post_id, array( $tag_id ), 'post_tag' );
+		}
+
+		$query = new \WP_Query(
+			array(
+				'post_type' => 'post',
+				'fields'    => 'ids',
+				'post__in'  => $post_ids,
+			)
+		);
+
+		$result = $this->data_organizer->organize_results( 'post', $query, 'all' );
+
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		$this->assertCount( 1, $result['2023']['post_tag'] );
+		$this->assertEquals( $tag_id, $result['2023']['post_tag'][0]['id'] );
+		$this->assertEquals( 'Client A', $result['2023']['post_tag'][0]['name'] );
+		$this->assertEqualsCanonicalizing( $post_ids, $result['2023']['post_tag'][0]['posts'] );
+		$this->assertEquals( 2, $result['2023']['post_tag'][0]['count'] );
+	}
+
+	/**
+	 * Test organize_results collects the productions of each item.
+	 */
+	public function test_organize_results_collects_productions() {
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'   => 'category',
+				'ref_types' => array( 'post_tag' ),
+			)
+		);
+
+		$tag_id        = self::factory()->tag->create( array( 'name' => 'Client A' ) );
+		$production_id = self::factory()->category->create( array( 'name' => 'Production A' ) );
+		$post_id       = self::factory()->post->create( array( 'post_date' => '2023-05-01 10:00:00' ) );
+		wp_set_post_terms( $post_id, array( $tag_id ), 'post_tag' );
+		wp_set_post_terms( $post_id, array( $production_id ), 'category' );
+
+		$query = new \WP_Query(
+			array(
+				'post_type' => 'post',
+				'fields'    => 'ids',
+				'post__in'  => array( $post_id ),
+			)
+		);
+
+		$result = $this->data_organizer->organize_results( 'post', $query, 'all' );
+
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		$this->assertEquals(
+			array(
+				array(
+					'id'   => $production_id,
+					'name' => 'Production A',
+				),
+			),
+			$result['2023']['post_tag'][0]['productions']
+		);
+	}
+
+	/**
+	 * Test organize_results leaves out hidden terms and applies display names and priorities.
+	 */
+	public function test_organize_results_applies_term_overrides() {
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'   => 'category',
+				'ref_types' => array( 'post_tag' ),
+			)
+		);
+
+		$hidden_id = self::factory()->tag->create( array( 'name' => 'Client A' ) );
+		$plain_id  = self::factory()->tag->create( array( 'name' => 'Client B' ) );
+		$pinned_id = self::factory()->tag->create( array( 'name' => 'Client C' ) );
+		update_term_meta( $hidden_id, Taxonomy_Manager::META_HIDDEN, true );
+		update_term_meta( $pinned_id, Taxonomy_Manager::META_DISPLAY_NAME, 'Client C (Berlin)' );
+		update_term_meta( $pinned_id, Taxonomy_Manager::META_PRIORITY, 5 );
+
+		$post_id = self::factory()->post->create( array( 'post_date' => '2023-05-01 10:00:00' ) );
+		wp_set_post_terms( $post_id, array( $hidden_id, $plain_id, $pinned_id ), 'post_tag' );
+
+		$query = new \WP_Query(
+			array(
+				'post_type' => 'post',
+				'fields'    => 'ids',
+				'post__in'  => array( $post_id ),
+			)
+		);
+
+		$result = $this->data_organizer->organize_results( 'post', $query, 'all' );
+
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		$this->assertEquals( array( 'Client C (Berlin)', 'Client B' ), wp_list_pluck( $result['2023']['post_tag'], 'name' ) );
+		$this->assertEquals( array( 5, 0 ), wp_list_pluck( $result['2023']['post_tag'], 'priority' ) );
+	}
+
+	/**
+	 * Test group_items_by_production groups, sorts and collects items without production.
+	 */
+	public function test_group_items_by_production() {
+		$production_a = array(
+			'id'   => 1,
+			'name' => 'Production A',
+		);
+		$production_b = array(
+			'id'   => 2,
+			'name' => 'Production B',
+		);
+		$items        = array(
+			array(
+				'id'          => 10,
+				'name'        => 'Client A',
+				'posts'       => array( 100 ),
+				'productions' => array( $production_b ),
+			),
+			array(
+				'id'          => 11,
+				'name'        => 'Client B',
+				'posts'       => array( 101, 102 ),
+				'productions' => array( $production_a, $production_b ),
+			),
+			array(
+				'id'          => 12,
+				'name'        => 'Client C',
+				'posts'       => array( 103 ),
+				'productions' => array(),
+			),
+		);
+
+		$groups = $this->data_organizer->group_items_by_production( $items );
+
+		$this->assertCount( 3, $groups );
+		$this->assertEquals( $production_a, $groups[0]['production'] );
+		$this->assertEquals( array( 'Client B' ), wp_list_pluck( $groups[0]['items'], 'name' ) );
+		$this->assertEquals( $production_b, $groups[1]['production'] );
+		$this->assertEquals( array( 'Client A', 'Client B' ), wp_list_pluck( $groups[1]['items'], 'name' ) );
+		$this->assertNull( $groups[2]['production'] );
+		$this->assertEquals( array( 'Client C' ), wp_list_pluck( $groups[2]['items'], 'name' ) );
+	}
+
+	/**
+	 * Test sort_items lists the most frequent items first.
+	 */
+	public function test_sort_items_by_frequency() {
+		$references = array(
+			'2024' => array(
+				'_gatherpress-client' => array(
+					array(
+						'id'          => 1,
+						'name'        => 'Client A',
+						'count'       => 1,
+						'posts'       => array( 10 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2024-01-01 00:00:00',
+					),
+					array(
+						'id'          => 2,
+						'name'        => 'Client B',
+						'count'       => 3,
+						'posts'       => array( 11, 12, 13 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2024-01-01 00:00:00',
+					),
+					array(
+						'id'          => 3,
+						'name'        => 'Client C',
+						'count'       => 1,
+						'posts'       => array( 14 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2024-01-01 00:00:00',
+					),
+				),
+			),
+		);
+
+		$frequency    = $this->data_organizer->sort_items( $references, 'frequency' );
+		$alphabetical = $this->data_organizer->sort_items( $references, 'alphabetical' );
+
+		$this->assertEquals(
+			array( 'Client B', 'Client A', 'Client C' ),
+			wp_list_pluck( $frequency['2024']['_gatherpress-client'], 'name' )
+		);
+		$this->assertEquals( $references, $alphabetical );
+	}
+
+	/**
+	 * Test sort_items lists items of higher priority first, whatever their count.
+	 */
+	public function test_sort_items_by_frequency_keeps_priority_first() {
+		$references = array(
+			'2024' => array(
+				'_gatherpress-client' => array(
+					array(
+						'id'          => 1,
+						'name'        => 'Client A',
+						'count'       => 1,
+						'posts'       => array( 10 ),
+						'productions' => array(),
+						'priority'    => 1,
+						'order'       => 0,
+						'first_date'  => '2024-01-01 00:00:00',
+					),
+					array(
+						'id'          => 2,
+						'name'        => 'Client B',
+						'count'       => 3,
+						'posts'       => array( 11, 12, 13 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2024-01-01 00:00:00',
+					),
+				),
+			),
+		);
+
+		$frequency = $this->data_organizer->sort_items( $references, 'frequency' );
+
+		$this->assertEquals(
+			array( 'Client A', 'Client B' ),
+			wp_list_pluck( $frequency['2024']['_gatherpress-client'], 'name' )
+		);
+	}
+
+	/**
+	 * Test sort_items sorts chronologically and manually, with a secondary sort order.
+	 */
+	public function test_sort_items_with_secondary_sort() {
+		$references = array(
+			'2024' => array(
+				'_gatherpress-client' => array(
+					array(
+						'id'          => 1,
+						'name'        => 'Client A',
+						'count'       => 1,
+						'posts'       => array( 10 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 2,
+						'first_date'  => '2024-05-01 19:00:00',
+					),
+					array(
+						'id'          => 2,
+						'name'        => 'Client B',
+						'count'       => 1,
+						'posts'       => array( 11 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 1,
+						'first_date'  => '2024-02-01 19:00:00',
+					),
+					array(
+						'id'          => 3,
+						'name'        => 'Client C',
+						'count'       => 3,
+						'posts'       => array( 12, 13, 14 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 2,
+						'first_date'  => '2024-05-01 19:00:00',
+					),
+				),
+			),
+		);
+
+		$chronological = $this->data_organizer->sort_items( $references, 'chronological' );
+		$this->assertEquals(
+			array( 'Client B', 'Client A', 'Client C' ),
+			wp_list_pluck( $chronological['2024']['_gatherpress-client'], 'name' )
+		);
+
+		$chronological = $this->data_organizer->sort_items( $references, 'chronological', 'frequency' );
+		$this->assertEquals(
+			array( 'Client B', 'Client C', 'Client A' ),
+			wp_list_pluck( $chronological['2024']['_gatherpress-client'], 'name' )
+		);
+
+		$manual = $this->data_organizer->sort_items( $references, 'manual', 'frequency' );
+		$this->assertEquals(
+			array( 'Client B', 'Client C', 'Client A' ),
+			wp_list_pluck( $manual['2024']['_gatherpress-client'], 'name' )
+		);
+
+		$merged = $this->data_organizer->merge_years( $references, 'frequency', 'manual' );
+		$this->assertEquals( array( 'Client C', 'Client B', 'Client A' ), wp_list_pluck( $merged, 'name' ) );
+	}
+
+	/**
+	 * Test organize_results keeps the first post date and the manual order of each item.
+	 */
+	public function test_organize_results_keeps_first_date_and_order() {
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'   => 'category',
+				'ref_types' => array( 'post_tag' ),
+			)
+		);
+
+		$ordered_id = self::factory()->tag->create( array( 'name' => 'Client A' ) );
+		$plain_id   = self::factory()->tag->create( array( 'name' => 'Client B' ) );
+		update_term_meta( $ordered_id, Taxonomy_Manager::META_ORDER, 3 );
+
+		$later_id   = self::factory()->post->create( array( 'post_date' => '2023-05-01 10:00:00' ) );
+		$earlier_id = self::factory()->post->create( array( 'post_date' => '2023-03-01 10:00:00' ) );
+		wp_set_post_terms( $later_id, array( $ordered_id, $plain_id ), 'post_tag' );
+		wp_set_post_terms( $earlier_id, array( $ordered_id ), 'post_tag' );
+
+		$query = new \WP_Query(
+			array(
+				'post_type' => 'post',
+				'fields'    => 'ids',
+				'post__in'  => array( $later_id, $earlier_id ),
+			)
+		);
+
+		$result = $this->data_organizer->organize_results( 'post', $query, 'all' );
+
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		$this->assertEquals( array( '2023-03-01 10:00:00', '2023-05-01 10:00:00' ), wp_list_pluck( $result['2023']['post_tag'], 'first_date' ) );
+		$this->assertEquals( array( 3, 0 ), wp_list_pluck( $result['2023']['post_tag'], 'order' ) );
+	}
+
+	/**
+	 * Test exclude_terms removes the terms, and the types and years left empty.
+	 */
+	public function test_exclude_terms() {
+		$item       = array(
+			'count'       => 1,
+			'posts'       => array( 10 ),
+			'productions' => array(),
+			'priority'    => 0,
+			'order'       => 0,
+			'first_date'  => '2024-01-01 00:00:00',
+		);
+		$references = array(
+			'2024' => array(
+				'_gatherpress-client' => array(
+					array_merge(
+						$item,
+						array(
+							'id'   => 1,
+							'name' => 'Client A',
+						)
+					),
+					array_merge(
+						$item,
+						array(
+							'id'   => 2,
+							'name' => 'Client B',
+						)
+					),
+				),
+				'_gatherpress-award'  => array(
+					array_merge(
+						$item,
+						array(
+							'id'   => 3,
+							'name' => 'Award A',
+						)
+					),
+				),
+			),
+			'2023' => array(
+				'_gatherpress-award' => array(
+					array_merge(
+						$item,
+						array(
+							'id'   => 3,
+							'name' => 'Award A',
+						)
+					),
+				),
+			),
+		);
+
+		$result = $this->data_organizer->exclude_terms( $references, array( 1, 3 ) );
+
+		$this->assertEquals( array( '2024' ), array_keys( $result ) );
+		$this->assertEquals( array( '_gatherpress-client' ), array_keys( $result['2024'] ) );
+		$this->assertEquals( array( 'Client B' ), wp_list_pluck( $result['2024']['_gatherpress-client'], 'name' ) );
+		$this->assertEquals( $references, $this->data_organizer->exclude_terms( $references, array() ) );
+	}
+
+	/**
+	 * Test organize_results groups by decade and by season.
+	 */
+	public function test_organize_results_groups_by_decade_and_season() {
+		add_post_type_support(
+			'post',
+			'gatherpress_references',
+			array(
+				'ref_tax'   => 'category',
+				'ref_types' => array( 'post_tag' ),
+			)
+		);
+
+		$tag_id   = self::factory()->tag->create( array( 'name' => 'Client A' ) );
+		$post_ids = array(
+			self::factory()->post->create( array( 'post_date' => '2019-09-01 10:00:00' ) ),
+			self::factory()->post->create( array( 'post_date' => '2020-03-01 10:00:00' ) ),
+			self::factory()->post->create( array( 'post_date' => '2020-08-01 10:00:00' ) ),
+		);
+		foreach ( $post_ids as $post_id ) {
+			wp_set_post_terms( $post_id, array( $tag_id ), 'post_tag' );
+		}
+
+		$query = new \WP_Query(
+			array(
+				'post_type' => 'post',
+				'fields'    => 'ids',
+				'post__in'  => $post_ids,
+			)
+		);
+
+		$decades = $this->data_organizer->organize_results( 'post', $query, 'all', array( 'group_by' => 'decade' ) );
+		$seasons = $this->data_organizer->organize_results(
+			'post',
+			$query,
+			'all',
+			array(
+				'group_by'     => 'season',
+				'season_start' => 8,
+			)
+		);
+
+		remove_post_type_support( 'post', 'gatherpress_references' );
+
+		$this->assertEqualsCanonicalizing( array( '2010s', '2020s' ), array_keys( $decades ) );
+		$this->assertEquals( 2, $decades['2020s']['post_tag'][0]['count'] );
+		$this->assertEqualsCanonicalizing( array( '2019/20', '2020/21' ), array_keys( $seasons ) );
+		$this->assertEquals( 2, $seasons['2019/20']['post_tag'][0]['count'] );
+	}
+
+	/**
+	 * Test limit_years keeps the most recent years in their order.
+	 */
+	public function test_limit_years_keeps_most_recent_years() {
+		$references = array(
+			'2022' => array( '_gatherpress-client' => array( 'Client A' ) ),
+			'2023' => array( '_gatherpress-client' => array( 'Client C' ) ),
+			'2024' => array( '_gatherpress-client' => array( 'Client B' ) ),
+		);
+
+		$result = $this->data_organizer->limit_years( $references, 2 );
+
+		$this->assertEquals( array( '2023', '2024' ), array_keys( $result ) );
+	}
+
+	/**
+	 * Test limit_years with no limit keeps all years.
+	 */
+	public function test_limit_years_without_limit() {
+		$references = array(
+			'2024' => array( '_gatherpress-client' => array( 'Client B' ) ),
+			'2022' => array( '_gatherpress-client' => array( 'Client A' ) ),
+		);
+
+		$this->assertSame( $references, $this->data_organizer->limit_years( $references, 0 ) );
+	}
+
+	/**
+	 * Test that items of all years and types are merged once, with their counts combined.
+	 */
+	public function test_merge_years() {
+		$production = array(
+			'id'   => 1,
+			'name' => 'Production A',
+		);
+		$references = array(
+			'2024' => array(
+				'_gatherpress-client' => array(
+					array(
+						'id'          => 10,
+						'name'        => 'Client B',
+						'count'       => 1,
+						'posts'       => array( 101 ),
+						'productions' => array( $production ),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2024-01-01 00:00:00',
+					),
+				),
+			),
+			'2023' => array(
+				'_gatherpress-client' => array(
+					array(
+						'id'          => 10,
+						'name'        => 'Client B',
+						'count'       => 2,
+						'posts'       => array( 102, 103 ),
+						'productions' => array( $production ),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2023-01-01 00:00:00',
+					),
+					array(
+						'id'          => 11,
+						'name'        => 'Client A',
+						'count'       => 1,
+						'posts'       => array( 104 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2023-01-01 00:00:00',
+					),
+				),
+			),
+		);
+
+		$alphabetical = $this->data_organizer->merge_years( $references, 'alphabetical' );
+
+		$this->assertEquals( array( 'Client A', 'Client B' ), wp_list_pluck( $alphabetical, 'name' ) );
+		$this->assertEquals( 3, $alphabetical[1]['count'] );
+		$this->assertEquals( array( 101, 102, 103 ), $alphabetical[1]['posts'] );
+		$this->assertEquals( array( $production ), $alphabetical[1]['productions'] );
+
+		$frequency = $this->data_organizer->merge_years( $references, 'frequency' );
+
+		$this->assertEquals( array( 'Client B', 'Client A' ), wp_list_pluck( $frequency, 'name' ) );
+	}
+
+	/**
+	 * Test that items are grouped by type and term, with their years oldest first.
+	 */
+	public function test_group_by_term() {
+		$festival   = array(
+			'id'          => 20,
+			'name'        => 'Theaterfestival Basel',
+			'count'       => 1,
+			'posts'       => array( 101 ),
+			'productions' => array(),
+			'priority'    => 0,
+			'order'       => 0,
+			'first_date'  => '2024-06-01 19:00:00',
+		);
+		$references = array(
+			'2024' => array(
+				'_gatherpress-festival' => array( $festival ),
+			),
+			'2022' => array(
+				'_gatherpress-client'   => array(
+					array(
+						'id'          => 10,
+						'name'        => 'Client A',
+						'count'       => 2,
+						'posts'       => array( 102, 103 ),
+						'productions' => array(),
+						'priority'    => 0,
+						'order'       => 0,
+						'first_date'  => '2022-03-01 19:00:00',
+					),
+				),
+				'_gatherpress-festival' => array(
+					array_merge(
+						$festival,
+						array(
+							'posts'      => array( 104 ),
+							'first_date' => '2022-06-01 19:00:00',
+						)
+					),
+				),
+			),
+		);
+
+		$grouped = $this->data_organizer->group_by_term( $references, array( '_gatherpress-client', '_gatherpress-festival' ), 'alphabetical' );
+
+		$this->assertEquals( array( '_gatherpress-client', '_gatherpress-festival' ), array_keys( $grouped ) );
+		$this->assertCount( 1, $grouped['_gatherpress-festival'] );
+		$this->assertEquals( array( '2022', '2024' ), $grouped['_gatherpress-festival'][0]['periods'] );
+		$this->assertEquals( 2, $grouped['_gatherpress-festival'][0]['count'] );
+		$this->assertEquals( array( 101, 104 ), $grouped['_gatherpress-festival'][0]['posts'] );
+		$this->assertEquals( '2022-06-01 19:00:00', $grouped['_gatherpress-festival'][0]['first_date'] );
+		$this->assertEquals( array( '2022' ), $grouped['_gatherpress-client'][0]['periods'] );
+	}
+
+	/**
+	 * Test that consecutive years, decades and seasons are collapsed into ranges.
+	 */
+	public function test_format_periods() {
+		$this->assertSame( '2019, 2022', $this->data_organizer->format_periods( array( '2019', '2022' ) ) );
+		$this->assertSame( '2019, 2021–2023', $this->data_organizer->format_periods( array( '2019', '2021', '2022', '2023' ) ) );
+		$this->assertSame( '1990s–2000s, 2020s', $this->data_organizer->format_periods( array( '1990s', '2000s', '2020s' ) ) );
+		$this->assertSame( '2021/22–2022/23', $this->data_organizer->format_periods( array( '2021/22', '2022/23' ) ) );
+		$this->assertSame( '', $this->data_organizer->format_periods( array() ) );
+	}
 }
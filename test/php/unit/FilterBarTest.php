@@ -0,0 +1,144 @@
+<?php
+/**
+ * Unit tests for Filter_Bar class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Unit;
+
+use GatherPress\References\Filter_Bar;
+use WP_UnitTestCase;
+
+/**
+ * Class FilterBarTest
+ *
+ * Tests the Filter_Bar class.
+ *
+ * @since 0.3.0
+ */
+class FilterBarTest extends WP_UnitTestCase {
+
+	/**
+	 * Filter bar instance.
+	 *
+	 * @var Filter_Bar
+	 */
+	private Filter_Bar $filter_bar;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+		$this->filter_bar = new Filter_Bar();
+	}
+
+	/**
+	 * Tear down the test.
+	 */
+	public function tear_down() {
+		unset( $_GET['references-type'], $_GET['references-production'], $_GET['references-year'] );
+		parent::tear_down();
+	}
+
+	/**
+	 * Get references with two types and two productions.
+	 *
+	 * @return array<int|string, array<string, array<int, array<string, mixed>>>> References.
+	 */
+	private function get_references(): array {
+		$production_a = array(
+			'id'   => 11,
+			'name' => 'Production A',
+		);
+		$production_b = array(
+			'id'   => 12,
+			'name' => 'Production B',
+		);
+
+		return array(
+			'2024' => array(
+				'_gatherpress-client' => array(
+					array(
+						'id'          => 1,
+						'name'        => 'Client A',
+						'count'       => 1,
+						'posts'       => array( 101 ),
+						'productions' => array( $production_a ),
+					),
+				),
+			),
+			'2023' => array(
+				'_gatherpress-award' => array(
+					array(
+						'id'          => 2,
+						'name'        => 'Award A',
+						'count'       => 1,
+						'posts'       => array( 102 ),
+						'productions' => array( $production_b ),
+					),
+				),
+			),
+		);
+	}
+
+	/**
+	 * Test that all references are shown without filters in the URL.
+	 */
+	public function test_get_state_defaults_to_everything() {
+		$types = array( '_gatherpress-client', '_gatherpress-award' );
+		$state = $this->filter_bar->get_state( $this->get_references(), $types );
+
+		$this->assertEquals( $types, $state['types'] );
+		$this->assertEquals( 0, $state['production'] );
+		$this->assertEquals( '', $state['year'] );
+	}
+
+	/**
+	 * Test that the filter state is read from the URL, ignoring unknown values.
+	 */
+	public function test_get_state_reads_url() {
+		$_GET['references-type']       = '_gatherpress-award,unknown';
+		$_GET['references-production'] = '12';
+		$_GET['references-year']       = '1999';
+
+		$state = $this->filter_bar->get_state( $this->get_references(), array( '_gatherpress-client', '_gatherpress-award' ) );
+
+		$this->assertEquals( array( '_gatherpress-award' ), $state['types'] );
+		$this->assertEquals( 12, $state['production'] );
+		$this->assertEquals( '', $state['year'] );
+	}
+
+	/**
+	 * Test that years without matching references start hidden.
+	 */
+	public function test_year_attributes_hide_filtered_years() {
+		$_GET['references-production'] = '12';
+
+		$references = $this->get_references();
+		$state      = $this->filter_bar->get_state( $references, array( '_gatherpress-client', '_gatherpress-award' ) );
+
+		$this->assertStringEndsWith( ' hidden', $this->filter_bar->get_year_attributes( $state, '2024', $references['2024'] ) );
+		$this->assertStringNotContainsString( ' hidden', $this->filter_bar->get_year_attributes( $state, '2023', $references['2023'] ) );
+	}
+
+	/**
+	 * Test that no directives are added without the filter bar.
+	 */
+	public function test_attributes_are_empty_without_filter_bar() {
+		$this->assertSame( '', $this->filter_bar->get_item_attributes( null, array( 11 ) ) );
+	}
+
+	/**
+	 * Test that the filter bar offers the productions.
+	 */
+	public function test_render_lists_productions() {
+		$references = $this->get_references();
+		$state      = $this->filter_bar->get_state( $references, array( '_gatherpress-client', '_gatherpress-award' ) );
+		$html       = $this->filter_bar->render( $references, $state, array(), true, true );
+
+		$this->assertStringContainsString( 'data-wp-on--change="actions.setProduction"', $html );
+		$this->assertStringContainsString( 'Production B', $html );
+	}
+}
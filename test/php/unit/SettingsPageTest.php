@@ -0,0 +1,150 @@
+<?php
+/**
+ * Unit tests for Settings_Page class.
+ *
+ * @package GatherPress_References
+ */
+
+namespace GatherPress\References\Tests\Unit;
+
+use GatherPress\References\Config_Manager;
+use GatherPress\References\Settings_Page;
+use GatherPress\References\Taxonomy_Manager;
+use WP_UnitTestCase;
+
+/**
+ * Class SettingsPageTest
+ *
+ * Tests the Settings_Page class.
+ *
+ * @since 0.3.0
+ */
+class SettingsPageTest extends WP_UnitTestCase {
+
+	/**
+	 * Settings page instance.
+	 *
+	 * @var Settings_Page
+	 */
+	private Settings_Page $settings_page;
+
+	/**
+	 * Set up the test.
+	 */
+	public function set_up() {
+		parent::set_up();
+		$config_manager      = new Config_Manager();
+		$this->settings_page = new Settings_Page( $config_manager, new Taxonomy_Manager( $config_manager ) );
+	}
+
+	/**
+	 * Test that submitted fields are turned into configurations.
+	 */
+	public function test_sanitize_accepts_existing_taxonomies() {
+		$result = $this->settings_page->sanitize(
+			array(
+				'post' => array(
+					'enabled'      => '1',
+					'ref_tax'      => 'category',
+					'ref_types'    => 'post_tag, category, _gatherpress-award',
+					'season_start' => '9',
+				),
+				'page' => array(
+					'ref_tax'   => 'category',
+					'ref_types' => 'post_tag',
+				),
+			)
+		);
+
+		$this->assertEquals(
+			array(
+				'post' => array(
+					'ref_tax'      => 'category',
+					'ref_types'    => array( 'post_tag', '_gatherpress-award' ),
+					'season_start' => 9,
+				),
+			),
+			$result
+		);
+	}
+
+	/**
+	 * Test that unknown taxonomies are rejected.
+	 */
+	public function test_sanitize_rejects_unknown_taxonomies() {
+		$result = $this->settings_page->sanitize(
+			array(
+				'post' => array(
+					'enabled'   => '1',
+					'ref_tax'   => 'category',
+					'ref_types' => 'co-productions',
+				),
+			)
+		);
+
+		$this->assertEquals( array(), $result );
+		$this->assertNotEmpty( get_settings_errors( Config_Manager::OPTION ) );
+	}
+
+	/**
+	 * Test that new types are created with the names given.
+	 */
+	public function test_sanitize_creates_named_types() {
+		$result = $this->settings_page->sanitize(
+			array(
+				'post' => array(
+					'enabled'         => '1',
+					'ref_tax'         => 'category',
+					'ref_types'       => 'post_tag',
+					'type_taxonomies' => array(
+						array(
+							'slug'     => 'gatherpress-coproduction',
+							'singular' => 'Co-production',
+							'plural'   => 'Co-productions',
+						),
+						array(
+							'slug'     => '',
+							'singular' => '',
+							'plural'   => '',
+						),
+					),
+				),
+			)
+		);
+
+		$this->assertEquals(
+			array(
+				'post' => array(
+					'ref_tax'         => 'category',
+					'ref_types'       => array( 'post_tag', 'gatherpress-coproduction' ),
+					'season_start'    => 0,
+					'type_taxonomies' => array(
+						'gatherpress-coproduction' => array(
+							'singular' => 'Co-production',
+							'plural'   => 'Co-productions',
+							'args'     => array(),
+						),
+					),
+				),
+			),
+			$result
+		);
+	}
+
+	/**
+	 * Test that post types configured in code can't be changed.
+	 */
+	public function test_sanitize_skips_post_types_configured_in_code() {
+		$result = $this->settings_page->sanitize(
+			array(
+				'gatherpress_event' => array(
+					'enabled'   => '1',
+					'ref_tax'   => 'category',
+					'ref_types' => 'post_tag',
+				),
+			)
+		);
+
+		$this->assertEquals( array(), $result );
+	}
+}